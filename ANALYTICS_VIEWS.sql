@@ -52,3 +52,19 @@ WHERE status = 'CLOSED'
 GROUP BY DATE_TRUNC('month', created_at)
 ORDER BY month DESC;
 
+
+-- 5. VIEW: Position Groups (arbitrage pairs, event baskets — one row per group)
+CREATE OR REPLACE VIEW view_position_groups AS
+SELECT 
+    metadata->>'groupId' as group_id,
+    MAX(metadata->>'groupKind') as group_kind,
+    MAX(metadata->>'eventSlug') as event_slug,
+    COUNT(*) as legs,
+    CASE WHEN BOOL_AND(status = 'CLOSED') THEN 'CLOSED' ELSE 'OPEN' END as status,
+    SUM(amount) as total_amount,
+    SUM(CASE WHEN status = 'CLOSED' THEN pnl ELSE 0 END) as realized_pnl,
+    MIN(created_at) as opened_at
+FROM trades
+WHERE metadata->>'groupId' IS NOT NULL
+GROUP BY metadata->>'groupId'
+ORDER BY opened_at DESC;
@@ -0,0 +1,29 @@
+-- 📜 AUDIT_LOG.sql
+-- Run this in the Supabase SQL Editor. Keeps the full audit trail (GET /api/audit?archive=true);
+-- the bot itself only keeps the last 500 entries in its state.
+
+-- 1. TABLE: one row per manual intervention / config change (src/services/auditLog.js)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    actor TEXT,          -- API token / session name, or system actor (AutoBot, Auto-Training)
+    role TEXT,           -- viewer | operator | admin (null for system actors)
+    action TEXT,         -- e.g. trade.resize, trade.stop_loss, reset.full, strategy.toggle
+    method TEXT,
+    endpoint TEXT,
+    status INTEGER,      -- HTTP status (refused calls are audited too)
+    trade_id TEXT,
+    before JSONB,
+    after JSONB,
+    summary TEXT,
+    ip TEXT
+);
+
+-- 2. Lookups by trade and by time
+CREATE INDEX IF NOT EXISTS idx_audit_log_trade_id ON audit_log (trade_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at);
+
+-- 3. RLS (same open policy as the other bot tables)
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for audit_log" ON audit_log;
+CREATE POLICY "Allow all for audit_log" ON audit_log FOR ALL USING (true);
@@ -0,0 +1,22 @@
+-- 📼 SIGNAL_SNAPSHOTS.sql
+-- Run this in the Supabase SQL Editor. Enables the replay engine (npm run replay / POST /api/replay).
+
+-- 1. TABLE: signal snapshots written every 15 min by the main loop (if not already created)
+CREATE TABLE IF NOT EXISTS signal_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    tension_score NUMERIC,
+    tension_trend TEXT,
+    defcon INTEGER,
+    news_headlines JSONB,
+    whale_trades JSONB,
+    copy_signals JSONB,
+    market_count INTEGER
+);
+
+-- 2. Candidate markets (prices, volume, liquidity) scanned at snapshot time
+ALTER TABLE signal_snapshots
+ADD COLUMN IF NOT EXISTS markets JSONB;
+
+-- 3. Replay reads snapshots by time window
+CREATE INDEX IF NOT EXISTS idx_signal_snapshots_created_at ON signal_snapshots (created_at);
@@ -0,0 +1,90 @@
+/**
+ * Parameter sweep (grid search) over CONFIG keys with the walk-forward backtest
+ *
+ * Usage:
+ *   npm run backtest:sweep -- --param KELLY_FRACTION=0.1,0.15,0.2 --param STOP_LOSS_PERCENT=0.06:0.12:0.02
+ *   npm run backtest:sweep -- --grid sweep.json --dataset latest --seed 42 --sort testRoi --out results.json
+ *
+ *   --param KEY=a,b,c         explicit values       --param KEY=min:max:step   numeric range
+ *   --grid file.json          { "KEY": [values] | { "min", "max", "step" } }, e.g. for SMART_EXIT.TP_MAP objects
+ *   --sort roi|sharpe|drawdown|testRoi (default sharpe)
+ */
+import fs from 'fs';
+import { runParameterSweep } from '../src/logic/parameterSweep.js';
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+};
+
+function parseParam(raw) {
+    const eq = raw.indexOf('=');
+    if (eq === -1) throw new Error(`--param ${raw}: expected KEY=values`);
+    const key = raw.slice(0, eq);
+    const spec = raw.slice(eq + 1);
+    if (spec.includes(':')) {
+        const [min, max, step] = spec.split(':').map(Number);
+        return [key, { min, max, step }];
+    }
+    return [key, spec.split(',').map(v => {
+        const n = Number(v);
+        return Number.isNaN(n) ? v : n;
+    })];
+}
+
+const pct = (v) => `${v >= 0 ? '+' : ''}${v.toFixed(2)}%`;
+
+async function main() {
+    const ranges = {};
+    const gridFile = getArg('--grid');
+    if (gridFile) Object.assign(ranges, JSON.parse(fs.readFileSync(gridFile, 'utf8')));
+    args.forEach((a, i) => {
+        if (a === '--param') {
+            const [key, spec] = parseParam(args[i + 1] || '');
+            ranges[key] = spec;
+        }
+    });
+
+    const seedArg = getArg('--seed');
+    console.log(`🔬 Sweep over ${Object.keys(ranges).join(', ') || '(nothing)'}...`);
+
+    const sweep = await runParameterSweep({
+        ranges,
+        dataset: getArg('--dataset'),
+        seed: seedArg !== undefined ? parseInt(seedArg) : undefined,
+        sortBy: getArg('--sort'),
+        onProgress: (done, total, row) => {
+            const status = row.error ? `❌ ${row.error}` : `ROI ${pct(row.roi)} | Sharpe ${row.sharpe.toFixed(2)}`;
+            console.log(`  [${done}/${total}] ${JSON.stringify(row.overrides)} → ${status}`);
+        }
+    });
+
+    if (sweep.error) throw new Error(sweep.error);
+
+    console.log(`\n📊 seed=${sweep.seed} | dataset=${sweep.dataset || sweep.datasetHash.substring(0, 12)} | sorted by ${sweep.sortBy}`);
+    console.log(`   Baseline: ROI ${pct(sweep.baseline.roi)} | Sharpe ${sweep.baseline.sharpe.toFixed(2)} | DD ${sweep.baseline.maxDrawdown.toFixed(1)}%\n`);
+    console.table(sweep.results.map(r => ({
+        rank: r.rank,
+        params: Object.entries(r.overrides).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(' '),
+        roi: pct(r.roi),
+        sharpe: r.sharpe.toFixed(2),
+        maxDD: `${r.maxDrawdown.toFixed(1)}%`,
+        trades: r.trades,
+        'train→test ROI': `${pct(r.train.roi)} → ${pct(r.test.roi)}`,
+        overfit: r.overfit ? `⚠️ ${r.overfitReasons.join('; ')}` : ''
+    })));
+
+    const outFile = getArg('--out');
+    if (outFile) {
+        fs.writeFileSync(outFile, JSON.stringify(sweep, null, 2));
+        console.log(`💾 Saved to ${outFile}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Sweep failed:', err.message);
+        process.exit(1);
+    });
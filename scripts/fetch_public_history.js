@@ -161,6 +161,7 @@ async function fetchHistory() {
         console.log(`\n✅ Generated ${trainingSet.length} historical training examples.`);
         fs.writeFileSync(DATA_FILE, JSON.stringify(trainingSet, null, 2));
         console.log(`💾 Saved to ${DATA_FILE}`);
+        console.log(`➡️  Import for offline backtests: npm run dataset:sync -- --from-public-history`);
 
     } catch (err) {
         console.error("\n❌ Error fetching history:", err);
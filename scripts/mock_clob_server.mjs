@@ -0,0 +1,286 @@
+/**
+ * Mock Polymarket CLOB — local stand-in for testing the live execution path
+ *
+ * Implements the subset used by the bot:
+ *   GET  /book, /midpoint, /price, /prices-history   (public market data)
+ *   GET  /auth/derive-api-key, POST /auth/api-key   (L1 EIP-712 auth)
+ *   POST /order, DELETE /order, GET /data/order/:id (L2 HMAC auth, EIP-712 signed orders)
+ * Test helpers:
+ *   POST /mock/book/:tokenId   { bids, asks }  → replace a book
+ *   POST /mock/fill/:orderId   { size }        → simulate a later fill of a resting order
+ *   POST /mock/history/:tokenId { history }    → price history served by /prices-history ([{ t, p }])
+ *
+ * Usage:
+ *   node scripts/mock_clob_server.mjs            (port 4010)
+ *   CLOB_BASE_URL=http://localhost:4010 EXECUTION_MODE=live WALLET_PRIVATE_KEY=0x... npm start
+ */
+import express from 'express';
+import crypto from 'crypto';
+import { verifyTypedData } from 'ethers';
+import { pathToFileURL } from 'url';
+import { CONFIG } from '../src/config.js';
+
+const ORDER_TYPES = {
+    Order: [
+        { name: 'salt', type: 'uint256' },
+        { name: 'maker', type: 'address' },
+        { name: 'signer', type: 'address' },
+        { name: 'taker', type: 'address' },
+        { name: 'tokenId', type: 'uint256' },
+        { name: 'makerAmount', type: 'uint256' },
+        { name: 'takerAmount', type: 'uint256' },
+        { name: 'expiration', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'feeRateBps', type: 'uint256' },
+        { name: 'side', type: 'uint8' },
+        { name: 'signatureType', type: 'uint8' }
+    ]
+};
+const CLOB_AUTH_TYPES = {
+    ClobAuth: [
+        { name: 'address', type: 'address' },
+        { name: 'timestamp', type: 'string' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'message', type: 'string' }
+    ]
+};
+
+function defaultBook() {
+    return {
+        bids: [{ price: '0.48', size: '500' }, { price: '0.47', size: '800' }],
+        asks: [{ price: '0.52', size: '500' }, { price: '0.53', size: '800' }]
+    };
+}
+
+export function createMockClob({ chainId = CONFIG.EXECUTION.CHAIN_ID } = {}) {
+    const app = express();
+    app.use(express.json());
+
+    const books = new Map();   // tokenId → { bids, asks } (same string format as the real API)
+    const apiKeys = new Map(); // apiKey → { address, secret, passphrase }
+    const orders = new Map();  // orderId → order record
+    const histories = new Map(); // tokenId → [{ t (unix seconds), p }]
+
+    const getBook = (tokenId) => {
+        if (!books.has(tokenId)) books.set(tokenId, defaultBook());
+        return books.get(tokenId);
+    };
+    const bestBid = (book) => Math.max(0, ...book.bids.map(l => parseFloat(l.price)));
+    const bestAsk = (book) => Math.min(1, ...book.asks.map(l => parseFloat(l.price)));
+
+    // Walk the opposite side of the book and consume liquidity that crosses the limit
+    function match(tokenId, side, price, size) {
+        const book = getBook(tokenId);
+        const levels = side === 'BUY' ? book.asks : book.bids;
+        const crosses = (p) => side === 'BUY' ? p <= price : p >= price;
+        levels.sort((a, b) => side === 'BUY' ? a.price - b.price : b.price - a.price);
+
+        let remaining = size;
+        for (const level of levels) {
+            if (remaining <= 0 || !crosses(parseFloat(level.price))) break;
+            const take = Math.min(remaining, parseFloat(level.size));
+            level.size = (parseFloat(level.size) - take).toString();
+            remaining -= take;
+        }
+        const emptied = levels.filter(l => parseFloat(l.size) <= 0);
+        emptied.forEach(l => levels.splice(levels.indexOf(l), 1));
+        return size - remaining;
+    }
+
+    function canFill(tokenId, side, price, size) {
+        const book = getBook(tokenId);
+        const levels = side === 'BUY' ? book.asks : book.bids;
+        const depth = levels
+            .filter(l => side === 'BUY' ? parseFloat(l.price) <= price : parseFloat(l.price) >= price)
+            .reduce((sum, l) => sum + parseFloat(l.size), 0);
+        return depth >= size;
+    }
+
+    // L2 auth — HMAC over timestamp + method + path + body
+    function requireL2(req, res, next) {
+        const creds = apiKeys.get(req.get('POLY_API_KEY'));
+        if (!creds || creds.passphrase !== req.get('POLY_PASSPHRASE')) {
+            return res.status(401).json({ error: 'Unauthorized/Invalid api key' });
+        }
+        const body = req.body && Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : '';
+        const expected = crypto
+            .createHmac('sha256', Buffer.from(creds.secret, 'base64'))
+            .update(`${req.get('POLY_TIMESTAMP')}${req.method}${req.originalUrl}${body}`)
+            .digest('base64')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_');
+        if (expected !== req.get('POLY_SIGNATURE')) {
+            return res.status(401).json({ error: 'Invalid L2 signature' });
+        }
+        req.owner = creds;
+        next();
+    }
+
+    // ── Public market data ──────────────────────────────────────────────────
+    app.get('/ok', (req, res) => res.json('OK'));
+
+    app.get('/book', (req, res) => {
+        const book = getBook(req.query.token_id);
+        res.json({ asset_id: req.query.token_id, ...book });
+    });
+
+    app.get('/midpoint', (req, res) => {
+        const book = getBook(req.query.token_id);
+        res.json({ mid: ((bestBid(book) + bestAsk(book)) / 2).toFixed(3) });
+    });
+
+    app.get('/price', (req, res) => {
+        const book = getBook(req.query.token_id);
+        res.json({ price: (req.query.side === 'SELL' ? bestBid(book) : bestAsk(book)).toString() });
+    });
+
+    app.get('/prices-history', (req, res) => {
+        res.json({ history: histories.get(req.query.market) || [] });
+    });
+
+    // ── L1 auth ─────────────────────────────────────────────────────────────
+    const issueKey = (req, res) => {
+        const address = req.get('POLY_ADDRESS');
+        try {
+            const signer = verifyTypedData(
+                { name: 'ClobAuthDomain', version: '1', chainId },
+                CLOB_AUTH_TYPES,
+                {
+                    address,
+                    timestamp: req.get('POLY_TIMESTAMP'),
+                    nonce: req.get('POLY_NONCE') || '0',
+                    message: 'This message attests that I control the given wallet'
+                },
+                req.get('POLY_SIGNATURE')
+            );
+            if (signer.toLowerCase() !== (address || '').toLowerCase()) throw new Error('signer mismatch');
+        } catch (e) {
+            return res.status(401).json({ error: `Invalid L1 signature: ${e.message}` });
+        }
+
+        // Deterministic creds per address so derive == create
+        const seed = crypto.createHash('sha256').update(address.toLowerCase()).digest();
+        const apiKey = seed.subarray(0, 16).toString('hex');
+        const creds = { address, secret: seed.toString('base64'), passphrase: seed.subarray(16).toString('hex') };
+        apiKeys.set(apiKey, creds);
+        res.json({ apiKey, secret: creds.secret, passphrase: creds.passphrase });
+    };
+    app.get('/auth/derive-api-key', issueKey);
+    app.post('/auth/api-key', issueKey);
+
+    // ── Orders ──────────────────────────────────────────────────────────────
+    app.post('/order', requireL2, (req, res) => {
+        const { order, orderType = 'GTC' } = req.body || {};
+        if (!order?.signature) return res.status(400).json({ success: false, errorMsg: 'Missing order' });
+
+        const sideNum = order.side === 'BUY' ? 0 : 1;
+        const value = { ...order, salt: order.salt.toString(), side: sideNum };
+        delete value.signature;
+
+        const exchanges = [CONFIG.EXECUTION.EXCHANGE_ADDRESS, CONFIG.EXECUTION.NEG_RISK_EXCHANGE_ADDRESS];
+        const validSig = exchanges.some(verifyingContract => {
+            try {
+                const domain = { name: 'Polymarket CTF Exchange', version: '1', chainId, verifyingContract };
+                return verifyTypedData(domain, ORDER_TYPES, value, order.signature).toLowerCase() === order.signer.toLowerCase();
+            } catch {
+                return false;
+            }
+        });
+        if (!validSig) return res.status(400).json({ success: false, errorMsg: 'invalid signature' });
+        if (order.signer.toLowerCase() !== req.owner.address.toLowerCase()) {
+            return res.status(401).json({ success: false, errorMsg: 'order signer does not match api key owner' });
+        }
+
+        const shares = parseInt(order.side === 'BUY' ? order.takerAmount : order.makerAmount) / 1e6;
+        const usdc = parseInt(order.side === 'BUY' ? order.makerAmount : order.takerAmount) / 1e6;
+        const price = Math.round((usdc / shares) * 1000) / 1000;
+
+        if (orderType === 'FOK' && !canFill(order.tokenId, order.side, price, shares)) {
+            return res.status(400).json({ success: false, errorMsg: "order couldn't be fully filled, FOK orders are fully filled or killed" });
+        }
+
+        const matched = match(order.tokenId, order.side, price, shares);
+        const id = '0x' + crypto.randomBytes(32).toString('hex');
+        const record = {
+            id,
+            status: matched >= shares ? 'MATCHED' : 'LIVE',
+            owner: req.owner.address,
+            asset_id: order.tokenId,
+            side: order.side,
+            original_size: shares.toString(),
+            size_matched: matched.toString(),
+            price: price.toString(),
+            order_type: orderType,
+            created_at: Math.floor(Date.now() / 1000)
+        };
+        orders.set(id, record);
+
+        res.json({
+            success: true,
+            errorMsg: '',
+            orderID: id,
+            status: record.status === 'MATCHED' ? 'matched' : 'live',
+            makingAmount: order.makerAmount,
+            takingAmount: order.takerAmount
+        });
+    });
+
+    app.get('/data/order/:id', requireL2, (req, res) => {
+        const record = orders.get(req.params.id);
+        if (!record) return res.status(404).json({ error: 'order not found' });
+        res.json(record);
+    });
+
+    app.delete('/order', requireL2, (req, res) => {
+        const record = orders.get(req.body?.orderID);
+        if (!record || record.status !== 'LIVE') {
+            return res.json({ canceled: [], not_canceled: { [req.body?.orderID]: 'order not live' } });
+        }
+        record.status = 'CANCELED';
+        res.json({ canceled: [record.id], not_canceled: {} });
+    });
+
+    // ── Test helpers ────────────────────────────────────────────────────────
+    app.post('/mock/book/:tokenId', (req, res) => {
+        books.set(req.params.tokenId, { bids: req.body.bids || [], asks: req.body.asks || [] });
+        res.json({ success: true });
+    });
+
+    app.post('/mock/history/:tokenId', (req, res) => {
+        histories.set(req.params.tokenId, req.body.history || []);
+        res.json({ success: true });
+    });
+
+    app.post('/mock/fill/:id', (req, res) => {
+        const record = orders.get(req.params.id);
+        if (!record || record.status !== 'LIVE') return res.status(404).json({ error: 'no live order' });
+        const original = parseFloat(record.original_size);
+        const size = Math.min(original, parseFloat(record.size_matched) + parseFloat(req.body?.size ?? original));
+        record.size_matched = size.toString();
+        if (size >= original) record.status = 'MATCHED';
+        res.json(record);
+    });
+
+    return app;
+}
+
+/**
+ * Start the mock on a port (0 = random free port)
+ * @returns {Promise<{server, url}>}
+ */
+export function startMockClob(port = 4010, options = {}) {
+    const app = createMockClob(options);
+    return new Promise(resolve => {
+        const server = app.listen(port, () => {
+            const url = `http://localhost:${server.address().port}`;
+            resolve({ server, url });
+        });
+    });
+}
+
+// Standalone mode
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.env.MOCK_CLOB_PORT || '4010');
+    const { url } = await startMockClob(port);
+    console.log(`🧪 Mock CLOB listening on ${url}`);
+}
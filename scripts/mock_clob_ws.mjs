@@ -0,0 +1,173 @@
+/**
+ * Mock Polymarket CLOB market WebSocket — local stand-in for the market data feed
+ *
+ * Implements the subset of the market channel used by marketDataFeed:
+ *   → { type: 'market', assets_ids }              open the channel (book snapshots sent back)
+ *   → { operation: 'subscribe'|'unsubscribe', assets_ids }
+ *   → 'PING'                                      ← 'PONG'
+ *   ← book, price_change (price_changes[] format), last_trade_price
+ * Test helpers (programmatic): setBook, setLevel, trade, walk, dropClients, close
+ *
+ * Usage:
+ *   node scripts/mock_clob_ws.mjs            (port 4011, random walk on subscribed books)
+ *   CLOB_WS_URL=ws://localhost:4011 npm start
+ */
+import { WebSocketServer } from 'ws';
+import { pathToFileURL } from 'url';
+
+function defaultBook() {
+    return {
+        bids: [{ price: '0.48', size: '500' }, { price: '0.47', size: '800' }],
+        asks: [{ price: '0.52', size: '500' }, { price: '0.53', size: '800' }]
+    };
+}
+
+/**
+ * Start the mock on a port (0 = random free port)
+ * @returns {Promise<Object>} { url, wss, setBook, setLevel, trade, walk, subscribers, dropClients, close }
+ */
+export function startMockClobWs(port = 4011) {
+    const books = new Map();   // tokenId → { bids, asks } (string levels, like the real channel)
+    const clients = new Map(); // socket → Set<tokenId>
+
+    const getBook = (tokenId) => {
+        if (!books.has(tokenId)) books.set(tokenId, defaultBook());
+        return books.get(tokenId);
+    };
+    const bookEvent = (tokenId) => ({
+        event_type: 'book',
+        asset_id: tokenId,
+        market: `0xmock${tokenId}`,
+        ...getBook(tokenId),
+        timestamp: String(Date.now()),
+        hash: `h${Date.now()}`
+    });
+    const broadcast = (tokenId, event) => {
+        for (const [socket, tokens] of clients) {
+            if (tokens.has(tokenId) && socket.readyState === socket.OPEN) socket.send(JSON.stringify([event]));
+        }
+    };
+
+    const wss = new WebSocketServer({ port });
+
+    wss.on('connection', (socket) => {
+        clients.set(socket, new Set());
+        socket.on('close', () => clients.delete(socket));
+        socket.on('message', (data) => {
+            const text = data.toString();
+            if (text === 'PING') return socket.send('PONG');
+            let msg;
+            try { msg = JSON.parse(text); } catch { return socket.send('INVALID OPERATION'); }
+
+            const tokens = clients.get(socket);
+            const ids = (msg.assets_ids || []).map(String);
+            if (msg.type === 'market' || msg.operation === 'subscribe') {
+                ids.forEach(id => tokens.add(id));
+                if (ids.length > 0) socket.send(JSON.stringify(ids.map(bookEvent)));
+            } else if (msg.operation === 'unsubscribe') {
+                ids.forEach(id => tokens.delete(id));
+            } else {
+                socket.send('INVALID OPERATION');
+            }
+        });
+    });
+
+    const mock = {
+        wss,
+        url: null,
+
+        /** Replace a book and push a fresh snapshot to subscribers */
+        setBook(tokenId, { bids = [], asks = [] }) {
+            books.set(tokenId, { bids, asks });
+            broadcast(tokenId, bookEvent(tokenId));
+        },
+
+        /** Change one level (size 0 removes it) and push a price_change */
+        setLevel(tokenId, side, price, size) {
+            const book = getBook(tokenId);
+            const levels = side === 'BUY' ? book.bids : book.asks;
+            const key = parseFloat(price);
+            const i = levels.findIndex(l => parseFloat(l.price) === key);
+            if (i !== -1) levels.splice(i, 1);
+            if (parseFloat(size) > 0) levels.push({ price: String(price), size: String(size) });
+
+            const best = (lv, pick) => lv.length > 0 ? String(pick(...lv.map(l => parseFloat(l.price)))) : '0';
+            broadcast(tokenId, {
+                event_type: 'price_change',
+                market: `0xmock${tokenId}`,
+                price_changes: [{
+                    asset_id: tokenId,
+                    price: String(price),
+                    size: String(size),
+                    side,
+                    hash: `h${Date.now()}`,
+                    best_bid: best(book.bids, Math.max),
+                    best_ask: best(book.asks, Math.min)
+                }],
+                timestamp: String(Date.now())
+            });
+        },
+
+        trade(tokenId, price, size = 10, side = 'BUY') {
+            broadcast(tokenId, {
+                event_type: 'last_trade_price',
+                asset_id: tokenId,
+                market: `0xmock${tokenId}`,
+                price: String(price),
+                size: String(size),
+                side,
+                fee_rate_bps: '0',
+                timestamp: String(Date.now())
+            });
+        },
+
+        /** Shift every subscribed book by one tick up or down (price_change per moved level) */
+        walk(tick = 0.01) {
+            const subscribed = new Set([...clients.values()].flatMap(tokens => [...tokens]));
+            for (const tokenId of subscribed) {
+                const book = getBook(tokenId);
+                const step = Math.random() < 0.5 ? -tick : tick;
+                for (const [side, levels] of [['BUY', book.bids], ['SELL', book.asks]]) {
+                    // Move the leading level first so a level never lands on one not yet moved
+                    const ordered = [...levels].sort((a, b) => (parseFloat(b.price) - parseFloat(a.price)) * Math.sign(step));
+                    for (const level of ordered) {
+                        const moved = Math.round((parseFloat(level.price) + step) * 100) / 100;
+                        if (moved <= 0 || moved >= 1) continue;
+                        mock.setLevel(tokenId, side, level.price, 0);
+                        mock.setLevel(tokenId, side, moved.toFixed(2), level.size);
+                    }
+                }
+            }
+        },
+
+        subscribers(tokenId) {
+            return [...clients.values()].filter(tokens => tokens.has(tokenId)).length;
+        },
+
+        /** Cut every connection (reconnect tests) */
+        dropClients() {
+            for (const socket of clients.keys()) socket.terminate();
+        },
+
+        close() {
+            mock.dropClients();
+            return new Promise(resolve => wss.close(resolve));
+        }
+    };
+
+    return new Promise(resolve => {
+        wss.on('listening', () => {
+            mock.url = `ws://localhost:${wss.address().port}`;
+            resolve(mock);
+        });
+    });
+}
+
+// Standalone mode: random walk of one tick on the subscribed books every 2s
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.env.MOCK_CLOB_WS_PORT || '4011');
+    const mock = await startMockClobWs(port);
+    console.log(`🧪 Mock CLOB WebSocket listening on ${mock.url}`);
+
+    setInterval(() => mock.walk(), 2000);
+}
@@ -0,0 +1,72 @@
+/**
+ * Replay recorded signal snapshots through the current decision code
+ *
+ * Usage:
+ *   npm run replay                                                 (last 24h, from Supabase)
+ *   npm run replay -- --from 2026-03-03T00:00:00Z --to 2026-03-04T00:00:00Z
+ *   npm run replay -- --file snapshots.json --capital 1000 --out replay.json
+ *
+ *   --file snapshots.json     signal_snapshots rows exported as a JSON array (offline)
+ *   --per-snapshot N          trades opened per snapshot (default 1, like one live cycle)
+ */
+import fs from 'fs';
+import { runReplay } from '../src/logic/replayEngine.js';
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+};
+
+const usd = (v) => `${v >= 0 ? '+' : '-'}$${Math.abs(v).toFixed(2)}`;
+
+async function main() {
+    const file = getArg('--file');
+    const capitalArg = getArg('--capital');
+    const perSnapshotArg = getArg('--per-snapshot');
+
+    const replay = await runReplay({
+        from: getArg('--from'),
+        to: getArg('--to'),
+        snapshots: file ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined,
+        initialCapital: capitalArg !== undefined ? parseFloat(capitalArg) : undefined,
+        tradesPerSnapshot: perSnapshotArg !== undefined ? parseInt(perSnapshotArg) : undefined
+    });
+    if (replay.error) throw new Error(replay.error);
+
+    const { window, summary, trades, diff } = replay;
+    console.log(`📼 Replay ${window.from} → ${window.to} (${window.snapshots} snapshots, ${window.skipped} skipped)`);
+    console.log(`   ${summary.evaluated} decisions | ${summary.trades} trades (${summary.resolved} resolved) | realized ${usd(summary.realizedPnL)} | unrealized ${usd(summary.unrealizedPnL)}\n`);
+
+    if (trades.length > 0) {
+        console.table(trades.map(t => ({
+            time: t.startTime.substring(0, 16),
+            market: (t.question || '').substring(0, 40),
+            side: t.side,
+            entry: t.entryPrice.toFixed(3),
+            amount: `$${t.amount.toFixed(2)}`,
+            strategy: t.strategy,
+            pnl: usd(t.pnl)
+        })));
+    }
+
+    console.log(`\n🔀 Diff vs live (${summary.liveTrades} live trades): ${diff.matched.length} matched, ${diff.replayOnly.length} replay-only, ${diff.liveOnly.length} live-only`);
+    for (const m of diff.matched.filter(m => !m.sameSide)) {
+        console.log(`   ↔️  ${m.question.substring(0, 50)}: live ${m.live.side} / replay ${m.replay.side}`);
+    }
+    for (const t of diff.replayOnly) console.log(`   ➕ ${t.question.substring(0, 50)} (${t.side}, ${t.strategy})`);
+    for (const t of diff.liveOnly) console.log(`   ➖ ${t.question.substring(0, 50)} (${t.side}) — ${t.replayRejection}`);
+
+    const outFile = getArg('--out');
+    if (outFile) {
+        fs.writeFileSync(outFile, JSON.stringify(replay, null, 2));
+        console.log(`💾 Saved to ${outFile}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('❌ Replay failed:', err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,55 @@
+/**
+ * Build a new offline backtest dataset version (resolved markets + CLOB price histories)
+ *
+ * Usage:
+ *   npm run dataset:sync                                   (fetch from Gamma/CLOB)
+ *   npm run dataset:sync -- --pages 6                      (300 events instead of 150)
+ *   npm run dataset:sync -- --from-public-history          (import public_history_data.json)
+ *   npm run dataset:sync -- --list
+ *
+ * Then: runBacktestSimulation({ dataset: 'latest' }) or POST /api/run-backtest { "dataset": "2026-01-31" }
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { backtestDatasetStore } from '../src/services/backtestDatasetStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PUBLIC_HISTORY_FILE = path.join(__dirname, '..', 'public_history_data.json');
+
+const args = process.argv.slice(2);
+const pagesArg = args.indexOf('--pages');
+const pages = pagesArg !== -1 ? parseInt(args[pagesArg + 1]) : undefined;
+
+async function main() {
+    if (args.includes('--list')) {
+        const datasets = backtestDatasetStore.list();
+        if (datasets.length === 0) console.log('📭 No dataset yet — run npm run dataset:sync');
+        for (const d of datasets) {
+            console.log(`📦 ${d.version.padEnd(14)} ${(d.sizeBytes / 1024 / 1024).toFixed(1)} MB  ${d.modifiedAt}`);
+        }
+        return;
+    }
+
+    if (pagesArg !== -1 && !(pages > 0)) {
+        throw new Error('--pages must be a positive integer');
+    }
+
+    const started = Date.now();
+    const meta = args.includes('--from-public-history')
+        ? await backtestDatasetStore.importPublicHistory(PUBLIC_HISTORY_FILE)
+        : await backtestDatasetStore.sync({ pages });
+
+    const elapsed = ((Date.now() - started) / 1000).toFixed(1);
+    if (meta.unchanged) {
+        console.log(`✅ Data unchanged — dataset ${meta.version} is up to date (${elapsed}s)`);
+    } else {
+        console.log(`✅ Dataset ${meta.version}: ${meta.marketCount} markets, ${meta.withHistory} with price history (${elapsed}s)`);
+    }
+    console.log(`   hash ${meta.hash.substring(0, 12)} | source ${meta.source}`);
+}
+
+main().catch(err => {
+    console.error('❌ Dataset sync failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Test API auth: 401 without (or with a bad) token, role floors (viewer reads, operator
+ * writes, admin routes), dashboard session cookie login / logout / expiry, public paths,
+ * AUTH_PUBLIC_READ and the audit entry of a refused write
+ * Usage: STORAGE_PATH=/tmp/auth-test node scripts/test_auth.mjs
+ */
+import express from 'express';
+import { scratchStorage, check, testError, finish } from './test_helpers.mjs';
+
+scratchStorage();
+
+const TOKENS = { viewer: 'auth-test-viewer-0123456789', operator: 'auth-test-operator-0123456789', admin: 'auth-test-admin-0123456789' };
+process.env.API_TOKENS = Object.entries(TOKENS).map(([role, token]) => `${role}-user:${role}:${token}`).join(',');
+process.env.SUPABASE_URL = ''; // /health-db must answer without a database
+
+const { botState } = await import('../src/state.js');
+const { CONFIG } = await import('../src/config.js');
+const { authService, authGuard } = await import('../src/services/authService.js');
+const { auditLog } = await import('../src/services/auditLog.js');
+const { default: apiRoutes } = await import('../src/routes/api.js');
+const { default: debugRoutes } = await import('../src/api/debugRoutes.js');
+
+// Same mounting as server.js
+const app = express();
+app.use(express.json());
+authService.loadIdentities();
+app.use('/api', authGuard);
+app.use('/api/debug', debugRoutes);
+app.use('/api', apiRoutes);
+const server = app.listen(0);
+const base = `http://127.0.0.1:${server.address().port}/api`;
+
+const call = async (method, p, { token, cookie, apiKey, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (apiKey) headers['X-API-Key'] = apiKey;
+    if (cookie) headers.Cookie = cookie;
+    const res = await fetch(base + p, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* plain text route */ }
+    return { status: res.status, body: json ?? text, setCookie: res.headers.get('set-cookie') || '' };
+};
+const sessionCookie = (setCookie) => setCookie.split(';')[0];
+
+botState.activeTrades = [{ id: 't-auth', marketId: 'm-auth', question: 'Auth test market?', side: 'YES', amount: 20, shares: 40, entryPrice: 0.5 }];
+const close = (auth) => call('POST', '/trades/t-auth/close', auth);
+
+try {
+    console.log('\n=== NO TOKEN ===');
+    check('Read without a token: 401', (await call('GET', '/bot-data')).status === 401);
+    check('Write without a token: 401', (await close()).status === 401);
+    check('Unknown token: 401', (await call('GET', '/bot-data', { token: 'not-a-known-token-0123456789' })).status === 401);
+    check('Nothing done on a refused write', !botState.activeTrades[0]._manualClose);
+
+    console.log('\n=== ROLES ===');
+    check('Viewer reads', (await call('GET', '/bot-data', { token: TOKENS.viewer })).status === 200);
+    const viewerWrite = await close({ token: TOKENS.viewer });
+    check('Viewer on an operator route: 403', viewerWrite.status === 403 && !botState.activeTrades[0]._manualClose, viewerWrite.body.error);
+    check('Viewer on an admin route: 403', (await call('PATCH', '/config', { token: TOKENS.viewer, body: { changes: {} } })).status === 403);
+    check('Operator writes', (await close({ token: TOKENS.operator })).status === 200 && botState.activeTrades[0]._manualClose === true);
+    const operatorAdmin = await call('POST', '/reset', { token: TOKENS.operator });
+    check('Operator on an admin route: 403', operatorAdmin.status === 403 && botState.activeTrades.length === 1, operatorAdmin.body.error);
+    check('Admin route open to admin', (await call('GET', '/debug/logs', { apiKey: TOKENS.admin })).status !== 403);
+    const refused = auditLog.list({ actor: 'viewer-user' });
+    check('Refused write audited', refused.some(e => e.status === 403 && e.endpoint === '/api/trades/t-auth/close'), refused.map(e => `${e.method} ${e.endpoint} ${e.status}`).join(', '));
+
+    console.log('\n=== SESSION ===');
+    check('Login with a bad token: 401, no cookie', await call('POST', '/auth/login', { body: { token: 'wrong-token-0123456789' } })
+        .then(r => r.status === 401 && !r.setCookie));
+    const login = await call('POST', '/auth/login', { body: { token: TOKENS.viewer } });
+    const cookie = sessionCookie(login.setCookie);
+    check('Login sets an HttpOnly session cookie', login.status === 200 && cookie.startsWith(`${CONFIG.AUTH.COOKIE_NAME}=`)
+        && /HttpOnly/i.test(login.setCookie) && /SameSite=Strict/i.test(login.setCookie), login.setCookie);
+    check('Cookie reads as the token\'s identity', (await call('GET', '/bot-data', { cookie })).status === 200
+        && (await call('GET', '/auth/session', { cookie })).body.user?.role === 'viewer');
+    check('Cookie keeps the role floor', (await close({ cookie })).status === 403);
+    const logout = await call('POST', '/auth/logout', { cookie });
+    check('Logout clears the cookie', logout.status === 200 && logout.setCookie.startsWith(`${CONFIG.AUTH.COOKIE_NAME}=;`), logout.setCookie);
+    check('Session gone after logout', (await call('GET', '/bot-data', { cookie })).status === 401
+        && (await call('GET', '/auth/session', { cookie })).body.authenticated === false);
+    const expired = authService.createSession({ name: 'viewer-user', role: 'viewer' }, -1000);
+    check('Expired session refused', (await call('GET', '/bot-data', { cookie: `${CONFIG.AUTH.COOKIE_NAME}=${expired.id}` })).status === 401);
+
+    console.log('\n=== PUBLIC PATHS ===');
+    check('/health', (await call('GET', '/health')).status === 200);
+    check('/health-db reached (no database: 503)', (await call('GET', '/health-db')).status === 503);
+    check('/debug/ping', await call('GET', '/debug/ping').then(r => r.status === 200 && r.body === 'pong'));
+    check('/auth/session', await call('GET', '/auth/session').then(r => r.status === 200 && r.body.authenticated === false));
+
+    console.log('\n=== PUBLIC READ ===');
+    CONFIG.AUTH.PUBLIC_READ = true;
+    check('AUTH_PUBLIC_READ opens reads', (await call('GET', '/bot-data')).status === 200);
+    check('Writes still need a token', (await close()).status === 401);
+    CONFIG.AUTH.PUBLIC_READ = false;
+} catch (e) {
+    testError(e);
+} finally {
+    server.close();
+}
+
+finish();
@@ -0,0 +1,157 @@
+/**
+ * Test the walk-forward backtest on an offline synthetic dataset (no network): anchored /
+ * rolling fold boundaries, the fold-dispersion overfit gate, same seed → same manifest and
+ * result, rerunBacktest with the recorded params, and the parameter sweep grid
+ * Usage: STORAGE_PATH=/tmp/backtest-test node scripts/test_backtest.mjs
+ */
+import fs from 'fs';
+import path from 'path';
+import { startMockClob } from './mock_clob_server.mjs';
+
+const dir = process.env.STORAGE_PATH;
+if (!dir) {
+    console.error('STORAGE_PATH required (a scratch directory, bot_data.json and the datasets are written there)');
+    process.exit(1);
+}
+fs.rmSync(dir, { recursive: true, force: true });
+fs.mkdirSync(dir, { recursive: true });
+
+// The engine still asks the CLOB for books during a backtest
+const { server: clob, url } = await startMockClob(0);
+process.env.CLOB_BASE_URL = url;
+
+const { botState } = await import('../src/state.js');
+const { CONFIG } = await import('../src/config.js');
+const { buildWalkForwardFolds, summarizeFoldStability, runBacktestSimulation, rerunBacktest } = await import('../src/logic/backtestSimulator.js');
+const { strategyAdapter } = await import('../src/logic/strategyAdapter.js');
+const { expandGrid, runParameterSweep } = await import('../src/logic/parameterSweep.js');
+const { backtestDatasetStore } = await import('../src/services/backtestDatasetStore.js');
+
+let failures = 0;
+function check(name, condition, detail = '') {
+    console.log(`  ${condition ? '✅' : '❌'} ${name}${detail ? ` — ${detail}` : ''}`);
+    if (!condition) failures++;
+}
+
+const DAY = 86400000;
+const start = Date.parse('2026-01-01T00:00:00Z');
+const WF = CONFIG.BACKTEST.WALK_FORWARD;
+const endTime = (entry) => Date.parse(entry.market.endDate);
+
+// Resolved markets one day apart, each with an hourly YES price path toward its outcome
+const QUESTIONS = ['Will the Fed cut rates', 'Will Bitcoin close above $100k', 'Will the ceasefire hold', 'Will the bill pass the Senate', 'Will turnout exceed 60%'];
+const markets = Array.from({ length: 40 }, (_, k) => {
+    const winner = (k * 7) % 3 === 0 ? 'NO' : 'YES';
+    const target = winner === 'YES' ? 0.95 : 0.05;
+    return {
+        market: {
+            id: `bt-${k}`, question: `${QUESTIONS[k % QUESTIONS.length]} by round ${k}?`, slug: `bt-${k}`,
+            endDate: new Date(start + k * DAY).toISOString(), volume24hr: 20000 + k * 500, liquidityNum: 8000, clobTokenIds: [`bt-${k}-yes`, `bt-${k}-no`]
+        },
+        actualWinner: winner,
+        originalQuestion: `${QUESTIONS[k % QUESTIONS.length]} by round ${k}?`,
+        _priceHistory: Array.from({ length: 24 }, (_, h) => ({ t: Math.floor((start + k * DAY - (24 - h) * 3600000) / 1000), p: 0.5 + (target - 0.5) * h / 30 + 0.02 * Math.sin(k + h) }))
+    };
+});
+
+try {
+    console.log('\n=== WALK-FORWARD FOLDS ===');
+    const sample = markets.slice(0, 30);
+    Object.assign(WF, { MODE: 'anchored', FOLDS: 4, TRAIN_BLOCKS: 1, MIN_BLOCK_SIZE: 5 });
+    const anchored = buildWalkForwardFolds(sample);
+    check('Anchored: FOLDS folds over FOLDS + 1 blocks', anchored.length === 4 && anchored.every(f => f.testSet.length === 6));
+    check('Anchored: train window grows from the first block', anchored.map(f => f.trainSet.length).join() === '6,12,18,24'
+        && anchored.every(f => f.trainSet[0] === sample[0]));
+    const noOverlap = (folds) => folds.every(f => !f.trainSet.some(e => f.testSet.includes(e))
+        && Math.max(...f.trainSet.map(endTime)) < Math.min(...f.testSet.map(endTime)));
+    check('Anchored: no train/test overlap, test strictly later', noOverlap(anchored));
+    check('Every market tested once', anchored.flatMap(f => f.testSet).length === 24 && new Set(anchored.flatMap(f => f.testSet)).size === 24);
+
+    Object.assign(WF, { MODE: 'rolling', TRAIN_BLOCKS: 2 });
+    const rolling = buildWalkForwardFolds(sample);
+    check('Rolling: last TRAIN_BLOCKS blocks only', rolling.map(f => f.trainSet.length).join() === '6,12,12,12'
+        && rolling[3].trainSet[0] === sample[12], rolling.map(f => f.trainSet.length).join());
+    check('Rolling: no train/test overlap, test right after train', noOverlap(rolling)
+        && rolling.every(f => sample.indexOf(f.testSet[0]) === sample.indexOf(f.trainSet[f.trainSet.length - 1]) + 1));
+    Object.assign(WF, { MODE: 'anchored', TRAIN_BLOCKS: 1 });
+    check('Small sample: fewer folds', buildWalkForwardFolds(markets.slice(0, 12)).length === 1);
+
+    console.log('\n=== FOLD STABILITY & OVERFIT GATE ===');
+    const fold = (trainRoi, testRoi, trainSharpe, testSharpe) => ({
+        train: { roi: trainRoi, sharpeRatio: trainSharpe, winrate: 60 },
+        test: { roi: testRoi, sharpeRatio: testSharpe, winrate: 55 }
+    });
+    const steady = summarizeFoldStability([fold(8, 5, 1.2, 1.0), fold(7, 6, 1.1, 1.1), fold(9, 4, 1.3, 0.9), fold(8, 5, 1.2, 1.0)]);
+    check('Stability summary', steady.folds === 4 && steady.meanTestROI === 5 && steady.positiveFolds === 4 && steady.minTestROI === 4
+        && Math.abs(steady.stdTestROI - Math.sqrt(0.5)) < 1e-9);
+    check('Steady folds pass the gate', !strategyAdapter.detectOverfit({ walkForward: { stability: steady } }).isOverfit);
+    const erratic = summarizeFoldStability([fold(12, 30, 2, 1.5), fold(12, -25, 2, -1.6), fold(12, 28, 2, 1.4), fold(12, -22, 2, -1.2)]);
+    const verdict = strategyAdapter.detectOverfit({ walkForward: { stability: erratic } });
+    check('High fold dispersion rejected', verdict.isOverfit && verdict.reasons.some(r => r.includes('unstable test ROI')), verdict.reasons.join(' | '));
+
+    console.log('\n=== REPRODUCIBILITY ===');
+    CONFIG.BACKTEST.DATASET_DIR = path.join(dir, 'datasets');
+    const dataset = await backtestDatasetStore.save(markets, 'test');
+    botState.learningParams = null;
+    botState.strategyOverrides = null;
+    botState.strategyToggles = {};
+    WF.FOLDS = 2; // Blocks of 13+ markets: enough for the strategies to trade out of sample
+    const first = await runBacktestSimulation({ seed: 42, dataset: dataset.version, quiet: true });
+    const second = await runBacktestSimulation({ seed: 42, dataset: dataset.version, quiet: true });
+    check('Backtest ran on the offline dataset', !first.error && first.manifest.datasetHash === dataset.hash && first.walkForward.folds.length === 2
+        && first.summary.tradesCount > 0, first.error || `${first.summary?.tradesCount} trades`);
+    check('Same seed: same manifest', first.manifest.runId === second.manifest.runId && first.manifest.configHash === second.manifest.configHash);
+    check('Same seed: same result', JSON.stringify(first.tradeResults) === JSON.stringify(second.tradeResults)
+        && first.metrics.roi === second.metrics.roi && JSON.stringify(first.walkForward) === JSON.stringify(second.walkForward));
+    const other = await runBacktestSimulation({ seed: 43, dataset: dataset.version, quiet: true });
+    check('Other seed: other run', other.manifest.runId !== first.manifest.runId);
+
+    console.log('\n=== RERUN ===');
+    const liveParams = { mode: 'DEFENSIVE', confidenceMultiplier: 0.5, sizeMultiplier: 0.5, reason: 'live' };
+    const liveToggles = { arbitrage: false };
+    botState.learningParams = liveParams;
+    botState.strategyToggles = liveToggles;
+    let paramsWhileLoading = null;
+    const load = backtestDatasetStore.load;
+    backtestDatasetStore.load = async (version) => {
+        paramsWhileLoading = botState.learningParams;
+        return load.call(backtestDatasetStore, version);
+    };
+    let rerun;
+    try {
+        rerun = await rerunBacktest(first.manifest);
+    } finally {
+        backtestDatasetStore.load = load;
+    }
+    check('Rerun reproduces the original run', rerun.reproduction?.runIdMatches && rerun.reproduction.configMatches
+        && JSON.stringify(rerun.tradeResults) === JSON.stringify(first.tradeResults), JSON.stringify(rerun.reproduction || rerun.error));
+    check('Live params untouched while the dataset loads', paramsWhileLoading === liveParams);
+    check('Live params restored after the rerun', botState.learningParams === liveParams && botState.strategyToggles === liveToggles);
+    check('Run without a manifest refused', !!(await rerunBacktest({ seed: 1 })).error);
+    botState.learningParams = null;
+    botState.strategyToggles = {};
+
+    console.log('\n=== PARAMETER SWEEP ===');
+    const grid = expandGrid({ KELLY_FRACTION: [0.1, 0.2], STOP_LOSS_PERCENT: { min: 0.1, max: 0.3, step: 0.1 }, 'BACKTEST.MONTE_CARLO_PATHS': 500 });
+    check('Grid: cartesian product', grid.length === 6 && grid.every(c => c['BACKTEST.MONTE_CARLO_PATHS'] === 500));
+    check('Grid: range bounds included, no float drift', [...new Set(grid.map(c => c.STOP_LOSS_PERCENT))].join() === '0.1,0.2,0.3');
+    check('Grid: invalid range refused', (() => { try { expandGrid({ KELLY_FRACTION: { min: 0.3, max: 0.1, step: 0.1 } }); return false; } catch { return true; } })());
+    check('Sweep: unknown key refused', !!(await runParameterSweep({ ranges: { NOT_A_KEY: [1, 2] } })).error);
+    check('Sweep: wrong type refused', !!(await runParameterSweep({ ranges: { KELLY_FRACTION: ['high'] } })).error);
+    check('Sweep: combination cap', (await runParameterSweep({ ranges: { KELLY_FRACTION: { min: 0.01, max: 1, step: 0.01 } } })).error?.includes('max'));
+    const sweep = await runParameterSweep({ ranges: { KELLY_FRACTION: [0.1, 0.2] }, dataset: dataset.version, seed: 42, sortBy: 'roi' });
+    check('Sweep: every combination on the baseline seed and dataset', !sweep.error && sweep.seed === 42 && sweep.datasetHash === dataset.hash
+        && sweep.results.length === 2 && sweep.failed.length === 0, sweep.error || '');
+    check('Sweep: ranked, overfit rows last', sweep.results.map(r => r.rank).join() === '1,2'
+        && sweep.results.every((r, i, rows) => i === 0 || rows[i - 1].overfit <= r.overfit));
+    check('Sweep: baseline is the current config', sweep.baseline.runId === first.manifest.runId);
+    check('Sweep: overrides restored', CONFIG.KELLY_FRACTION === 0.15);
+} catch (e) {
+    console.error('Test error:', e);
+    failures++;
+} finally {
+    clob.close();
+}
+
+console.log(`\n${failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`}\n`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,150 @@
+/**
+ * Test capital sleeves: allocations and the general floor, rebalance bounds and interval,
+ * sleeve sizing and the drawdown Kelly cut, recordPnL on the right sleeve, and an
+ * exhausted sleeve rejecting the entry in the engine
+ * Usage: STORAGE_PATH=/tmp/sleeves-test node scripts/test_capital_sleeves.mjs
+ */
+import fs from 'fs';
+import path from 'path';
+
+const dir = process.env.STORAGE_PATH;
+if (!dir) {
+    console.error('STORAGE_PATH required (a scratch directory, bot_data.json / closed_trades.jsonl are written there)');
+    process.exit(1);
+}
+fs.mkdirSync(dir, { recursive: true });
+for (const f of fs.readdirSync(dir).filter(f => f.startsWith('bot_data') || f.startsWith('closed_trades'))) fs.unlinkSync(path.join(dir, f));
+
+const { botState } = await import('../src/state.js');
+const { CONFIG } = await import('../src/config.js');
+const { capitalSleeves, GENERAL_SLEEVE } = await import('../src/logic/capitalSleeves.js');
+const { simulateTrade, checkAndCloseTrades } = await import('../src/logic/engine.js');
+
+let failures = 0;
+function check(name, condition, detail = '') {
+    console.log(`  ${condition ? '✅' : '❌'} ${name}${detail ? ` — ${detail}` : ''}`);
+    if (!condition) failures++;
+}
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+const total = (allocations) => Object.values(allocations).reduce((s, v) => s + v, 0);
+
+const S = CONFIG.CAPITAL_SLEEVES;
+const reset = (capital = 1000, activeTrades = []) => {
+    botState.capital = capital;
+    botState.startingCapital = 1000;
+    botState.activeTrades = activeTrades;
+    botState.closedTrades = [];
+    botState.positionGroups = [];
+    botState.capitalSleeves = null;
+    botState.monthlyDrawdown = null;
+    botState.weeklyDrawdown = null;
+};
+reset();
+
+try {
+    console.log('\n=== ALLOCATIONS ===');
+    const fresh = capitalSleeves.createState();
+    check('Configured shares, remainder to general', fresh.allocations.copy_trade === 0.20 && fresh.allocations.weather === 0.15
+        && fresh.allocations.arbitrage === 0.10 && near(fresh.allocations[GENERAL_SLEEVE], 0.55), JSON.stringify(fresh.allocations));
+    const configured = S.ALLOCATIONS;
+    S.ALLOCATIONS = { copy_trade: 0.5, weather: 0.4 };
+    const scaled = capitalSleeves.createState().allocations;
+    S.ALLOCATIONS = configured;
+    check('Dedicated sleeves scaled down to keep GENERAL_MIN_PCT', near(scaled[GENERAL_SLEEVE], S.GENERAL_MIN_PCT)
+        && Math.abs(scaled.copy_trade / scaled.weather - 0.5 / 0.4) < 1e-3 && near(total(scaled), 1), JSON.stringify(scaled));
+    check('Unlisted strategy funded by general', capitalSleeves.sleeveOf('whale') === GENERAL_SLEEVE && capitalSleeves.sleeveOf(null) === GENERAL_SLEEVE
+        && capitalSleeves.sleeveOf('weather') === 'weather' && !capitalSleeves.hasOwnSleeve('whale'));
+
+    console.log('\n=== REBALANCE ===');
+    const changes = capitalSleeves.rebalance({
+        copy_trade: { count: 20, wr: 30, pnl: -10 },
+        weather: { count: 20, wr: 70, pnl: 20 },
+        arbitrage: { count: 2, wr: null, pnl: 1 }
+    }, { force: true });
+    const alloc = capitalSleeves.state().allocations;
+    check('Loser x(1 - STEP), winner x(1 + STEP), too few trades unchanged', near(alloc.copy_trade, 0.16) && near(alloc.weather, 0.18)
+        && alloc.arbitrage === 0.10 && near(alloc[GENERAL_SLEEVE], 0.56), JSON.stringify(alloc));
+    check('Changes reported, general included', changes.map(c => c.sleeve).sort().join() === 'copy_trade,general,weather'
+        && changes.find(c => c.sleeve === 'copy_trade').from === 0.20, JSON.stringify(changes));
+    check('Interval: no rebalance before REBALANCE_INTERVAL_HOURS', capitalSleeves.rebalance({ copy_trade: { count: 20, wr: 10, pnl: -50 } }).length === 0
+        && near(capitalSleeves.state().allocations.copy_trade, 0.16));
+
+    for (let i = 0; i < 30; i++) {
+        capitalSleeves.rebalance({ copy_trade: { count: 20, wr: 10, pnl: -50 }, weather: { count: 20, wr: 80, pnl: 50 } }, { force: true });
+    }
+    const bounded = capitalSleeves.state().allocations;
+    check('Shrinks down to MIN_PCT, never to zero', bounded.copy_trade === S.MIN_PCT, `${bounded.copy_trade}`);
+    check('Grows up to MAX_PCT', bounded.weather === S.MAX_PCT, `${bounded.weather}`);
+
+    for (let i = 0; i < 30; i++) {
+        capitalSleeves.rebalance(Object.fromEntries(['copy_trade', 'weather', 'arbitrage'].map(id => [id, { count: 20, wr: 80, pnl: 50 }])), { force: true });
+    }
+    const capped = capitalSleeves.state().allocations;
+    check('Every sleeve winning: general keeps GENERAL_MIN_PCT', capped[GENERAL_SLEEVE] >= S.GENERAL_MIN_PCT - 1e-9 && near(total(capped), 1)
+        && ['copy_trade', 'weather', 'arbitrage'].every(id => capped[id] <= S.MAX_PCT), JSON.stringify(capped));
+
+    console.log('\n=== SIZING ===');
+    reset(1000, [{ id: 't-w', strategy: 'weather', amount: 100 }, { id: 't-g', strategy: 'whale', amount: 50 }]);
+    const weather = capitalSleeves.sizingFor('weather');
+    check('Budget on total capital, minus what the sleeve deployed', near(weather.budget, 1150 * 0.15) && weather.deployed === 100
+        && near(weather.capital, 1150 * 0.15 - 100) && near(weather.kellyFraction, CONFIG.KELLY_FRACTION), JSON.stringify(weather));
+    const general = capitalSleeves.sizingFor('whale');
+    check('Unlisted strategy sized on the general sleeve', general.id === GENERAL_SLEEVE && general.deployed === 50
+        && near(general.capital, 1150 * 0.55 - 50));
+    S.ENABLED = false;
+    check('Sleeves off: no sizing, no rebalance', capitalSleeves.sizingFor('weather') === null && capitalSleeves.rebalance({}, { force: true }).length === 0);
+    S.ENABLED = true;
+
+    console.log('\n=== RECORD PnL ===');
+    capitalSleeves.recordPnL('weather', 50);
+    capitalSleeves.recordPnL('weather', -100);
+    capitalSleeves.recordPnL('whale', 12);
+    capitalSleeves.recordPnL('copy_trade', 0);
+    const stats = capitalSleeves.state().stats;
+    check('PnL booked on the trade\'s own sleeve', stats.weather.realizedPnl === -50 && stats.weather.peakPnl === 50, JSON.stringify(stats.weather));
+    check('Unlisted strategy booked on general', stats[GENERAL_SLEEVE]?.realizedPnl === 12 && !stats.whale);
+    check('Zero PnL: nothing booked', !stats.copy_trade);
+    const throttled = capitalSleeves.sizingFor('weather');
+    check('Drawdown over DRAWDOWN_THROTTLE_PCT cuts the Kelly fraction', near(throttled.drawdown, 100)
+        && near(throttled.kellyFraction, CONFIG.KELLY_FRACTION * S.DRAWDOWN_KELLY_MULT), JSON.stringify({ dd: throttled.drawdownPct, kf: throttled.kellyFraction }));
+    const sim = capitalSleeves.createState();
+    capitalSleeves.recordPnL('arbitrage', 7, sim);
+    check('Backtest state updated, live one untouched', sim.stats.arbitrage.realizedPnl === 7 && !capitalSleeves.state().stats.arbitrage);
+
+    console.log('\n=== ENGINE ===');
+    let seq = 0;
+    const arbMarket = () => {
+        const id = `m-sleeve-${++seq}`;
+        botState.arbitrageOpportunities = [{ id }];
+        return {
+            id, question: `Sleeve arbitrage ${seq}?`, slug: `sleeve-${seq}`, outcomePrices: ['0.47', '0.47'],
+            clobTokenIds: [`${id}-yes`, `${id}-no`], liquidityNum: 50000, volume24hr: 1000,
+            endDate: new Date(Date.now() + 30 * 86400000).toISOString()
+        };
+    };
+    const open = (market, reasons = []) => simulateTrade(market, null, false, { checkLiquidityDepthFn: async () => true, reasonsCollector: reasons });
+
+    reset(900, [{ id: 't-arb', marketId: 'm-other', strategy: 'arbitrage', amount: 100 }]); // 10% of $1000: the whole sleeve
+    const reasons = [];
+    const rejected = await open(arbMarket(), reasons);
+    check('Exhausted sleeve rejects the entry', rejected === null && botState.activeTrades.length === 1 && botState.capital === 900
+        && reasons.some(r => r.includes('Sleeve arbitrage épuisée')), reasons.slice(-1).join());
+
+    reset(1000);
+    const legs = await open(arbMarket());
+    check('Free sleeve: pair sized within its budget', Array.isArray(legs) && legs.length === 2 && legs.every(t => t.strategy === 'arbitrage')
+        && legs.reduce((s, t) => s + t.amount, 0) <= 1000 * 0.10 + 1e-9, JSON.stringify(legs && legs.map(t => t.amount)));
+
+    const prices = { YES: 0.60, NO: 0.45 }; // +10% on the pair: group take-profit
+    await checkAndCloseTrades(async (t) => prices[t.side], { quiet: true });
+    const closedPnl = botState.closedTrades.filter(t => legs.some(l => l.id === t.id)).reduce((s, t) => s + t.pnl, 0);
+    const live = capitalSleeves.state().stats;
+    check('Closing the pair books its PnL on the arbitrage sleeve', botState.activeTrades.length === 0 && closedPnl > 0
+        && near(live.arbitrage?.realizedPnl, closedPnl) && !live[GENERAL_SLEEVE], JSON.stringify(live));
+} catch (e) {
+    console.error('Test error:', e);
+    failures++;
+}
+
+console.log(`\n${failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`}\n`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,81 @@
+/**
+ * Test the live execution path end-to-end against the local mock CLOB (no network)
+ * Usage: STORAGE_PATH=/tmp/clob-test node scripts/test_clob_executor.mjs
+ */
+import { Wallet } from 'ethers';
+import { startMockClob } from './mock_clob_server.mjs';
+import { scratchStorage, check, testError, finish } from './test_helpers.mjs';
+
+// executionService pulls in src/state.js, which loads and saves bot_data.json
+scratchStorage();
+
+const { server, url } = await startMockClob(0);
+console.log(`\n🧪 Mock CLOB on ${url}\n`);
+
+const { ClobExecutor } = await import('../src/services/executionService.js');
+
+const executor = new ClobExecutor({ privateKey: Wallet.createRandom().privateKey, baseUrl: url, orderTtlMinutes: 10 });
+const state = { capital: 1000, totalTrades: 0, activeTrades: [], logs: [] };
+
+function makeTrade(id, price, amount) {
+    return {
+        id, question: `Mock market ${id}`, side: 'YES', amount,
+        entryPrice: price, shares: amount / price, clobTokenIds: ['1001', '1002']
+    };
+}
+
+// Mirrors engine.executeEntry for PENDING orders
+function book(trade, fill) {
+    trade.amount = fill.requestedShares * fill.fillPrice;
+    trade.execution = { mode: 'live', status: fill.status, orderId: fill.orderId, requestedShares: fill.requestedShares, postedAt: new Date().toISOString() };
+    state.capital -= trade.amount;
+    state.totalTrades++;
+    state.activeTrades.push(trade);
+}
+
+try {
+    console.log('=== AUTH ===');
+    const creds = await executor.ensureApiCreds();
+    check('API key derived from wallet (L1 EIP-712)', !!creds.key);
+
+    console.log('\n=== ENTRY: crossing order ===');
+    const t1 = makeTrade('t1', 0.53, 50);
+    const f1 = await executor.openPosition(t1);
+    check('Order accepted and matched', f1.accepted && f1.status === 'FILLED', JSON.stringify(f1));
+
+    console.log('\n=== ENTRY: resting order → later fill ===');
+    const t2 = makeTrade('t2', 0.40, 40);
+    const f2 = await executor.openPosition(t2);
+    check('Order rests on the book', f2.status === 'PENDING' && !!f2.orderId);
+    book(t2, f2);
+    await fetch(`${url}/mock/fill/${f2.orderId}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    const r2 = await executor.reconcile(state);
+    check('Reconcile applies the fill', r2.filled === 1 && t2.execution.status === 'FILLED', `shares=${t2.shares}`);
+
+    console.log('\n=== ENTRY: resting order → timeout cancel ===');
+    const t3 = makeTrade('t3', 0.30, 30);
+    const f3 = await executor.openPosition(t3);
+    book(t3, f3);
+    t3.execution.postedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const capitalBefore = state.capital;
+    const r3 = await executor.reconcile(state);
+    check('Expired order cancelled and trade dropped', r3.cancelled === 1 && !state.activeTrades.includes(t3));
+    check('Reserved capital released', Math.abs(state.capital - capitalBefore - t3.amount) < 1e-9);
+
+    console.log('\n=== EXIT ===');
+    const x1 = await executor.closePosition(t2, 0.49, t2.shares);
+    check('FOK sell matched', x1.accepted && x1.status === 'FILLED', `@ ${x1.fillPrice}`);
+    const x2 = await executor.closePosition(t2, 0.95, 10000);
+    check('Unfillable FOK sell rejected', !x2.accepted, x2.error);
+
+    console.log('\n=== AUTH FAILURE ===');
+    const bad = new ClobExecutor({ privateKey: Wallet.createRandom().privateKey, baseUrl: url, creds: { key: 'nope', secret: 'AAAA', passphrase: 'x' } });
+    const f4 = await bad.openPosition(makeTrade('t4', 0.5, 10));
+    check('Unknown API key rejected', !f4.accepted, f4.error);
+} catch (e) {
+    testError(e);
+} finally {
+    server.close();
+}
+
+finish();
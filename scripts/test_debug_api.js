@@ -11,6 +11,7 @@ const ROOT_DIR = path.resolve(__dirname, '..');
 const OUTPUT_FILE = path.join(ROOT_DIR, 'test_api_screenshot.png');
 
 const PORT = 3001; // Use different port to avoid conflict if main server running
+const ADMIN_TOKEN = 'test-admin-token-0123456789';
 
 async function test() {
     console.log("🚀 Starting Server for API Test...");
@@ -19,7 +20,7 @@ async function test() {
     const serverProcess = spawn('node', ['server.js'], {
         cwd: ROOT_DIR,
         stdio: 'pipe',
-        env: { ...process.env, PORT: PORT.toString(), ADMIN_KEY: 'debug123' }
+        env: { ...process.env, PORT: PORT.toString(), API_TOKENS: `test:admin:${ADMIN_TOKEN}` }
     });
 
     let serverReady = false;
@@ -53,8 +54,8 @@ async function test() {
     console.log("✅ Server Ready. Calling API...");
 
     try {
-        const url = `http://localhost:${PORT}/api/debug/screenshot?key=debug123&view=dashboard`;
-        const initialResponse = await fetch(url);
+        const url = `http://localhost:${PORT}/api/debug/screenshot?view=dashboard`;
+        const initialResponse = await fetch(url, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
 
         if (!initialResponse.ok) {
             throw new Error(`API returned ${initialResponse.status} ${initialResponse.statusText}`);
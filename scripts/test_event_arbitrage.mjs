@@ -0,0 +1,183 @@
+/**
+ * Test negRisk event basket arbitrage: YES / NO baskets found by scanEventArbitrage,
+ * basket sizing across the legs' books, events whose listed outcomes are not exhaustive
+ * (augmented, or an unresolved leg that cannot be traded) keep only the NO side, and
+ * openEventBasket going through the loss breakers, the per-leg portfolio slots and the VaR gate,
+ * and opening every leg or none (a half-filled basket is unwound)
+ * Usage: STORAGE_PATH=/tmp/event-arb-test node scripts/test_event_arbitrage.mjs
+ */
+import fs from 'fs';
+import path from 'path';
+import { startMockClob } from './mock_clob_server.mjs';
+
+const dir = process.env.STORAGE_PATH;
+if (!dir) {
+    console.error('STORAGE_PATH required (a scratch directory, bot_data.json is written there)');
+    process.exit(1);
+}
+fs.mkdirSync(dir, { recursive: true });
+for (const f of fs.readdirSync(dir).filter(f => f.startsWith('bot_data') || f.startsWith('closed_trades'))) fs.unlinkSync(path.join(dir, f));
+
+// The VaR gate asks the CLOB for price histories
+const { server: clob, url } = await startMockClob(0);
+process.env.CLOB_BASE_URL = url;
+
+const { botState } = await import('../src/state.js');
+const { CONFIG } = await import('../src/config.js');
+const { extractEventLegs, sizeBasket, scanEventArbitrage } = await import('../src/logic/eventArbitrage.js');
+const { openEventBasket } = await import('../src/logic/engine.js');
+const { PaperExecutor, setExecutor } = await import('../src/services/executionService.js');
+
+let failures = 0;
+function check(name, condition, detail = '') {
+    console.log(`  ${condition ? '✅' : '❌'} ${name}${detail ? ` — ${detail}` : ''}`);
+    if (!condition) failures++;
+}
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+// Three outcomes quoted 0.30 each: the YES basket costs 0.90 for a $1 payout
+const outcome = (id, extra = {}) => ({
+    id, question: `Who wins? ${id}`, groupItemTitle: id, slug: `who-wins-${id}`, active: true, acceptingOrders: true, closed: false,
+    outcomePrices: '["0.30","0.70"]', clobTokenIds: JSON.stringify([`${id}-yes`, `${id}-no`]), bestAsk: '0.30', bestBid: '0.29', ...extra
+});
+const event = (slug, markets, extra = {}) => ({ slug, title: `Event ${slug}`, negRisk: true, markets, ...extra });
+const events = {
+    full: event('full', [outcome('a'), outcome('b'), outcome('c')]),
+    augmented: event('augmented', [outcome('a'), outcome('b'), outcome('c')], { negRiskAugmented: true }),
+    inactive: event('inactive', [outcome('a'), outcome('b'), outcome('c', { active: false })]),
+    paused: event('paused', [outcome('a'), outcome('b'), outcome('c', { acceptingOrders: false })]),
+    decided: event('decided', [outcome('a'), outcome('b'), outcome('c', { closed: true, outcomePrices: '["1","0"]' })]),
+    // NO side: each NO ask 0.62 → 1.86 for a $2 floor
+    cheapNo: event('cheapNo', [outcome('x', { bestBid: '0.38' }), outcome('y', { bestBid: '0.38' }), outcome('z', { bestBid: '0.38' })])
+};
+const book = (tokenId) => {
+    if (tokenId.endsWith('-yes')) return { asks: [{ price: '0.30', size: '100' }], bids: [] };
+    return { asks: [{ price: tokenId.match(/^[xyz]-/) ? '0.62' : '0.75', size: '100' }], bids: [] };
+};
+const scan = (slugs) => scanEventArbitrage(
+    slugs.map(slug => ({ negRisk: true, events: [{ slug }] })),
+    { getEventFn: async (slug) => events[slug] || null, getOrderBookFn: async (tokenId) => book(tokenId), maxUsd: 60 }
+);
+
+// Paper fills, except for the markets / exits told to fail
+class ScriptedExecutor extends PaperExecutor {
+    constructor() {
+        super();
+        this.rejectEntry = new Set();
+        this.rejectExit = false;
+        this.exits = [];
+    }
+    async openPosition(trade) {
+        if (this.rejectEntry.has(trade.marketId)) return { accepted: false, status: 'REJECTED', error: 'scripted reject' };
+        return super.openPosition(trade);
+    }
+    async closePosition(trade, price, shares) {
+        if (this.rejectExit) return { accepted: false, status: 'REJECTED', error: 'scripted reject' };
+        this.exits.push(trade.marketId);
+        return super.closePosition(trade, price, shares);
+    }
+}
+const executor = new ScriptedExecutor();
+setExecutor(executor);
+
+const resetBook = () => {
+    botState.capital = 1000;
+    botState.startingCapital = 1000;
+    botState.activeTrades = [];
+    botState.closedTrades = [];
+    botState.positionGroups = [];
+    botState.capitalSleeves = null;
+    botState.dailyPnL = 0;
+    botState.dailyPnLResetDate = null;
+    botState.weeklyDrawdown = null;
+    botState.monthlyDrawdown = null;
+};
+resetBook();
+
+try {
+    console.log('\n=== EVENT LEGS ===');
+    const full = extractEventLegs(events.full);
+    check('Every outcome tradeable', full.legs.length === 3 && !full.incomplete && !full.decided && !full.augmented);
+    const inactive = extractEventLegs(events.inactive);
+    check('Inactive outcome left out, event flagged incomplete', inactive.legs.length === 2 && inactive.incomplete);
+    check('Outcome not accepting orders flagged incomplete', extractEventLegs(events.paused).incomplete);
+    const decided = extractEventLegs(events.decided);
+    check('Resolved outcome: decided, not incomplete', decided.decided && !decided.incomplete);
+
+    console.log('\n=== BASKET SIZING ===');
+    const basket = sizeBasket([
+        { asks: [{ price: '0.30', size: '10' }, { price: '0.32', size: '50' }] },
+        { asks: [{ price: '0.30', size: '50' }] },
+        { asks: [{ price: '0.30', size: '50' }] }
+    ], 1, { minEdge: 0.015 });
+    check('Levels walked jointly until the books run dry', near(basket.shares, 50) && near(basket.cost, 10 * 0.9 + 40 * 0.92), JSON.stringify(basket && { shares: basket.shares, cost: basket.cost }));
+    check('Budget caps the basket', near(sizeBasket([{ asks: [{ price: '0.5', size: '100' }] }, { asks: [{ price: '0.4', size: '100' }] }], 1, { maxUsd: 18 }).cost, 18));
+    check('No edge: no basket', sizeBasket([{ asks: [{ price: '0.6', size: '100' }] }, { asks: [{ price: '0.45', size: '100' }] }], 1) === null);
+
+    console.log('\n=== SCAN ===');
+    const found = await scan(['full', 'cheapNo']);
+    const yes = found.find(o => o.eventSlug === 'full');
+    check('YES basket found', yes?.type === 'YES' && yes.legsCount === 3 && near(yes.cost, 60) && near(yes.edge, 1 / 0.9 - 1), JSON.stringify(yes && { cost: yes.cost, edge: yes.edge }));
+    const no = found.find(o => o.eventSlug === 'cheapNo' && o.type === 'NO');
+    check('NO basket found', no?.bound === 2 && no.legs.every(l => l.tokenId.endsWith('-no')));
+    check('Opportunities kept in botState, best edge first', botState.eventArbOpportunities === found && found[0].edge >= found[1].edge);
+    check('Augmented event: no YES basket', (await scan(['augmented'])).length === 0);
+    check('Inactive leg: no YES basket', (await scan(['inactive'])).length === 0);
+    check('Leg not accepting orders: no YES basket', (await scan(['paused'])).length === 0);
+    check('Decided event skipped', (await scan(['decided'])).length === 0);
+    events.inactiveNo = event('inactiveNo', [...events.cheapNo.markets, outcome('w', { active: false })]);
+    const noOnly = await scan(['inactiveNo']);
+    check('Inactive leg: the NO basket still holds (floor N - 1)', noOnly.length === 1 && noOnly[0].type === 'NO' && noOnly[0].legsCount === 3);
+
+    console.log('\n=== OPEN BASKET ===');
+    const refused = async (setup, options = {}) => {
+        resetBook();
+        setup();
+        const reasons = [];
+        const basket = await openEventBasket(yes, { ...options, reasonsCollector: reasons });
+        return basket === null && botState.activeTrades.length === 0 && botState.capital === 1000 ? reasons.join() : null;
+    };
+    const today = new Date().toISOString().split('T')[0];
+    const weekly = await refused(() => { botState.weeklyDrawdown = { dailyPnL: { [today]: -100 } }; });
+    check('Weekly HALT blocks the basket', weekly?.includes('Weekly loss limit'), weekly);
+    const daily = await refused(() => { botState.dailyPnL = -500; botState.dailyPnLResetDate = today; });
+    check('Daily loss limit blocks the basket', daily?.includes('Daily loss limit'), daily);
+    const monthly = await refused(() => { botState.monthlyDrawdown = { startCapital: 2000, startDate: today.slice(0, 7), mode: 'NORMAL' }; });
+    check('Monthly KILL blocks the basket', monthly?.includes('KILL SWITCH'), monthly);
+    const slots = await refused(() => { botState.activeTrades = []; }, { maxTrades: 2 });
+    check('Every leg takes a portfolio slot', slots?.includes('Portfolio full'), slots);
+    const maxVar = CONFIG.RISK_ENGINE.MAX_VAR_PCT;
+    CONFIG.RISK_ENGINE.MAX_VAR_PCT = 0.01;
+    const risky = await refused(() => {});
+    CONFIG.RISK_ENGINE.MAX_VAR_PCT = maxVar;
+    check('VaR gate blocks the basket', risky?.includes('VaR limit'), risky);
+
+    resetBook();
+    const opened = await openEventBasket(yes, { maxTrades: 10 });
+    check('Basket opened as one group', opened?.status === 'OPEN' && opened.legs.length === 3 && botState.activeTrades.length === 3
+        && botState.activeTrades.every(t => t.groupId === opened.id) && near(botState.capital, 1000 - yes.cost), JSON.stringify(opened && opened.legs.length));
+
+    resetBook();
+    executor.rejectEntry.add('c');
+    const reasons = [];
+    const half = await openEventBasket(yes, { maxTrades: 10, reasonsCollector: reasons });
+    check('Leg rejected: basket cancelled, filled legs sold back', half === null && botState.activeTrades.length === 0
+        && botState.positionGroups.length === 0 && botState.capital === 1000 && executor.exits.join() === 'a,b', executor.exits.join());
+    check('Decision explains the cancelled basket', reasons.some(r => r.includes('2/3 legs')), reasons.join());
+
+    resetBook();
+    executor.rejectExit = true;
+    await openEventBasket(yes, { maxTrades: 10 });
+    check('Unwind refused: the legs stay tracked as plain positions', botState.activeTrades.length === 2
+        && botState.activeTrades.every(t => !t.groupId) && botState.positionGroups.length === 0);
+    executor.rejectExit = false;
+    executor.rejectEntry.clear();
+} catch (e) {
+    console.error('Test error:', e);
+    failures++;
+} finally {
+    clob.close();
+}
+
+console.log(`\n${failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`}\n`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,82 @@
+/**
+ * Test the order book fill simulator on hand-built books: level sorting, VWAP over
+ * several levels, partial fills with leftover size, the slippage / limit price cut-off,
+ * sells into the bids, synthetic backtest books, and simulateFill on a (mock) CLOB book
+ * Usage: STORAGE_PATH=/tmp/fill-sim-test node scripts/test_fill_simulator.mjs
+ */
+import { startMockClob } from './mock_clob_server.mjs';
+import { scratchStorage, check, testError, finish } from './test_helpers.mjs';
+
+scratchStorage('bot_data.json');
+
+// simulateFill reads its book from the CLOB
+const { server: clob, url } = await startMockClob(0);
+process.env.CLOB_BASE_URL = url;
+
+const { sortLevels, walkOrderBook, simulateFill, buildSyntheticOrderBook } = await import('../src/logic/fillSimulator.js');
+
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+// Levels listed out of order, as the CLOB returns them
+const book = {
+    asks: [{ price: '0.52', size: '100' }, { price: '0.50', size: '100' }, { price: '0.51', size: '50' }, { price: '0.53', size: '0' }],
+    bids: [{ price: '0.48', size: '200' }, { price: '0.49', size: '100' }]
+};
+
+try {
+    console.log('\n=== LEVELS ===');
+    check('Asks best (lowest) first, empty levels dropped', sortLevels(book.asks, 'asks').map(l => l.price).join() === '0.5,0.51,0.52');
+    check('Bids best (highest) first', sortLevels(book.bids, 'bids').map(l => l.price).join() === '0.49,0.48');
+
+    console.log('\n=== BUY ===');
+    const buy = walkOrderBook(book, 'buy', { amountUsd: 75 });
+    const shares = 100 + 25 / 0.51;
+    check('VWAP over the levels walked', near(buy.filledShares, shares) && near(buy.vwap, 75 / shares) && buy.levelsConsumed === 2 && buy.worstPrice === 0.51,
+        `${buy.vwap} over ${buy.levelsConsumed} levels`);
+    check('Fully filled, no leftover', buy.fullyFilled && near(buy.fillRatio, 1) && near(buy.leftoverUsd, 0));
+    check('Slippage vs the best ask', near(buy.slippage, (75 / shares - 0.5) / 0.5));
+    check('Top of book: no slippage', near(walkOrderBook(book, 'buy', { amountUsd: 20 }).slippage, 0));
+    check('Spread from the best levels', buy.bestBid === 0.49 && buy.bestAsk === 0.5 && near(buy.midPrice, 0.495) && near(buy.spreadPercent, 0.01 / 0.495 * 100));
+
+    console.log('\n=== PARTIAL FILLS ===');
+    const capped = walkOrderBook(book, 'buy', { amountUsd: 200 }, { maxSlippage: 0.03 });
+    check('Levels beyond maxSlippage left alone', capped.worstPrice === 0.51 && near(capped.filledUsd, 50 + 25.5), `${capped.filledUsd}`);
+    check('Leftover size and fill ratio', near(capped.leftoverUsd, 200 - 75.5) && near(capped.fillRatio, 75.5 / 200) && !capped.fullyFilled);
+    const limited = walkOrderBook(book, 'buy', { amountUsd: 200 }, { limitPrice: 0.50 });
+    check('limitPrice stops the walk', limited.levelsConsumed === 1 && near(limited.filledUsd, 50));
+    const dry = walkOrderBook(book, 'buy', { amountUsd: 500 }, { maxSlippage: 0.5 });
+    check('Book exhausted: every level taken, rest left over', near(dry.filledShares, 250) && near(dry.leftoverUsd, 500 - 50 - 25.5 - 52));
+
+    console.log('\n=== SELL ===');
+    const sell = walkOrderBook(book, 'sell', { shares: 250 });
+    check('Sell walks the bids', near(sell.filledUsd, 100 * 0.49 + 150 * 0.48) && near(sell.vwap, 121 / 250) && sell.fullyFilled);
+    const big = walkOrderBook(book, 'sell', { shares: 400 });
+    check('Sell leftover shares', near(big.filledShares, 300) && near(big.leftoverShares, 100) && near(big.fillRatio, 0.75));
+
+    console.log('\n=== EMPTY BOOKS ===');
+    check('No book, or no level on the side walked: no fill', walkOrderBook(null, 'buy', { amountUsd: 10 }) === null
+        && walkOrderBook({ asks: [], bids: book.bids }, 'buy', { amountUsd: 10 }) === null);
+
+    console.log('\n=== SYNTHETIC BOOK ===');
+    const synthetic = buildSyntheticOrderBook(0.5, 10000);
+    const asks = sortLevels(synthetic.asks, 'asks');
+    const bids = sortLevels(synthetic.bids, 'bids');
+    check('Ten levels a side, one tick around the reference', asks.length === 10 && bids.length === 10 && asks[0].price === 0.51 && bids[0].price === 0.49);
+    const depth = asks.reduce((s, l) => s + l.price * l.size, 0);
+    check('Half the liquidity on each side, thickening away from the top', Math.abs(depth - 5000) < 1
+        && asks[0].price * asks[0].size < asks[9].price * asks[9].size, `$${depth.toFixed(0)}`);
+    check('Prices stay inside (0, 1)', sortLevels(buildSyntheticOrderBook(0.97, 10000).asks, 'asks').every(l => l.price < 1)
+        && sortLevels(buildSyntheticOrderBook(0.03, 10000).bids, 'bids').every(l => l.price > 0));
+    check('No liquidity: empty levels', sortLevels(buildSyntheticOrderBook(0.5, 0).asks, 'asks').length === 0);
+
+    console.log('\n=== CLOB BOOK ===');
+    await fetch(`${url}/mock/book/5001`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(book) });
+    const live = await simulateFill('5001', 'buy', { amountUsd: 75 });
+    check('simulateFill walks the fetched book', live?.source === 'CLOB' && near(live.vwap, buy.vwap), JSON.stringify(live && { vwap: live.vwap, source: live.source }));
+} catch (e) {
+    testError(e);
+} finally {
+    clob.close();
+}
+
+finish();
@@ -0,0 +1,44 @@
+/**
+ * Shared plumbing for the scripts/test_*.mjs suites: scratch STORAGE_PATH,
+ * check() and the summary footer / exit code
+ *
+ * src/state.js loads bot_data.json from STORAGE_PATH as soon as it is imported,
+ * so suites call scratchStorage() first and import src/ dynamically after it.
+ */
+import fs from 'fs';
+import path from 'path';
+
+let failures = 0;
+
+/**
+ * Require STORAGE_PATH and clear what a previous run left there
+ * @param {string} [writes] - Files the suite writes, for the usage message
+ * @returns {string} The scratch directory
+ */
+export function scratchStorage(writes = 'bot_data.json / closed_trades.jsonl') {
+    const dir = process.env.STORAGE_PATH;
+    if (!dir) {
+        console.error(`STORAGE_PATH required (a scratch directory, ${writes} are written there)`);
+        process.exit(1);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    for (const f of fs.readdirSync(dir).filter(f => f.startsWith('bot_data') || f.startsWith('closed_trades'))) fs.unlinkSync(path.join(dir, f));
+    return dir;
+}
+
+export function check(name, condition, detail = '') {
+    console.log(`  ${condition ? '✅' : '❌'} ${name}${detail ? ` — ${detail}` : ''}`);
+    if (!condition) failures++;
+}
+
+/** Uncaught error in a suite: counted as a failure */
+export function testError(e) {
+    console.error('Test error:', e);
+    failures++;
+}
+
+/** Print the summary and exit 1 if any check failed */
+export function finish() {
+    console.log(`\n${failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`}\n`);
+    process.exit(failures === 0 ? 0 : 1);
+}
@@ -0,0 +1,94 @@
+/**
+ * Test the market data feed and the real-time exits against the local mock WebSocket (no network)
+ * Usage: STORAGE_PATH=/tmp/feed-test node scripts/test_market_feed.mjs
+ */
+import { startMockClobWs } from './mock_clob_ws.mjs';
+
+if (!process.env.STORAGE_PATH) {
+    console.error('STORAGE_PATH required (a scratch directory, bot_data.json is written there)');
+    process.exit(1);
+}
+
+const { MarketDataFeed } = await import('../src/services/marketDataFeed.js');
+const { startRealtimeExits } = await import('../src/logic/realtimeExits.js');
+const { botState } = await import('../src/state.js');
+const { CONFIG } = await import('../src/config.js');
+
+const mock = await startMockClobWs(0);
+console.log(`\n🧪 Mock CLOB WebSocket on ${mock.url}\n`);
+
+let failures = 0;
+function check(name, condition, detail = '') {
+    console.log(`  ${condition ? '✅' : '❌'} ${name}${detail ? ` — ${detail}` : ''}`);
+    if (!condition) failures++;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+async function waitFor(predicate, timeoutMs = 3000) {
+    const end = Date.now() + timeoutMs;
+    while (Date.now() < end) {
+        if (predicate()) return true;
+        await sleep(20);
+    }
+    return false;
+}
+
+CONFIG.MARKET_FEED = { ...CONFIG.MARKET_FEED, RECONNECT_MIN_MS: 50, EXIT_CHECK_THROTTLE_MS: 50 };
+const feed = new MarketDataFeed({ url: mock.url });
+const prices = [];
+feed.on('price', (evt) => prices.push(evt));
+
+try {
+    console.log('=== SNAPSHOT ===');
+    feed.setInterest('active', ['1001']);
+    feed.start();
+    check('Book snapshot received', await waitFor(() => feed.getMid('1001') !== null));
+    check('Mid from best bid / ask', feed.getMid('1001') === 0.5, String(feed.getMid('1001')));
+    const book = feed.getBook('1001');
+    check('Book in CLOB REST format', book?.bids.length === 2 && typeof book.asks[0].price === 'string', JSON.stringify(book?.asks));
+
+    console.log('\n=== DELTAS ===');
+    mock.setLevel('1001', 'BUY', '0.50', 200);
+    check('price_change applied', await waitFor(() => feed.getMid('1001') === 0.51), String(feed.getMid('1001')));
+    check('price event emitted', prices.some(p => p.tokenId === '1001' && p.mid === 0.51 && p.previousMid === 0.5));
+    mock.setLevel('1001', 'BUY', '0.50', 0);
+    check('Removed level falls back to next bid', await waitFor(() => feed.getMid('1001') === 0.5));
+
+    console.log('\n=== SUBSCRIPTIONS ===');
+    feed.setInterest('candidates', ['2001']);
+    check('Candidate subscribed later', await waitFor(() => feed.getMid('2001') !== null));
+    feed.setInterest('candidates', []);
+    check('Candidate unsubscribed', await waitFor(() => mock.subscribers('2001') === 0) && feed.getBook('2001') === null);
+
+    console.log('\n=== RECONNECT ===');
+    mock.dropClients();
+    check('No book while disconnected', await waitFor(() => !feed.connected) && feed.getMid('1001') === null);
+    check('Reconnects and resubscribes', await waitFor(() => feed.getMid('1001') !== null), `${feed.status().connects} connects`);
+
+    console.log('\n=== REAL-TIME EXITS ===');
+    const trade = {
+        id: 'rt1', marketId: 'm-rt', question: 'Realtime exit test', side: 'YES', status: 'OPEN',
+        amount: 50, entryPrice: 0.5, shares: 100, confidence: 0.6, startTime: new Date().toISOString(),
+        clobTokenIds: ['1001', '1002'], priceHistory: [0.5]
+    };
+    botState.activeTrades = [trade];
+    botState.closedTrades = [];
+    botState.capital = 1000;
+    const stop = startRealtimeExits(feed);
+
+    // Bids pulled down: mid 0.5 → 0.39 (-22%)
+    mock.setBook('1001', { bids: [{ price: '0.28', size: '500' }], asks: [{ price: '0.50', size: '500' }] });
+    check('Price event triggers an exit check', await waitFor(() => trade.priceHistory.length > 1), JSON.stringify(trade.priceHistory));
+    check('Stop hit without waiting for the main loop', await waitFor(() => botState.activeTrades.length === 0),
+        botState.closedTrades[0]?.closeReason || 'still open');
+    stop();
+} catch (e) {
+    console.error('Test error:', e);
+    failures++;
+} finally {
+    feed.stop();
+    await mock.close();
+}
+
+console.log(`\n${failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`}\n`);
+process.exit(failures === 0 ? 0 : 1);
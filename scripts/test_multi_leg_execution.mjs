@@ -0,0 +1,224 @@
+/**
+ * Test multi-leg execution against a scripted executor: an arbitrage pair opens both legs
+ * or none (a half-filled pair is unwound), a leg the venue won't take back stays tracked,
+ * a group exit with a refused leg keeps that leg open and retries it on the next check,
+ * and, against the mock CLOB, a resting leg that matched before its cancel is sold back and
+ * legs settled by reconcile() (one dropped, one partly filled) are unwound or resized;
+ * a live stop past the max loss cap sells at the market, not at the capped price
+ * Usage: STORAGE_PATH=/tmp/multi-leg-test node scripts/test_multi_leg_execution.mjs
+ */
+import fs from 'fs';
+import path from 'path';
+import { Wallet } from 'ethers';
+import { startMockClob } from './mock_clob_server.mjs';
+
+const dir = process.env.STORAGE_PATH;
+if (!dir) {
+    console.error('STORAGE_PATH required (a scratch directory, bot_data.json / closed_trades.jsonl are written there)');
+    process.exit(1);
+}
+fs.mkdirSync(dir, { recursive: true });
+for (const f of fs.readdirSync(dir).filter(f => f.startsWith('bot_data') || f.startsWith('closed_trades'))) fs.unlinkSync(path.join(dir, f));
+
+const { botState } = await import('../src/state.js');
+const { simulateTrade, checkAndCloseTrades, balanceGroupLegs } = await import('../src/logic/engine.js');
+const { PaperExecutor, ClobExecutor, setExecutor } = await import('../src/services/executionService.js');
+const { positionGroups } = await import('../src/logic/positionGroups.js');
+
+let failures = 0;
+function check(name, condition, detail = '') {
+    console.log(`  ${condition ? '✅' : '❌'} ${name}${detail ? ` — ${detail}` : ''}`);
+    if (!condition) failures++;
+}
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+// Paper fills, except for the sides / trades told to fail
+class ScriptedExecutor extends PaperExecutor {
+    constructor() {
+        super();
+        this.rejectEntry = new Set();
+        this.rejectExit = () => false;
+        this.exits = [];
+    }
+    async openPosition(trade) {
+        if (this.rejectEntry.has(trade.side)) return { accepted: false, status: 'REJECTED', error: 'scripted reject' };
+        return super.openPosition(trade);
+    }
+    async closePosition(trade, price, shares) {
+        if (this.rejectExit(trade)) return { accepted: false, status: 'REJECTED', error: 'scripted reject' };
+        this.exits.push({ id: trade.id, price, shares });
+        return super.closePosition(trade, price, shares);
+    }
+}
+const executor = new ScriptedExecutor();
+setExecutor(executor);
+
+// Live orders on the mock CLOB, except for the sides told to fail
+class LiveExecutor extends ClobExecutor {
+    constructor(options) {
+        super(options);
+        this.rejectEntry = new Set();
+        this.exits = [];
+    }
+    async openPosition(trade) {
+        if (this.rejectEntry.has(trade.side)) return { accepted: false, status: 'REJECTED', error: 'scripted reject' };
+        return super.openPosition(trade);
+    }
+    async closePosition(trade, price, shares) {
+        const fill = await super.closePosition(trade, price, shares);
+        if (fill.accepted) this.exits.push({ id: trade.id, price, shares: fill.filledShares });
+        return fill;
+    }
+}
+let clob = null;
+let clobUrl = null;
+
+let seq = 0;
+const arbMarket = (clobTokenIds = null) => {
+    const id = `m-arb-${++seq}`;
+    botState.arbitrageOpportunities = [{ id }];
+    return {
+        id, question: `Multi-leg arbitrage ${seq}?`, slug: `multi-leg-${seq}`, outcomePrices: ['0.47', '0.47'],
+        clobTokenIds: clobTokenIds || [`${id}-yes`, `${id}-no`], liquidityNum: 50000, volume24hr: 1000,
+        endDate: new Date(Date.now() + 30 * 86400000).toISOString()
+    };
+};
+const open = (market, reasons = []) => simulateTrade(market, null, false, { checkLiquidityDepthFn: async () => true, reasonsCollector: reasons });
+
+botState.capital = 1000;
+botState.startingCapital = 1000;
+botState.activeTrades = [];
+botState.closedTrades = [];
+botState.positionGroups = [];
+botState.monthlyDrawdown = null;
+botState.weeklyDrawdown = null;
+
+try {
+    console.log('\n=== ARBITRAGE PAIR ===');
+    const pair = await open(arbMarket());
+    check('Both legs filled: one pair', Array.isArray(pair) && pair.length === 2 && positionGroups.get(pair[0].groupId)?.legs.length === 2,
+        JSON.stringify(pair && pair.map(t => t.side)));
+
+    executor.rejectEntry.add('NO');
+    const capitalBefore = botState.capital;
+    const activeBefore = botState.activeTrades.length;
+    const reasons = [];
+    const half = await open(arbMarket(), reasons);
+    check('NO leg rejected: no trade', half === null && botState.activeTrades.length === activeBefore);
+    check('Filled YES leg sold back', executor.exits.length === 1 && executor.exits[0].id.endsWith('y'), JSON.stringify(executor.exits));
+    check('No partial pair recorded', botState.positionGroups.length === 1 && near(botState.capital, capitalBefore));
+    check('Decision explains the cancelled pair', reasons.some(r => r.includes('1/2 legs')), reasons.slice(-1).join());
+
+    executor.rejectExit = () => true;
+    const stuck = await open(arbMarket());
+    const kept = botState.activeTrades.find(t => t.marketId === `m-arb-${seq}`);
+    check('Unwind refused: the leg stays tracked as a plain position', stuck === null && kept?.side === 'YES' && !kept.groupId
+        && botState.positionGroups.length === 1);
+    executor.rejectExit = () => false;
+    executor.rejectEntry.clear();
+
+    console.log('\n=== GROUP EXIT ===');
+    botState.activeTrades = []; // Earlier legs have no price feed here
+    executor.mode = 'live'; // Live legs exit through the executor (paper ones always fill)
+    const legs = await open(arbMarket());
+    const group = positionGroups.get(legs?.[0]?.groupId);
+    const prices = { YES: 0.60, NO: 0.45 }; // +10% on the pair: group take-profit
+    const priceOf = async (t) => prices[t.side];
+    executor.rejectExit = (t) => t.side === 'NO';
+    executor.exits = [];
+    const capitalBeforeExit = botState.capital;
+    await checkAndCloseTrades(priceOf, { quiet: true });
+    const noLeg = botState.activeTrades.find(t => t.groupId === group?.id);
+    check('Exit orders sent for every leg', executor.exits.length === 1 && executor.exits[0].id === legs[0].id, JSON.stringify(executor.exits));
+    check('Refused leg stays open, sold leg booked', noLeg?.side === 'NO' && !botState.activeTrades.includes(legs[0])
+        && botState.closedTrades.some(t => t.id === legs[0].id) && near(botState.capital - capitalBeforeExit, legs[0].shares * 0.60));
+    check('Group flagged as closing', group?.status === 'OPEN' && group.closing?.unsold?.[0] === noLeg?.id, JSON.stringify(group?.closing));
+
+    prices.NO = 0.30; // Combined PnL no longer at the take-profit: the exit is finished anyway
+    executor.rejectExit = () => false;
+    await checkAndCloseTrades(priceOf, { quiet: true });
+    check('Refused leg sold on the next check', !botState.activeTrades.some(t => t.groupId === group?.id) && executor.exits.length === 2);
+    check('Group closed', group?.status === 'CLOSED' && !group.closing && botState.closedTrades.find(t => t.id === noLeg?.id)?.closeReason?.includes('[relance]'));
+    executor.mode = 'paper';
+
+    console.log('\n=== LIVE UNWIND (mock CLOB) ===');
+    ({ server: clob, url: clobUrl } = await startMockClob(0));
+    const live = new LiveExecutor({ privateKey: Wallet.createRandom().privateKey, baseUrl: clobUrl, orderTtlMinutes: 10 });
+    await live.ensureApiCreds();
+    setExecutor(live);
+    const setBook = (tokenId, book) => fetch(`${clobUrl}/mock/book/${tokenId}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(book) });
+
+    botState.activeTrades = [];
+    const capitalBeforeLive = botState.capital;
+    await setBook('3001', { bids: [{ price: '0.48', size: '500' }], asks: [{ price: '0.47', size: '5' }, { price: '0.52', size: '500' }] });
+    live.rejectEntry.add('NO');
+    const partly = await open(arbMarket(['3001', '3002']));
+    check('YES rested after matching 5 shares, NO rejected: no trade', partly === null && botState.activeTrades.length === 0);
+    check('Shares matched before the cancel sold back', live.exits.length === 1 && Math.abs(live.exits[0].shares - 5) < 1e-6,
+        JSON.stringify(live.exits));
+    check('Capital untouched', near(botState.capital, capitalBeforeLive));
+    live.rejectEntry.clear();
+
+    console.log('\n=== RECONCILE GROUPS (mock CLOB) ===');
+    const fillOrder = (trade, size) => fetch(`${clobUrl}/mock/fill/${trade.execution.orderId}`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(size ? { size } : {})
+    });
+    const expire = (trade) => { trade.execution.postedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString(); };
+    const settle = async () => balanceGroupLegs((await live.reconcile(botState)).groups);
+
+    const resting = await open(arbMarket(['3011', '3012']));
+    const restingGroup = positionGroups.get(resting?.[0]?.groupId);
+    check('Both legs resting on the book', resting?.length === 2 && resting.every(t => t.execution.status === 'PENDING'));
+    await fillOrder(resting[0]);
+    expire(resting[1]);
+    live.exits = [];
+    await settle();
+    check('NO never filled: the filled YES leg is sold back', !botState.activeTrades.some(t => t.groupId === restingGroup?.id)
+        && live.exits.length === 1 && live.exits[0].id === resting[0].id && !restingGroup.unbalanced, JSON.stringify(live.exits));
+
+    const uneven = await open(arbMarket(['3021', '3022']));
+    const unevenGroup = positionGroups.get(uneven?.[0]?.groupId);
+    await fillOrder(uneven[0]);
+    await fillOrder(uneven[1], 4);
+    expire(uneven[1]);
+    live.exits = [];
+    await settle();
+    check('NO partly filled: YES brought down to the same size', near(uneven[1].shares, 4) && near(uneven[0].shares, 4)
+        && botState.activeTrades.includes(uneven[0]) && live.exits.length === 1, `${uneven[0].shares} / ${uneven[1].shares}`);
+    check('Group cost follows the resized legs', near(unevenGroup.cost, uneven[0].amount + uneven[1].amount) && !unevenGroup.unbalanced);
+
+    const late = await open(arbMarket(['3031', '3032']));
+    const lateGroup = positionGroups.get(late?.[0]?.groupId);
+    await fillOrder(late[0], 3);
+    expire(late[1]);
+    live.exits = [];
+    await settle();
+    check('Sibling still resting: cancelled, its matched shares sold back', !botState.activeTrades.some(t => t.groupId === lateGroup?.id)
+        && live.exits.length === 1 && near(live.exits[0].shares, 3), JSON.stringify(live.exits));
+
+    console.log('\n=== LIVE STOP PAST THE MAX LOSS CAP ===');
+    await setBook('3041', { bids: [{ price: '0.30', size: '100' }], asks: [{ price: '0.32', size: '100' }] });
+    const stopped = {
+        id: 'live-stop', marketId: 'm-live-stop', question: 'Live stop loss?', side: 'YES', category: 'other',
+        shares: 10, entryPrice: 0.50, amount: 5, originalAmount: 5, status: 'OPEN', priceHistory: [0.31], maxReturn: 0,
+        startTime: new Date().toISOString(), clobTokenIds: ['3041', '3042'],
+        endDate: new Date(Date.now() + 30 * 86400000).toISOString(),
+        execution: { mode: 'live', status: 'FILLED', orderId: 'entry', requestedShares: 10 }
+    };
+    botState.activeTrades = [stopped];
+    live.exits = [];
+    await checkAndCloseTrades(async () => 0.30, { quiet: true });
+    const stopClose = botState.closedTrades.find(t => t.id === 'live-stop');
+    check('Sell sent at the market price and filled', live.exits.length === 1 && live.exits[0].price === 0.30 && !!stopClose,
+        JSON.stringify(live.exits));
+    check('Live loss booked at the fill, not capped', stopClose && stopClose.pnl < -5 * 0.15 && !stopClose.closeReason.includes('CAPPED'),
+        stopClose && `${stopClose.pnl.toFixed(2)} ${stopClose.closeReason}`);
+} catch (e) {
+    console.error('Test error:', e);
+    failures++;
+} finally {
+    clob?.close();
+}
+
+console.log(`\n${failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`}\n`);
+process.exit(failures === 0 ? 0 : 1);
@@ -4,7 +4,11 @@ import fetch from 'node-fetch';
 async function test() {
     try {
         console.log("👉 Triggering RESET API...");
-        const res = await fetch('http://localhost:3000/api/debug/reset-bot?key=debug123', { method: 'POST' });
+        // Admin token from API_TOKENS (or the temporary one printed at server start)
+        const res = await fetch('http://localhost:3000/api/debug/reset-bot', {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` }
+        });
         const data = await res.json();
         console.log("Result:", data);
         if (!res.ok) console.error("Status:", res.status);
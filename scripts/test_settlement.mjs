@@ -0,0 +1,156 @@
+/**
+ * Test market settlement: payouts per share (won, lost, 50-50, voided), UMA proposed /
+ * disputed markets held instead of force-closed, reconciliation of old resolutions and
+ * of the win / loss counters. Gamma is a local express mock (GAMMA_BASE_URL)
+ * Usage: STORAGE_PATH=/tmp/settlement-test node scripts/test_settlement.mjs
+ */
+import express from 'express';
+import { startMockClob } from './mock_clob_server.mjs';
+import { scratchStorage, check, testError, finish } from './test_helpers.mjs';
+
+scratchStorage();
+
+const gamma = {};
+const gammaApp = express();
+gammaApp.get('/markets/:id', (req, res) => gamma[req.params.id] ? res.json(gamma[req.params.id]) : res.status(404).json({ error: 'not found' }));
+const gammaServer = gammaApp.listen(0);
+process.env.GAMMA_BASE_URL = `http://127.0.0.1:${gammaServer.address().port}`;
+const { server: clob, url } = await startMockClob(0);
+process.env.CLOB_BASE_URL = url;
+
+const { botState } = await import('../src/state.js');
+const { CONFIG } = await import('../src/config.js');
+const { checkAndCloseTrades } = await import('../src/logic/engine.js');
+const { settlementService, countOutcomes } = await import('../src/services/settlementService.js');
+const { tradeHistory } = await import('../src/services/tradeHistory.js');
+const { marketOutcome } = await import('../src/logic/calibration.js');
+const { capitalSleeves } = await import('../src/logic/capitalSleeves.js');
+
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+const HOUR = 3600000;
+const open = (id, side, extra = {}) => ({
+    id, marketId: `mk-${id}`, question: `Settlement test ${id}?`, side, amount: 50, shares: 100, entryPrice: 0.5,
+    strategy: 'standard', category: 'politics', status: 'OPEN', startTime: new Date(Date.now() - 2 * HOUR).toISOString(),
+    lastPriceUpdate: new Date().toISOString(), ...extra
+});
+const resolved = (yes, no, extra = {}) => ({ closed: true, umaResolutionStatus: 'resolved', outcomePrices: JSON.stringify([String(yes), String(no)]), ...extra });
+
+botState.capital = 1000;
+botState.startingCapital = 1000;
+botState.activeTrades = [];
+botState.closedTrades = [];
+botState.winningTrades = 0;
+botState.losingTrades = 0;
+botState.monthlyDrawdown = null;
+botState.weeklyDrawdown = null;
+CONFIG.SETTLEMENT.POLL_SECONDS = 0; // Every check looks Gamma up again
+
+const closedTrade = (id) => botState.closedTrades.find(t => t.id === id);
+const activeTrade = (id) => botState.activeTrades.find(t => t.id === id);
+
+try {
+    console.log('\n=== RESOLUTION STATES ===');
+    const status = (m) => settlementService.parseResolution(m);
+    check('Open market', status({ closed: false, outcomePrices: '["0.6","0.4"]' }).status === 'OPEN');
+    check('YES won', JSON.stringify(status(resolved(1, 0)).payouts) === '[1,0]');
+    check('NO won', JSON.stringify(status(resolved('0.001', '0.999')).payouts) === '[0,1]');
+    check('50-50', JSON.stringify(status(resolved(0.5, 0.5)).payouts) === '[0.5,0.5]');
+    check('Voided', status(resolved(0, 0)).status === 'VOIDED');
+    check('Proposed, challenge window open', status(resolved(1, 0, { umaResolutionStatus: 'proposed' })).status === 'PENDING');
+    check('Disputed', status(resolved(1, 0, { umaResolutionStatus: 'disputed' })).status === 'DISPUTED');
+    check('Closed, prices mid-range', status({ closed: true, outcomePrices: '["0.7","0.3"]' }).status === 'PENDING');
+    check('Calibration outcome of a voided market', marketOutcome(resolved(0, 0)) === null && marketOutcome(resolved(0.5, 0.5)) === 0.5);
+
+    console.log('\n=== SETTLEMENT ===');
+    gamma['mk-win'] = resolved(1, 0);
+    gamma['mk-loss'] = resolved(1, 0);
+    gamma['mk-half'] = resolved(0.5, 0.5);
+    gamma['mk-void'] = resolved(0, 0);
+    gamma['mk-expired'] = resolved(0, 1);
+    gamma['mk-disputed'] = resolved(1, 0, { umaResolutionStatus: 'disputed' });
+    gamma['mk-proposed'] = resolved(0, 1, { umaResolutionStatus: 'proposed' });
+    gamma['mk-stale'] = { closed: false, outcomePrices: '["0.5","0.5"]' };
+    const old = { startTime: new Date(Date.now() - 72 * HOUR).toISOString(), lastPriceUpdate: new Date(Date.now() - 12 * HOUR).toISOString() };
+    botState.activeTrades.push(
+        // Near its payout, so no take-profit / gap exit fires first
+        open('win', 'YES', { entryPrice: 0.99, amount: 99, priceHistory: [0.99] }),
+        open('loss', 'NO', old),
+        open('half', 'YES', old),
+        open('void', 'NO', old),
+        open('expired', 'NO', { entryPrice: 0.6, amount: 30, shares: 50, priceHistory: [0.6], endDate: new Date(Date.now() - HOUR).toISOString() }),
+        open('disputed', 'YES', old),
+        open('proposed', 'NO', old),
+        open('stale', 'YES', old)
+    );
+    const prices = { win: 0.995, expired: 0.6 }; // Others: no CLOB price any more
+    const capitalBefore = botState.capital;
+    await checkAndCloseTrades(async (t) => prices[t.id] ?? null, { quiet: true });
+
+    const win = closedTrade('win');
+    check('Won: $1 per share less the fee', win?.resolvedOutcome === 'WON' && win.exitPrice === 1 && near(win.pnl, 100 * 0.999 - 99),
+        JSON.stringify(win && { pnl: win.pnl, method: win.resolutionMethod }));
+    const loss = closedTrade('loss');
+    check('Lost: nothing back', loss?.resolvedOutcome === 'LOST' && loss.exitPrice === 0 && near(loss.pnl, -50));
+    const half = closedTrade('half');
+    check('50-50: $0.50 per share', half?.resolvedOutcome === 'HALF' && half.exitPrice === 0.5 && near(half.pnl, 50 * 0.999 - 50),
+        `${half?.pnl}`);
+    const voided = closedTrade('void');
+    check('Voided: stake refunded, PnL 0', voided?.resolvedOutcome === 'VOID' && near(voided.pnl, 0) && near(voided.exitPrice, 0.5));
+    check('Expired market settled', closedTrade('expired')?.resolvedOutcome === 'WON');
+    check('Settled through the settlement service', [win, loss, half, voided].every(t => t?.resolutionMethod === 'MARKET_SETTLEMENT'));
+    check('Capital credited with the payouts',
+        near(botState.capital - capitalBefore, 99.9 + 0 + 49.95 + 50 + 49.95 + (closedTrade('stale')?.finalValue ?? 0)),
+        `${(botState.capital - capitalBefore).toFixed(2)}`);
+    check('Disputed market held, not force-closed', activeTrade('disputed')?.settlement?.status === 'DISPUTED');
+    check('Proposed market held', activeTrade('proposed')?.settlement?.status === 'PENDING');
+    check('Open market without a price still force-closed as stale', !!closedTrade('stale')?.closeReason?.includes('STALE'));
+    check('Counters: half and stale count as losses, the void as neither',
+        botState.winningTrades === 2 && botState.losingTrades === 3, `${botState.winningTrades}/${botState.losingTrades}`);
+    check('Settled trades in the full history', tradeHistory.all().some(t => t.id === 'half'));
+
+    console.log('\n=== DISPUTE SETTLED ===');
+    gamma['mk-disputed'] = resolved(1, 0);
+    await checkAndCloseTrades(async () => null, { quiet: true });
+    check('Disputed market paid once resolved', closedTrade('disputed')?.resolvedOutcome === 'WON' && !activeTrade('disputed'));
+    check('Proposed market still held', !!activeTrade('proposed'));
+
+    console.log('\n=== RECONCILIATION ===');
+    const legacy = (id, side) => ({
+        ...open(id, side), status: 'CLOSED', exitPrice: 0, pnl: -50, profit: -50, closedAt: new Date(Date.now() - 48 * HOUR).toISOString(),
+        resolvedOutcome: 'LOST', resolutionMethod: 'REAL_MARKET_OUTCOME'
+    });
+    gamma['mk-old-half'] = resolved(0.5, 0.5);
+    gamma['mk-old-void'] = resolved(0, 0);
+    gamma['mk-old-loss'] = resolved(1, 0);
+    for (const t of [legacy('old-half', 'YES'), legacy('old-void', 'NO'), legacy('old-loss', 'NO')]) tradeHistory.record(t);
+    botState.winningTrades = 7; // Drifted
+    const capitalBeforeFix = botState.capital;
+    const today = new Date().toISOString().split('T')[0];
+    const trackersBefore = { daily: botState.dailyPnL, weekly: botState.weeklyDrawdown.dailyPnL[today] || 0,
+        sleeve: capitalSleeves.state().stats.general?.realizedPnl || 0 };
+    const result = await settlementService.reconcile();
+    const byId = (id) => tradeHistory.all().find(t => t.id === id);
+    check('Old resolutions checked, two corrected', result.checked === 3 && result.corrected === 2, JSON.stringify(result));
+    check('50-50 rewritten', byId('old-half')?.resolvedOutcome === 'HALF' && near(byId('old-half').pnl, 50 * 0.999 - 50)
+        && byId('old-half').settlement?.correctedFrom === 'LOST');
+    check('Voided rewritten', byId('old-void')?.resolvedOutcome === 'VOID' && near(byId('old-void').pnl, 0));
+    check('Real loss only marked verified', byId('old-loss')?.resolvedOutcome === 'LOST' && !!byId('old-loss').settlement?.verifiedAt);
+    check('Capital gets what the old losses never credited', near(botState.capital - capitalBeforeFix, 49.95 + 50), `${botState.capital - capitalBeforeFix}`);
+    const delta = 49.95 + 50; // corrected PnL minus the -$50 booked back then
+    check('Correction through the daily, weekly and sleeve PnL', near(botState.dailyPnL - trackersBefore.daily, delta)
+        && near(botState.weeklyDrawdown.dailyPnL[today] - trackersBefore.weekly, delta)
+        && near(capitalSleeves.state().stats.general.realizedPnl - trackersBefore.sleeve, delta),
+        `${(botState.dailyPnL - trackersBefore.daily).toFixed(2)}`);
+    const expected = countOutcomes(tradeHistory.all());
+    check('Counters recomputed from the history', result.counters && botState.winningTrades === expected.wins && botState.losingTrades === expected.losses
+        && expected.wins === 3, `${botState.winningTrades}/${botState.losingTrades}`);
+    check('Verified trades not looked up again', (await settlementService.reconcile()).checked === 0);
+} catch (e) {
+    testError(e);
+} finally {
+    gammaServer.close();
+    clob.close();
+}
+
+finish();
@@ -0,0 +1,115 @@
+/**
+ * Test config profiles and shadow portfolios against the local mock CLOB (no network)
+ * Usage: STORAGE_PATH=/tmp/shadow-test node scripts/test_shadow_profiles.mjs
+ */
+import { startMockClob } from './mock_clob_server.mjs';
+import { scratchStorage, check, testError, finish } from './test_helpers.mjs';
+
+scratchStorage();
+
+const { server, url } = await startMockClob(0);
+process.env.CLOB_BASE_URL = url; // read by clob_api.js at import
+console.log(`\n🧪 Mock CLOB on ${url}\n`);
+
+const { botState } = await import('../src/state.js');
+const { CONFIG } = await import('../src/config.js');
+const { strategyRegistry } = await import('../src/logic/strategyRegistry.js');
+const { profileService } = await import('../src/services/profileService.js');
+const { shadowPortfolios } = await import('../src/logic/shadowPortfolios.js');
+
+// Test strategy: buys YES on the test markets and records what it saw while a profile was swapped in
+const seen = [];
+let ticks = 0;
+const ticker = setInterval(() => ticks++, 0);
+strategyRegistry.register({
+    id: 'shadow_test',
+    entry: {
+        order: 0,
+        applies: (ctx) => ctx.market.question.startsWith('Shadow test'),
+        async run(ctx) {
+            seen.push({ stop: CONFIG.DYNAMIC_SL.VOLATILITY_MAP.other, capital: botState.capital, ticks });
+            return { side: 'YES', entryPrice: ctx.yesPrice, confidence: 0.8, reason: '🧪 Shadow test entry' };
+        }
+    }
+});
+
+const market = {
+    id: 'shadow-m1', question: 'Shadow test market?', slug: 'shadow-test',
+    outcomePrices: ['0.50', '0.50'], clobTokenIds: ['1001', '1002'],
+    liquidityNum: 50000, volume24hr: 100000, endDate: new Date(Date.now() + 30 * 86400000).toISOString()
+};
+const candidates = [{ market, isFresh: false, priority: 'STD' }];
+
+botState.capital = 1000;
+botState.startingCapital = 1000;
+botState.activeTrades = [];
+botState.closedTrades = [];
+botState.monthlyDrawdown = null;
+botState.configProfiles = { live: 'baseline', profiles: {} };
+botState.shadowPortfolios = {};
+const defaultStop = CONFIG.DYNAMIC_SL.VOLATILITY_MAP.other;
+
+try {
+    console.log('=== PROFILES ===');
+    check('Live profile created on first use', profileService.liveName() === 'baseline' && profileService.list().length === 1);
+    check('Invalid name rejected', !profileService.create({ name: 'Tight Stops' }).ok);
+    check('Out-of-range override rejected', profileService.create({ name: 'bad', overrides: { STOP_LOSS_PERCENT: 2 } }).errors?.[0]?.path === 'STOP_LOSS_PERCENT');
+    check('Restart-only path rejected', !profileService.create({ name: 'bad', overrides: { PORT: 4000 } }).ok);
+    const tight = profileService.create({ name: 'tight', description: 'Stops serrés', overrides: { 'DYNAMIC_SL.VOLATILITY_MAP.other': 0.05 } });
+    check('Shadow profile created', tight.ok, JSON.stringify(tight.errors));
+    check('Second shadow created', profileService.create({ name: 'control' }).ok);
+    check('MAX_PROFILES enforced', !profileService.create({ name: 'fourth' }).ok);
+    check('Live profile overrides refused', !profileService.update('baseline', { overrides: { KELLY_FRACTION: 0.1 } }).ok);
+
+    console.log('\n=== SHADOW ENTRIES ===');
+    const prices = new Map();
+    const priceOf = async (trade) => prices.get(trade.marketId) ?? null;
+    const results = await shadowPortfolios.runCycle({ candidates, pizzaData: null, priceOf });
+    check('Both shadows opened a trade', results.length === 2 && results.every(r => r.opened === 1), JSON.stringify(results));
+    check('Live portfolio untouched', botState.activeTrades.length === 0 && botState.capital === 1000);
+    check('Profile config seen during the run', seen.some(s => s.stop === 0.05) && seen.some(s => s.stop === defaultStop), JSON.stringify(seen));
+    check('Shadow capital seen during the run', seen.every(s => s.capital === 1000));
+    check('Nothing else ran while a profile was swapped in', new Set(seen.map(s => s.ticks)).size === 1);
+    check('CONFIG restored', CONFIG.DYNAMIC_SL.VOLATILITY_MAP.other === defaultStop);
+    const tightTrade = shadowPortfolios.get('tight').activeTrades[0];
+    check('Entry filled on the CLOB book', tightTrade?.fill?.source === 'CLOB' && tightTrade.entryPrice > 0.5, `${tightTrade?.entryPrice}`);
+    check('Shadow capital debited', shadowPortfolios.get('tight').capital < 1000);
+
+    console.log('\n=== SHADOW EXITS ===');
+    prices.set(market.id, tightTrade.entryPrice * 0.9); // -10%: under the 5% stop, above the default one
+    await shadowPortfolios.runCycle({ candidates: [], pizzaData: null, priceOf });
+    check('Tight profile stopped out', shadowPortfolios.get('tight').closedTrades[0]?.closeReason?.startsWith('STOP LOSS'),
+        shadowPortfolios.get('tight').closedTrades[0]?.closeReason);
+    check('Control profile still open', shadowPortfolios.get('control').activeTrades.length === 1);
+    prices.set(market.id, 0.995);
+    await shadowPortfolios.runCycle({ candidates: [], pizzaData: null, priceOf });
+    const controlClosed = shadowPortfolios.get('control').closedTrades[0];
+    check('Resolved market settled at 1', controlClosed?.closeReason === 'RESOLVED' && controlClosed.exitPrice === 1);
+
+    console.log('\n=== COMPARE ===');
+    const comparisons = shadowPortfolios.compare();
+    const tightCmp = comparisons.find(c => c.profile === 'tight');
+    check('One comparison per shadow', comparisons.length === 2);
+    check('Shadow stats', tightCmp.shadow.closed === 1 && tightCmp.shadow.realizedPnL < 0, `${tightCmp.shadow.realizedPnL.toFixed(2)}`);
+    check('Live stats over the same window', tightCmp.live.trades === 0 && tightCmp.delta.totalPnL === tightCmp.shadow.totalPnL);
+    check('Equity history with the live curve', tightCmp.equityHistory.length === 3 && tightCmp.equityHistory.every(p => p.live === 1000));
+
+    console.log('\n=== PROMOTE ===');
+    const dry = profileService.promote('tight', { dryRun: true });
+    check('Dry run changes nothing', dry.ok && profileService.liveName() === 'baseline' && CONFIG.DYNAMIC_SL.VOLATILITY_MAP.other === defaultStop);
+    const promoted = profileService.promote('tight');
+    shadowPortfolios.sync();
+    check('Promoted profile is live', promoted.ok && profileService.liveName() === 'tight' && CONFIG.DYNAMIC_SL.VOLATILITY_MAP.other === 0.05);
+    check('Written as a runtime override', botState.configOverrides['DYNAMIC_SL.VOLATILITY_MAP.other'] === 0.05);
+    check('Previous live keeps its values as a shadow', profileService.get('baseline').overrides['DYNAMIC_SL.VOLATILITY_MAP.other'] === defaultStop);
+    check('Portfolios follow the shadows', !shadowPortfolios.get('tight') && !!shadowPortfolios.get('baseline'));
+    check('Live profile cannot be deleted', !profileService.remove('tight').ok);
+    check('Shadow deleted', profileService.remove('control').ok && (shadowPortfolios.sync(), !botState.shadowPortfolios.control));
+} catch (e) {
+    testError(e);
+} finally {
+    clearInterval(ticker);
+    server.close();
+}
+
+finish();
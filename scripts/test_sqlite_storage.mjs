@@ -0,0 +1,147 @@
+/**
+ * Test the SQLite storage backend: bot_data.json import, full history beyond the
+ * in-memory truncation, transactional saves, migrations, decisions and snapshots
+ * Usage: STORAGE_PATH=/tmp/sqlite-test node scripts/test_sqlite_storage.mjs
+ */
+import fs from 'fs';
+import path from 'path';
+
+const dir = process.env.STORAGE_PATH;
+if (!dir) {
+    console.error('STORAGE_PATH required (a scratch directory, bot_data.json / bot_data.db are written there)');
+    process.exit(1);
+}
+fs.mkdirSync(dir, { recursive: true });
+for (const f of fs.readdirSync(dir).filter(f => f.startsWith('bot_data'))) fs.unlinkSync(path.join(dir, f));
+
+// Legacy JSON state, imported on the first SQLite start
+const trade = (id, extra = {}) => ({
+    id, marketId: `m-${id}`, question: `Market ${id}?`, side: 'YES', amount: 50, entryPrice: 0.5,
+    startTime: new Date(Date.now() - 3600000).toISOString(), strategy: 'standard', category: 'politics', ...extra
+});
+const closed = (id, pnl) => trade(id, { status: 'CLOSED', exitPrice: 0.6, pnl, profit: pnl, closeReason: 'TAKE PROFIT', endTime: new Date().toISOString() });
+fs.writeFileSync(path.join(dir, 'bot_data.json'), JSON.stringify({
+    startTime: '2026-01-01T00:00:00.000Z', capital: 1234, startingCapital: 1000,
+    activeTrades: [], closedTrades: [closed('legacy-1', 10), closed('legacy-2', -5)],
+    capitalHistory: [{ t: '2026-01-01T00:00:00.000Z', v: 1000 }, { t: '2026-01-01T00:01:00.000Z', v: 1234 }],
+    logs: [{ timestamp: '2026-01-01T00:01:00.000Z', message: 'second', type: 'info' }, { timestamp: '2026-01-01T00:00:00.000Z', message: 'first', type: 'info' }]
+}));
+
+process.env.STORAGE_BACKEND = 'sqlite';
+const { stateManager, botState, StateManager } = await import('../src/state.js');
+const { SqliteStorage } = await import('../src/services/sqliteStorage.js');
+const { decisionJournal } = await import('../src/services/decisionJournal.js');
+const { CONFIG } = await import('../src/config.js');
+const { addLog } = await import('../src/utils.js');
+
+let failures = 0;
+function check(name, condition, detail = '') {
+    console.log(`  ${condition ? '✅' : '❌'} ${name}${detail ? ` — ${detail}` : ''}`);
+    if (!condition) failures++;
+}
+
+const storage = stateManager.storage;
+const db = storage.db;
+const count = (sql, ...params) => db.prepare(sql).pluck().get(...params);
+
+try {
+    console.log('\n=== IMPORT & MIGRATIONS ===');
+    check('SQLite backend active', storage.name === 'sqlite' && storage.location === CONFIG.STORAGE.SQLITE_FILE, storage.location);
+    check('Schema migrated', storage.schemaVersion() === 1 && count('SELECT COUNT(*) FROM schema_migrations') === 1);
+    check('bot_data.json imported', botState.capital === 1234 && botState.closedTrades.length === 2);
+    check('Legacy trades in the table', count("SELECT COUNT(*) FROM trades WHERE status = 'CLOSED'") === 2);
+    check('Legacy logs in order', db.prepare('SELECT message FROM logs ORDER BY id').pluck().all().slice(0, 2).join(',') === 'first,second');
+    const reopened = new SqliteStorage(storage.location);
+    check('Reopening applies nothing twice', reopened.schemaVersion() === 1 && count('SELECT COUNT(*) FROM schema_migrations') === 1);
+    reopened.close();
+
+    console.log('\n=== HISTORY BEYOND TRUNCATION ===');
+    for (let i = 0; i < 60; i++) {
+        botState.closedTrades.unshift(closed(`t${i}`, i % 2 ? 5 : -3));
+        if (botState.closedTrades.length > 50) botState.closedTrades.pop();
+        botState.capitalHistory.push({ t: new Date(Date.parse('2026-02-01T00:00:00Z') + i * 60000).toISOString(), v: 1000 + i });
+        if (botState.capitalHistory.length > 20) botState.capitalHistory.shift();
+        if (i % 10 === 0) stateManager.save();
+    }
+    for (let i = 0; i < 1100; i++) addLog(botState, `log ${i}`, 'info');
+    stateManager.save();
+    check('All closed trades kept', count("SELECT COUNT(*) FROM trades WHERE status = 'CLOSED'") === 62, `${count('SELECT COUNT(*) FROM trades')}`);
+    check('In-memory list still truncated', botState.closedTrades.length === 50);
+    check('All capital points kept', count('SELECT COUNT(*) FROM capital_history') === 62);
+    check('All logs kept once', count("SELECT COUNT(*) FROM logs WHERE message LIKE 'log %'") === 1100);
+    const row = db.prepare("SELECT * FROM trades WHERE id = 't7'").get();
+    check('Trade columns filled', row.pnl === 5 && row.close_reason === 'TAKE PROFIT' && row.closed_at && row.run === botState.startTime);
+
+    console.log('\n=== OPEN / CLOSED / REMOVED ===');
+    botState.activeTrades.push(trade('open-1', { status: 'OPEN' }), trade('open-2', { status: 'OPEN' }));
+    stateManager.save();
+    check('Open trades stored', count("SELECT COUNT(*) FROM trades WHERE status = 'OPEN'") === 2);
+    const closing = botState.activeTrades.shift();
+    Object.assign(closing, { status: 'CLOSED', exitPrice: 0.7, pnl: 20, profit: 20, closeReason: 'TAKE PROFIT', endTime: new Date().toISOString() });
+    botState.closedTrades.unshift(closing);
+    stateManager.save();
+    check('Closed trade updated in place', db.prepare("SELECT status FROM trades WHERE id = 'open-1'").pluck().get() === 'CLOSED');
+    botState.activeTrades.length = 0;
+    stateManager.save();
+    check('Dropped open trade marked REMOVED', db.prepare("SELECT status FROM trades WHERE id = 'open-2'").pluck().get() === 'REMOVED');
+
+    console.log('\n=== TRANSACTIONS ===');
+    const capitalBefore = JSON.parse(db.prepare('SELECT data FROM state').pluck().get()).capital;
+    const logsBefore = count('SELECT COUNT(*) FROM logs');
+    botState.capital = 9999;
+    addLog(botState, 'pending log', 'info');
+    botState.capitalHistory.push({ t: '2026-03-01T00:00:00.000Z', v: 9999 });
+    botState.activeTrades.push(trade('broken', { amount: { not: 'a number' } }));
+    let threw = false;
+    try { storage.saveState(botState); } catch { threw = true; }
+    check('Failing save throws', threw);
+    check('State row and capital point rolled back', count('SELECT COUNT(*) FROM capital_history WHERE v = 9999') === 0 && JSON.parse(db.prepare('SELECT data FROM state').pluck().get()).capital === capitalBefore);
+    check('Logs appended on their own', count('SELECT COUNT(*) FROM logs') === logsBefore + 1);
+    botState.activeTrades.pop();
+    stateManager.save();
+    check('Next save writes what was rolled back', count("SELECT COUNT(*) FROM capital_history WHERE v = 9999") === 1
+        && JSON.parse(db.prepare('SELECT data FROM state').pluck().get()).capital === 9999);
+
+    console.log('\n=== RELOAD ===');
+    const manager = new StateManager(new SqliteStorage(storage.location));
+    const logsAfterReload = count('SELECT COUNT(*) FROM logs');
+    check('State reloaded', manager.data.capital === 9999 && manager.data.closedTrades.length === botState.closedTrades.length);
+    check('Logs reloaded from their table (window of 1000)', manager.data.logs.length === 1000 && manager.data.logs[1].message === 'pending log',
+        manager.data.logs[1]?.message);
+    manager.save();
+    check('Reloaded logs not written again', count('SELECT COUNT(*) FROM logs') === logsAfterReload);
+    manager.storage.close();
+
+    console.log('\n=== DECISIONS & SNAPSHOTS ===');
+    const now = Date.now();
+    decisionJournal.append({ timestamp: new Date(now - 2000).toISOString(), marketId: 'd1', category: 'politics', tradeExecuted: true, decisionReasons: ['Whale consensus'] });
+    decisionJournal.append({ timestamp: new Date(now - 1000).toISOString(), marketId: 'd2', category: 'crypto', tradeExecuted: false, rejectionReason: 'Spread trop large' });
+    check('Decisions in the table', count('SELECT COUNT(*) FROM decisions') === 2);
+    check('No JSONL journal written', !fs.existsSync(CONFIG.DECISION_JOURNAL.DIR) || fs.readdirSync(CONFIG.DECISION_JOURNAL.DIR).length === 0);
+    const all = await decisionJournal.query();
+    check('Query newest first', all.length === 2 && all[0].marketId === 'd2');
+    check('Query by executed', (await decisionJournal.query({ executed: true }))[0]?.marketId === 'd1');
+    check('Query by reason', (await decisionJournal.query({ reason: 'spread' })).map(e => e.marketId).join() === 'd2');
+    check('Query by day', (await decisionJournal.query({ to: new Date(now).toISOString().slice(0, 10) })).length === 2);
+    const inParis = (ms) => new Date(ms + 2 * 3600000).toISOString().replace('Z', '+02:00');
+    check('Query bounds with an offset', (await decisionJournal.query({ from: inParis(now - 1500) })).map(e => e.marketId).join() === 'd2');
+
+    storage.saveSnapshot({ tension_score: 42, markets: [{ id: 'm1' }] });
+    const snapshots = storage.loadSnapshots(new Date(now - 60000).toISOString(), new Date(Date.now() + 60000).toISOString());
+    check('Snapshot round trip', snapshots.length === 1 && snapshots[0].tension_score === 42 && !!snapshots[0].created_at);
+
+    console.log('\n=== CORRUPTION ===');
+    db.prepare("UPDATE state SET data = '{not json'").run();
+    const corrupt = new StateManager(new SqliteStorage(storage.location));
+    check('Corrupt state backed up', fs.existsSync(storage.location + '.bak'));
+    check('Corrupt state falls back to defaults', corrupt.data.capital === CONFIG.STARTING_CAPITAL);
+    corrupt.storage.close();
+} catch (e) {
+    console.error('Test error:', e);
+    failures++;
+} finally {
+    storage.close();
+}
+
+console.log(`\n${failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`}\n`);
+process.exit(failures === 0 ? 0 : 1);
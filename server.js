@@ -12,9 +12,10 @@ import debugRoutes from './src/api/debugRoutes.js';
 import backtestRoutes from './src/api/backtestRoutes.js';
 import { startPriceUpdateLoop } from './src/services/priceUpdateService.js';
 import { startScheduler } from './src/cron/scheduler.js';
+import { getExecutor } from './src/services/executionService.js';
 
 // Logic & Signals
-import { simulateTrade, checkAndCloseTrades } from './src/logic/engine.js';
+import { simulateTrade, checkAndCloseTrades, openEventBasket, balanceGroupLegs } from './src/logic/engine.js';
 import {
     detectWizards,
     detectWhales,
@@ -36,6 +37,14 @@ import { getMidPrice } from './src/api/clob_api.js';
 import { feedbackLoop } from './src/logic/feedbackLoop.js';
 import { supabaseService } from './src/services/supabaseService.js';
 import { recordMarketBatch, buildCorrelationMap, detectCatalysts, evaluateDCA, executeDCA, getDrawdownRecoveryState, getCalendarSignal } from './src/logic/advancedStrategies.js';
+import { strategyRegistry } from './src/logic/strategyRegistry.js';
+import { scanEventArbitrage, requoteOpportunity } from './src/logic/eventArbitrage.js';
+import { positionGroups } from './src/logic/positionGroups.js';
+import { marketDataFeed, tokenIdOf } from './src/services/marketDataFeed.js';
+import { startRealtimeExits, followActiveTrades } from './src/logic/realtimeExits.js';
+import { authService, authGuard } from './src/services/authService.js';
+import { configService } from './src/services/configService.js';
+import { shadowPortfolios } from './src/logic/shadowPortfolios.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,12 +53,25 @@ const __dirname = path.dirname(__filename);
 let lastSnapshotTime = 0;
 const SNAPSHOT_INTERVAL_MS = 15 * 60 * 1000; // Save signal snapshots every 15 min (not every cycle)
 
+// Config layers (bot_config.json, CONFIG__* env, saved runtime overrides) on top of config.js
+const configLayers = configService.load();
+console.log(`⚙️ Config: ${configLayers.file} valeur(s) fichier, ${configLayers.env} env, ${configLayers.runtime} override(s) runtime`);
+
 // --- EXPRESS SERVER ---
 const app = express();
 app.use(express.json());
+app.set('trust proxy', 1); // Railway proxy: real client IP for the audit log, Secure cookies over https
+
+// Dashboard pages and images only: the repo root also holds logs.txt, bot_data.json, journal/, ...
+const DASHBOARD_FILES = ['bot_dashboard.html', 'analytics.html', 'backlog.html'];
+for (const file of DASHBOARD_FILES) {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
+app.use('/assets', express.static(path.join(__dirname, 'assets')));
 
-// Serve static files (Dashboard)
-app.use(express.static(__dirname));
+// Every /api route below is behind the token / session check (authService.js)
+authService.loadIdentities();
+app.use('/api', authGuard);
 app.use('/api/debug', debugRoutes);
 
 app.use('/api', backtestRoutes);
@@ -132,6 +154,13 @@ async function mainLoop() {
     console.log('🔄 Starting real-time price tracking service...');
     startPriceUpdateLoop(botState);
 
+    // Real-time order books over the CLOB WebSocket (the polling above becomes the fallback)
+    if (CONFIG.MARKET_FEED?.ENABLED) {
+        startRealtimeExits();
+        followActiveTrades();
+        marketDataFeed.start();
+    }
+
     // Start AI Self-Training Scheduler
     startScheduler();
 
@@ -214,8 +243,21 @@ async function mainLoop() {
                 }
             }
 
+            // Live mode: sync resting entry orders (fills / cancels) before managing exits
+            try {
+                const recon = await getExecutor().reconcile(botState);
+                if (recon.filled || recon.cancelled) {
+                    console.log(`🏦 Reconcile: ${recon.filled} filled, ${recon.cancelled} cancelled`);
+                    stateManager.save(true);
+                }
+                // A group leg dropped or partly filled: resize or unwind its other legs
+                await balanceGroupLegs(recon.groups);
+            } catch (e) {
+                console.error('Reconcile error:', e.message);
+            }
+
             // Inject Real Price Fetcher (CLOB with Gamma Fallback)
-            await checkAndCloseTrades(async (trade) => {
+            const priceOf = async (trade) => {
                 try {
                     // a) Try CLOB first — parse clobTokenIds if it's a JSON string
                     let tokenIds = trade.clobTokenIds;
@@ -243,7 +285,9 @@ async function mainLoop() {
 
                     return null;
                 } catch (e) { return null; }
-            });
+            };
+            await checkAndCloseTrades(priceOf);
+            followActiveTrades();
 
             // 4. Market Scanning
             await scanArbitrage(relevantMarkets);
@@ -258,6 +302,14 @@ async function mainLoop() {
                 runSemanticArbScan(relevantMarkets);
             }
 
+            // 4b'. NegRisk event baskets — full Gamma events behind the scanned markets
+            if (isDeepScan && CONFIG.EVENT_ARB?.ENABLED) {
+                const found = await scanEventArbitrage(relevantMarkets);
+                if (found.length > 0) {
+                    addLog(botState, `🧺 Event Arb: ${found.length} basket(s) — ${found.slice(0, 3).map(o => `${o.eventTitle} ${o.type} +${(o.edge * 100).toFixed(1)}%`).join(', ')}`, 'info');
+                }
+            }
+
             // 4c. Copy Trading: Refresh leaderboard every 6h
             if (isDeepScan) {
                 const walletRefreshInterval = CONFIG.COPY_TRADING?.LEADERBOARD_CACHE_TTL_MS || 6 * 60 * 60 * 1000;
@@ -332,6 +384,7 @@ async function mainLoop() {
 
             // Collect potential candidates ALWAYS (for logging)
             let candidates = [];
+            let scannedCandidates = []; // kept for the signal snapshot (replay)
             if (relevantMarkets && relevantMarkets.length > 0) {
                 // 1. Top Signal
                 if (botState.topSignal) {
@@ -381,12 +434,43 @@ async function mainLoop() {
                         uniqueCandidates.push(c);
                     }
                 }
+                scannedCandidates = uniqueCandidates;
+                marketDataFeed.setInterest('candidates', uniqueCandidates
+                    .slice(0, CONFIG.MARKET_FEED?.MAX_CANDIDATES ?? 30)
+                    .flatMap(c => ['YES', 'NO'].map(side => tokenIdOf({ clobTokenIds: c.market.clobTokenIds, side }))));
 
                 // Try to execute (Only if not full and has capital)
                 let tradeExecutedThisLoop = false;
                 const rejectionReasons = [];
 
-                if (!isFull && botState.capital >= CONFIG.MIN_TRADE_SIZE) {
+                // 6a. NegRisk event basket (re-quoted on the current books) — counts as the loop's trade
+                // Every leg takes a portfolio slot; breakers, limits and VaR are checked in openEventBasket
+                const EA = CONFIG.EVENT_ARB || {};
+                const openBaskets = positionGroups.open('EVENT_BASKET');
+                if (!isFull && EA.ENABLED && EA.AUTO_EXECUTE && strategyRegistry.isActive('arbitrage')
+                    && openBaskets.length < (EA.MAX_OPEN_BASKETS ?? 3) && botState.capital >= CONFIG.MIN_TRADE_SIZE) {
+                    for (const opp of botState.eventArbOpportunities || []) {
+                        if (openBaskets.some(b => b.eventSlug === opp.eventSlug)) continue;
+                        if (botState.activeTrades.length + opp.legsCount > maxTrades) continue;
+                        try {
+                            const quote = await requoteOpportunity(opp);
+                            if (!quote) {
+                                rejectionReasons.push(`BASKET: ${opp.eventTitle} — edge disparu au re-quote`);
+                                continue;
+                            }
+                            const basketReasons = [];
+                            if (await openEventBasket(quote, { maxTrades, reasonsCollector: basketReasons })) {
+                                tradeExecutedThisLoop = true;
+                                break;
+                            }
+                            if (basketReasons.length > 0) rejectionReasons.push(`BASKET: ${opp.eventTitle} — ${basketReasons.join(', ')}`);
+                        } catch (e) {
+                            console.warn('Event basket error:', e.message);
+                        }
+                    }
+                }
+
+                if (!isFull && !tradeExecutedThisLoop && botState.capital >= CONFIG.MIN_TRADE_SIZE) {
                     for (const candidate of uniqueCandidates) {
                         if (botState.activeTrades.length >= maxTrades) break;
                         if (botState.capital < CONFIG.MIN_TRADE_SIZE) break;
@@ -417,7 +501,7 @@ async function mainLoop() {
                 }
 
                 // 6b. DCA: Check if any active trades deserve an add-on
-                if (!tradeExecutedThisLoop && botState.capital >= CONFIG.MIN_TRADE_SIZE) {
+                if (!tradeExecutedThisLoop && botState.capital >= CONFIG.MIN_TRADE_SIZE && strategyRegistry.isActive('dca')) {
                     try {
                         for (const trade of botState.activeTrades) {
                             const dca = evaluateDCA(trade.marketId);
@@ -440,6 +524,17 @@ async function mainLoop() {
                     }
                 }
 
+                // 6c. Shadow profiles: same candidates, paper portfolios (shadowPortfolios.js)
+                try {
+                    const shadowResults = await shadowPortfolios.runCycle({ candidates: uniqueCandidates, pizzaData, priceOf });
+                    const shadowMoves = shadowResults.filter(r => r.opened || r.closed);
+                    if (shadowMoves.length > 0) {
+                        console.log(`👥 Shadow: ${shadowMoves.map(r => `${r.name} +${r.opened}/-${r.closed} ($${r.equity.toFixed(0)})`).join(', ')}`);
+                    }
+                } catch (e) {
+                    console.warn('Shadow profiles error:', e.message);
+                }
+
                 // 7. Loop Summary & Observational Logging (Always Visible)
                 if (!tradeExecutedThisLoop && uniqueCandidates.length > 0) {
                     const uniqueReasons = [...new Set(rejectionReasons)].slice(0, 3);
@@ -478,17 +573,35 @@ async function mainLoop() {
                         news_headlines: (botState.newsSentiment || []).slice(0, 20),
                         whale_trades: (botState.whaleAlerts || []).slice(0, 20),
                         copy_signals: (botState.lastCopySignals || []).slice(0, 20),
-                        market_count: relevantMarkets?.length || 0
+                        market_count: relevantMarkets?.length || 0,
+                        // Raw candidate markets in scan order — signal annotations are recomputed on replay
+                        markets: scannedCandidates.slice(0, 40).map(({ market: m, priority }) => ({
+                            id: m.id,
+                            question: m.question,
+                            slug: m.slug,
+                            conditionId: m.conditionID || m.conditionId,
+                            outcomePrices: m.outcomePrices,
+                            volume24hr: m.volume24hr,
+                            liquidityNum: m.liquidityNum,
+                            endDate: m.endDate,
+                            clobTokenIds: m.clobTokenIds,
+                            negRisk: m.negRisk || false,
+                            priority
+                        }))
                     };
                     supabaseService.saveSignalSnapshot(snapshot).catch(e =>
                         console.warn('Signal snapshot save failed:', e.message)
                     );
+                    if (stateManager.storage.saveSnapshot) stateManager.storage.saveSnapshot(snapshot);
                     lastSnapshotTime = Date.now();
                 } catch (e) {
                     // Non-critical — never crash the loop
                 }
             }
 
+            // New positions of this cycle
+            followActiveTrades();
+
             // Heartbeat for Health Check
             botState.lastHeartbeat = new Date().toISOString();
 
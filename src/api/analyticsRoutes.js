@@ -2,12 +2,20 @@
 import express from 'express';
 import { supabase } from '../services/supabaseService.js';
 import { botState } from '../state.js';
+import { strategyRegistry } from '../logic/strategyRegistry.js';
+import { tradeHistory } from '../services/tradeHistory.js';
+import { calibration } from '../logic/calibration.js';
+import { signalAttribution } from '../logic/signalAttribution.js';
+import { riskEngine } from '../logic/riskEngine.js';
 
 const router = express.Router();
 
-// Helper: compute analytics from local botState (works even without Supabase)
+// Registry ids whose analytics card uses another data-strategy attribute
+const CARD_IDS = { 'copy_trade': 'copy' };
+
+// Helper: compute analytics from the local trade history (works even without Supabase)
 function computeLocalAnalytics() {
-    const closed = botState.closedTrades || [];
+    const closed = tradeHistory.all();
     const active = botState.activeTrades || [];
     const allTrades = [...closed];
 
@@ -42,27 +50,11 @@ function computeLocalAnalytics() {
         if ((t.pnl || t.profit || 0) > 0) months[month].wins++;
     });
 
-    // Strategy breakdown — use explicit trade.strategy field, fallback to reasons parsing
+    // Strategy breakdown — trade.strategy, or the registry's legacy patterns for older trades
     const strategies = {};
     allTrades.forEach(t => {
-        let strategy = t.strategy || 'standard';
-        if (strategy === 'standard') {
-            // Fallback: parse from reasons for older trades without strategy field
-            const reasons = t.reasons || t.decisionReasons || [];
-            const reasonStr = Array.isArray(reasons) ? reasons.join(' ') : String(reasons);
-            if (reasonStr.includes('Arbitrage')) strategy = 'arbitrage';
-            else if (reasonStr.includes('Wizard')) strategy = 'wizard';
-            else if (reasonStr.includes('Whale')) strategy = 'whale';
-            else if (reasonStr.includes('DCA')) strategy = 'dca';
-            else if (reasonStr.includes('DEFCON')) strategy = 'defcon';
-            else if (reasonStr.includes('Memory') || reasonStr.includes('momentum')) strategy = 'memory';
-            else if (reasonStr.includes('Catalyst') || reasonStr.includes('Event')) strategy = 'event_driven';
-            else if (reasonStr.includes('Hype Fader')) strategy = 'hype_fader';
-            else if (reasonStr.includes('Smart Momentum')) strategy = 'smart_momentum';
-            else if (reasonStr.includes('Trend Following')) strategy = 'trend_following';
-            else if (reasonStr.includes('Fresh')) strategy = 'fresh_market';
-            else if (reasonStr.includes('Contrarian')) strategy = 'contrarian';
-        }
+        const attributed = strategyRegistry.attribute(t);
+        const strategy = CARD_IDS[attributed] || attributed;
 
         // Track conviction level as secondary tag
         const convScore = t.convictionScore || 0;
@@ -167,11 +159,9 @@ router.get('/strategy', async (req, res) => {
                 .eq('status', 'CLOSED');
             if (!error && trades && trades.length > 0) {
                 const strategies = {};
-                // Normalize strategy names to match analytics card data-strategy attributes
-                const nameMap = { 'copy_trade': 'copy' };
                 for (const t of trades) {
                     const raw = t.strategy || 'standard';
-                    const s = nameMap[raw] || raw;
+                    const s = CARD_IDS[raw] || raw;
                     if (!strategies[s]) strategies[s] = { wins: 0, count: 0, pnl: 0, invested: 0 };
                     strategies[s].count++;
                     strategies[s].pnl += (t.pnl || 0);
@@ -211,52 +201,49 @@ router.get('/monthly', async (req, res) => {
     }
 });
 
-// 5. INTELLIGENCE INFLUENCE — how often each intelligence strategy influenced trades
-router.get('/intelligence', async (req, res) => {
+// 5. INTELLIGENCE INFLUENCE — each strategy's share of the PnL, split by conviction points
+router.get('/intelligence', (req, res) => {
+    res.json(signalAttribution.byStrategy(tradeHistory.all()));
+});
+
+// 6. CALIBRATION — Brier score, log loss and reliability curves (local: trade history + resolved forecasts)
+router.get('/calibration', (req, res) => {
+    const { strategy, category, since } = req.query;
+    if (since && isNaN(Date.parse(since))) {
+        return res.status(400).json({ error: 'since doit être une date ISO' });
+    }
+    res.json(calibration.report({ strategy, category, since, resolvedOnly: req.query.resolvedOnly === 'true' }));
+});
+
+// 7. SIGNAL ATTRIBUTION — realized PnL per signal + "what if this signal were off" over the decision journal
+router.get('/attribution', async (req, res) => {
+    const { from, to, category } = req.query;
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).json({ error: 'from / to doivent être des dates ISO' });
+    }
     try {
-        if (supabase) {
-            const { data: trades, error } = await supabase
-                .from('trades')
-                .select('metadata, pnl')
-                .eq('status', 'CLOSED');
-            if (!error && trades && trades.length > 0) {
-                const intel = {
-                    'news':           { patterns: ['NewsMatch', 'News', 'headline', 'sentiment'], count: 0, wins: 0, pnl: 0 },
-                    'cross_market':   { patterns: ['CrossMarket', 'Correlation penalty', 'Diversity bonus'], count: 0, wins: 0, pnl: 0 },
-                    'smart_entry':    { patterns: ['Timing: Price', 'below avg', 'above recent avg'], count: 0, wins: 0, pnl: 0 },
-                    'tension':        { patterns: ['pizzint', 'DEFCON', 'PizzINT', 'ELEVATED', 'HIGH mode', 'CRITICAL'], count: 0, wins: 0, pnl: 0 },
-                    'memory':         { patterns: ['Memory:', 'accelerating', 'support detected', 'resistance detected'], count: 0, wins: 0, pnl: 0 },
-                    'event':          { patterns: ['Event:', 'Catalyst', 'volume_spike', 'volume spike'], count: 0, wins: 0, pnl: 0 },
-                    'calendar':       { patterns: ['Calendar:', 'off-hours', 'weekend', 'Advanced Size'], count: 0, wins: 0, pnl: 0 },
-                    'anti_fragility': { patterns: ['Recovery Tier', 'Anti-Fragility', 'fragility', 'drawdown'], count: 0, wins: 0, pnl: 0 },
-                    'ai_adapt':       { patterns: ['AI Adaptation', 'AI Feedback', 'Self-Training'], count: 0, wins: 0, pnl: 0 },
-                    'dca':            { patterns: ['DCA', 'dollar cost', 'reinforce'], count: 0, wins: 0, pnl: 0 },
-                };
-                for (const t of trades) {
-                    const reasons = Array.isArray((t.metadata || {}).reasons) ? t.metadata.reasons.join(' ') : '';
-                    for (const [, cfg] of Object.entries(intel)) {
-                        if (cfg.patterns.some(p => reasons.includes(p))) {
-                            cfg.count++;
-                            cfg.pnl += (t.pnl || 0);
-                            if ((t.pnl || 0) > 0) cfg.wins++;
-                        }
-                    }
-                }
-                const total = trades.length;
-                const result = Object.entries(intel).map(([key, d]) => ({
-                    strategy: key,
-                    influenced_trades: d.count,
-                    total_trades: total,
-                    influence_percent: total > 0 ? (d.count / total * 100) : 0,
-                    win_rate_percent: d.count > 0 ? (d.wins / d.count * 100) : 0,
-                    total_pnl: d.pnl,
-                })).sort((a, b) => b.influenced_trades - a.influenced_trades);
-                return res.json(result);
-            }
-        }
-        res.json([]);
+        // Instants, as the journal compares them; a bare `to` date covers the whole day
+        const fromMs = from ? Date.parse(from) : -Infinity;
+        const toMs = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 86400000 - 1 : 0) : Infinity;
+        const trades = tradeHistory.all().filter(t => {
+            const at = Date.parse(t.closedAt || t.endTime || t.startTime);
+            return (!category || t.category === category) && ((!from && !to) || (at >= fromMs && at <= toMs));
+        });
+        res.json({
+            realized: signalAttribution.byStrategy(trades),
+            marginal: await signalAttribution.marginal({ from, to, category })
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 8. PORTFOLIO RISK — correlations, VaR / CVaR and stress clusters of the open positions
+router.get('/risk', async (req, res) => {
+    try {
+        res.json(await riskEngine.assess());
     } catch (err) {
-        res.json([]);
+        res.status(500).json({ error: err.message });
     }
 });
 
@@ -1,57 +1,91 @@
 
 import express from 'express';
-import { runBacktestSimulation } from '../logic/backtestSimulator.js';
+import { runBacktestSimulation, rerunBacktest } from '../logic/backtestSimulator.js';
 import { supabase } from '../services/supabaseService.js';
+import { backtestDatasetStore } from '../services/backtestDatasetStore.js';
+import { runParameterSweep } from '../logic/parameterSweep.js';
+import { runReplay } from '../logic/replayEngine.js';
 
 const router = express.Router();
 
+let sweepRunning = false;
+let replayRunning = false;
+
+/**
+ * Build a simulation_runs row. The manifest (seed, config hash, dataset hash)
+ * lives in strategy_config so any run can be replayed by its ID.
+ */
+function buildRunRow(result, runType, extra = {}) {
+    const { metrics, summary, logs, trainMetrics, testMetrics, manifest } = result;
+    return {
+        trade_count: summary.tradesCount,
+        result_pnl: summary.totalPnL,
+        result_roi: metrics.roi,
+        initial_capital: summary.initialCapital,
+        final_capital: summary.finalCapital,
+        sharpe_ratio: metrics.sharpeRatio,
+        max_drawdown: metrics.maxDrawdown,
+        strategy_config: {
+            runType,
+            runId: manifest?.runId || null,
+            winrate: parseFloat(summary.winrate),
+            marketsScanned: summary.tradesCount + summary.ignored,
+            sharpeRatio: metrics.sharpeRatio,
+            maxDrawdown: metrics.maxDrawdown,
+            avgReturnPerTrade: metrics.avgReturnPerTrade,
+            manifest: manifest || null,
+            ...extra
+        },
+        metrics: {
+            combined: metrics,
+            trainMetrics: trainMetrics || null,
+            testMetrics: testMetrics || null,
+            walkForward: result.walkForward || null,
+            sampleSize: metrics.sampleSize,
+            isReliable: metrics.isReliable
+        },
+        logs: logs
+    };
+}
+
 /**
  * POST /api/run-backtest
  * Runs a realistic backtest using real resolved Polymarket markets.
+ * Body (optional): { seed } to force the PRNG seed, { dataset } to run offline on a stored version
  */
 router.post('/run-backtest', async (req, res) => {
+    const rawSeed = req.body?.seed;
+    const seed = rawSeed !== undefined && rawSeed !== null && rawSeed !== '' ? Number(rawSeed) : undefined;
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+        return res.status(400).json({ success: false, error: 'seed doit être un entier entre 0 et 4294967295' });
+    }
+
+    const dataset = req.body?.dataset || undefined;
+    if (dataset !== undefined && (typeof dataset !== 'string' || !/^(latest|\d{4}-\d{2}-\d{2}(\.\d+)?)$/.test(dataset))) {
+        return res.status(400).json({ success: false, error: "dataset doit être 'latest' ou une version YYYY-MM-DD" });
+    }
+
     try {
-        const result = await runBacktestSimulation();
+        const result = await runBacktestSimulation({ seed, dataset });
 
         if (result.error) {
             return res.json({ success: false, error: result.error, output: result.logs.join('\n') });
         }
 
-        const { metrics, summary, logs, tradeResults, trainMetrics, testMetrics } = result;
+        const { metrics, summary, logs, manifest } = result;
 
         // Log results to Supabase asynchronously
         if (supabase && metrics) {
-            supabase.from('simulation_runs').insert({
-                trade_count: summary.tradesCount,
-                result_pnl: summary.totalPnL,
-                result_roi: metrics.roi,
-                initial_capital: summary.initialCapital,
-                final_capital: summary.finalCapital,
-                sharpe_ratio: metrics.sharpeRatio,
-                max_drawdown: metrics.maxDrawdown,
-                strategy_config: {
-                    runType: 'MANUAL',
-                    winrate: parseFloat(summary.winrate),
-                    marketsScanned: summary.tradesCount + summary.ignored,
-                    sharpeRatio: metrics.sharpeRatio,
-                    maxDrawdown: metrics.maxDrawdown,
-                    avgReturnPerTrade: metrics.avgReturnPerTrade
-                },
-                metrics: {
-                    combined: metrics,
-                    trainMetrics: trainMetrics || null,
-                    testMetrics: testMetrics || null,
-                    sampleSize: metrics.sampleSize,
-                    isReliable: metrics.isReliable
-                },
-                logs: logs
-            }).then(({ error }) => {
+            supabase.from('simulation_runs').insert(buildRunRow(result, 'MANUAL')).then(({ error }) => {
                 if (error) console.error('Failed to save manual backtest run:', error);
             });
         }
 
         res.json({
             success: true,
+            runId: manifest.runId,
+            seed: manifest.seed,
+            manifest,
             trades: summary.tradesCount,
             roi: metrics ? metrics.roi.toFixed(2) + '%' : '0%',
             winrate: summary.winrate + '%',
@@ -83,4 +117,130 @@ router.get('/backtest-results', async (req, res) => {
     res.json({ runs: data });
 });
 
+/**
+ * POST /api/backtest/sweep
+ * Grid search: runs the walk-forward backtest for every combination of config values.
+ * Body: { ranges: { "KELLY_FRACTION": [0.1, 0.15], "STOP_LOSS_PERCENT": { "min": 0.06, "max": 0.12, "step": 0.02 },
+ *                   "SMART_EXIT.TP_MAP": [{ "LOW": 0.1, "MEDIUM": 0.15, "HIGH": 0.25 }] },
+ *         dataset?, seed?, sortBy? }
+ */
+router.post('/backtest/sweep', async (req, res) => {
+    if (sweepRunning) return res.status(409).json({ success: false, error: 'Un sweep est déjà en cours' });
+
+    const { ranges, dataset, sortBy } = req.body || {};
+    const seed = req.body?.seed !== undefined ? Number(req.body.seed) : undefined;
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+        return res.status(400).json({ success: false, error: 'seed doit être un entier entre 0 et 4294967295' });
+    }
+
+    sweepRunning = true;
+    try {
+        const started = Date.now();
+        const sweep = await runParameterSweep({ ranges, dataset, seed, sortBy });
+        if (sweep.error) return res.status(400).json({ success: false, error: sweep.error });
+
+        res.json({ success: true, durationMs: Date.now() - started, ...sweep });
+    } catch (error) {
+        console.error('Backtest sweep error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        sweepRunning = false;
+    }
+});
+
+// GET /api/backtest-datasets
+// Offline dataset versions built by `npm run dataset:sync`
+router.get('/backtest-datasets', (req, res) => {
+    res.json({ datasets: backtestDatasetStore.list().map(({ path: _, ...d }) => d) });
+});
+
+/**
+ * POST /api/backtest-results/:id/rerun
+ * Replays a past run exactly (same seed, dataset snapshot and learning params).
+ * :id is either the simulation_runs row id or the manifest runId (bt_...).
+ */
+router.post('/backtest-results/:id/rerun', async (req, res) => {
+    if (!supabase) return res.status(503).json({ success: false, error: 'Supabase non configuré' });
+
+    const { id } = req.params;
+    try {
+        const query = supabase.from('simulation_runs').select('*');
+        const { data, error } = await (id.startsWith('bt_')
+            ? query.eq('strategy_config->>runId', id)
+            : query.eq('id', id)
+        ).order('run_at', { ascending: false }).limit(1);
+
+        if (error) return res.status(500).json({ success: false, error: error.message });
+        const original = data?.[0];
+        if (!original) return res.status(404).json({ success: false, error: `Simulation ${id} introuvable` });
+
+        const manifest = original.strategy_config?.manifest;
+        if (!manifest) {
+            return res.status(409).json({ success: false, error: 'Simulation antérieure au manifest (seed/dataset inconnus), rejouable impossible' });
+        }
+
+        const result = await rerunBacktest(manifest);
+        if (result.error) {
+            return res.status(409).json({ success: false, error: result.error, output: result.logs.join('\n') });
+        }
+
+        const { metrics, summary, logs, reproduction } = result;
+        const pnlDiff = summary.totalPnL - (original.result_pnl ?? 0);
+        const comparison = {
+            original: { trades: original.trade_count, pnl: original.result_pnl, roi: original.result_roi },
+            rerun: { trades: summary.tradesCount, pnl: summary.totalPnL, roi: metrics.roi },
+            pnlDiff,
+            identical: summary.tradesCount === original.trade_count && Math.abs(pnlDiff) < 1e-6
+        };
+
+        supabase.from('simulation_runs').insert(buildRunRow(result, 'RERUN', { rerunOf: original.id })).then(({ error: insertError }) => {
+            if (insertError) console.error('Failed to save backtest rerun:', insertError);
+        });
+
+        res.json({
+            success: true,
+            runId: result.manifest.runId,
+            reproduction: { ...reproduction, ...comparison },
+            output: logs.join('\n')
+        });
+    } catch (error) {
+        console.error('Backtest rerun error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/replay
+ * Replays recorded signal snapshots through the current decision code and diffs
+ * the result against the trades actually taken.
+ * Body: { from?, to? (ISO, default last 24h), initialCapital?, tradesPerSnapshot? }
+ */
+router.post('/replay', async (req, res) => {
+    if (replayRunning) return res.status(409).json({ success: false, error: 'Un replay est déjà en cours' });
+
+    const { from, to } = req.body || {};
+    const initialCapital = req.body?.initialCapital !== undefined ? Number(req.body.initialCapital) : undefined;
+    const tradesPerSnapshot = req.body?.tradesPerSnapshot !== undefined ? Number(req.body.tradesPerSnapshot) : undefined;
+    if (initialCapital !== undefined && !(initialCapital > 0)) {
+        return res.status(400).json({ success: false, error: 'initialCapital doit être un nombre positif' });
+    }
+    if (tradesPerSnapshot !== undefined && !(Number.isInteger(tradesPerSnapshot) && tradesPerSnapshot > 0)) {
+        return res.status(400).json({ success: false, error: 'tradesPerSnapshot doit être un entier positif' });
+    }
+
+    replayRunning = true;
+    try {
+        const started = Date.now();
+        const replay = await runReplay({ from, to, initialCapital, tradesPerSnapshot });
+        if (replay.error) return res.status(400).json({ success: false, error: replay.error });
+
+        res.json({ success: true, durationMs: Date.now() - started, ...replay });
+    } catch (error) {
+        console.error('Replay error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        replayRunning = false;
+    }
+});
+
 export default router;
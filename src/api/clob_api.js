@@ -2,11 +2,16 @@
  * CLOB API MODULE - Polymarket Central Limit Order Book
  * Provides real-time order book, pricing, and trade history data
  * Base URL: https://clob.polymarket.com
+ * Books and midpoints come from the WebSocket feed (marketDataFeed) when it
+ * follows the token, REST otherwise.
  */
 
-const CLOB_BASE_URL = 'https://clob.polymarket.com';
+import { marketDataFeed } from '../services/marketDataFeed.js';
+
+const CLOB_BASE_URL = process.env.CLOB_BASE_URL || 'https://clob.polymarket.com';
 const CACHE_TTL_ORDER_BOOK = 30000; // 30 seconds
 const CACHE_TTL_TRADES = 300000; // 5 minutes
+const CACHE_TTL_HISTORY = 1800000; // 30 minutes
 
 // Cache storage
 const cache = new Map();
@@ -78,6 +83,9 @@ function setCache(key, data) {
  * @returns {Object|null} Order book with bids and asks
  */
 export async function getCLOBOrderBook(tokenId) {
+    const live = marketDataFeed.getBook(tokenId);
+    if (live) return live;
+
     const cacheKey = `book_${tokenId}`;
     const cached = getCached(cacheKey, CACHE_TTL_ORDER_BOOK);
     if (cached) return cached;
@@ -159,6 +167,9 @@ export async function getCLOBPrice(tokenId, side = 'BUY') {
  * @returns {number|null} Midpoint price
  */
 export async function getCLOBMidpoint(tokenId) {
+    const live = marketDataFeed.getMid(tokenId);
+    if (live !== null) return live;
+
     const cacheKey = `midpoint_${tokenId}`;
     const cached = getCached(cacheKey, CACHE_TTL_ORDER_BOOK);
     if (cached) return cached;
@@ -220,6 +231,40 @@ export async function getCLOBTradeHistory(marketId) {
     }
 }
 
+/**
+ * GET /prices-history - Price series of a token
+ * @param {string} tokenId - The token ID
+ * @param {Object} [options] - { interval: '1d' | '1w' | '1m' | 'max', fidelity: minutes per point }
+ * @returns {Array<{t: number, p: number}>|null} t in unix seconds, oldest first
+ */
+export async function getCLOBPriceHistory(tokenId, { interval = '1w', fidelity = 60 } = {}) {
+    const cacheKey = `history_${tokenId}_${interval}_${fidelity}`;
+    const cached = getCached(cacheKey, CACHE_TTL_HISTORY);
+    if (cached) return cached;
+
+    try {
+        const url = `${CLOB_BASE_URL}/prices-history?market=${tokenId}&interval=${interval}&fidelity=${fidelity}`;
+        const response = await fetchWithRetry(url);
+
+        if (!response.ok) {
+            throw new Error(`CLOB /prices-history returned ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data?.history)) return null;
+
+        const history = data.history
+            .map(point => ({ t: Number(point.t), p: parseFloat(point.p) }))
+            .filter(point => Number.isFinite(point.t) && point.p >= 0 && point.p <= 1);
+        setCache(cacheKey, history);
+        return history;
+    } catch (error) {
+        if (error.message.includes('401') || error.message.includes('403')) return null;
+        console.error(`❌ CLOB Price History Error (${tokenId}):`, error.message);
+        return null;
+    }
+}
+
 /**
  * GET /markets - Get all markets with order book data
  * @returns {Array|null} Array of markets
@@ -276,15 +321,19 @@ export function analyzeSpread(orderBook) {
         };
     }
 
-    const bestBid = parseFloat(bids[0].price);
-    const bestAsk = parseFloat(asks[0].price);
+    // The CLOB does not return levels best-first — pick the best levels explicitly
+    const topBid = bids.reduce((best, l) => parseFloat(l.price) > parseFloat(best.price) ? l : best, bids[0]);
+    const topAsk = asks.reduce((best, l) => parseFloat(l.price) < parseFloat(best.price) ? l : best, asks[0]);
+
+    const bestBid = parseFloat(topBid.price);
+    const bestAsk = parseFloat(topAsk.price);
     const spread = bestAsk - bestBid;
     const midPrice = (bestBid + bestAsk) / 2;
     const spreadPercent = (spread / midPrice) * 100;
 
     // Calculate liquidity depth (total size at best prices)
-    const bidSize = parseFloat(bids[0].size || 0);
-    const askSize = parseFloat(asks[0].size || 0);
+    const bidSize = parseFloat(topBid.size || 0);
+    const askSize = parseFloat(topAsk.size || 0);
 
     let liquidity = 'low';
     if (bidSize > 100 && askSize > 100) liquidity = 'high';
@@ -1,23 +1,13 @@
 import express from 'express';
 import { screenshotService } from '../services/screenshotService.js';
 import { CONFIG } from '../config.js';
+import { authService, requireRole } from '../services/authService.js';
+import { describeChange } from '../services/auditLog.js';
 import fs from 'fs';
 import path from 'path';
 
 const router = express.Router();
 
-// Middleware to check for simple admin key query param
-const checkAdminKey = (req, res, next) => {
-    // Basic protection: ?key=... (You can set ADMIN_KEY in .env)
-    const key = req.query.key;
-    const requiredKey = process.env.ADMIN_KEY || 'debug123';
-
-    if (key !== requiredKey) {
-        return res.status(403).json({ error: 'Unauthorized: Invalid key' });
-    }
-    next();
-};
-
 router.get('/ping', (req, res) => {
     res.send('pong');
 });
@@ -26,14 +16,15 @@ router.get('/ping', (req, res) => {
  * GET /api/debug/screenshot
  * Params:
  *  - view: 'dashboard' | 'marketplace' | 'logs' (default: dashboard)
- *  - key: Admin Key
+ * Admin only. The headless browser gets its own short-lived viewer session.
  */
-router.get('/screenshot', checkAdminKey, async (req, res) => {
+router.get('/screenshot', requireRole('admin'), async (req, res) => {
+    const session = authService.createSession({ name: `screenshot:${req.auth.name}`, role: 'viewer' }, 2 * 60 * 1000);
     try {
         const view = req.query.view || 'dashboard';
         console.log(`📸 Received screenshot request for view: ${view}`);
 
-        const buffer = await screenshotService.capture(view);
+        const buffer = await screenshotService.capture(view, { name: CONFIG.AUTH.COOKIE_NAME, value: session.id });
 
         res.set('Content-Type', 'image/png');
         res.send(buffer);
@@ -41,14 +32,16 @@ router.get('/screenshot', checkAdminKey, async (req, res) => {
     } catch (error) {
         console.error("DEBUG API Error:", error);
         res.status(500).json({ error: 'Screenshot failed', details: error.message });
+    } finally {
+        authService.destroySession(session.id);
     }
 });
 
 /**
  * GET /api/debug/logs
- * Read logs.txt from root
+ * Read logs.txt from root (admin only)
  */
-router.get('/logs', checkAdminKey, (req, res) => {
+router.get('/logs', requireRole('admin'), (req, res) => {
     try {
         const logPath = path.join(process.cwd(), 'logs.txt');
         if (fs.existsSync(logPath)) {
@@ -99,9 +92,9 @@ router.post('/log', async (req, res) => {
 /**
  * POST /api/debug/reset-bot
  * Trigger full bot reset (database + memory)
- * Uses the script functionality but via API
+ * Uses the script functionality but via API (admin only)
  */
-router.post('/reset-bot', checkAdminKey, async (req, res) => {
+router.post('/reset-bot', requireRole('admin'), async (req, res) => {
     try {
         console.log("⚠️ RESET REQUESTED VIA DASHBOARD");
 
@@ -123,6 +116,13 @@ router.post('/reset-bot', checkAdminKey, async (req, res) => {
         const { stateManager } = await import('../state.js');
         const { CONFIG } = await import('../config.js');
 
+        const before = {
+            capital: stateManager.data.capital,
+            activeTrades: stateManager.data.activeTrades.length,
+            closedTrades: stateManager.data.closedTrades.length,
+            totalTrades: stateManager.data.totalTrades
+        };
+
         // Reset memory
         stateManager.data.capital = CONFIG.STARTING_CAPITAL || 1000;
         stateManager.data.activeTrades = [];
@@ -137,7 +137,15 @@ router.post('/reset-bot', checkAdminKey, async (req, res) => {
             message: '⚠️ BOT RESET VIA DASHBOARD'
         });
 
-        // Save to disk
+        describeChange(res, {
+            action: 'reset.bot', before,
+            after: { capital: stateManager.data.capital, activeTrades: 0, closedTrades: 0, totalTrades: 0 },
+            summary: `☢️ Reset du bot via dashboard — capital $${before.capital.toFixed(2)} → $${stateManager.data.capital}`
+        });
+
+        // Save to disk (the local trade history goes with the Supabase trades)
+        const { tradeHistory } = await import('../services/tradeHistory.js');
+        tradeHistory.clear();
         stateManager.save();
 
         res.json({ ok: true, message: 'Bot reset successfully' });
@@ -11,7 +11,7 @@ function safeLog(msg) {
 
 // --- News cache to avoid hammering Google News ---
 let newsCache = new Map(); // keyword -> { articles, timestamp }
-const CACHE_TTL = CONFIG.NEWS?.CACHE_TTL_MS || 10 * 60 * 1000; // 10 min default
+const cacheTtl = () => CONFIG.NEWS?.CACHE_TTL_MS || 10 * 60 * 1000; // 10 min default (read per call: hot-reloadable)
 
 // --- OSINT reliable sources (RSS) ---
 const OSINT_NEWS_SOURCES = [
@@ -109,7 +109,7 @@ function analyzeHeadlineSentiment(title) {
 async function fetchGoogleNewsRSS(query, maxArticles = 8) {
     const cacheKey = query.toLowerCase().trim();
     const cached = newsCache.get(cacheKey);
-    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+    if (cached && (Date.now() - cached.timestamp) < cacheTtl()) {
         return cached.articles;
     }
 
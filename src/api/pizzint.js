@@ -1,6 +1,7 @@
 
 import { addLog } from '../utils.js';
 import { botState } from '../state.js';
+import { eventStream } from '../services/eventStream.js';
 
 // --- Tension history for trend detection ---
 const tensionHistory = []; // Max 60 entries (~1h at 1min intervals)
@@ -245,6 +246,7 @@ export async function getPizzaData() {
         const blendedTensionScore = Math.min(100, Math.round(tensionScore * 0.9 + osintBoost));
 
         // --- Update history and compute trend ---
+        const previous = tensionHistory[tensionHistory.length - 1];
         tensionHistory.push({
             timestamp: Date.now(),
             tensionScore: blendedTensionScore,
@@ -252,6 +254,15 @@ export async function getPizzaData() {
         });
         while (tensionHistory.length > MAX_HISTORY) tensionHistory.shift();
         const tensionTrend = computeTensionTrend();
+        if (!previous || previous.tensionScore !== blendedTensionScore || previous.defcon !== defcon) {
+            eventStream.publish('tension_change', {
+                tensionScore: blendedTensionScore,
+                previousScore: previous?.tensionScore ?? null,
+                defcon,
+                previousDefcon: previous?.defcon ?? null,
+                tensionTrend
+            });
+        }
 
         return {
             // Legacy fields (backward compatible)
@@ -5,7 +5,7 @@ const DATA_API = 'https://data-api.polymarket.com';
 
 // Cache to avoid spamming the API
 let whaleTradesCache = { data: null, timestamp: 0 };
-const CACHE_TTL = CONFIG.WHALE_TRACKING?.CACHE_TTL_MS || 5 * 60 * 1000; // 5 min
+const cacheTtl = () => CONFIG.WHALE_TRACKING?.CACHE_TTL_MS || 5 * 60 * 1000; // 5 min (read per call: hot-reloadable)
 
 async function fetchWithTimeout(url, timeoutMs = 15000) {
     const controller = new AbortController();
@@ -26,7 +26,7 @@ async function fetchWithTimeout(url, timeoutMs = 15000) {
  */
 export async function fetchWhaleTrades() {
     const now = Date.now();
-    if (whaleTradesCache.data && (now - whaleTradesCache.timestamp) < CACHE_TTL) {
+    if (whaleTradesCache.data && (now - whaleTradesCache.timestamp) < cacheTtl()) {
         return whaleTradesCache.data;
     }
 
@@ -2,6 +2,9 @@
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,10 +17,16 @@ const VOLUME_PATH = process.env.RAILWAY_VOLUME_MOUNT_PATH ||
     process.env.STORAGE_PATH;
 
 const DATA_FILE_PATH = VOLUME_PATH ? path.join(VOLUME_PATH, 'bot_data.json') : path.join(ROOT_DIR, 'bot_data.json');
+const JOURNAL_DIR = path.join(VOLUME_PATH || ROOT_DIR, 'journal');
+const BACKTEST_DATASET_DIR = path.join(VOLUME_PATH || ROOT_DIR, 'backtest_datasets');
+const SQLITE_FILE_PATH = path.join(VOLUME_PATH || ROOT_DIR, 'bot_data.db');
+const TRADE_HISTORY_PATH = path.join(VOLUME_PATH || ROOT_DIR, 'closed_trades.jsonl');
 
 const IS_PROD = process.env.NODE_ENV === 'production' || !!process.env.RAILWAY_STATIC_URL;
 const ENABLE_GITHUB_SYNC = false; // Disabled by default to prevent Railway Infinite Loops
 
+// Defaults layer: bot_config.json, CONFIG__* env vars and PATCH /api/config override
+// these leaves at runtime (services/configService.js)
 export const CONFIG = {
     ROOT_DIR,
     ENABLE_GITHUB_SYNC,
@@ -51,13 +60,27 @@ export const CONFIG = {
     KEYWORDS: [],
     FALLBACK_KEYWORDS: ['War', 'Strike', 'Election', 'Bitcoin', 'Economy'],
     DATA_FILE: DATA_FILE_PATH,
+    // Persistence backend under StateManager (services/storage.js) — env only, it is
+    // opened when state.js loads, before the config file / env layers are applied
+    STORAGE: {
+        BACKEND: process.env.STORAGE_BACKEND || 'json', // 'json' = bot_data.json | 'sqlite' = tables with full history
+        SQLITE_FILE: process.env.SQLITE_FILE || SQLITE_FILE_PATH, // bot_data.db next to bot_data.json
+        TRADE_HISTORY_FILE: TRADE_HISTORY_PATH, // json backend: every closed trade, one per line (SQLite: trades table)
+    },
+    // Append-only trade decision journal (accepted + rejected candidates)
+    DECISION_JOURNAL: {
+        ENABLED: true,
+        DIR: JOURNAL_DIR,          // One JSONL file per day: trade_decisions-YYYY-MM-DD.jsonl
+        MAX_FILE_MB: 20,           // Roll over to trade_decisions-YYYY-MM-DD.N.jsonl past this size
+        RETENTION_DAYS: 30,        // Older files are deleted on rotation
+    },
     PORT: process.env.PORT || 3000,
     KEYWORD_UPDATE_INTERVAL: 60 * 60 * 1000, // 1 heure
     TAKE_PROFIT_PERCENT: 0.15,  // 15% (raised from 10% — was cutting winners too early)
     STOP_LOSS_PERCENT: 0.08,     // -8% (70% of spikes revert in 24h)
     TRADE_TIMEOUT_HOURS: 48,     // Auto-close after 48h to free capital
     DAILY_LOSS_LIMIT: 0.03,      // -3% daily halt threshold
-    WEEKLY_LOSS_LIMIT: 0.07,     // -7% weekly position reduction
+    WEEKLY_LOSS_LIMIT: 0.07,     // -7% rolling 7-day halt threshold (tiers in WEEKLY_DRAWDOWN)
     DYNAMIC_SL: {
         VOLATILITY_MAP: {
             crypto: 0.20,
@@ -181,7 +204,25 @@ export const CONFIG = {
             HIGH_LIQUIDITY: { minVolume: 50000, minLiquidity: 20000, slippage: 0.003 },
             MEDIUM: { minVolume: 5000, minLiquidity: 2000, slippage: 0.015 },
             LOW: { slippage: 0.03 }
-        }
+        },
+        DATASET_DIR: BACKTEST_DATASET_DIR, // Offline datasets (dataset-YYYY-MM-DD.json) + run snapshots (<datasetHash>.json)
+        DATASET_SNAPSHOTS_KEEP: 20,      // Oldest run snapshots pruned beyond this (dataset versions are kept)
+        SYNC_PAGES: 3,                   // Gamma pages of 50 closed events per fetch/sync
+        SWEEP_MAX_COMBINATIONS: 64,      // Grid search cap (POST /api/backtest/sweep, npm run backtest:sweep)
+        WALK_FORWARD: {
+            MODE: 'anchored',            // 'anchored' (train on all past blocks) | 'rolling' (last TRAIN_BLOCKS only)
+            FOLDS: 4,                    // Sample (sorted by end date) cut into FOLDS+1 blocks
+            TRAIN_BLOCKS: 1,             // Rolling mode: blocks in each train window
+            MIN_BLOCK_SIZE: 5,           // Fewer folds when the sample is too small
+        },
+        // Overfit gate on per-fold out-of-sample dispersion (strategyAdapter.detectOverfit)
+        OVERFIT: {
+            MIN_MEAN_TEST_ROI: -5,       // Mean out-of-sample ROI below this (%) is a red flag
+            HARD_FAIL_TEST_ROI: -10,     // ...and below this it fails on its own
+            MIN_POSITIVE_FOLD_SHARE: 0.5, // Profitable in-sample but fewer profitable test folds than this
+            MAX_ROI_DISPERSION: 1.5,     // stdTestROI > this × |meanTestROI| (and > 2%) = unstable
+            MIN_SHARPE_RETENTION: 0.3,   // Test Sharpe keeps less than 30% of train Sharpe
+        },
     },
     // Whale Tracking (Polymarket Data API — real trades)
     WHALE_TRACKING: {
@@ -203,6 +244,23 @@ export const CONFIG = {
         CONVICTION_BONUS: 12,          // +12 conviction if semantic arb aligns with trade direction
         MAX_OPPORTUNITIES: 25,         // Keep top 25 opportunities per deep scan cycle
     },
+    // NegRisk event arbitrage (eventArbitrage.js — baskets across all outcomes of a Gamma event)
+    EVENT_ARB: {
+        ENABLED: true,
+        AUTO_EXECUTE: false,           // Open the best basket found (one per loop) — opt-in, scan only by default
+        MIN_EDGE: 0.015,               // Basket must return ≥ 1.5% after walking the books
+        PRECHECK_MARGIN: 0.03,         // Only fetch books when Gamma quotes are within 3% of the bound
+        MAX_EVENTS_PER_SCAN: 8,        // Events loaded per deep scan (1 Gamma call + 1 book per leg)
+        MAX_LEGS: 12,                  // Skip events with more outcomes (every leg is an open position)
+        MIN_LEG_SHARES: 5,             // CLOB minimum order size
+        MAX_BASKET_USD: 150,           // Also bounded by the arbitrage sleeve and the liquidity reserve
+        MAX_OPEN_BASKETS: 3,
+    },
+    // Multi-leg positions (positionGroups.js): exits apply to the combined PnL of the legs
+    POSITION_GROUPS: {
+        ARBITRAGE_PAIR: { TAKE_PROFIT_PCT: 0.03, STOP_LOSS_PCT: 0.08 },
+        EVENT_BASKET:   { TAKE_PROFIT_PCT: null, STOP_LOSS_PCT: null }, // Payout locked at entry: held to resolution
+    },
     // Signal Stacking — compound bonuses when multiple independent signals align
     // "Smart money consensus": the more independent signals agree, the stronger the edge
     SIGNAL_STACKING: {
@@ -310,6 +368,26 @@ export const CONFIG = {
         PROTECTED: ['standard'],     // These strategies are NEVER auto-disabled
     },
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // CAPITAL SLEEVES — per-strategy budgets (see logic/capitalSleeves.js)
+    // Strategies without a sleeve share the 'general' sleeve (the remainder)
+    // ─────────────────────────────────────────────────────────────────────────
+    CAPITAL_SLEEVES: {
+        ENABLED: true,
+        ALLOCATIONS: {               // Starting share of total capital (cash + invested)
+            copy_trade: 0.20,
+            weather:    0.15,
+            arbitrage:  0.10,
+        },
+        MIN_PCT:          0.03,      // An underperforming sleeve shrinks down to 3%, never to zero
+        MAX_PCT:          0.30,      // A winning sleeve grows up to 30%
+        GENERAL_MIN_PCT:  0.30,      // The shared sleeve always keeps at least 30%
+        REBALANCE_STEP:   0.20,      // Max relative change per rebalance (x0.8 / x1.2)
+        REBALANCE_INTERVAL_HOURS: 6, // Rebalanced from evaluateStrategyPerformance at most every 6h
+        DRAWDOWN_THROTTLE_PCT: 0.25, // Sleeve drawdown ≥ 25% of its budget → Kelly fraction cut
+        DRAWDOWN_KELLY_MULT:   0.5,  // ... to 50%
+    },
+
     // ─────────────────────────────────────────────────────────────────────────
     // MONTHLY DRAWDOWN PROTECTION — 3-tier automatic risk reduction
     // Resets automatically on the 1st of each month
@@ -328,6 +406,20 @@ export const CONFIG = {
         CONSERVATION_NO_SPECULATIVE: true, // No markets priced < 0.35
     },
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // WEEKLY LOSS CIRCUIT BREAKER — rolling 7-day realized PnL
+    // NORMAL → CAUTION → REDUCED → HALT (halt = WEEKLY_LOSS_LIMIT)
+    // ─────────────────────────────────────────────────────────────────────────
+    WEEKLY_DRAWDOWN: {
+        WINDOW_DAYS: 7,
+        // Thresholds (% of starting capital lost over the window)
+        CAUTION_PCT: 0.035,      // -3.5% → Caution
+        REDUCED_PCT: 0.05,       // -5%   → Reduced
+        // HALT at -WEEKLY_LOSS_LIMIT (7%) → no new trades until the window rolls off
+        CAUTION_SIZE_MULT: 0.75, // Positions × 0.75
+        REDUCED_SIZE_MULT: 0.50, // Positions × 0.5
+    },
+
     // ─────────────────────────────────────────────────────────────────────────
     // LIQUIDITY-ADJUSTED EDGE REQUIREMENT
     // Illiquid markets = wider spreads + harder fills → require stronger signal
@@ -402,4 +494,129 @@ export const CONFIG = {
         SIZE_MULTIPLIER: 1.2,                // Weather trades get +20% size (science edge)
         MAX_WEATHER_CATEGORY: 4,             // Max 4 weather trades at once
     },
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // FILL SIMULATOR (order book walking)
+    // Paper entries fill at the VWAP of the levels walked, not at the top of book.
+    // Backtests walk a synthetic book sized from the market's reported liquidity.
+    // ─────────────────────────────────────────────────────────────────────────
+    FILL_SIM: {
+        MAX_SLIPPAGE: 0.05,           // Never walk more than 5% beyond the best level
+        MIN_FILL_RATIO: 0.5,          // Reject if the book absorbs less than 50% of the size
+        TICK_SIZE: 0.01,
+        SYNTHETIC_LEVELS: 10,         // Levels per side in backtest books
+        SYNTHETIC_DEPTH_SHARE: 0.5,   // Share of liquidityNum resting on each side
+    },
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // MARKET DATA FEED (CLOB market WebSocket)
+    // Live order books for open positions + shortlisted candidates; every price
+    // move on an open position re-runs the exit checks. REST polling stays as fallback.
+    // ─────────────────────────────────────────────────────────────────────────
+    MARKET_FEED: {
+        ENABLED: process.env.MARKET_FEED !== 'off',
+        URL: process.env.CLOB_WS_URL || 'wss://ws-subscriptions-clob.polymarket.com/ws/market',
+        PING_INTERVAL_MS: 10000,      // Server drops idle connections
+        RECONNECT_MIN_MS: 1000,       // Backoff doubles up to RECONNECT_MAX_MS
+        RECONNECT_MAX_MS: 60000,
+        MAX_TOKENS: 200,              // Subscription cap (open positions always kept)
+        MAX_CANDIDATES: 30,           // Shortlisted markets followed (both outcome tokens)
+        EXIT_CHECK_THROTTLE_MS: 3000, // Min delay between two event-triggered exit checks
+        MIN_MOVE: 0.005,              // Mid move that triggers an exit check
+    },
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // EXECUTION LAYER (paper vs live CLOB)
+    // 'paper' = current behavior, fills simulated at the computed entry price
+    // 'live'  = EIP-712 signed limit orders posted to the CLOB (needs WALLET_PRIVATE_KEY)
+    // ─────────────────────────────────────────────────────────────────────────
+    EXECUTION: {
+        MODE: (process.env.EXECUTION_MODE || 'paper').toLowerCase(),
+        CLOB_URL: process.env.CLOB_BASE_URL || 'https://clob.polymarket.com',
+        CHAIN_ID: parseInt(process.env.CHAIN_ID || '137'),           // Polygon mainnet
+        EXCHANGE_ADDRESS: '0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E',          // CTF Exchange
+        NEG_RISK_EXCHANGE_ADDRESS: '0xC5d563A36AE78145C45a50134d48A1215220f80a', // Neg Risk CTF Exchange
+        SIGNATURE_TYPE: parseInt(process.env.SIGNATURE_TYPE || '0'), // 0 = EOA, 1 = Poly proxy, 2 = Gnosis safe
+        FUNDER_ADDRESS: process.env.FUNDER_ADDRESS || null,          // Maker address if different from signer (proxy wallets)
+        ENTRY_ORDER_TYPE: 'GTC',      // Entry orders rest on the book until filled, cancelled or timed out
+        EXIT_ORDER_TYPE: 'FOK',       // Exits are all-or-nothing — a failed exit is retried next cycle
+        TICK_SIZE: 0.01,              // Price increment accepted by most markets
+        FEE_RATE_BPS: 0,
+        ORDER_TTL_MINUTES: 10,        // Cancel resting entry orders not filled after 10 min
+        EXIT_SLIPPAGE: 0.01,          // Sell limit 1 tick below target to cross the spread
+    },
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // API AUTH (authService.js)
+    // Tokens from API_TOKENS="name:role:token,..." — roles viewer < operator < admin.
+    // Reads need viewer, writes operator, resets / debug routes admin.
+    // ─────────────────────────────────────────────────────────────────────────
+    AUTH: {
+        SESSION_TTL_HOURS: 12,        // Dashboard login lifetime
+        PUBLIC_READ: process.env.AUTH_PUBLIC_READ === 'true', // GET routes open without login
+        COOKIE_NAME: 'pm_session',
+    },
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // CONFIG PROFILES & SHADOW PORTFOLIOS (profileService.js, shadowPortfolios.js)
+    // One profile trades the main capital, the others paper-trade the same
+    // candidates each loop with their overrides on top of the live config.
+    // ─────────────────────────────────────────────────────────────────────────
+    SHADOW_PROFILES: {
+        ENABLED: true,
+        MAX_PROFILES: 3,              // Live profile included
+        STARTING_CAPITAL: null,       // null = live startingCapital
+        MAX_CANDIDATES: 15,           // Candidates evaluated per loop (books fetched once, shared by the shadows)
+        TRADES_PER_CYCLE: 1,          // Same as the live loop
+        MAX_CLOSED_TRADES: 200,       // Closed shadow trades kept per profile
+        HISTORY_POINTS: 500,          // Equity points kept per profile
+    },
+    // Realized PnL split per signal (logic/signalAttribution.js): conviction points,
+    // plus this weight for the entry strategy that picked the side
+    SIGNAL_ATTRIBUTION: {
+        ENTRY_POINTS: 20,             // = the conviction needed for the 0.50 confidence tier
+    },
+    // ─────────────────────────────────────────────────────────────────────────
+    // CALIBRATION (logic/calibration.js, GET /api/analytics/calibration)
+    // Brier score, log loss and reliability curves of trade confidence and of the
+    // fair-value pBot, once the markets resolve.
+    // ─────────────────────────────────────────────────────────────────────────
+    CALIBRATION: {
+        ENABLED: true,
+        BUCKETS: 10,                  // Equal-width probability buckets of the reliability curve
+        REFRESH_HOURS: 1,             // Resolution lookups of the pending forecasts (scheduler)
+        RECHECK_HOURS: 6,             // Same market looked up again at most every N hours
+        MAX_LOOKUPS: 30,              // Gamma requests per refresh
+        MAX_PENDING: 2000,            // Markets waiting for their resolution (oldest forecasts dropped)
+        MAX_RESOLVED: 5000,           // Resolved forecasts kept
+        PENDING_GRACE_DAYS: 60,       // Forecast dropped when still unresolved N days after its end date
+    },
+    // ─────────────────────────────────────────────────────────────────────────
+    // SETTLEMENT (services/settlementService.js)
+    // Trades held to resolution: Gamma closed / umaResolutionStatus, payout per share
+    // (1, 0, 0.5 on a 50-50, stake refunded on a voided market).
+    // ─────────────────────────────────────────────────────────────────────────
+    SETTLEMENT: {
+        POLL_SECONDS: 300,            // Same market looked up at most every N seconds
+        RECONCILE_HOURS: 6,           // Old resolutions re-checked, win / loss counters recomputed (scheduler)
+        RECONCILE_LOOKUPS: 20,        // Gamma requests per reconciliation
+    },
+    // ─────────────────────────────────────────────────────────────────────────
+    // RISK ENGINE (logic/riskEngine.js, GET /api/analytics/risk)
+    // Correlations from marketMemory + CLOB price histories, VaR / CVaR of the book
+    // under correlated resolution scenarios; entries downsized or rejected above the limit.
+    // ─────────────────────────────────────────────────────────────────────────
+    RISK_ENGINE: {
+        ENABLED: true,
+        MAX_VAR_PCT: 0.20,            // Portfolio VaR limit, fraction of total capital (free + invested)
+        CONFIDENCE: 0.95,             // VaR / CVaR level
+        SCENARIOS: 2000,              // Simulated joint resolutions
+        BUCKET_MINUTES: 60,           // Price-change grid of the correlation estimates
+        HISTORY_INTERVAL: '1w',       // CLOB /prices-history window
+        MIN_OVERLAP: 12,              // Shared price changes needed to use an estimate
+        SHRINKAGE: 24,                // Estimate weight n / (n + SHRINKAGE), the rest goes to the prior
+        CLUSTER_PRIOR: 0.5,           // Correlation assumed within a GEO_CLUSTERS entry
+        CATEGORY_PRIOR: 0.2,          // ... within a category
+        CLUSTER_THRESHOLD: 0.5,       // Position correlation grouping positions in the stress clusters
+    },
 };
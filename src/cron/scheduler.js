@@ -1,9 +1,16 @@
 
 import { runBacktestSimulation } from '../logic/backtestSimulator.js';
 import { strategyAdapter } from '../logic/strategyAdapter.js';
+import { capitalSleeves } from '../logic/capitalSleeves.js';
+import { positionGroups } from '../logic/positionGroups.js';
 import { botState, stateManager } from '../state.js';
 import { addLog } from '../utils.js';
+import { CONFIG } from '../config.js';
 import { supabase } from '../services/supabaseService.js';
+import { auditLog } from '../services/auditLog.js';
+import { tradeHistory } from '../services/tradeHistory.js';
+import { calibration } from '../logic/calibration.js';
+import { settlementService } from '../services/settlementService.js';
 import { getOSINTTensionStats } from '../api/pizzint.js';
 import { getOSINTNewsStats } from '../api/news.js';
 
@@ -15,35 +22,6 @@ const DAILY_MS        = 24 * 60 * 60 * 1000;
 // Date du changement copy size 1.5% → 2% (pour comparer avant/après)
 const COPY_SIZE_CHANGE_DATE = new Date('2026-03-02T00:00:00Z').getTime();
 
-// Seed the initial changelog with already-made changes (first run only)
-function initChangeLog() {
-    if (!botState.changeLog) botState.changeLog = [];
-    // Only seed if empty (first run)
-    if (botState.changeLog.length > 0) return;
-
-    botState.changeLog = [
-        {
-            date: '2026-03-02T00:00:00Z',
-            type: 'module',
-            what: '⚽ Module Sports Intelligence ajouté (7 paramètres : domicile/extérieur, blessures, forme, motivation, valeur)',
-            by: 'Engue',
-        },
-        {
-            date: '2026-03-02T00:00:00Z',
-            type: 'config',
-            what: '📈 COPY_SIZE_PERCENT : 1.5% → 2% (event_driven + copy ont le meilleur WR)',
-            by: 'Engue',
-        },
-        {
-            date: '2026-03-02T00:00:00Z',
-            type: 'strategy',
-            what: '🚫 Désactivation 3 stratégies perdantes (300 trades analysés) : whale (-$18, WR 41%), contrarian (-$9.73, WR 38%), smart_momentum (-$7.91, WR 14%)',
-            by: 'Engue',
-        },
-    ];
-    stateManager.save();
-}
-
 // Track previous state to auto-detect changes at each daily snapshot
 let _prevDisabledStrategies = null;
 let _prevLearningMode = null;
@@ -59,7 +37,7 @@ function runDailyReport() {
         });
 
         // ── 1. Performance last 24h ──────────────────────────────────────────
-        const closed = botState.closedTrades || [];
+        const closed = tradeHistory.all();
         const recent = closed.filter(t => {
             const ts = new Date(t.endTime || t.startTime || 0).getTime();
             return ts >= since;
@@ -91,24 +69,27 @@ function runDailyReport() {
         const overrides = botState.strategyOverrides || {};
         const currentDisabled  = JSON.stringify(overrides.disabledStrategies || []);
         const currentLearning  = botState.learningParams?.mode || 'NEUTRAL';
-        const currentCopySize  = botState.config?.COPY_SIZE_PERCENT || null;
-
-        const newChanges = [];
+        const currentCopySize  = CONFIG.COPY_TRADING?.COPY_SIZE_PERCENT ?? null;
+        let changesDetected = 0;
 
         if (_prevDisabledStrategies !== null && _prevDisabledStrategies !== currentDisabled) {
-            newChanges.push({
-                date: new Date().toISOString(),
-                type: 'strategy',
-                what: `🔄 Stratégies désactivées modifiées → ${currentDisabled}`,
-                by: 'Auto',
+            changesDetected++;
+            auditLog.record({
+                actor: 'Auto',
+                action: 'strategy.disabled_list',
+                before: JSON.parse(_prevDisabledStrategies),
+                after: JSON.parse(currentDisabled),
+                summary: `🔄 Stratégies désactivées modifiées → ${currentDisabled}`,
             });
         }
         if (_prevLearningMode !== null && _prevLearningMode !== currentLearning) {
-            newChanges.push({
-                date: new Date().toISOString(),
-                type: 'ai',
-                what: `🤖 AI Learning mode : ${_prevLearningMode} → ${currentLearning} (${botState.learningParams?.reason || ''})`,
-                by: 'Auto-Training',
+            changesDetected++;
+            auditLog.record({
+                actor: 'Auto-Training',
+                action: 'ai.learning_mode',
+                before: { mode: _prevLearningMode },
+                after: { mode: currentLearning, reason: botState.learningParams?.reason || null },
+                summary: `🤖 AI Learning mode : ${_prevLearningMode} → ${currentLearning} (${botState.learningParams?.reason || ''})`,
             });
         }
 
@@ -117,13 +98,6 @@ function runDailyReport() {
         _prevLearningMode       = currentLearning;
         _prevCopySize           = currentCopySize;
 
-        // Prepend detected changes to changelog
-        if (!botState.changeLog) botState.changeLog = [];
-        for (const c of newChanges.reverse()) {
-            botState.changeLog.unshift(c);
-        }
-        if (botState.changeLog.length > 40) botState.changeLog = botState.changeLog.slice(0, 40);
-
         // ── 4. Build and store report ────────────────────────────────────────
         const report = {
             date:           new Date().toISOString(),
@@ -139,7 +113,8 @@ function runDailyReport() {
             byStrategy24h,
             disabledStrategies: [...(overrides.disabledStrategies || [])],
             learningMode:   currentLearning,
-            changesDetected: newChanges.length,
+            copySizePercent: currentCopySize,
+            changesDetected,
         };
 
         if (!botState.dailyReports) botState.dailyReports = [];
@@ -164,6 +139,8 @@ function runDailyReport() {
  * Evaluate rolling win-rate per strategy on closed trades.
  * Auto-disables strategies that fall below AUTO_DISABLE_WR threshold.
  * Auto-re-enables strategies that recover above AUTO_REENABLE_WR.
+ * Strategies with their own capital sleeve are never switched off: their sleeve
+ * is resized instead (capitalSleeves.rebalance, at most every REBALANCE_INTERVAL_HOURS).
  * Called every 6h via scheduler AND after each trade close in engine.js.
  */
 export function evaluateStrategyPerformance() {
@@ -177,10 +154,11 @@ export function evaluateStrategyPerformance() {
         const reenableMin    = SP.REENABLE_MIN_TRADES    ?? 10;
         const protected_     = SP.PROTECTED              ?? ['standard'];
 
-        const closed = botState.closedTrades || [];
+        // A multi-leg group (arbitrage pair, event basket) counts as one trade
+        const closed = positionGroups.collapseLegs(tradeHistory.all());
         if (closed.length === 0) return;
 
-        // Group by strategy (closedTrades is newest-first via unshift)
+        // Group by strategy (full history, newest first)
         const byStrategy = {};
         for (const trade of closed) {
             const strat = trade.strategy || 'standard';
@@ -207,6 +185,7 @@ export function evaluateStrategyPerformance() {
             const wrPct = Math.round(wr * 100);
 
             const isProtected  = protected_.includes(strat);
+            const hasSleeve    = capitalSleeves.hasOwnSleeve(strat);
             const isDisabled   = (botState.strategyOverrides?.disabledStrategies || []).includes(strat);
             let status = 'active';
 
@@ -221,6 +200,9 @@ export function evaluateStrategyPerformance() {
                 } else {
                     status = 'disabled';
                 }
+            } else if (hasSleeve) {
+                // Sized down by the sleeve rebalance below rather than disabled
+                status = wr < warnWR ? 'warning_sleeve' : 'active';
             } else if (!isProtected) {
                 if (wr < disableWR) {
                     // Auto-disable
@@ -250,16 +232,26 @@ export function evaluateStrategyPerformance() {
 
         botState.strategyPerformance = performance;
 
-        // Log changes to changelog
+        for (const c of capitalSleeves.rebalance(performance)) {
+            const from = (c.from * 100).toFixed(1);
+            const to = (c.to * 100).toFixed(1);
+            const why = c.wr !== null ? ` (WR ${c.wr}%, PnL $${c.pnl.toFixed(2)})` : '';
+            changes.push({ type: 'sleeve', strat: c.sleeve, from, to, why });
+            addLog(botState, `🧺 Sleeve ${c.sleeve}: ${from}% → ${to}% du capital${why}`, c.to < c.from ? 'warning' : 'info');
+        }
+
+        // Audit trail (dashboard changelog)
         for (const change of changes) {
-            if (!botState.changeLog) botState.changeLog = [];
-            botState.changeLog.unshift({
-                date: new Date().toISOString(),
-                type: 'strategy',
-                what: change.type === 'disable'
+            auditLog.record({
+                actor: 'AutoBot',
+                action: change.type === 'sleeve' ? 'sleeve.rebalance' : `strategy.auto_${change.type}`,
+                before: change.type === 'sleeve' ? { sharePct: parseFloat(change.from) } : { enabled: change.type !== 'disable' },
+                after: change.type === 'sleeve' ? { sharePct: parseFloat(change.to) } : { enabled: change.type !== 'disable', wr: change.wr, count: change.count },
+                summary: change.type === 'sleeve'
+                    ? `🧺 Sleeve ${change.strat}: ${change.from}% → ${change.to}%${change.why}`
+                    : change.type === 'disable'
                     ? `🚫 Auto-désactivation: ${change.strat} (WR ${change.wr}% sur ${change.count} trades)`
                     : `✅ Auto-réactivation: ${change.strat} (WR ${change.wr}% → récupération)`,
-                by: 'AutoBot',
             });
         }
 
@@ -270,11 +262,37 @@ export function evaluateStrategyPerformance() {
     }
 }
 
+// Resolution lookups for the calibration forecasts (logic/calibration.js)
+async function runCalibrationRefresh() {
+    try {
+        const { checked, resolved, dropped } = await calibration.refreshOutcomes();
+        if (resolved > 0 || dropped > 0) {
+            console.log(`[Calibration] ${checked} marchés vérifiés, ${resolved} résolus, ${dropped} abandonnés`);
+            stateManager.save();
+        }
+    } catch (e) {
+        console.error('[Calibration] Refresh failed:', e.message);
+    }
+}
+
+// Old resolutions re-checked, win / loss counters recomputed (services/settlementService.js)
+async function runSettlementReconcile() {
+    try {
+        const { checked, corrected, counters } = await settlementService.reconcile();
+        if (corrected > 0 || counters) {
+            console.log(`[Settlement] ${checked} résolutions vérifiées, ${corrected} corrigées${counters ? ', compteurs recalculés' : ''}`);
+            stateManager.save(true);
+        }
+    } catch (e) {
+        console.error('[Settlement] Reconcile failed:', e.message);
+    }
+}
+
 export function startScheduler() {
     console.log('AI Self-Training Scheduler started (Every 6h)');
 
-    // Seed initial changelog if not already done
-    initChangeLog();
+    // Former hand-written botState.changeLog → audit log (once)
+    if (auditLog.migrateChangeLog() > 0) stateManager.save();
 
     // Initial run after 30 seconds to allow server to settle and not block startup
     setTimeout(runAutoTraining, 30000);
@@ -291,10 +309,20 @@ export function startScheduler() {
     // Rapport 24h — premier run dans 4 min, puis toutes les 24h
     setTimeout(runDailyReport, 4 * 60 * 1000);
     setInterval(runDailyReport, DAILY_MS);
+
+    // Résolutions des prévisions (calibration) — premier run dans 5 min
+    if (CONFIG.CALIBRATION?.ENABLED !== false) {
+        setTimeout(runCalibrationRefresh, 5 * 60 * 1000);
+        setInterval(runCalibrationRefresh, (CONFIG.CALIBRATION?.REFRESH_HOURS ?? 1) * 60 * 60 * 1000);
+    }
+
+    // Réconciliation des résolutions et des compteurs gagnés/perdus — premier run dans 6 min
+    setTimeout(runSettlementReconcile, 6 * 60 * 1000);
+    setInterval(runSettlementReconcile, (CONFIG.SETTLEMENT?.RECONCILE_HOURS ?? 6) * 60 * 60 * 1000);
 }
 
 function computeOSINTTradeStats() {
-    const closed = botState.closedTrades || [];
+    const closed = tradeHistory.all();
     const osintTrades = closed.filter(t => {
         const reasons = t.decisionReasons || t.reasons || [];
         return (
@@ -384,7 +412,7 @@ function runModifReport() {
 const TARGET_STRATEGIES = ['event_driven', 'standard', 'copy_trade', 'wizard'];
 
 function computeTargetStrategiesStats(sinceTimestamp = 0) {
-    const closed = botState.closedTrades || [];
+    const closed = tradeHistory.all();
     const byStrategy = {};
 
     for (const strat of TARGET_STRATEGIES) {
@@ -498,11 +526,8 @@ function runWeeklyReport() {
                 : `⚠️ À SURVEILLER — résultats insuffisants, reconsidérer le sizing`;
         lines.push(verdict);
 
-        // Modifications faites cette semaine (depuis le changeLog)
-        // Shallow copy each entry to avoid [Circular] from shared changeLog references
-        const changeLogWeek = (botState.changeLog || [])
-            .filter(c => new Date(c.date).getTime() >= weekAgo)
-            .map(c => ({ ...c }));
+        // Modifications faites cette semaine (depuis l'audit log)
+        const changeLogWeek = auditLog.changeLog({ since: new Date(weekAgo).toISOString(), limit: 100 });
 
         // Stocker pour le dashboard — deep copy thisWeek to avoid [Circular]
         // (thisWeek is already stored in weeklySnapshots above — same reference = circular)
@@ -545,16 +570,20 @@ async function runAutoTraining() {
             return;
         }
 
-        // Run 2: With current adapted params (if they exist)
+        // Run 2: With current adapted params (if they exist) — same seed and dataset as the
+        // baseline so the comparison only measures the params
         let currentResult = null;
         if (savedParams && savedParams.mode !== 'NEUTRAL') {
             botState.learningParams = savedParams;
-            currentResult = await runBacktestSimulation();
+            currentResult = await runBacktestSimulation({
+                seed: baselineResult.manifest.seed,
+                dataset: baselineResult.manifest.dataset || undefined,
+                datasetHash: baselineResult.manifest.datasetHash
+            });
         }
 
         // Compare and decide
         const baselineMetrics = baselineResult.metrics;
-        const baselineTestMetrics = baselineResult.testMetrics;
         let finalParams;
         let comparisonMsg;
 
@@ -577,33 +606,15 @@ async function runAutoTraining() {
             comparisonMsg = 'First run — adapting from baseline';
         }
 
-        // Walk-forward validation gate (Phase 8 — multi-metric overfit detection)
-        const baselineTestROI = baselineTestMetrics?.roi ?? 0;
-        const trainROI = baselineResult.trainMetrics?.roi ?? 0;
-        const trainWR = parseFloat(baselineResult.summary?.winrate || '0');
-        const trainSharpe = baselineResult.trainMetrics?.sharpeRatio ?? 0;
-        const testSharpe = baselineTestMetrics?.sharpeRatio ?? 0;
-
-        // Estimate test WR from test results
-        const testTradeCount = baselineResult.testMetrics?.sampleSize || 0;
-        const testWins = baselineResult.tradeResults?.slice(-(testTradeCount || 0)).filter(t => t.pnl >= 0).length || 0;
-        const testWR = testTradeCount > 0 ? (testWins / testTradeCount * 100) : 0;
-
-        const overfitReasons = [];
-        if (baselineTestMetrics && baselineTestROI < -10) {
-            overfitReasons.push(`ROI ${baselineTestROI.toFixed(1)}% < -10%`);
+        // Walk-forward validation gate (Phase 8 — dispersion of the per-fold out-of-sample results)
+        const overfit = strategyAdapter.detectOverfit(baselineResult);
+        const wfStability = baselineResult.walkForward?.stability;
+        if (wfStability) {
+            comparisonMsg += ` | WF ${wfStability.folds} folds: test ROI ${wfStability.meanTestROI.toFixed(2)}% ± ${wfStability.stdTestROI.toFixed(2)} (${wfStability.positiveFolds}/${wfStability.folds} profitable)`;
         }
-        if (trainSharpe > 0 && testSharpe < trainSharpe * 0.3) {
-            overfitReasons.push(`Sharpe degraded ${trainSharpe.toFixed(2)} -> ${testSharpe.toFixed(2)}`);
-        }
-        if (trainWR > 0 && testWR < trainWR * 0.6 && testTradeCount >= 5) {
-            overfitReasons.push(`WR dropped ${trainWR.toFixed(0)}% -> ${testWR.toFixed(0)}%`);
-        }
-
-        const isOverfit = overfitReasons.length >= 2 || (overfitReasons.length === 1 && baselineTestROI < -10);
-        if (isOverfit) {
-            finalParams = { confidenceMultiplier: 1.0, sizeMultiplier: 1.0, mode: 'NEUTRAL', reason: `Overfit: ${overfitReasons.join(', ')}` };
-            comparisonMsg += ` | OVERFIT DETECTED: ${overfitReasons.join(', ')} — reset to NEUTRAL`;
+        if (overfit.isOverfit) {
+            finalParams = { confidenceMultiplier: 1.0, sizeMultiplier: 1.0, mode: 'NEUTRAL', reason: `Overfit: ${overfit.reasons.join(', ')}` };
+            comparisonMsg += ` | OVERFIT DETECTED: ${overfit.reasons.join(', ')} — reset to NEUTRAL`;
         }
 
         // Phase 6: Apply per-strategy overrides
@@ -640,6 +651,8 @@ async function runAutoTraining() {
                 max_drawdown: baselineMetrics.maxDrawdown,
                 strategy_config: {
                     runType: 'AUTO',
+                    runId: baselineResult.manifest.runId,
+                    manifest: baselineResult.manifest,
                     winrate: parseFloat(baselineResult.summary.winrate),
                     marketsScanned: baselineResult.summary.tradesCount + baselineResult.summary.ignored,
                     sharpeRatio: baselineMetrics.sharpeRatio,
@@ -651,6 +664,8 @@ async function runAutoTraining() {
                     current: currentResult?.metrics || null,
                     trainMetrics: baselineResult.trainMetrics,
                     testMetrics: baselineResult.testMetrics,
+                    walkForward: baselineResult.walkForward || null,
+                    overfit: { isOverfit: overfit.isOverfit, reasons: overfit.reasons },
                     exitStats: baselineResult.exitStats || null,
                     strategyPerformance: baselineResult.strategyPerformance || null,
                     categoryPerformance: baselineResult.categoryPerformance || null,
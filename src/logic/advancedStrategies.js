@@ -62,6 +62,13 @@ export function recordMarketSnapshot(market) {
     if (mem.volumes.length > MEMORY_MAX_ENTRIES) mem.volumes.shift();
 }
 
+/**
+ * YES price snapshots recorded for a market ([{t, p}], oldest first — empty when unknown)
+ */
+export function getMarketPrices(marketId) {
+    return marketMemory[marketId]?.prices.slice() || [];
+}
+
 /**
  * Bulk record all markets from a scan
  */
@@ -151,32 +158,33 @@ export function detectMomentum(marketId) {
  * Get memory-based conviction bonus for a market
  */
 export function getMemorySignal(marketId) {
-    let bonus = 0;
-    const signals = [];
+    const parts = [];
 
     const range = detectPriceRange(marketId);
     if (range && range.isRange) {
         if (range.currentPosition === 'near_support') {
-            bonus += 15;
-            signals.push(`Memory: near support ${range.support.toFixed(3)} (+15)`);
+            parts.push({ points: 15, label: `Memory: near support ${range.support.toFixed(3)} (+15)` });
         } else if (range.currentPosition === 'near_resistance') {
-            bonus -= 5; // Slightly discourage buying near resistance
-            signals.push(`Memory: near resistance ${range.resistance.toFixed(3)} (-5)`);
+            // Slightly discourage buying near resistance
+            parts.push({ points: -5, label: `Memory: near resistance ${range.resistance.toFixed(3)} (-5)` });
         }
     }
 
     const mom = detectMomentum(marketId);
     if (mom) {
         if (mom.momentum === 'accelerating_up' && mom.strength > 0.3) {
-            bonus += 10;
-            signals.push(`Memory: accelerating up (${(mom.strength * 100).toFixed(0)}%) (+10)`);
+            parts.push({ points: 10, label: `Memory: accelerating up (${(mom.strength * 100).toFixed(0)}%) (+10)` });
         } else if (mom.momentum === 'accelerating_down' && mom.strength > 0.3) {
-            bonus += 5; // Could be good for NO trades
-            signals.push(`Memory: accelerating down (${(mom.strength * 100).toFixed(0)}%) (+5)`);
+            // Could be good for NO trades
+            parts.push({ points: 5, label: `Memory: accelerating down (${(mom.strength * 100).toFixed(0)}%) (+5)` });
         }
     }
 
-    return { bonus, signals };
+    return {
+        bonus: parts.reduce((sum, p) => sum + p.points, 0),
+        signals: parts.map(p => p.label),
+        parts
+    };
 }
 
 
@@ -309,10 +317,15 @@ export function evaluateEntryTiming(marketId) {
  */
 export async function evaluateSpreadQuality(market) {
     if (!market.clobTokenIds || market.clobTokenIds.length < 2) return { adjustment: 0, signal: null };
+    // Backtest markets are resolved: today's book says nothing about the spread at entry (and keeps backtests offline)
+    if (market._isBacktestMarket) return { adjustment: 0, signal: null };
 
     try {
         const tokenId = market.clobTokenIds[0]; // YES token
-        const orderBook = await getCLOBOrderBook(tokenId);
+        // Shadow portfolios pass the books they fetched before overlaying their profile config
+        const orderBook = market._orderBooks && tokenId in market._orderBooks
+            ? market._orderBooks[tokenId]
+            : await getCLOBOrderBook(tokenId);
         if (!orderBook) return { adjustment: 0, signal: null };
 
         const spread = analyzeSpread(orderBook);
@@ -411,7 +424,9 @@ export function executeDCA(existingTrade, currentPrice) {
 
     // Deduct capital
     botState.capital -= addOnSize;
-    existingTrade.reasons.push(`📊 DCA #${existingTrade.dcaCount}: +$${addOnSize.toFixed(0)} @ ${currentPrice.toFixed(3)}`);
+    const dcaReason = `📊 DCA #${existingTrade.dcaCount}: +$${addOnSize.toFixed(0)} @ ${currentPrice.toFixed(3)}`;
+    existingTrade.reasons.push(dcaReason);
+    if (Array.isArray(existingTrade.signals)) existingTrade.signals.push({ strategy: 'dca', points: 0, label: dcaReason });
 
     stateManager.save();
     addLog(botState, `📊 DCA: Added $${addOnSize.toFixed(0)} to "${existingTrade.question.substring(0, 25)}..." (Entry #${existingTrade.dcaCount + 1})`, 'trade');
@@ -607,7 +622,8 @@ export function getDrawdownRecoveryState() {
     const totalCapital = cashCapital + investedCapital;
     const drawdownPercent = (startingCapital - totalCapital) / startingCapital;
 
-    // Also check recent performance (last 5 closed trades)
+    // Also check recent performance (last 5 closed trades). The in-memory list on purpose:
+    // replays and backtests swap it for their simulated trades
     const recentTrades = (botState.closedTrades || []).slice(0, 5);
     const recentWins = recentTrades.filter(t => (t.pnl || t.profit || 0) > 0).length;
     const recentLosses = recentTrades.length - recentWins;
@@ -646,7 +662,7 @@ export function getDrawdownRecoveryState() {
 /**
  * Enhance anti-fragility with tension awareness.
  * High geopolitical tension + existing drawdown = more conservative.
- * Called from getAdvancedSignals as a wrapper.
+ * Used by the anti_fragility strategy (builtinStrategies.js).
  */
 export function getTensionAwareRecoveryState() {
     const base = getDrawdownRecoveryState();
@@ -722,79 +738,3 @@ export function getCalendarSignal() {
         signals
     };
 }
-
-
-// ============================================================
-// MASTER INTEGRATION: Combined signal from all 7 strategies
-// ============================================================
-
-/**
- * Get combined advanced signal for a market.
- * Called from engine.js conviction scoring to add bonus points.
- * Returns: { bonus: number, signals: string[], sizeMultiplier: number, shouldReject: bool, rejectReason: string }
- */
-export async function getAdvancedSignals(market, pizzaData, convictionPoints) {
-    let totalBonus = 0;
-    const allSignals = [];
-    let sizeMultiplier = 1.0;
-
-    // 1. Market Memory
-    const memSignal = getMemorySignal(market.id);
-    totalBonus += memSignal.bonus;
-    allSignals.push(...memSignal.signals);
-
-    // 2. Cross-Market Intelligence — DISABLED (no WR data, computationally heavy)
-    // Kept in code for future re-evaluation with sufficient trade data (n >= 30)
-
-    // 3. Smart Entry Timing
-    const timing = evaluateEntryTiming(market.id);
-    if (timing.adjustment !== 0) {
-        // Convert timing adjustment to conviction points (roughly 1% confidence = 5 conviction points)
-        const timingBonus = Math.round(timing.adjustment * 50);
-        totalBonus += timingBonus;
-        allSignals.push(`Timing: ${timing.reason} (${timingBonus > 0 ? '+' : ''}${timingBonus})`);
-    }
-
-    // 4. Spread Quality
-    const spreadResult = await evaluateSpreadQuality(market);
-    if (spreadResult.signal) {
-        const spreadBonus = Math.round(spreadResult.adjustment * 50);
-        totalBonus += spreadBonus;
-        allSignals.push(spreadResult.signal);
-    }
-
-    // 5. Event-Driven
-    const eventSignal = getEventSignal(market.id, market);
-    totalBonus += eventSignal.bonus;
-    allSignals.push(...eventSignal.signals);
-
-    // 6. Anti-Fragility (tension-aware — tightens during high geopolitical risk)
-    const recovery = getTensionAwareRecoveryState();
-    if (recovery.tier > 0) {
-        sizeMultiplier *= recovery.sizeMultiplier;
-        allSignals.push(`🛡️ Recovery Tier ${recovery.tier}: ${recovery.reason}`);
-
-        // Check if conviction meets minimum for current recovery tier
-        const totalConviction = convictionPoints + totalBonus;
-        if (totalConviction < recovery.minConviction) {
-            return {
-                bonus: totalBonus,
-                signals: allSignals,
-                sizeMultiplier,
-                shouldReject: true,
-                rejectReason: `Recovery Tier ${recovery.tier}: conviction ${totalConviction} < min ${recovery.minConviction}`
-            };
-        }
-    }
-
-    // 7. Calendar Awareness — DISABLED (18.2% WR, n=11 — auto-disabled by AI training)
-    // Replaced by Calendar Edge v2 in marketBehavior.js (stagnant markets near resolution)
-
-    return {
-        bonus: totalBonus,
-        signals: allSignals,
-        sizeMultiplier,
-        shouldReject: false,
-        rejectReason: null
-    };
-}
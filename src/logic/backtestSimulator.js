@@ -1,4 +1,5 @@
 
+import crypto from 'crypto';
 import { simulateTrade } from './engine.js';
 import { botState } from '../state.js';
 import { CONFIG } from '../config.js';
@@ -10,6 +11,9 @@ import {
     clearEventCatalysts
 } from './advancedStrategies.js';
 import { categorizeMarket } from './signals.js';
+import { capitalSleeves } from './capitalSleeves.js';
+import { walkOrderBook, buildSyntheticOrderBook } from './fillSimulator.js';
+import { backtestDatasetStore, fetchResolvedMarkets, hashMarkets } from '../services/backtestDatasetStore.js';
 
 // REALISTIC COSTS
 const DEFAULT_SLIPPAGE = 0.015;
@@ -35,51 +39,129 @@ function estimateSlippage(market) {
     return tiers.LOW.slippage; // 3%
 }
 
-// Rate limiting for CLOB API
-const CLOB_DELAY_MS = 200;
-const sleep = ms => new Promise(r => setTimeout(r, ms));
+// ── Reproducibility ──
+// Every random draw of a backtest comes from one seeded PRNG, so a run is
+// fully determined by (seed, config, dataset, learning params).
 
 /**
- * Fetch historical price data from Polymarket CLOB API.
- * Returns array of {t, p} sorted by time, or null on failure.
+ * mulberry32 — small, fast 32-bit PRNG. Same seed => same sequence.
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {() => number} Uniform float in [0, 1)
  */
-async function fetchHistoricalPrices(clobTokenId) {
-    if (!clobTokenId) return null;
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 8000);
+// Fisher-Yates (the old sort(() => Math.random() - 0.5) was biased and not reproducible)
+function shuffleInPlace(array, rng) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
 
-        const url = `https://clob.polymarket.com/prices-history?market=${clobTokenId}&interval=max&fidelity=60`;
-        const response = await fetch(url, {
-            signal: controller.signal,
-            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
-        });
-        clearTimeout(timeoutId);
+// JSON with sorted keys, so hashes don't depend on property insertion order
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Deployment/infra keys that don't change what a backtest computes
+const CONFIG_HASH_EXCLUDED = ['ROOT_DIR', 'DATA_FILE', 'STORAGE', 'PORT', 'ENABLE_GITHUB_SYNC', 'DECISION_JOURNAL', 'EXECUTION', 'CALIBRATION', 'SIGNAL_ATTRIBUTION', 'SETTLEMENT'];
 
-        if (!response.ok) return null;
+/**
+ * Hash of the strategy-relevant CONFIG, stored in the run manifest
+ * @returns {string} sha256 hex
+ */
+export function hashConfig() {
+    const relevant = Object.fromEntries(
+        Object.entries(CONFIG).filter(([key]) => !CONFIG_HASH_EXCLUDED.includes(key))
+    );
+    return sha256(stableStringify(relevant));
+}
 
-        const data = await response.json();
-        if (!data?.history || !Array.isArray(data.history) || data.history.length < 5) return null;
+/**
+ * Check a { 'SECTION.KEY': value } override map against CONFIG.
+ * Only existing, strategy-relevant keys can be overridden, with a value of the same type.
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateConfigOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return 'overrides must be an object';
+    for (const [key, value] of Object.entries(overrides)) {
+        const parts = key.split('.');
+        if (CONFIG_HASH_EXCLUDED.includes(parts[0])) return `${key} cannot be overridden in a backtest`;
+        let current = CONFIG;
+        for (const part of parts) {
+            if (!current || typeof current !== 'object' || !Object.hasOwn(current, part)) return `Unknown config key ${key}`;
+            current = current[part];
+        }
+        const expected = Array.isArray(current) ? 'array' : typeof current;
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (expected !== actual) return `${key} must be a ${expected} (got ${actual})`;
+        if (actual === 'number' && !Number.isFinite(value)) return `${key} must be a finite number`;
+    }
+    return null;
+}
 
-        return data.history
-            .map(point => ({ t: point.t, p: parseFloat(point.p) }))
-            .filter(point => !isNaN(point.p) && point.p > 0 && point.p < 1)
-            .sort((a, b) => a.t - b.t);
-    } catch {
-        return null;
+/**
+ * Apply overrides to CONFIG in place.
+ * @returns {Function} Restores the original values
+ */
+function applyConfigOverrides(overrides) {
+    const saved = [];
+    for (const [key, value] of Object.entries(overrides || {})) {
+        const parts = key.split('.');
+        const last = parts.pop();
+        const parent = parts.reduce((obj, part) => obj[part], CONFIG);
+        saved.push([parent, last, parent[last]]);
+        parent[last] = value;
     }
+    return () => {
+        for (const [parent, last, original] of saved.reverse()) parent[last] = original;
+    };
+}
+
+/**
+ * Swap in the learning params / strategy overrides / toggles a run was recorded with.
+ * @returns {Function} Restores the live values
+ */
+function applyRunParams(params) {
+    if (!params) return () => {};
+    const saved = {
+        learningParams: botState.learningParams,
+        strategyOverrides: botState.strategyOverrides,
+        strategyToggles: botState.strategyToggles
+    };
+    botState.learningParams = params.learningParams ?? null;
+    botState.strategyOverrides = params.strategyOverrides ?? null;
+    botState.strategyToggles = params.strategyToggles ?? {};
+    return () => Object.assign(botState, saved);
 }
 
 /**
  * Pick a realistic entry price from historical data.
  * Selects from the middle 50% of the timeline (not too early, not near resolution).
  */
-function pickEntryFromHistory(priceHistory, actualWinner) {
+function pickEntryFromHistory(priceHistory, actualWinner, rng) {
     const len = priceHistory.length;
     const start = Math.floor(len * 0.25);
     const end = Math.floor(len * 0.75);
-    const idx = start + Math.floor(Math.random() * (end - start));
+    const idx = start + Math.floor(rng() * (end - start));
     return priceHistory[idx].p;
 }
 
@@ -87,8 +169,8 @@ function pickEntryFromHistory(priceHistory, actualWinner) {
  * Generate a weighted DEFCON value (1-5).
  * Distribution: 1 (5%), 2 (10%), 3 (35%), 4 (30%), 5 (20%)
  */
-function generateWeightedDEFCON() {
-    const r = Math.random();
+function generateWeightedDEFCON(rng) {
+    const r = rng();
     if (r < 0.05) return 1;
     if (r < 0.15) return 2;
     if (r < 0.50) return 3;
@@ -100,39 +182,39 @@ function generateWeightedDEFCON() {
  * Generate realistic simulated PizzINT tension data correlated to DEFCON.
  * Returns full pizza data object compatible with the new enriched format.
  */
-function generateSimulatedTensionData(defcon) {
+function generateSimulatedTensionData(defcon, rng) {
     let baseTension;
-    if (defcon <= 2) baseTension = 60 + Math.floor(Math.random() * 35);
-    else if (defcon === 3) baseTension = 25 + Math.floor(Math.random() * 30);
-    else baseTension = Math.floor(Math.random() * 30);
+    if (defcon <= 2) baseTension = 60 + Math.floor(rng() * 35);
+    else if (defcon === 3) baseTension = 25 + Math.floor(rng() * 30);
+    else baseTension = Math.floor(rng() * 30);
 
-    const sustained = defcon <= 2 ? Math.random() > 0.5 : false;
-    const sentinel = defcon === 1 ? Math.random() > 0.7 : false;
+    const sustained = defcon <= 2 ? rng() > 0.5 : false;
+    const sentinel = defcon === 1 ? rng() > 0.7 : false;
 
     return {
         index: baseTension,
         defcon,
         trends: [],
         tensionScore: baseTension,
-        tensionTrend: Math.random() > 0.6 ? 'RISING' : (Math.random() > 0.5 ? 'STABLE' : 'FALLING'),
+        tensionTrend: rng() > 0.6 ? 'RISING' : (rng() > 0.5 ? 'STABLE' : 'FALLING'),
         defconDetails: {
-            severity: defcon <= 2 ? 3 + Math.random() * 2 : Math.random() * 2,
+            severity: defcon <= 2 ? 3 + rng() * 2 : rng() * 2,
             rawIndex: baseTension,
             smoothedIndex: baseTension,
             intensityScore: baseTension / 100,
-            breadthScore: Math.random() * 0.5,
+            breadthScore: rng() * 0.5,
             nightMultiplier: 1,
             persistenceFactor: sustained ? 1.5 : 1,
             sustained,
             sentinel,
-            placesAbove150: defcon <= 2 ? Math.floor(Math.random() * 5) : 0,
-            placesAbove200: defcon <= 1 ? Math.floor(Math.random() * 3) : 0,
-            highCount: defcon <= 2 ? Math.floor(Math.random() * 3) : 0,
-            extremeCount: defcon <= 1 ? Math.floor(Math.random() * 2) : 0,
+            placesAbove150: defcon <= 2 ? Math.floor(rng() * 5) : 0,
+            placesAbove200: defcon <= 1 ? Math.floor(rng() * 3) : 0,
+            highCount: defcon <= 2 ? Math.floor(rng() * 3) : 0,
+            extremeCount: defcon <= 1 ? Math.floor(rng() * 2) : 0,
             maxPct: 0,
         },
         spikes: {
-            active: defcon <= 3 ? Math.floor(Math.random() * 3) : 0,
+            active: defcon <= 3 ? Math.floor(rng() * 3) : 0,
             hasActive: defcon <= 3,
             events: [],
         },
@@ -143,135 +225,64 @@ function generateSimulatedTensionData(defcon) {
 }
 
 /**
- * Fetch real resolved markets from Polymarket's public API.
- * Fetches multiple pages for a larger sample (Fix C).
- * Attempts to get historical prices for each market (Fix A).
+ * Draw the random inputs of a dataset: entry prices (from history, recorded
+ * snapshot price, or synthetic fallback) and missing volume/liquidity.
+ * Mutates and returns the entries.
  */
-async function fetchResolvedMarkets(log) {
-    try {
-        log('Fetching resolved markets (3 pages)...');
-        const allEvents = [];
-
-        // Fetch 3 pages of 50 for a larger pool
-        for (const offset of [0, 50, 100]) {
-            try {
-                const url = `https://gamma-api.polymarket.com/events?closed=true&limit=50&offset=${offset}&order=volume24hr&ascending=false`;
-                const response = await fetch(url);
-                if (!response.ok) continue;
-                const events = await response.json();
-                allEvents.push(...events);
-            } catch {
-                // Skip failed pages
-            }
-        }
-
-        if (allEvents.length === 0) return [];
-
-        const resolvedMarkets = [];
-
-        for (const event of allEvents) {
-            if (!event.markets || event.markets.length === 0) continue;
-
-            for (const market of event.markets) {
-                if (!market.outcomePrices) continue;
-
-                let prices;
-                try {
-                    prices = typeof market.outcomePrices === 'string'
-                        ? JSON.parse(market.outcomePrices)
-                        : market.outcomePrices;
-                } catch { continue; }
+function prepareBacktestMarkets(resolvedMarkets, rng, log) {
+    let historicalCount = 0;
+    let fallbackCount = 0;
 
-                if (!Array.isArray(prices) || prices.length < 2) continue;
+    for (const entry of resolvedMarkets) {
+        entry.market.volume24hr = entry.market.volume24hr || rng() * 50000;
+        entry.market.liquidityNum = entry.market.liquidityNum || rng() * 10000;
 
-                const yesPrice = parseFloat(prices[0]);
-                const noPrice = parseFloat(prices[1]);
-
-                let actualWinner = null;
-                if (yesPrice > 0.95) actualWinner = 'YES';
-                else if (noPrice > 0.95) actualWinner = 'NO';
-                else continue;
-
-                const preResolutionSnapshot = {
-                    ...market,
-                    outcomePrices: market.outcomePrices,
-                    _isBacktestMarket: true
-                };
-
-                const volume = parseFloat(market.volume || market.volumeNum || 0);
-                const liquidity = parseFloat(market.liquidityNum || 0);
-
-                preResolutionSnapshot.volume24hr = volume || Math.random() * 50000;
-                preResolutionSnapshot.liquidityNum = liquidity || Math.random() * 10000;
-
-                resolvedMarkets.push({
-                    market: preResolutionSnapshot,
-                    actualWinner,
-                    originalQuestion: market.question,
-                    _priceHistory: null // Will be populated below
-                });
-            }
+        if (entry._priceHistory && entry._priceHistory.length >= 10) {
+            // Use a real historical price as the entry price
+            const simYesPrice = pickEntryFromHistory(entry._priceHistory, entry.actualWinner, rng);
+            entry.market.outcomePrices = [
+                simYesPrice.toFixed(4),
+                (1 - simYesPrice).toFixed(4)
+            ];
+            historicalCount++;
+            continue;
         }
 
-        // Fetch historical prices for each market (rate limited)
-        let historicalCount = 0;
-        let fallbackCount = 0;
-
-        for (const entry of resolvedMarkets) {
-            let tokenIds = entry.market.clobTokenIds;
-            if (typeof tokenIds === 'string') {
-                try { tokenIds = JSON.parse(tokenIds); } catch { tokenIds = null; }
-            }
-            const tokenId = Array.isArray(tokenIds) && tokenIds.length >= 1 && typeof tokenIds[0] === 'string' && tokenIds[0].length > 10
-                ? tokenIds[0] : null;
-
-            if (tokenId) {
-                const history = await fetchHistoricalPrices(tokenId);
-                if (history && history.length >= 10) {
-                    entry._priceHistory = history;
-
-                    // Use a real historical price as the entry price
-                    const simYesPrice = pickEntryFromHistory(history, entry.actualWinner);
-                    entry.market.outcomePrices = [
-                        simYesPrice.toFixed(4),
-                        (1 - simYesPrice).toFixed(4)
-                    ];
-                    historicalCount++;
-                    await sleep(CLOB_DELAY_MS);
-                    continue;
-                }
-                await sleep(CLOB_DELAY_MS);
-            }
-
-            // Fallback: synthetic price (old behavior)
-            let simYesPrice, simNoPrice;
-            if (entry.actualWinner === 'YES') {
-                simYesPrice = 0.40 + Math.random() * 0.40;
-                simNoPrice = 1 - simYesPrice;
-            } else {
-                simNoPrice = 0.40 + Math.random() * 0.40;
-                simYesPrice = 1 - simNoPrice;
-            }
+        // Imported datasets (public_history_data.json) carry one recorded pre-resolution price
+        if (entry._snapshotPrice) {
             entry.market.outcomePrices = [
-                simYesPrice.toFixed(4),
-                simNoPrice.toFixed(4)
+                entry._snapshotPrice.toFixed(4),
+                (1 - entry._snapshotPrice).toFixed(4)
             ];
-            fallbackCount++;
+            historicalCount++;
+            continue;
         }
 
-        log(`Prices: ${historicalCount} historical, ${fallbackCount} synthetic fallback`);
-        return resolvedMarkets;
-    } catch (error) {
-        console.error('Failed to fetch resolved markets:', error.message);
-        return [];
+        // Fallback: synthetic price (old behavior)
+        let simYesPrice, simNoPrice;
+        if (entry.actualWinner === 'YES') {
+            simYesPrice = 0.40 + rng() * 0.40;
+            simNoPrice = 1 - simYesPrice;
+        } else {
+            simNoPrice = 0.40 + rng() * 0.40;
+            simYesPrice = 1 - simNoPrice;
+        }
+        entry.market.outcomePrices = [
+            simYesPrice.toFixed(4),
+            simNoPrice.toFixed(4)
+        ];
+        fallbackCount++;
     }
+
+    log(`Prices: ${historicalCount} historical, ${fallbackCount} synthetic fallback`);
+    return resolvedMarkets;
 }
 
 /**
  * Generate a synthetic price path using geometric Brownian motion.
  * Drift is toward the actual resolution outcome.
  */
-function generateSyntheticPricePath(entryPrice, actualWinner, betSide, category, steps) {
+function generateSyntheticPricePath(entryPrice, actualWinner, betSide, category, steps, rng) {
     const vol = CONFIG.BACKTEST?.SYNTHETIC_VOLATILITY?.[category] || 0.015;
     const points = [];
     let price = entryPrice;
@@ -281,7 +292,7 @@ function generateSyntheticPricePath(entryPrice, actualWinner, betSide, category,
     const drift = (targetPrice - entryPrice) / (steps * 2); // Slow drift
 
     for (let i = 0; i < steps; i++) {
-        const noise = (Math.random() - 0.5) * 2 * vol;
+        const noise = (rng() - 0.5) * 2 * vol;
         price = price + drift + noise;
         price = Math.max(0.02, Math.min(0.98, price)); // Clamp
         points.push(price);
@@ -297,7 +308,7 @@ function generateSyntheticPricePath(entryPrice, actualWinner, betSide, category,
  * Returns: { pnl, exitPrice, exitType, exitStep }
  *   exitType: 'STOP_LOSS' | 'TRAILING_STOP' | 'TAKE_PROFIT' | 'TIMEOUT' | 'MAX_LOSS_CAP' | 'RESOLUTION'
  */
-function simulateExitPath(betAmount, betPrice, betSide, actualWinner, category, priceHistory, entryIdx, slippage = DEFAULT_SLIPPAGE) {
+function simulateExitPath(betAmount, betPrice, betSide, actualWinner, category, priceHistory, entryIdx, slippage = DEFAULT_SLIPPAGE, rng = Math.random) {
     const shares = betAmount / betPrice;
     const slippageCost = betAmount * slippage;
     const fees = betAmount * POLYMARKET_FEES;
@@ -310,7 +321,7 @@ function simulateExitPath(betAmount, betPrice, betSide, actualWinner, category,
     } else {
         // Generate synthetic path
         const steps = CONFIG.BACKTEST?.SYNTHETIC_WALK_POINTS || 80;
-        pricePath = generateSyntheticPricePath(betPrice, actualWinner, betSide, category, steps);
+        pricePath = generateSyntheticPricePath(betPrice, actualWinner, betSide, category, steps, rng);
     }
 
     if (!pricePath || pricePath.length < 3) {
@@ -484,7 +495,7 @@ function calculateMetrics(tradeResults, initialCapital) {
  * Run the backtest on a set of markets.
  * Separated from runBacktestSimulation to allow train/test split (Fix G).
  */
-async function runBacktestOnSet(marketSet, initialCapital, log) {
+async function runBacktestOnSet(marketSet, initialCapital, log, rng) {
     const simCapital = { value: initialCapital };
     let wins = 0, losses = 0, ignored = 0;
     const tradeResults = [];
@@ -492,20 +503,28 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
     // Simulated portfolio state (Fix E: accumulate across iterations)
     const simActiveTrades = [];
     const simClosedTrades = [];
+    // Sleeves start from the configured allocations, not the live rebalanced ones
+    const simSleeves = capitalSleeves.createState();
 
     const backtestDependencies = {
         checkLiquidityDepthFn: async (market) => {
             const vol = parseFloat(market.volume24hr || 0);
             if (vol > 10000) return true;
-            if (vol > 1000) return Math.random() > 0.3;
-            return Math.random() > 0.6;
+            if (vol > 1000) return rng() > 0.3;
+            return rng() > 0.6;
         },
         calculateIntradayTrendFn: async () => {
-            const r = Math.random();
+            const r = rng();
             if (r < 0.35) return 'UP';
             if (r < 0.65) return 'FLAT';
             return 'DOWN';
         },
+        // Entries walk a synthetic book sized from market liquidity (VWAP + partial fills)
+        simulateFillFn: async (market, side, amountUsd, refPrice) => {
+            const book = buildSyntheticOrderBook(refPrice, parseFloat(market.liquidityNum || 0));
+            const fill = walkOrderBook(book, 'buy', { amountUsd });
+            return fill ? { ...fill, source: 'SYNTHETIC' } : null;
+        },
         testSize: null,
         isTest: false,
         skipPersistence: true,
@@ -526,8 +545,8 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
         backtestDependencies.reasonsCollector = [];
 
         // Fix B: Generate DEFCON per market (not once for entire backtest)
-        const simDefcon = generateWeightedDEFCON();
-        const simPizza = generateSimulatedTensionData(simDefcon);
+        const simDefcon = generateWeightedDEFCON(rng);
+        const simPizza = generateSimulatedTensionData(simDefcon, rng);
 
         // SAFE BACKTEST: Temporarily swap botState for simulated values,
         // but use try/finally to GUARANTEE restoration even on crash.
@@ -538,6 +557,7 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
         const savedClosedTrades = botState.closedTrades;
         const savedCorrelationMap = botState._correlationMap;
         const savedStartingCapital = botState.startingCapital;
+        const savedSleeves = botState.capitalSleeves;
 
         let decision = null;
         try {
@@ -546,6 +566,7 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
             botState.startingCapital = initialCapital;
             botState.activeTrades = [...simActiveTrades];
             botState.closedTrades = [...simClosedTrades];
+            botState.capitalSleeves = simSleeves;
 
             decision = await simulateTrade(market, simPizza, false, backtestDependencies);
         } catch {
@@ -557,6 +578,7 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
             botState.closedTrades = savedClosedTrades;
             botState._correlationMap = savedCorrelationMap;
             botState.startingCapital = savedStartingCapital;
+            botState.capitalSleeves = savedSleeves;
         }
 
         if (!decision || Array.isArray(decision)) {
@@ -569,7 +591,9 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
         const betAmount = Math.min(decision.amount, simCapital.value * 0.15);
         const tradeCategory = categorizeMarket(originalQuestion);
 
-        // Phase 5: Variable slippage based on market liquidity
+        // Phase 5: Variable slippage based on market liquidity, charged on exit.
+        // Entry impact is already in betPrice (VWAP); the synthetic book's top level absorbs
+        // typical sizes, so its VWAP slippage would make exits nearly free.
         const marketSlippage = estimateSlippage(market);
 
         // Deduct trade cost from simulated capital (since saveNewTrade no longer does it)
@@ -582,9 +606,9 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
             let entryIdx = undefined;
             if (_priceHistory && _priceHistory.length > 0) {
                 const len = _priceHistory.length;
-                entryIdx = Math.floor(len * 0.25) + Math.floor(Math.random() * Math.floor(len * 0.5));
+                entryIdx = Math.floor(len * 0.25) + Math.floor(rng() * Math.floor(len * 0.5));
             }
-            const exitResult = simulateExitPath(betAmount, betPrice, betSide, actualWinner, tradeCategory, _priceHistory, entryIdx, marketSlippage);
+            const exitResult = simulateExitPath(betAmount, betPrice, betSide, actualWinner, tradeCategory, _priceHistory, entryIdx, marketSlippage, rng);
             pnl = exitResult.pnl;
             exitType = exitResult.exitType;
             exitStats[exitType] = (exitStats[exitType] || 0) + 1;
@@ -602,18 +626,10 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
             : simPizza.tensionScore >= 30 ? 'ELEVATED'
             : 'NORMAL';
 
-        // Phase 6: Derive strategy from decision reasons
+        // Phase 6: Strategy that opened the position (registry id, same as live trades)
         const reasons = decision.reasons || [];
-        const reasonStr = reasons.join(' ').toLowerCase();
-        let strategy = 'standard';
-        if (reasonStr.includes('whale') || reasonStr.includes('🐋')) strategy = 'whale';
-        else if (reasonStr.includes('copy') || reasonStr.includes('leaderboard')) strategy = 'copy';
-        else if (reasonStr.includes('news') || reasonStr.includes('headline')) strategy = 'news';
-        else if (reasonStr.includes('calendar')) strategy = 'calendar';
-        else if (reasonStr.includes('wizard') || reasonStr.includes('trend')) strategy = 'trend';
-        else if (reasonStr.includes('fresh')) strategy = 'fresh';
-        else if (reasonStr.includes('anti-fragility') || reasonStr.includes('recovery')) strategy = 'anti-fragility';
-        else if (reasonStr.includes('hype') || reasonStr.includes('fader')) strategy = 'hype_fader';
+        const strategy = decision.strategy || 'standard';
+        capitalSleeves.recordPnL(strategy, pnl, simSleeves);
 
         const tradeResult = {
             pnl,
@@ -628,6 +644,7 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
             marketId: market.id,
             exitType,
             strategy,
+            signals: decision.signals || [],
             tensionRegime
         };
         tradeResults.push(tradeResult);
@@ -640,6 +657,7 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
             amount: betAmount,
             category: tradeResult.category,
             question: originalQuestion,
+            strategy,
             convictionScore: decision.convictionScore || 0
         };
 
@@ -696,7 +714,7 @@ async function runBacktestOnSet(marketSet, initialCapital, log) {
  * Phase 9: Monte Carlo simulation — resample trades to get confidence intervals.
  * Shuffles the order of trades 1000+ times to see if results are skill or luck.
  */
-function runMonteCarloSimulation(tradeResults, initialCapital, nPaths = 1000) {
+function runMonteCarloSimulation(tradeResults, initialCapital, nPaths = 1000, rng = Math.random) {
     if (!tradeResults || tradeResults.length < 5) return null;
 
     const pathResults = [];
@@ -705,7 +723,7 @@ function runMonteCarloSimulation(tradeResults, initialCapital, nPaths = 1000) {
         // Resample trades with replacement
         const resampled = [];
         for (let j = 0; j < tradeResults.length; j++) {
-            const idx = Math.floor(Math.random() * tradeResults.length);
+            const idx = Math.floor(rng() * tradeResults.length);
             resampled.push(tradeResults[idx]);
         }
 
@@ -764,7 +782,83 @@ function runMonteCarloSimulation(tradeResults, initialCapital, nPaths = 1000) {
     };
 }
 
-function warmUpStrategies(marketSet, log) {
+// Resolution time of a backtest market (ms), 0 when unknown
+function getMarketEndTime(entry) {
+    const m = entry.market;
+    return Date.parse(m.closedTime || m.endDate || m.endDateIso || '') || 0;
+}
+
+/**
+ * Split a time-ordered sample into walk-forward folds.
+ * The sample is cut into folds+1 contiguous blocks; fold k tests on block k and
+ * trains on blocks 0..k-1 (anchored) or on the previous TRAIN_BLOCKS blocks (rolling).
+ * @returns {{ fold: number, trainSet: Object[], testSet: Object[] }[]}
+ */
+export function buildWalkForwardFolds(sortedSample) {
+    const WF = CONFIG.BACKTEST?.WALK_FORWARD || {};
+    const minBlock = WF.MIN_BLOCK_SIZE || 5;
+    const nFolds = Math.max(1, Math.min(WF.FOLDS || 4, Math.floor(sortedSample.length / minBlock) - 1));
+    const nBlocks = nFolds + 1;
+
+    const blocks = [];
+    for (let b = 0; b < nBlocks; b++) {
+        blocks.push(sortedSample.slice(
+            Math.floor(b * sortedSample.length / nBlocks),
+            Math.floor((b + 1) * sortedSample.length / nBlocks)
+        ));
+    }
+
+    const folds = [];
+    for (let k = 1; k < nBlocks; k++) {
+        const trainStart = WF.MODE === 'rolling' ? Math.max(0, k - (WF.TRAIN_BLOCKS || 1)) : 0;
+        folds.push({ fold: k, trainSet: blocks.slice(trainStart, k).flat(), testSet: blocks[k] });
+    }
+    return folds;
+}
+
+function describeWindow(set) {
+    const times = set.map(getMarketEndTime).filter(t => t > 0);
+    const day = t => new Date(t).toISOString().split('T')[0];
+    return {
+        size: set.length,
+        from: times.length > 0 ? day(Math.min(...times)) : null,
+        to: times.length > 0 ? day(Math.max(...times)) : null
+    };
+}
+
+/**
+ * Aggregate out-of-sample stability across folds (dispersion of test results)
+ */
+export function summarizeFoldStability(folds) {
+    const mean = arr => arr.reduce((a, b) => a + b, 0) / (arr.length || 1);
+    const std = arr => {
+        const m = mean(arr);
+        return Math.sqrt(mean(arr.map(v => (v - m) ** 2)));
+    };
+
+    const testROIs = folds.map(f => f.test.roi);
+    const trainROIs = folds.map(f => f.train.roi);
+    const meanTrainSharpe = mean(folds.map(f => f.train.sharpeRatio));
+    const meanTestSharpe = mean(folds.map(f => f.test.sharpeRatio));
+
+    return {
+        folds: folds.length,
+        meanTrainROI: mean(trainROIs),
+        meanTestROI: mean(testROIs),
+        stdTestROI: std(testROIs),
+        minTestROI: Math.min(...testROIs),
+        maxTestROI: Math.max(...testROIs),
+        positiveFolds: testROIs.filter(r => r > 0).length,
+        meanTrainSharpe,
+        meanTestSharpe,
+        stdTestSharpe: std(folds.map(f => f.test.sharpeRatio)),
+        meanTestWinrate: mean(folds.map(f => f.test.winrate)),
+        // Share of in-sample Sharpe that survives out of sample (1 = no degradation)
+        sharpeRetention: meanTrainSharpe > 0 ? meanTestSharpe / meanTrainSharpe : null
+    };
+}
+
+function warmUpStrategies(marketSet, log, rng) {
     // Clear previous backtest state
     clearMarketMemory();
     clearEventCatalysts();
@@ -795,7 +889,7 @@ function warmUpStrategies(marketSet, log) {
     botState._correlationMap = correlationMap;
 
     // Seed event catalysts with synthetic PizzINT data (full tension format)
-    const syntheticPizza = generateSimulatedTensionData(3);
+    const syntheticPizza = generateSimulatedTensionData(3, rng);
     syntheticPizza.trends = [
         'Trump tariffs trade war economy',
         'Ukraine Russia ceasefire negotiations',
@@ -808,28 +902,100 @@ function warmUpStrategies(marketSet, log) {
 }
 
 /**
- * Runs the full backtest simulation with walk-forward analysis (Fix G).
- * @returns {Promise<Object>} { metrics, logs, trades, summary, trainMetrics, testMetrics }
+ * Runs the full backtest simulation with time-ordered walk-forward folds (Fix G, Phase 8).
+ * Deterministic: the same seed + dataset + config + learning params reproduce the run.
+ * @param {Object} options
+ * @param {number} [options.seed] - PRNG seed (uint32). Random when omitted; always recorded in the manifest
+ * @param {string} [options.dataset] - Run offline on a stored dataset version ('YYYY-MM-DD[.N]' or 'latest')
+ * @param {string} [options.datasetHash] - Replay a run snapshot (or, with `dataset`, the hash the version must match)
+ * @param {Object} [options.configOverrides] - { 'SECTION.KEY': value } applied to CONFIG for this run only
+ * @param {Object} [options.params] - { learningParams, strategyOverrides, strategyToggles } used instead of
+ *   botState's for this run only (manifest.params of a run being reproduced)
+ * @param {boolean} [options.monteCarlo]
+ * @param {boolean} [options.quiet] - Keep the log in the result only (no console output)
+ * @returns {Promise<Object>} { metrics, logs, trades, summary, trainMetrics, testMetrics, walkForward, manifest }
  */
 export async function runBacktestSimulation(options = {}) {
     const outputLog = [];
     const log = (...args) => {
         const msg = args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' ');
         outputLog.push(msg);
-        console.log(...args);
+        if (!options.quiet) console.log(...args);
     };
 
-    const initialCapital = 1000;
+    if (options.configOverrides) {
+        const overrideError = validateConfigOverrides(options.configOverrides);
+        if (overrideError) return { error: overrideError, logs: outputLog };
+    }
 
-    log('Fetching resolved markets...');
-    const resolvedMarkets = await fetchResolvedMarkets(log);
+    const initialCapital = 1000;
+    const seed = Number.isInteger(options.seed) && options.seed >= 0 ? options.seed >>> 0 : crypto.randomInt(2 ** 32);
+    const rng = createSeededRandom(seed);
+
+    let rawMarkets;
+    let datasetHash;
+    let datasetVersion = null;
+    if (options.dataset) {
+        const dataset = await backtestDatasetStore.load(options.dataset);
+        if (!dataset) {
+            return { error: `Dataset ${options.dataset} not found (run npm run dataset:sync)`, logs: outputLog };
+        }
+        if (options.datasetHash && dataset.hash !== options.datasetHash) {
+            return { error: `Dataset ${dataset.version} does not match hash ${options.datasetHash}`, logs: outputLog };
+        }
+        rawMarkets = dataset.markets;
+        datasetHash = dataset.hash;
+        datasetVersion = dataset.version;
+        log(`Offline dataset ${datasetVersion} (${rawMarkets.length} markets, ${dataset.source})`);
+    } else if (options.datasetHash) {
+        rawMarkets = await backtestDatasetStore.loadSnapshot(options.datasetHash);
+        if (!rawMarkets) {
+            return { error: `Dataset snapshot ${options.datasetHash} not found`, logs: outputLog };
+        }
+        datasetHash = options.datasetHash;
+        log(`Replaying dataset ${datasetHash.substring(0, 12)} (${rawMarkets.length} markets)`);
+    } else {
+        log('Fetching resolved markets...');
+        rawMarkets = await fetchResolvedMarkets(log);
+        if (rawMarkets.length > 0) {
+            datasetHash = hashMarkets(rawMarkets);
+            backtestDatasetStore.saveSnapshot(datasetHash, rawMarkets);
+        }
+    }
 
-    if (resolvedMarkets.length === 0) {
+    if (rawMarkets.length === 0) {
         return { error: 'No resolved markets found', logs: outputLog };
     }
 
+    // Overrides and params go live only once the data is in memory: the simulation below
+    // does no network or disk I/O, so the live loop never gets a turn while they apply
+    const restoreConfig = applyConfigOverrides(options.configOverrides);
+    const restoreParams = applyRunParams(options.params);
+    try {
+        return await simulateLoadedDataset({ rawMarkets, datasetHash, datasetVersion, seed, rng, options, initialCapital, log, outputLog });
+    } finally {
+        restoreParams();
+        restoreConfig();
+    }
+}
+
+async function simulateLoadedDataset({ rawMarkets, datasetHash, datasetVersion, seed, rng, options, initialCapital, log, outputLog }) {
+    const configHash = hashConfig();
+    const params = {
+        learningParams: botState.learningParams || null,
+        strategyOverrides: botState.strategyOverrides || null
+    };
+    // Manual strategy toggles only enter the manifest (and the runId) once some are set
+    if (Object.keys(botState.strategyToggles || {}).length > 0) params.strategyToggles = botState.strategyToggles;
+    const runOptions = { monteCarlo: !!options.monteCarlo };
+    const runId = 'bt_' + sha256(stableStringify({ seed, configHash, datasetHash, params, runOptions })).substring(0, 16);
+    log(`Run ${runId} | seed=${seed} | config=${configHash.substring(0, 12)} | dataset=${datasetHash.substring(0, 12)}`);
+
+    // Work on a copy: entry prices are drawn per run, the snapshot stays raw
+    const resolvedMarkets = prepareBacktestMarkets(JSON.parse(JSON.stringify(rawMarkets)), rng, log);
+
     // Shuffle and take up to 100 markets (Fix C)
-    const shuffled = resolvedMarkets.sort(() => Math.random() - 0.5);
+    const shuffled = shuffleInPlace(resolvedMarkets, rng);
     const sample = shuffled.slice(0, 100);
 
     log(`Sample: ${sample.length} markets (${resolvedMarkets.length} total fetched)`);
@@ -838,44 +1004,73 @@ export async function runBacktestSimulation(options = {}) {
         log('WARNING: Low sample size, metrics may be unreliable');
     }
 
-    // Warm up advanced strategies (Fix D)
-    warmUpStrategies(sample, log);
-
-    // Walk-Forward split: 70% train, 30% test (Fix G)
-    const splitIdx = Math.floor(sample.length * 0.7);
-    const trainSet = sample.slice(0, splitIdx);
-    const testSet = sample.slice(splitIdx);
-
-    log(`Walk-Forward: ${trainSet.length} train / ${testSet.length} test`);
+    // Walk-Forward (Phase 8): time-ordered folds by market resolution date, so every
+    // test window is strictly later than (anchored) or right after (rolling) its train window
+    const sortedSample = [...sample].sort((a, b) => getMarketEndTime(a) - getMarketEndTime(b));
+    const undated = sortedSample.filter(e => getMarketEndTime(e) === 0).length;
+    if (undated > 0) log(`WARNING: ${undated} markets without end date (ordered first)`);
+
+    const foldSets = buildWalkForwardFolds(sortedSample);
+    const wfMode = CONFIG.BACKTEST?.WALK_FORWARD?.MODE === 'rolling' ? 'rolling' : 'anchored';
+    log(`Walk-Forward: ${foldSets.length} ${wfMode} folds over ${sortedSample.length} markets`);
+
+    const folds = [];
+    const oosResults = [];
+    let firstTrainResult = null;
+    let lastTrainResult = null;
+
+    for (const { fold, trainSet, testSet } of foldSets) {
+        log(`--- FOLD ${fold}/${foldSets.length} TRAIN (${trainSet.length}) ---`);
+        // Warm up advanced strategies (Fix D)
+        warmUpStrategies(trainSet, log, rng);
+        const trainResult = await runBacktestOnSet(trainSet, initialCapital, log, rng);
+
+        log(`--- FOLD ${fold}/${foldSets.length} TEST (${testSet.length}) ---`);
+        // Re-warm strategies for the test window too (they need memory)
+        warmUpStrategies(testSet, log, rng);
+        const testResult = await runBacktestOnSet(testSet, initialCapital, log, rng);
+
+        if (!firstTrainResult) firstTrainResult = trainResult;
+        lastTrainResult = trainResult;
+        oosResults.push(testResult);
+
+        folds.push({
+            fold,
+            trainWindow: describeWindow(trainSet),
+            testWindow: describeWindow(testSet),
+            train: { ...trainResult.metrics, winrate: parseFloat(trainResult.summary.winrate), trades: trainResult.summary.tradesCount },
+            test: { ...testResult.metrics, winrate: parseFloat(testResult.summary.winrate), trades: testResult.summary.tradesCount }
+        });
+        log(`Fold ${fold}: train ROI ${trainResult.metrics.roi.toFixed(2)}% -> test ROI ${testResult.metrics.roi.toFixed(2)}% (Sharpe ${trainResult.metrics.sharpeRatio.toFixed(2)} -> ${testResult.metrics.sharpeRatio.toFixed(2)})`);
+    }
 
-    // Run training set
-    log('--- TRAIN SET ---');
-    const trainResult = await runBacktestOnSet(trainSet, initialCapital, log);
+    const stability = summarizeFoldStability(folds);
 
-    // Run test set (validates generalization)
-    log('--- TEST SET ---');
-    // Re-warm strategies for test set too (they need memory)
-    warmUpStrategies(testSet, log);
-    const testResult = await runBacktestOnSet(testSet, initialCapital, log);
+    // Out-of-sample curve: every test window stitched in time order
+    const oosTradeResults = oosResults.flatMap(r => r.tradeResults);
+    const testMetrics = calculateMetrics(oosTradeResults, initialCapital);
+    // In-sample reference: the last fold's train window (the widest one when anchored)
+    const trainMetrics = lastTrainResult.metrics;
 
-    // Combined metrics (for backward compatibility)
-    const allTradeResults = [...trainResult.tradeResults, ...testResult.tradeResults];
+    // Combined metrics (for backward compatibility): every market once —
+    // the first train window, then all the out-of-sample windows
+    const combinedRuns = [firstTrainResult, ...oosResults];
+    const allTradeResults = combinedRuns.flatMap(r => r.tradeResults);
     const combinedMetrics = calculateMetrics(allTradeResults, initialCapital);
     const totalPnL = allTradeResults.reduce((sum, t) => sum + t.pnl, 0);
     const finalCapital = initialCapital + totalPnL;
-    const totalWins = trainResult.summary.wins + testResult.summary.wins;
-    const totalLosses = trainResult.summary.losses + testResult.summary.losses;
-    const totalIgnored = trainResult.summary.ignored + testResult.summary.ignored;
+    const totalWins = combinedRuns.reduce((sum, r) => sum + r.summary.wins, 0);
+    const totalLosses = combinedRuns.reduce((sum, r) => sum + r.summary.losses, 0);
+    const totalIgnored = combinedRuns.reduce((sum, r) => sum + r.summary.ignored, 0);
     const winrate = (totalWins + totalLosses) > 0
         ? (totalWins / (totalWins + totalLosses) * 100).toFixed(1) : '0';
 
-    // Merge exit stats from train + test
+    // Merge exit stats of the combined runs
     const combinedExitStats = {};
-    for (const key of Object.keys(trainResult.exitStats || {})) {
-        combinedExitStats[key] = (trainResult.exitStats[key] || 0) + (testResult.exitStats?.[key] || 0);
-    }
-    for (const key of Object.keys(testResult.exitStats || {})) {
-        if (!combinedExitStats[key]) combinedExitStats[key] = testResult.exitStats[key];
+    for (const r of combinedRuns) {
+        for (const [key, count] of Object.entries(r.exitStats || {})) {
+            combinedExitStats[key] = (combinedExitStats[key] || 0) + count;
+        }
     }
 
     // Phase 6: Per-strategy performance
@@ -917,8 +1112,9 @@ export async function runBacktestSimulation(options = {}) {
     }
 
     log('--- RESULTS ---');
-    log(`Train: ROI ${trainResult.metrics.roi.toFixed(2)}% | Sharpe ${trainResult.metrics.sharpeRatio.toFixed(2)} | WR ${trainResult.summary.winrate}%`);
-    log(`Test:  ROI ${testResult.metrics.roi.toFixed(2)}% | Sharpe ${testResult.metrics.sharpeRatio.toFixed(2)} | WR ${testResult.summary.winrate}%`);
+    log(`Train (last fold): ROI ${trainMetrics.roi.toFixed(2)}% | Sharpe ${trainMetrics.sharpeRatio.toFixed(2)} | WR ${lastTrainResult.summary.winrate}%`);
+    log(`Test (out-of-sample): ROI ${testMetrics.roi.toFixed(2)}% | Sharpe ${testMetrics.sharpeRatio.toFixed(2)} | ${oosTradeResults.length} trades`);
+    log(`Fold stability: test ROI ${stability.meanTestROI.toFixed(2)}% ± ${stability.stdTestROI.toFixed(2)} | ${stability.positiveFolds}/${stability.folds} folds profitable`);
     log(`Combined: ${totalWins}W ${totalLosses}L ${totalIgnored}I | ROI ${combinedMetrics.roi.toFixed(2)}% | $${initialCapital} -> $${finalCapital.toFixed(2)}`);
     const exitSummary = Object.entries(combinedExitStats).filter(([, v]) => v > 0).map(([k, v]) => `${k}=${v}`).join(', ');
     if (exitSummary) log(`Exit Types: ${exitSummary}`);
@@ -944,7 +1140,7 @@ export async function runBacktestSimulation(options = {}) {
     let monteCarlo = null;
     if ((CONFIG.BACKTEST?.MONTE_CARLO_ENABLED || options.monteCarlo) && allTradeResults.length >= 10) {
         const mcPaths = CONFIG.BACKTEST.MONTE_CARLO_PATHS || 1000;
-        monteCarlo = runMonteCarloSimulation(allTradeResults, initialCapital, mcPaths);
+        monteCarlo = runMonteCarloSimulation(allTradeResults, initialCapital, mcPaths, rng);
         if (monteCarlo) {
             log(`Monte Carlo (${mcPaths} paths): P(profit)=${monteCarlo.probOfProfit}% | ROI median=${monteCarlo.roi.median}% [${monteCarlo.roi.p5}% to ${monteCarlo.roi.p95}%] | P(ruin)=${monteCarlo.probOfRuin}%`);
         }
@@ -956,8 +1152,9 @@ export async function runBacktestSimulation(options = {}) {
 
     return {
         metrics: combinedMetrics,
-        trainMetrics: trainResult.metrics,
-        testMetrics: testResult.metrics,
+        trainMetrics,
+        testMetrics,
+        walkForward: { mode: wfMode, folds, stability },
         exitStats: combinedExitStats,
         strategyPerformance,
         categoryPerformance,
@@ -968,10 +1165,55 @@ export async function runBacktestSimulation(options = {}) {
             wins: totalWins, losses: totalLosses,
             ignored: totalIgnored, winrate,
             tradesCount: totalWins + totalLosses,
-            trainSize: trainSet.length,
-            testSize: testSet.length
+            trainSize: foldSets[foldSets.length - 1].trainSet.length,
+            testSize: foldSets.reduce((sum, f) => sum + f.testSet.length, 0)
         },
         logs: outputLog,
-        tradeResults: allTradeResults
+        tradeResults: allTradeResults,
+        manifest: {
+            runId,
+            seed,
+            configHash,
+            datasetHash,
+            dataset: datasetVersion,
+            datasetSize: rawMarkets.length,
+            sampleSize: sample.length,
+            initialCapital,
+            params,
+            configOverrides: options.configOverrides || null,
+            options: runOptions,
+            createdAt: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Re-run a past backtest from its manifest: same seed, same dataset snapshot and
+ * the learning params it ran with (swapped in once the dataset is loaded, for the run only).
+ * @param {Object} manifest - result.manifest of the original run
+ * @returns {Promise<Object>} runBacktestSimulation result + { reproduction }
+ */
+export async function rerunBacktest(manifest) {
+    if (!manifest || !Number.isInteger(manifest.seed) || !manifest.datasetHash) {
+        return { error: 'Run has no replayable manifest (seed + datasetHash)', logs: [] };
+    }
+
+    const result = await runBacktestSimulation({
+        seed: manifest.seed,
+        dataset: manifest.dataset || undefined,
+        datasetHash: manifest.datasetHash,
+        configOverrides: manifest.configOverrides || undefined,
+        params: manifest.params || {},
+        monteCarlo: manifest.options?.monteCarlo
+    });
+
+    if (result.error) return result;
+
+    result.reproduction = {
+        originalRunId: manifest.runId || null,
+        runIdMatches: result.manifest.runId === manifest.runId,
+        // A config change since the original run means the replay is not exact
+        configMatches: result.manifest.configHash === manifest.configHash
     };
+    return result;
 }
@@ -0,0 +1,654 @@
+/**
+ * BUILT-IN STRATEGIES — registered into the StrategyRegistry at startup
+ *
+ * Each definition may provide:
+ *   entry       { order, group?, applies(ctx), run(ctx) } — picks the side
+ *               run returns { side, entryPrice, confidence, reason } | { reason } (note only)
+ *               | { reject } | { paired: true, reason } (arbitrage, both legs) | null
+ *   conviction  { order, run(ctx, add) } — add(points, label) per contribution,
+ *               may return { sizeMultiplier, reject }
+ *   sizing      { scope: 'entry' | 'any', maxUsd?, maxCapitalPct? } — hard caps on the trade size
+ *   patterns    reason fragments that identified the strategy before trades carried signals[]
+ *   primary     a trade may be filed under this strategy without an entry hook: price-band
+ *               entries go to the primary signal with the most points (and legacy reasons match it)
+ *
+ * Registration order is the legacy attribution priority. Entry hooks with the same
+ * group behave like the old else-if chain: only the first one that applies runs.
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+import {
+    getMemorySignal, evaluateEntryTiming, evaluateSpreadQuality,
+    getEventSignal, getTensionAwareRecoveryState
+} from './advancedStrategies.js';
+
+const inRange = (p, min, max) => p > min && p < max;
+
+async function buy(ctx, side, minimumUsd, confidence, reason) {
+    const price = side === 'YES' ? ctx.yesPrice : ctx.noPrice;
+    const depthOK = await ctx.checkLiquidityDepthFn(ctx.market, side, price, minimumUsd);
+    return depthOK ? { side, entryPrice: price, confidence, reason } : null;
+}
+
+export const BUILTIN_STRATEGIES = [
+    {
+        id: 'arbitrage',
+        label: 'Arbitrage',
+        patterns: ['Arbitrage'],
+        entry: {
+            order: 10,
+            applies: (ctx) => !!botState.arbitrageOpportunities?.some(a => a.id === ctx.market.id)
+                && ctx.yesPrice + ctx.noPrice < 0.995, // 0.5% margin for safety
+            async run(ctx) {
+                const depthYesOK = await ctx.checkLiquidityDepthFn(ctx.market, 'YES', ctx.yesPrice, 100);
+                const depthNoOK = await ctx.checkLiquidityDepthFn(ctx.market, 'NO', ctx.noPrice, 100);
+                if (!depthYesOK || !depthNoOK) return null;
+                return { paired: true, reason: `⚖️ Arbitrage: Sum=${(ctx.yesPrice + ctx.noPrice).toFixed(3)}` };
+            }
+        },
+        conviction: {
+            order: 10,
+            run(ctx, add) {
+                const hasArbitrage = botState.arbitrageOpportunities?.some(a => a.id === ctx.market.id);
+                if (hasArbitrage && ctx.yesPrice + ctx.noPrice < 0.995) add(40, 'Arbitrage (+40)');
+            }
+        }
+    },
+    {
+        id: 'copy_trade',
+        label: 'Copy Trading',
+        patterns: ['Copy Follow'],
+        // Enforce COPY_SIZE_PERCENT on copy-triggered entries
+        sizing: {
+            scope: 'entry',
+            get maxCapitalPct() { return CONFIG.COPY_TRADING?.COPY_SIZE_PERCENT || 0.023; }
+        },
+        entry: {
+            order: 40,
+            group: 'fallback',
+            // Only when nothing set a side yet — but it still ends the chain if it applies
+            applies: (ctx) => !ctx.side && !!ctx.market._copyMatch && !!CONFIG.COPY_TRADING?.ENABLED,
+            run(ctx) {
+                const copyMatch = ctx.market._copyMatch;
+                const copyOutcome = copyMatch.outcome; // "Yes" or "No"
+                const leader = `led by ${copyMatch.topTrader} #${copyMatch.topRank}`;
+                if (copyOutcome === 'Yes' || copyOutcome === 'YES') {
+                    return buy(ctx, 'YES', 50, 0.60, `Copy Follow: ${copyMatch.count} top trader(s) on YES (${leader})`);
+                }
+                if (copyOutcome === 'No' || copyOutcome === 'NO') {
+                    return buy(ctx, 'NO', 50, 0.60, `Copy Follow: ${copyMatch.count} top trader(s) on NO (${leader})`);
+                }
+                return null;
+            }
+        },
+        conviction: {
+            order: 30,
+            run(ctx, add) {
+                const CT = CONFIG.COPY_TRADING || {};
+                const copyMatch = ctx.market._copyMatch;
+                if (!copyMatch || !CT.ENABLED) return;
+                const tradeDirection = ctx.yesPrice > 0.5 ? 'Yes' : 'No';
+                if (copyMatch.outcome === tradeDirection) {
+                    add(CT.COPY_CONVICTION_ALIGNED || 12, `CopyAlign: ${copyMatch.topTrader} #${copyMatch.topRank} (+${CT.COPY_CONVICTION_ALIGNED || 12})`);
+                }
+                if (copyMatch.topRank <= 5) {
+                    add(CT.COPY_CONVICTION_STRONG || 8, `CopyTop5: #${copyMatch.topRank} (+${CT.COPY_CONVICTION_STRONG || 8})`);
+                }
+                if (copyMatch.count >= 2) add(5, `CopyMulti: ${copyMatch.count} wallets (+5)`);
+            }
+        }
+    },
+    {
+        id: 'wizard',
+        label: 'Wizard Follow',
+        patterns: ['Wizard'],
+        entry: {
+            order: 50,
+            group: 'fallback',
+            applies: (ctx) => !!botState.wizards?.some(w => w.id === ctx.market.id),
+            async run(ctx) {
+                const wizardSignal = botState.wizards.find(w => w.id === ctx.market.id);
+                // Wizards are detected as "Cheap YES" (< 0.35) with high Alpha: verify depth and go long
+                return await buy(ctx, 'YES', 50, 0.60, `🧙 Wizard Follow: High Alpha (${wizardSignal.alpha}%)`)
+                    || { reason: '⚠️ Wizard Signal Ignored: Low Liquidity' };
+            }
+        },
+        conviction: {
+            order: 60,
+            run(ctx, add) {
+                // Best performing strategy (50% of all trades)
+                if (botState.wizards?.some(w => w.id === ctx.market.id)) add(20, 'Wizard (+20)');
+            }
+        }
+    },
+    {
+        id: 'whale',
+        label: 'Whale Follow',
+        patterns: ['Whale', '🐋'],
+        // 124 trades data: whale 43% WR, -$16.21 PnL — losses bigger than wins
+        sizing: { scope: 'any', maxUsd: 10 },
+        entry: {
+            order: 30,
+            // Real trade data from the Data API — overrides a side set by tension
+            applies: (ctx) => !!(ctx.market._whaleMatch || botState.whaleAlerts?.find(w => w.slug === ctx.market.slug)),
+            async run(ctx) {
+                const whaleAlert = ctx.market._whaleMatch || botState.whaleAlerts.find(w => w.slug === ctx.market.slug);
+                if (!whaleAlert.consensus || whaleAlert.consensus === 'MIXED') {
+                    return { reason: '⚠️ Whale Alert: MIXED consensus, no follow' };
+                }
+                const side = whaleAlert.consensus === 'BULLISH' ? 'YES' : whaleAlert.consensus === 'BEARISH' ? 'NO' : null;
+                if (!side) return null;
+                const topName = whaleAlert.topTrade?.name || 'Unknown';
+                return buy(ctx, side, 50, 0.75,
+                    `🐳 Whale Follow: ${whaleAlert.whaleCount || 1} whales ${whaleAlert.consensus} ($${Math.round(whaleAlert.totalVolume || whaleAlert.volume)}) led by ${topName}`);
+            }
+        },
+        conviction: {
+            order: 20,
+            run(ctx, add) {
+                const W = CONFIG.WHALE_TRACKING || {};
+                const whaleMatch = ctx.market._whaleMatch; // Set by calculateAlphaScore in signals.js
+                if (!whaleMatch) return;
+                // Check if whale direction aligns with our likely trade direction
+                const tradeDirection = ctx.yesPrice > 0.5 ? 'BULLISH' : 'BEARISH';
+                if (whaleMatch.consensus === tradeDirection) {
+                    add(W.WHALE_CONVICTION_ALIGNED || 15, `🐳 WhaleAlign:${whaleMatch.consensus} (+${W.WHALE_CONVICTION_ALIGNED || 15})`);
+                } else if (whaleMatch.consensus !== 'MIXED') {
+                    add(W.WHALE_CONVICTION_OPPOSED || -10, `🐳 WhaleOppose:${whaleMatch.consensus} (${W.WHALE_CONVICTION_OPPOSED || -10})`);
+                } else {
+                    add(5, '🐳 WhaleActivity (+5)');
+                }
+                if ((whaleMatch.whaleCount || 0) >= 3) {
+                    add(W.WHALE_MULTI_BONUS || 10, `Multi-whale x${whaleMatch.whaleCount} (+${W.WHALE_MULTI_BONUS || 10})`);
+                }
+            }
+        }
+    },
+    {
+        id: 'dca',
+        label: 'DCA',
+        primary: true,
+        patterns: ['DCA', 'dollar cost', 'reinforce']
+        // Add-ons run from the server loop (evaluateDCA/executeDCA), gated on isEnabled('dca')
+    },
+    {
+        id: 'tension',
+        label: 'PizzINT Tension',
+        patterns: ['DEFCON', 'CRISIS', 'tension', 'PizzINT', 'pizzint', 'ELEVATED', 'HIGH mode', 'CRITICAL'],
+        entry: {
+            order: 20,
+            // Graduated tension (replaces the binary DEFCON check)
+            applies: (ctx) => (ctx.pizzaData?.tensionScore || 0) >= (CONFIG.TENSION?.HIGH || 55),
+            run(ctx) {
+                const tension = ctx.pizzaData.tensionScore;
+                const T = CONFIG.TENSION || {};
+                const geoEco = ctx.category === 'geopolitical' || ctx.category === 'economic';
+
+                if (tension >= (T.CRITICAL || 80)) {
+                    // Full crisis: force geo/eco YES, reject sports
+                    if (geoEco) return { side: 'YES', entryPrice: ctx.yesPrice, confidence: 0.65, reason: `CRISIS tension ${tension} + ${ctx.category}` };
+                    if (ctx.category === 'sports') return { reject: `Rejected: Sports during crisis (tension ${tension})` };
+                    return { side: 'YES', entryPrice: ctx.yesPrice, confidence: 0.45, reason: `CRISIS tension ${tension} + other category` };
+                }
+                // High tension: nudge geo/eco confidence but don't force-reject sports
+                if (geoEco) return { side: 'YES', entryPrice: ctx.yesPrice, confidence: 0.55, reason: `HIGH tension ${tension} + ${ctx.category}` };
+                return null;
+            }
+        },
+        conviction: {
+            order: 100,
+            run(ctx, add) {
+                if (!ctx.pizzaData) return;
+                const tension = ctx.pizzaData.tensionScore || 0;
+                const T = CONFIG.TENSION || {};
+                const category = ctx.category;
+                if ((category === 'geopolitical' || category === 'economic') && tension > 0) {
+                    if (tension >= (T.CRITICAL || 80)) {
+                        add(T.GEO_CONVICTION_CRITICAL || 25, `CRISIS(${tension})+${category} (+${T.GEO_CONVICTION_CRITICAL || 25})`);
+                    } else if (tension >= (T.HIGH || 55)) {
+                        add(T.GEO_CONVICTION_HIGH || 20, `HighTension(${tension})+${category} (+${T.GEO_CONVICTION_HIGH || 20})`);
+                    } else if (tension >= (T.ELEVATED || 30)) {
+                        add(T.GEO_CONVICTION_ELEVATED || 10, `ElevatedTension(${tension})+${category} (+${T.GEO_CONVICTION_ELEVATED || 10})`);
+                    }
+                }
+                // Rising tension early detection
+                if (ctx.pizzaData.tensionTrend === 'RISING') add(5, 'Tension RISING (+5)');
+            }
+        }
+    },
+    {
+        id: 'memory',
+        label: 'Market Memory',
+        primary: true,
+        patterns: ['Memory:', 'Market Memory', 'accelerating', 'support detected', 'resistance detected'],
+        conviction: {
+            order: 200,
+            run(ctx, add) {
+                const mem = getMemorySignal(ctx.market.id);
+                mem.parts.forEach(p => add(p.points, p.label));
+            }
+        }
+    },
+    {
+        id: 'event_driven',
+        label: 'Event-Driven',
+        primary: true,
+        patterns: ['Event:', 'Catalyst', 'volume_spike', 'volume spike'],
+        conviction: {
+            order: 230,
+            run(ctx, add) {
+                const eventSignal = getEventSignal(ctx.market.id, ctx.market);
+                if (eventSignal.signals.length === 0) return;
+                // The bonus is capped as a whole: the first label carries it, the others are context
+                eventSignal.signals.forEach((label, i) => add(i === 0 ? eventSignal.bonus : 0, label));
+            }
+        }
+    },
+    {
+        id: 'weather',
+        label: 'Weather',
+        primary: true,
+        patterns: ['Weather'],
+        conviction: {
+            order: 130,
+            run(ctx, add) {
+                if (ctx.category !== 'weather') return;
+                // Weather forecast conviction (science-backed)
+                const WE_CFG = CONFIG.WEATHER || {};
+                const weatherMatch = ctx.market._weatherMatch;
+                if (weatherMatch?.matched && WE_CFG.ENABLED) {
+                    const bonus = WE_CFG.CONVICTION_BONUS || 20;
+                    add(bonus, `🌡️ Weather Model: ${weatherMatch.location} ${weatherMatch.forecast?.side} (+${bonus})`);
+                    if (weatherMatch.confidence >= 0.85) {
+                        const extraBonus = WE_CFG.CONVICTION_HIGH_CONFIDENCE || 10;
+                        add(extraBonus, `Weather High Confidence (+${extraBonus})`);
+                    }
+                }
+                add(20, '🌡️ Weather Conviction (+20)');
+            }
+        }
+    },
+    {
+        id: 'hype_fader',
+        label: 'Hype Fader',
+        patterns: ['Hype Fader'],
+        entry: {
+            order: 70,
+            group: 'fallback',
+            applies: (ctx) => inRange(ctx.yesPrice, 0.92, 0.98) || inRange(ctx.noPrice, 0.92, 0.98),
+            run(ctx) {
+                // Short the overbought side by buying the other one
+                if (inRange(ctx.yesPrice, 0.92, 0.98)) {
+                    return buy(ctx, 'NO', 50, 0.50, `📉 Hype Fader: Shorting Overbought YES (Price: ${ctx.yesPrice.toFixed(2)})`);
+                }
+                return buy(ctx, 'YES', 50, 0.50, `📈 Hype Fader: Shorting Overbought NO (Price: ${ctx.noPrice.toFixed(2)})`);
+            }
+        },
+        conviction: {
+            order: 90,
+            run(ctx, add) {
+                if (inRange(ctx.yesPrice, 0.92, 0.98) || inRange(ctx.noPrice, 0.92, 0.98)) add(10, 'HypeFader (+10)');
+            }
+        }
+    },
+    {
+        id: 'smart_momentum',
+        label: 'Smart Momentum',
+        patterns: ['Smart Momentum'],
+        entry: {
+            order: 80,
+            group: 'fallback',
+            applies: (ctx) => parseFloat(ctx.market.volume24hr || 0) > 1000
+                && ((ctx.yesPrice >= 0.55 && ctx.yesPrice <= 0.85) || (ctx.noPrice >= 0.55 && ctx.noPrice <= 0.85)),
+            run(ctx) {
+                if (ctx.yesPrice >= 0.55 && ctx.yesPrice <= 0.85) {
+                    return buy(ctx, 'YES', 50, 0.45, '🔥 Smart Momentum: Following YES Favorite');
+                }
+                return buy(ctx, 'NO', 50, 0.45, '🔥 Smart Momentum: Following NO Favorite');
+            }
+        }
+    },
+    {
+        id: 'trend_following',
+        label: 'Trend Following',
+        patterns: ['Trend Following'],
+        entry: {
+            order: 60,
+            group: 'fallback',
+            applies: (ctx) => ctx.market.volume24hr > 1000 && inRange(ctx.yesPrice, 0.55, 0.90),
+            async run(ctx) {
+                const trend = await ctx.calculateIntradayTrendFn(ctx.market.id);
+                if (trend !== 'UP') return { reason: `⚠️ Trend Rejected: Intraday is ${trend || 'Flat'}` };
+                // Higher confidence due to trend verification; depth loosened from 100
+                return await buy(ctx, 'YES', 50, 0.65, `🚀 Trend Following Verified (Vol: ${parseInt(ctx.market.volume24hr)} | Intraday: UP)`)
+                    || { reason: '⚠️ Trend Rejected: Low Debt/Slippage Risk' };
+            }
+        },
+        conviction: {
+            order: 80,
+            // Trend confirmation via CLOB (+15) — whale markets are led by the whale signal
+            async run(ctx, add) {
+                if (ctx.market._whaleMatch || !(ctx.volume24h > 1000 && inRange(ctx.yesPrice, 0.55, 0.90))) return;
+                const trend = await ctx.calculateIntradayTrendFn(ctx.market.id);
+                if (trend === 'UP' || trend === 'DOWN') add(15, `Trend ${trend} (+15)`);
+            }
+        }
+    },
+    {
+        id: 'fresh_market',
+        label: 'Fresh Market',
+        primary: true,
+        patterns: ['Fresh'],
+        conviction: {
+            order: 40,
+            run(ctx, add) {
+                const isFresh = botState.freshMarkets?.some(f => f.id === ctx.market.id);
+                if (isFresh && ctx.volume24h > 2000) add(20, 'Fresh+Volume (+20)');
+            }
+        }
+    },
+    {
+        id: 'contrarian',
+        label: 'Contrarian Momentum',
+        patterns: ['Contrarian'],
+        entry: {
+            order: 90,
+            group: 'fallback',
+            // Liquid market without a clear favourite: back the cheaper side
+            applies: (ctx) => parseFloat(ctx.market.volume24hr || 0) > 1000
+                && !(ctx.yesPrice >= 0.55 && ctx.yesPrice <= 0.85) && !(ctx.noPrice >= 0.55 && ctx.noPrice <= 0.85),
+            run(ctx) {
+                return ctx.yesPrice < ctx.noPrice
+                    ? buy(ctx, 'YES', 50, 0.35, 'Contrarian Momentum')
+                    : buy(ctx, 'NO', 50, 0.35, 'Contrarian Momentum');
+            }
+        }
+    },
+    {
+        id: 'standard',
+        label: 'Standard (price bands)',
+        patterns: [],
+        entry: {
+            order: 100,
+            group: 'fallback',
+            applies: (ctx) => [ctx.yesPrice, ctx.noPrice].some(p => (p < 0.20 && p >= 0.01) || (p >= 0.20 && p <= 0.40)),
+            run(ctx) {
+                const { yesPrice, noPrice } = ctx;
+                // Long shots first, then mid prices
+                if (yesPrice < 0.20 && yesPrice >= 0.01) return buy(ctx, 'YES', 20, 0.35, `Prix bas YES: ${yesPrice.toFixed(3)}`);
+                if (noPrice < 0.20 && noPrice >= 0.01) return buy(ctx, 'NO', 20, 0.35, `Prix bas NO: ${noPrice.toFixed(3)}`);
+                if (yesPrice >= 0.20 && yesPrice <= 0.40) return buy(ctx, 'YES', 50, 0.40, `Prix moyen YES: ${yesPrice.toFixed(3)}`);
+                return buy(ctx, 'NO', 50, 0.40, `Prix moyen NO: ${noPrice.toFixed(3)}`);
+            }
+        }
+    },
+
+    // ── Conviction-only signals ──
+    {
+        id: 'alpha',
+        label: 'Alpha Score',
+        patterns: ['HighAlpha', 'MedAlpha'],
+        conviction: {
+            order: 50,
+            run(ctx, add) {
+                const alphaScore = ctx.market._alphaScore || 0;
+                if (alphaScore > 75) add(20, `HighAlpha ${alphaScore} (+20)`);
+                else if (alphaScore > 50) add(10, `MedAlpha ${alphaScore} (+10)`);
+            }
+        }
+    },
+    {
+        id: 'semantic_arb',
+        label: 'Semantic Arbitrage',
+        patterns: ['SemArb'],
+        conviction: {
+            order: 70,
+            run(ctx, add) {
+                const semArb = ctx.market._semArbMatch;
+                if (!semArb) return;
+                const semConvBonus = CONFIG.SEMANTIC_ARB?.CONVICTION_BONUS || 12;
+                const arbType = semArb.type === 'MUTUAL_EXCLUSION' ? 'Exclusion' : 'Gap';
+                add(semConvBonus, `🔗 SemArb ${arbType} [${semArb.entity}] (+${semConvBonus})`);
+            }
+        }
+    },
+    {
+        id: 'momentum',
+        label: 'High Momentum',
+        patterns: ['HighMomentum', 'High Momentum'],
+        conviction: {
+            order: 110,
+            run(ctx, add) {
+                if (ctx.volume24h > 10000 && ctx.yesPrice > 0.60) add(10, 'HighMomentum (+10)');
+            }
+        }
+    },
+    {
+        id: 'news',
+        label: 'News Sentiment',
+        patterns: ['NewsMatch', 'News', 'headline', 'sentiment'],
+        conviction: {
+            order: 120,
+            // Structured match from alpha scoring
+            run(ctx, add) {
+                const N = CONFIG.NEWS || {};
+                const newsMatch = ctx.market._newsMatch;
+                if (!newsMatch?.matched) return;
+                const tradeDirection = ctx.yesPrice > 0.5 ? 'bullish' : 'bearish';
+                if (newsMatch.sentiment === tradeDirection) {
+                    const bonus = N.CONVICTION_BONUS || 8;
+                    add(bonus, `NewsConfirm:${newsMatch.sentiment} (+${bonus})`);
+                } else if (newsMatch.sentiment !== 'neutral') {
+                    const penalty = N.CONVICTION_CONFLICT_PENALTY || -5;
+                    add(penalty, `NewsConflict:${newsMatch.sentiment} (${penalty})`);
+                } else {
+                    add(3, 'NewsCoverage (+3)');
+                }
+            }
+        }
+    },
+    {
+        id: 'sports',
+        label: 'Sports',
+        patterns: ['Sports Conviction', 'Sports Intel'],
+        conviction: {
+            order: 130,
+            // Sports = historically best WR
+            run(ctx, add) {
+                if (ctx.category !== 'sports') return;
+                add(15, '🏆 Sports Conviction (+15)');
+
+                // Home/away, form, injuries — stored on market._sportsBonus by calculateAlphaScore()
+                const sportConv = ctx.market._sportsBonus?.convictionBonus;
+                if (sportConv) {
+                    const venueStatus = ctx.market._sportsBonus.meta?.venueStatus || '';
+                    const sportType = ctx.market._sportsBonus.meta?.sportType || '';
+                    add(sportConv, `⚽ Sports Intel ${sportConv > 0 ? '+' : ''}${sportConv} (${venueStatus} ${sportType})`);
+                }
+            }
+        }
+    },
+    {
+        id: 'economic',
+        label: 'Economic',
+        patterns: ['Economic Conviction'],
+        conviction: {
+            order: 130,
+            // Economic = worst WR
+            run(ctx, add) {
+                if (ctx.category === 'economic') add(-10, '📉 Economic Conviction (-10)');
+            }
+        }
+    },
+    {
+        id: 'behavioral',
+        label: 'Panic Buy / Hype',
+        patterns: ['Panic Buy', 'Hype Fader conviction', 'Volatilité intraday'],
+        conviction: {
+            order: 140,
+            run(ctx, add) {
+                const beh = ctx.market._behaviorSignal;
+                if (!beh) return;
+                if (beh.signal === 'panic') {
+                    // Strong conviction boost when market overreacts near resolution
+                    const bonus = Math.round(beh.strength * 18);
+                    add(bonus, `😱 Panic Buy conviction +${bonus}`);
+                } else if (beh.signal === 'hype') {
+                    // Overbought market, likely to revert
+                    const penalty = Math.round(beh.strength * -12);
+                    add(penalty, `🔥 Hype Fader conviction ${penalty}`);
+                }
+                if (beh.volatilityBonus > 0) add(4, '📊 Volatilité intraday (+4)');
+            }
+        }
+    },
+    {
+        id: 'calendar_edge',
+        label: 'Calendar Edge',
+        patterns: ['Calendar Edge'],
+        conviction: {
+            order: 150,
+            run(ctx, add) {
+                if (ctx.market._calendarEdge?.isCalendarEdge) add(12, '📅 Calendar Edge conviction (+12)');
+            }
+        }
+    },
+    {
+        id: 'quant',
+        label: 'Quant Fair Value',
+        patterns: ['Quant Pure', 'Quant FV'],
+        conviction: {
+            order: 160,
+            // Quant Pure (election model) or basic fair value
+            run(ctx, add) {
+                const qs = ctx.market._quantSignal;
+                if (!qs) return;
+                const isQuantPure = !!qs.applicable;
+                if (qs.signal === 'buy') {
+                    if (isQuantPure) {
+                        // Scale with confidence and edge — up to +22 conviction
+                        const bonus = Math.min(22, Math.round((qs.edge || 0) * 200 * (qs.confidence || 0.5)));
+                        const confPct = Math.round((qs.confidence || 0) * 100);
+                        add(bonus, `💎 Quant Pure election edge ${((qs.edge || 0) * 100).toFixed(0)}% conf ${confPct}% (+${bonus})`);
+                    } else {
+                        const bonus = Math.min(15, Math.round((qs.nSignals || 0) * 4));
+                        add(bonus, `💡 Quant FV edge ${((qs.edge || 0) * 100).toFixed(0)}% (+${bonus})`);
+                    }
+                } else if (qs.signal === 'sell') {
+                    const penalty = isQuantPure ? -Math.min(18, Math.round(Math.abs(qs.edge || 0) * 150)) : -8;
+                    const label = isQuantPure ? 'Quant Pure surévalué' : 'Quant FV surévalué';
+                    add(penalty, `⚠️ ${label} (${penalty})`);
+                }
+            }
+        }
+    },
+    {
+        id: 'signal_stacking',
+        label: 'Signal Stacking',
+        patterns: ['Smart Money', 'Catalyst Wizard', 'Panic Calendar', 'Quant Arb', 'News Wizard', 'Triple Stack'],
+        conviction: {
+            order: 170,
+            // "Smart money consensus": independent signals agreeing = higher edge
+            run(ctx, add) {
+                const SS = CONFIG.SIGNAL_STACKING || {};
+                const market = ctx.market;
+                let stackCount = 0;
+
+                const hasWizard    = !!botState.wizards?.some(w => w.id === market.id);
+                const hasWhale     = !!market._whaleMatch && market._whaleMatch.consensus !== 'MIXED';
+                const hasCopy      = !!market._copyMatch;
+                const hasSemArb    = !!market._semArbMatch;
+                const hasNews      = !!(market._newsMatch?.matched && market._newsMatch.sentiment !== 'neutral');
+                const hasEventDriv = ctx.signals.some(s => s.strategy === 'event_driven' || s.strategy === 'trend_following');
+                const hasPanic     = market._behaviorSignal?.signal === 'panic';
+                const hasCalEdge   = !!market._calendarEdge?.isCalendarEdge;
+                const hasQuantBuy  = market._quantSignal?.signal === 'buy';
+
+                const combo = (active, bonus, label) => {
+                    if (!active) return;
+                    add(bonus, `${label} +${bonus}`);
+                    stackCount++;
+                };
+                combo(hasWhale && hasCopy, SS.SMART_MONEY_BONUS || 20, '💰 Smart Money (Whale+Copy)');
+                combo(hasWizard && hasEventDriv, SS.CATALYST_WIZARD_BONUS || 18, '🧙⚡ Catalyst Wizard');
+                combo(hasCalEdge && hasPanic, SS.PANIC_CALENDAR_BONUS || 18, '📅😱 Panic Calendar');
+                combo(hasSemArb && hasQuantBuy, SS.QUANT_ARB_BONUS || 14, '🔗💡 Quant Arb');
+                combo(hasWizard && hasNews, SS.NEWS_WIZARD_BONUS || 12, '🧙🗞️ News Wizard');
+
+                // Triple stack — 3+ independent signals agree → major alpha
+                const majorCount = [hasWizard, hasWhale, hasCopy, hasSemArb, hasQuantBuy, hasEventDriv, hasNews].filter(Boolean).length;
+                if (majorCount >= 3 && stackCount === 0) {
+                    const b = SS.TRIPLE_STACK_BONUS || 15;
+                    add(b, `🎯 Triple Stack (${majorCount} signaux) +${b}`);
+                }
+            }
+        }
+    },
+    {
+        id: 'smart_entry',
+        label: 'Smart Entry Timing',
+        patterns: ['Timing: Price', 'below avg', 'above recent avg'],
+        conviction: {
+            order: 210,
+            run(ctx, add) {
+                const timing = evaluateEntryTiming(ctx.market.id);
+                if (timing.adjustment === 0) return;
+                // Roughly 1% confidence = 5 conviction points
+                const timingBonus = Math.round(timing.adjustment * 50);
+                add(timingBonus, `Timing: ${timing.reason} (${timingBonus > 0 ? '+' : ''}${timingBonus})`);
+            }
+        }
+    },
+    {
+        id: 'spread',
+        label: 'Spread Quality',
+        patterns: ['TightSpread', 'WideSpread'],
+        conviction: {
+            order: 220,
+            async run(ctx, add) {
+                const spreadResult = await evaluateSpreadQuality(ctx.market);
+                if (spreadResult.signal) add(Math.round(spreadResult.adjustment * 50), spreadResult.signal);
+            }
+        }
+    },
+    {
+        id: 'anti_fragility',
+        label: 'Anti-Fragility',
+        patterns: ['Recovery Tier', 'Anti-Fragility', 'fragility', 'drawdown'],
+        conviction: {
+            order: 240,
+            // Tension-aware drawdown recovery: shrinks size and can veto low-conviction trades
+            run(ctx, add) {
+                const recovery = getTensionAwareRecoveryState();
+                if (recovery.tier === 0) return;
+                add(0, `🛡️ Recovery Tier ${recovery.tier}: ${recovery.reason}`);
+                return {
+                    sizeMultiplier: recovery.sizeMultiplier,
+                    reject: ctx.points < recovery.minConviction
+                        ? `Recovery Tier ${recovery.tier}: conviction ${ctx.points} < min ${recovery.minConviction}`
+                        : null
+                };
+            }
+        }
+    },
+
+    // ── Retired signals, kept so older trades stay attributable ──
+    {
+        id: 'cross_market',
+        label: 'Cross-Market',
+        enabled: false, // No WR data, computationally heavy
+        patterns: ['CrossMarket', 'Correlation penalty', 'Diversity bonus']
+    },
+    {
+        id: 'calendar',
+        label: 'Calendar Awareness',
+        enabled: false, // 18.2% WR, n=11 — replaced by calendar_edge
+        patterns: ['Calendar:', 'off-hours', 'weekend', 'Advanced Size']
+    },
+    {
+        id: 'ai_adapt',
+        label: 'AI Adaptation',
+        patterns: ['AI Adaptation', 'AI Feedback', 'Self-Training']
+    }
+];
@@ -0,0 +1,283 @@
+/**
+ * CALIBRATION - are the bot's probabilities worth their numbers?
+ *
+ * Two kinds of forecast are scored against what actually happened:
+ *   • trades   — trade.confidence is the win probability Kelly sizes with; the
+ *                outcome is the resolution when the trade was held to it, else pnl > 0
+ *   • markets  — pBot from computeFairValue / runQuantModel (market._fairValue), the
+ *                bot's YES probability, next to pMarket, the price it saw. The first
+ *                forecast per market is kept (botState.calibration.pending) until
+ *                settlementService reports the market resolved (refreshOutcomes,
+ *                scheduler); voided markets are dropped
+ *
+ * Each set is bucketed by predicted probability (reliability curve: mean predicted vs
+ * observed frequency per bucket) and scored with the Brier score, log loss and the
+ * expected calibration error, overall and per strategy / category.
+ * Markets also get the same scores for pMarket: skill > 0 means pBot beat the price.
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+import { strategyRegistry } from './strategyRegistry.js';
+import { tradeHistory } from '../services/tradeHistory.js';
+import { settlementService } from '../services/settlementService.js';
+
+const RESOLVED_HIGH = 0.99;
+const RESOLVED_LOW = 0.01;
+const EPSILON = 1e-6; // Log loss clamp: a 0 / 1 forecast that misses costs ~13.8, not Infinity
+const DAY_MS = 24 * 3600 * 1000;
+
+function settings() {
+    return CONFIG.CALIBRATION || {};
+}
+
+function state() {
+    if (!botState.calibration || typeof botState.calibration !== 'object') botState.calibration = { pending: {}, resolved: [] };
+    const cal = botState.calibration;
+    if (!cal.pending) cal.pending = {};
+    if (!Array.isArray(cal.resolved)) cal.resolved = [];
+    return cal;
+}
+
+const round = (v, digits = 4) => v === null ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+
+/**
+ * Brier score, log loss, ECE and reliability curve of a set of forecasts
+ * @param {Array<{p: number, y: number}>} samples - p: predicted probability, y: outcome (1, 0, or 0.5 for a 50-50 resolution)
+ * @param {number} buckets - equal-width probability buckets
+ * @returns {{ count, brier, logLoss, ece, meanPredicted, observedRate, curve: Array<{from, to, count, predicted, observed}> }}
+ */
+export function scoreForecasts(samples, buckets = 10) {
+    const n = samples.length;
+    if (n === 0) return { count: 0, brier: null, logLoss: null, ece: null, meanPredicted: null, observedRate: null, curve: [] };
+
+    const bins = Array.from({ length: buckets }, () => ({ count: 0, p: 0, y: 0 }));
+    let brier = 0, logLoss = 0, sumP = 0, sumY = 0;
+    for (const { p, y } of samples) {
+        const q = Math.min(1 - EPSILON, Math.max(EPSILON, p));
+        brier += (p - y) ** 2;
+        logLoss -= y * Math.log(q) + (1 - y) * Math.log(1 - q);
+        sumP += p;
+        sumY += y;
+        const bin = bins[Math.min(buckets - 1, Math.floor(p * buckets))];
+        bin.count++;
+        bin.p += p;
+        bin.y += y;
+    }
+
+    let ece = 0;
+    const curve = [];
+    bins.forEach((bin, i) => {
+        if (bin.count === 0) return;
+        const predicted = bin.p / bin.count;
+        const observed = bin.y / bin.count;
+        ece += (bin.count / n) * Math.abs(predicted - observed);
+        curve.push({ from: round(i / buckets), to: round((i + 1) / buckets), count: bin.count, predicted: round(predicted), observed: round(observed) });
+    });
+
+    return {
+        count: n,
+        brier: round(brier / n),
+        logLoss: round(logLoss / n),
+        ece: round(ece),
+        meanPredicted: round(sumP / n),
+        observedRate: round(sumY / n),
+        curve
+    };
+}
+
+/**
+ * Resolved YES value of a Gamma market: 1, 0, 0.5 (50-50), or null while unresolved or voided
+ */
+export function marketOutcome(market) {
+    const { status, payouts } = settlementService.parseResolution(market);
+    return status === 'RESOLVED' ? payouts[0] : null;
+}
+
+// Trade win outcome: the resolution when the trade was held to it, else its sign.
+// Voided trades (stake refunded) have none: null
+function tradeOutcome(trade) {
+    if (trade.resolvedOutcome === 'VOID') return null;
+    if (trade.resolvedOutcome === 'WON') return { y: 1, resolved: true };
+    if (trade.resolvedOutcome === 'LOST') return { y: 0, resolved: true };
+    if (trade.resolvedOutcome === 'HALF') return { y: 0.5, resolved: true };
+    const exit = parseFloat(trade.exitPrice);
+    if (exit >= RESOLVED_HIGH) return { y: 1, resolved: true };
+    if (exit <= RESOLVED_LOW) return { y: 0, resolved: true };
+    return { y: (trade.pnl ?? trade.profit ?? 0) > 0 ? 1 : 0, resolved: false };
+}
+
+// { key: score(samples of that key) }
+function scoreBy(samples, keyOf, score) {
+    const groups = {};
+    for (const sample of samples) (groups[keyOf(sample) || 'unknown'] ||= []).push(sample);
+    return Object.fromEntries(Object.entries(groups).map(([key, list]) => [key, score(list)]));
+}
+
+// Bot and market scores over the same resolved forecasts
+function compareForecasts(samples, buckets) {
+    const bot = scoreForecasts(samples.map(s => ({ p: s.pBot, y: s.outcome })), buckets);
+    const market = scoreForecasts(samples.map(s => ({ p: s.pMarket, y: s.outcome })), buckets);
+    const skill = bot.count > 0 && market.brier > 0 ? round(1 - bot.brier / market.brier) : null;
+    return { ...bot, market: { brier: market.brier, logLoss: market.logLoss, ece: market.ece, curve: market.curve }, skill };
+}
+
+export const calibration = {
+    /**
+     * Keep the bot's first fair-value forecast for a market (engine.js, live decisions).
+     * A later executed trade only fills in the strategy it was traded under.
+     * @param {Object} entry - decision journal entry: marketId, category, strategy, fairValue, endDate
+     */
+    recordForecast(entry) {
+        const fv = entry?.fairValue;
+        if (settings().ENABLED === false || !fv || !entry.marketId) return;
+        if (!Number.isFinite(fv.pBot) || !Number.isFinite(fv.pMarket)) return;
+
+        const cal = state();
+        const known = cal.pending[entry.marketId];
+        if (known) {
+            if (!known.strategy && entry.strategy) known.strategy = entry.strategy;
+            return;
+        }
+        if (cal.resolved.some(r => r.marketId === entry.marketId)) return;
+
+        cal.pending[entry.marketId] = {
+            marketId: entry.marketId,
+            question: entry.question || null,
+            category: entry.category || null,
+            strategy: entry.strategy || null,
+            model: fv.model || null,
+            pBot: round(fv.pBot),
+            pMarket: round(fv.pMarket),
+            forecastAt: entry.timestamp || new Date().toISOString(),
+            endDate: entry.endDate || null,
+            checkedAt: null
+        };
+
+        const ids = Object.keys(cal.pending);
+        const max = settings().MAX_PENDING ?? 2000;
+        if (ids.length > max) {
+            ids.sort((a, b) => (cal.pending[a].forecastAt < cal.pending[b].forecastAt ? -1 : 1));
+            for (const id of ids.slice(0, ids.length - max)) delete cal.pending[id];
+        }
+    },
+
+    /**
+     * Look up pending forecasts whose market should have ended and move the resolved
+     * ones to botState.calibration.resolved. Markets without an end date are checked
+     * too, each market at most every RECHECK_HOURS, MAX_LOOKUPS per run.
+     * @param {Object} [deps] - { fetchMarket(marketId) → Gamma market | null } for tests
+     * @returns {Promise<{ checked: number, resolved: number, dropped: number }>}
+     */
+    async refreshOutcomes(deps = {}) {
+        const S = settings();
+        const result = { checked: 0, resolved: 0, dropped: 0 };
+        if (S.ENABLED === false) return result;
+
+        const fetchMarket = deps.fetchMarket || ((marketId) => settlementService.fetchMarket(marketId));
+        const cal = state();
+        const now = Date.now();
+        const recheckMs = (S.RECHECK_HOURS ?? 6) * 3600 * 1000;
+        const graceMs = (S.PENDING_GRACE_DAYS ?? 60) * DAY_MS;
+
+        const due = [];
+        for (const forecast of Object.values(cal.pending)) {
+            const end = Date.parse(forecast.endDate);
+            // Still unresolved long after its end date (or its forecast, without one): give up
+            if (now - (isNaN(end) ? Date.parse(forecast.forecastAt) : end) > graceMs) {
+                delete cal.pending[forecast.marketId];
+                result.dropped++;
+                continue;
+            }
+            if (!isNaN(end) && end > now) continue;
+            if (forecast.checkedAt && now - Date.parse(forecast.checkedAt) < recheckMs) continue;
+            due.push(forecast);
+        }
+        due.sort((a, b) => (a.checkedAt || '') < (b.checkedAt || '') ? -1 : 1);
+
+        for (const forecast of due.slice(0, S.MAX_LOOKUPS ?? 30)) {
+            result.checked++;
+            forecast.checkedAt = new Date().toISOString();
+            let resolution = null;
+            try {
+                resolution = settlementService.parseResolution(await fetchMarket(forecast.marketId));
+            } catch (e) {
+                console.error(`[Calibration] Lookup failed for ${forecast.marketId}:`, e.message);
+            }
+            if (resolution?.status === 'VOIDED') {
+                // No outcome to score against
+                delete cal.pending[forecast.marketId];
+                result.dropped++;
+                continue;
+            }
+            if (resolution?.status !== 'RESOLVED') continue;
+
+            const outcome = resolution.payouts[0];
+            delete cal.pending[forecast.marketId];
+            const { checkedAt: _checkedAt, ...resolved } = forecast;
+            cal.resolved.unshift({ ...resolved, outcome, resolvedAt: new Date().toISOString() });
+            result.resolved++;
+        }
+
+        const maxResolved = S.MAX_RESOLVED ?? 5000;
+        if (cal.resolved.length > maxResolved) cal.resolved.length = maxResolved;
+        return result;
+    },
+
+    /**
+     * Calibration report for /api/analytics/calibration
+     * @param {Object} [options] - { strategy, category, since (ISO date), resolvedOnly: trades held to resolution only }
+     */
+    report({ strategy, category, since, resolvedOnly = false } = {}) {
+        const buckets = settings().BUCKETS ?? 10;
+        const sinceTime = since ? Date.parse(since) : NaN;
+        const keep = (s) => (!strategy || s.strategy === strategy)
+            && (!category || s.category === category)
+            && (isNaN(sinceTime) || Date.parse(s.time) >= sinceTime);
+
+        // Trades: win probability vs won
+        let resolvedCount = 0;
+        const tradeSamples = [];
+        for (const trade of tradeHistory.all()) {
+            const p = parseFloat(trade.confidence);
+            if (!Number.isFinite(p) || p <= 0 || p > 1) continue;
+            const outcome = tradeOutcome(trade);
+            if (!outcome) continue;
+            const { y, resolved } = outcome;
+            if (resolvedOnly && !resolved) continue;
+            const sample = {
+                p, y,
+                strategy: strategyRegistry.attribute(trade),
+                category: trade.category || 'other',
+                time: trade.closedAt || trade.endTime || trade.startTime
+            };
+            if (!keep(sample)) continue;
+            if (resolved) resolvedCount++;
+            tradeSamples.push(sample);
+        }
+
+        // Markets: pBot / pMarket vs the YES outcome
+        const cal = state();
+        const marketSamples = cal.resolved
+            .map(r => ({ ...r, strategy: r.strategy || 'none', category: r.category || 'other', time: r.forecastAt }))
+            .filter(keep);
+
+        return {
+            generatedAt: new Date().toISOString(),
+            buckets,
+            trades: {
+                ...scoreForecasts(tradeSamples, buckets),
+                outcomes: { resolved: resolvedCount, byPnl: tradeSamples.length - resolvedCount },
+                byStrategy: scoreBy(tradeSamples, s => s.strategy, list => scoreForecasts(list, buckets)),
+                byCategory: scoreBy(tradeSamples, s => s.category, list => scoreForecasts(list, buckets))
+            },
+            markets: {
+                ...compareForecasts(marketSamples, buckets),
+                pending: Object.keys(cal.pending).length,
+                byModel: scoreBy(marketSamples, s => s.model, list => compareForecasts(list, buckets)),
+                byStrategy: scoreBy(marketSamples, s => s.strategy, list => compareForecasts(list, buckets)),
+                byCategory: scoreBy(marketSamples, s => s.category, list => compareForecasts(list, buckets))
+            }
+        };
+    }
+};
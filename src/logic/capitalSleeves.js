@@ -0,0 +1,227 @@
+/**
+ * CAPITAL SLEEVES — per-strategy budgets carved out of the capital pool
+ *
+ * Each strategy listed in CONFIG.CAPITAL_SLEEVES.ALLOCATIONS owns a share of total
+ * capital (cash + invested); every other strategy draws from the shared 'general'
+ * sleeve. A sleeve keeps its own realized PnL and drawdown, is the Kelly bankroll
+ * of the trades filed under it, and caps what they can deploy.
+ *
+ * Shares are rebalanced from the rolling results of evaluateStrategyPerformance
+ * (scheduler.js): a losing strategy shrinks toward MIN_PCT, a winning one grows
+ * toward MAX_PCT, and the general sleeve takes up the difference.
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+
+export const GENERAL_SLEEVE = 'general';
+
+const round4 = v => Math.round(v * 10000) / 10000;
+const round2 = v => Math.round(v * 100) / 100;
+
+function settings() {
+    return CONFIG.CAPITAL_SLEEVES || {};
+}
+
+/**
+ * Give the remainder to the general sleeve, scaling the dedicated sleeves down
+ * if they would leave it under GENERAL_MIN_PCT
+ */
+function withGeneral(allocations) {
+    const generalMin = settings().GENERAL_MIN_PCT ?? 0.30;
+    const dedicated = Object.keys(allocations).filter(id => id !== GENERAL_SLEEVE);
+    let total = dedicated.reduce((s, id) => s + allocations[id], 0);
+    if (total > 1 - generalMin) {
+        const scale = (1 - generalMin) / total;
+        dedicated.forEach(id => { allocations[id] = round4(allocations[id] * scale); });
+        total = dedicated.reduce((s, id) => s + allocations[id], 0);
+    }
+    allocations[GENERAL_SLEEVE] = round4(1 - total);
+    return allocations;
+}
+
+export const capitalSleeves = {
+    isEnabled() {
+        return settings().ENABLED === true;
+    },
+
+    /**
+     * Fresh sleeve state from the configured allocations (also used by the backtest)
+     */
+    createState() {
+        return {
+            allocations: withGeneral({ ...(settings().ALLOCATIONS || {}) }),
+            stats: {},          // { [sleeve]: { realizedPnl, peakPnl } }
+            lastRebalance: null
+        };
+    },
+
+    /**
+     * Live sleeve state, created on first use. Sleeves added to or removed from
+     * CONFIG are picked up here, rebalanced shares of the others are kept.
+     */
+    state() {
+        if (!botState.capitalSleeves?.allocations) botState.capitalSleeves = this.createState();
+        const state = botState.capitalSleeves;
+        const configured = settings().ALLOCATIONS || {};
+        const current = Object.keys(state.allocations).filter(id => id !== GENERAL_SLEEVE);
+        const added = Object.keys(configured).filter(id => !(id in state.allocations));
+        const removed = current.filter(id => !(id in configured));
+        if (added.length > 0 || removed.length > 0) {
+            removed.forEach(id => delete state.allocations[id]);
+            added.forEach(id => { state.allocations[id] = configured[id]; });
+            withGeneral(state.allocations);
+        }
+        return state;
+    },
+
+    /** Sleeve that funds a strategy: its own if configured, else the general one */
+    sleeveOf(strategy) {
+        const configured = settings().ALLOCATIONS || {};
+        return strategy && strategy !== GENERAL_SLEEVE && strategy in configured ? strategy : GENERAL_SLEEVE;
+    },
+
+    hasOwnSleeve(strategy) {
+        return this.isEnabled() && this.sleeveOf(strategy) !== GENERAL_SLEEVE;
+    },
+
+    /**
+     * Budget, deployment, PnL and drawdown of one sleeve
+     */
+    snapshot(sleeveId) {
+        const S = settings();
+        const state = this.state();
+        const activeTrades = botState.activeTrades || [];
+        const totalCapital = (botState.capital || 0) + activeTrades.reduce((s, t) => s + (t.amount || 0), 0);
+        const pct = state.allocations[sleeveId] ?? 0;
+        const budget = totalCapital * pct;
+        const deployed = activeTrades
+            .filter(t => this.sleeveOf(t.strategy) === sleeveId)
+            .reduce((s, t) => s + (t.amount || 0), 0);
+        const stats = state.stats[sleeveId] || { realizedPnl: 0, peakPnl: 0 };
+        const drawdown = Math.max(0, stats.peakPnl - stats.realizedPnl);
+        const drawdownPct = budget > 0 ? drawdown / budget : 0;
+        const throttled = drawdownPct >= (S.DRAWDOWN_THROTTLE_PCT ?? 0.25);
+
+        return {
+            id: sleeveId,
+            pct,
+            budget,
+            deployed,
+            available: Math.max(0, budget - deployed),
+            realizedPnl: stats.realizedPnl,
+            drawdown,
+            drawdownPct,
+            kellyMultiplier: throttled ? (S.DRAWDOWN_KELLY_MULT ?? 0.5) : 1
+        };
+    },
+
+    /**
+     * Kelly inputs for a trade filed under `strategy`: the sleeve's free budget is the
+     * bankroll, and the Kelly fraction is cut while the sleeve is in drawdown
+     * @returns {Object|null} snapshot + { capital, kellyFraction }, null when sleeves are off
+     */
+    sizingFor(strategy) {
+        if (!this.isEnabled()) return null;
+        const sleeve = this.snapshot(this.sleeveOf(strategy));
+        return {
+            ...sleeve,
+            capital: sleeve.available,
+            kellyFraction: (CONFIG.KELLY_FRACTION || 0.2) * sleeve.kellyMultiplier
+        };
+    },
+
+    /**
+     * Book realized PnL (full or partial close) on the sleeve of the trade's strategy
+     * @param {Object} [state] - Sleeve state to update (the backtest passes its own)
+     */
+    recordPnL(strategy, pnl, state = this.state()) {
+        if (!pnl) return;
+        const id = this.sleeveOf(strategy);
+        if (!state.stats[id]) state.stats[id] = { realizedPnl: 0, peakPnl: 0 };
+        const stats = state.stats[id];
+        stats.realizedPnl += pnl;
+        if (stats.realizedPnl > stats.peakPnl) stats.peakPnl = stats.realizedPnl;
+    },
+
+    /**
+     * Resize the dedicated sleeves from rolling strategy performance.
+     * WR under AUTO_WARN_WR or negative PnL → x(1 - STEP); WR ≥ AUTO_REENABLE_WR with
+     * positive PnL → x(1 + STEP); bounded to [MIN_PCT, MAX_PCT]. Strategies without
+     * enough trades (wr null) keep their share.
+     *
+     * @param {Object} performance - evaluateStrategyPerformance output { [strategy]: { count, wr, pnl } }
+     * @param {Object} [options] - { force: true } ignores REBALANCE_INTERVAL_HOURS
+     * @returns {Object[]} Changes [{ sleeve, from, to, wr, pnl }]
+     */
+    rebalance(performance, options = {}) {
+        if (!this.isEnabled()) return [];
+        const S = settings();
+        const SP = CONFIG.STRATEGY_PERFORMANCE || {};
+        const state = this.state();
+
+        const intervalMs = (S.REBALANCE_INTERVAL_HOURS ?? 6) * 60 * 60 * 1000;
+        if (!options.force && state.lastRebalance && Date.now() - new Date(state.lastRebalance).getTime() < intervalMs) {
+            return [];
+        }
+
+        const step = S.REBALANCE_STEP ?? 0.20;
+        const minPct = S.MIN_PCT ?? 0.03;
+        const maxPct = S.MAX_PCT ?? 0.30;
+        const shrinkWR = (SP.AUTO_WARN_WR ?? 0.40) * 100;   // performance.wr is in %
+        const growWR = (SP.AUTO_REENABLE_WR ?? 0.55) * 100;
+
+        const next = { ...state.allocations };
+        for (const id of Object.keys(next)) {
+            if (id === GENERAL_SLEEVE) continue;
+            const perf = performance?.[id];
+            if (!perf || perf.wr === null || perf.wr === undefined) continue;
+
+            let factor = 1;
+            if (perf.wr < shrinkWR || perf.pnl < 0) factor = 1 - step;
+            else if (perf.wr >= growWR && perf.pnl > 0) factor = 1 + step;
+            next[id] = round4(Math.min(maxPct, Math.max(minPct, next[id] * factor)));
+        }
+        withGeneral(next);
+
+        const changes = Object.keys(next)
+            .filter(id => next[id] !== state.allocations[id])
+            .map(id => ({
+                sleeve: id,
+                from: state.allocations[id],
+                to: next[id],
+                wr: performance?.[id]?.wr ?? null,
+                pnl: performance?.[id]?.pnl ?? null
+            }));
+
+        state.allocations = next;
+        state.lastRebalance = new Date().toISOString();
+        return changes;
+    },
+
+    /**
+     * Every sleeve for the API / dashboard
+     */
+    summary() {
+        const state = this.state();
+        return {
+            enabled: this.isEnabled(),
+            lastRebalance: state.lastRebalance,
+            sleeves: Object.keys(state.allocations).map(id => {
+                const s = this.snapshot(id);
+                return {
+                    id,
+                    pct: round4(s.pct),
+                    configuredPct: id === GENERAL_SLEEVE ? null : (settings().ALLOCATIONS?.[id] ?? null),
+                    budget: round2(s.budget),
+                    deployed: round2(s.deployed),
+                    available: round2(s.available),
+                    realizedPnl: round2(s.realizedPnl),
+                    drawdown: round2(s.drawdown),
+                    drawdownPct: round4(s.drawdownPct),
+                    kellyMultiplier: s.kellyMultiplier
+                };
+            })
+        };
+    }
+};
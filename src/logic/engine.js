@@ -3,25 +3,35 @@ import { botState, stateManager } from '../state.js';
 import { addLog } from '../utils.js';
 import { CONFIG } from '../config.js';
 import { categorizeMarket } from './signals.js';
-import { getBestExecutionPrice, getCLOBOrderBook, getCLOBTradeHistory } from '../api/clob_api.js';
+import { getCLOBOrderBook, getCLOBTradeHistory } from '../api/clob_api.js';
+import { walkOrderBook, simulateFill } from './fillSimulator.js';
 import { supabaseService } from '../services/supabaseService.js';
+import { decisionJournal } from '../services/decisionJournal.js';
 import { sportsService } from '../services/sportsService.js';
-import { getAdvancedSignals, evaluateDCA, executeDCA, detectPriceRange } from './advancedStrategies.js';
+import { detectPriceRange } from './advancedStrategies.js';
+import { strategyRegistry } from './strategyRegistry.js';
+import { capitalSleeves } from './capitalSleeves.js';
+import { positionGroups, newGroupId, lastPrice } from './positionGroups.js';
 import { evaluateStrategyPerformance } from '../cron/scheduler.js';
-
-function calculateTradeSize(confidence, price) {
-    const capital = botState.capital || CONFIG.STARTING_CAPITAL;
-
-    // Safety Fallback
-    if (!confidence || !price || price <= 0 || price >= 1) {
-        const defaultSize = Math.max(CONFIG.MIN_TRADE_SIZE, Math.min(capital * 0.05, 50));
-        return defaultSize;
-    }
-
+import { getExecutor, PaperExecutor } from '../services/executionService.js';
+import { eventStream } from '../services/eventStream.js';
+import { tradeHistory } from '../services/tradeHistory.js';
+import { calibration } from './calibration.js';
+import { settlementService } from '../services/settlementService.js';
+import { riskEngine } from './riskEngine.js';
+
+// Positions opened in paper mode are always closed on paper, even after a switch to live
+const paperExecutor = new PaperExecutor();
+
+/**
+ * Share of the bankroll staked by fractional Kelly, within the per-trade bounds
+ * (signalAttribution.js re-sizes journaled trades with it)
+ * @param {number} [fraction] - Kelly fraction, CONFIG.KELLY_FRACTION by default
+ */
+export function kellyStake(confidence, price, fraction) {
     // Fractional Kelly Criterion
     // Formula: f = (p*b - q) / b  where b are the odds (1/price - 1)
     // Simplified for binary outcome: f = (confidence - price) / (1 - price)
-
     const p = confidence;
     const q = 1 - p;
     const b = (1 / price) - 1;
@@ -29,370 +39,69 @@ function calculateTradeSize(confidence, price) {
     let kellyFraction = (p * b - q) / b;
 
     // Apply conservative fractional factor
-    const fraction = CONFIG.KELLY_FRACTION || 0.2;
-    let targetPercent = kellyFraction * fraction;
+    let targetPercent = kellyFraction * (fraction ?? (CONFIG.KELLY_FRACTION || 0.2));
 
     // Safety Bounds
     if (targetPercent < 0) targetPercent = 0.01; // Minimum skin in the game if signal exists
     if (targetPercent > CONFIG.MAX_TRADE_SIZE_PERCENT) targetPercent = CONFIG.MAX_TRADE_SIZE_PERCENT;
+    return targetPercent;
+}
 
+/**
+ * @param {Object} [sizing] - Sleeve Kelly inputs { capital, kellyFraction } (capitalSleeves.sizingFor);
+ *   without it the bankroll is the whole cash balance
+ */
+function calculateTradeSize(confidence, price, sizing = null) {
+    const cash = botState.capital || CONFIG.STARTING_CAPITAL;
+    const capital = sizing ? sizing.capital : cash;
+
+    // Safety Fallback
+    if (!confidence || !price || price <= 0 || price >= 1) {
+        const defaultSize = Math.max(CONFIG.MIN_TRADE_SIZE, Math.min(capital * 0.05, 50));
+        return defaultSize;
+    }
+
+    const targetPercent = kellyStake(confidence, price, sizing?.kellyFraction);
     const calculatedSize = capital * targetPercent;
 
     // Hard cap: never exceed MAX_POSITION_PCT of total capital (Rule 1: max 5%)
     const CM = CONFIG.CAPITAL_MANAGEMENT || {};
     const maxPositionPct = CM.MAX_POSITION_PCT ?? 0.05;
-    const maxPositionAbs = capital * maxPositionPct;
+    const maxPositionAbs = cash * maxPositionPct;
     return Math.max(CONFIG.MIN_TRADE_SIZE, Math.min(calculatedSize, maxPositionAbs));
 }
 
 // --- CONVICTION SCORING: Evaluate ALL signals for composite confidence ---
+// Each registered strategy contributes points (see builtinStrategies.js)
 async function calculateConviction(market, pizzaData, dependencies) {
     const { calculateIntradayTrendFn } = dependencies;
-    let convictionPoints = 0;
-    const signals = [];
-    const yesPrice = parseFloat(market.outcomePrices?.[0] || '0');
-    const noPrice = parseFloat(market.outcomePrices?.[1] || '0');
-    const category = categorizeMarket(market.question);
-    const volume24h = parseFloat(market.volume24hr || 0);
-
-    // 1. Arbitrage signal (+40)
-    const hasArbitrage = botState.arbitrageOpportunities?.some(a => a.id === market.id);
-    if (hasArbitrage && yesPrice + noPrice < 0.995) {
-        convictionPoints += 40;
-        signals.push('Arbitrage (+40)');
-    }
-
-    // 2. Whale signal — uses real trade data from Polymarket Data API
-    const W = CONFIG.WHALE_TRACKING || {};
-    const whaleMatch = market._whaleMatch; // Set by calculateAlphaScore in signals.js
-    const isWhaleMarket = !!whaleMatch;
-    if (isWhaleMarket) {
-        // Check if whale direction aligns with our likely trade direction
-        const tradeDirection = yesPrice > 0.5 ? 'BULLISH' : 'BEARISH';
-        if (whaleMatch.consensus === tradeDirection) {
-            convictionPoints += (W.WHALE_CONVICTION_ALIGNED || 15);
-            signals.push(`🐳 WhaleAlign:${whaleMatch.consensus} (+${W.WHALE_CONVICTION_ALIGNED || 15})`);
-        } else if (whaleMatch.consensus !== 'MIXED' && whaleMatch.consensus !== tradeDirection) {
-            convictionPoints += (W.WHALE_CONVICTION_OPPOSED || -10);
-            signals.push(`🐳 WhaleOppose:${whaleMatch.consensus} (${W.WHALE_CONVICTION_OPPOSED || -10})`);
-        } else {
-            convictionPoints += 5;
-            signals.push('🐳 WhaleActivity (+5)');
-        }
-        if ((whaleMatch.whaleCount || 0) >= 3) {
-            convictionPoints += (W.WHALE_MULTI_BONUS || 10);
-            signals.push(`Multi-whale x${whaleMatch.whaleCount} (+${W.WHALE_MULTI_BONUS || 10})`);
-        }
-    }
-
-    // 2b. Copy trade signal — top leaderboard wallets holding positions
-    const CT = CONFIG.COPY_TRADING || {};
-    const copyMatch = market._copyMatch;
-    if (copyMatch && CT.ENABLED) {
-        const tradeDirection = yesPrice > 0.5 ? 'Yes' : 'No';
-        if (copyMatch.outcome === tradeDirection) {
-            convictionPoints += (CT.COPY_CONVICTION_ALIGNED || 12);
-            signals.push(`CopyAlign: ${copyMatch.topTrader} #${copyMatch.topRank} (+${CT.COPY_CONVICTION_ALIGNED || 12})`);
-        }
-        if (copyMatch.topRank <= 5) {
-            convictionPoints += (CT.COPY_CONVICTION_STRONG || 8);
-            signals.push(`CopyTop5: #${copyMatch.topRank} (+${CT.COPY_CONVICTION_STRONG || 8})`);
-        }
-        if (copyMatch.count >= 2) {
-            convictionPoints += 5;
-            signals.push(`CopyMulti: ${copyMatch.count} wallets (+5)`);
-        }
-    }
-
-    // 3. Fresh market with volume (+20)
-    const isFresh = botState.freshMarkets?.some(f => f.id === market.id);
-    if (isFresh && volume24h > 2000) {
-        convictionPoints += 20;
-        signals.push('Fresh+Volume (+20)');
-    }
-
-    // 4. Alpha score (+20 if >75, +10 if >50)
-    const alphaScore = market._alphaScore || 0;
-    if (alphaScore > 75) {
-        convictionPoints += 20;
-        signals.push(`HighAlpha ${alphaScore} (+20)`);
-    } else if (alphaScore > 50) {
-        convictionPoints += 10;
-        signals.push(`MedAlpha ${alphaScore} (+10)`);
-    }
-
-    // 5. Wizard signal (+20) — best performing strategy (50% of all trades)
-    const isWizard = botState.wizards?.some(w => w.id === market.id);
-    if (isWizard) {
-        convictionPoints += 20;
-        signals.push('Wizard (+20)');
-    }
-
-    // 5b. Semantic Arbitrage conviction bonus
-    if (market._semArbMatch) {
-        const semConvBonus = CONFIG.SEMANTIC_ARB?.CONVICTION_BONUS || 12;
-        convictionPoints += semConvBonus;
-        const arbType = market._semArbMatch.type === 'MUTUAL_EXCLUSION' ? 'Exclusion' : 'Gap';
-        signals.push(`🔗 SemArb ${arbType} [${market._semArbMatch.entity}] (+${semConvBonus})`);
-    }
-
-    // 6. Trend confirmation via CLOB (+15)
-    if (!isWhaleMarket && volume24h > 1000 && yesPrice > 0.55 && yesPrice < 0.90) {
-        try {
-            const trend = await calculateIntradayTrendFn(market.id);
-            if (trend === 'UP' || trend === 'DOWN') {
-                convictionPoints += 15;
-                signals.push(`Trend ${trend} (+15)`);
-            }
-        } catch { /* skip */ }
-    }
-
-    // 7. Hype fader territory (+10)
-    if ((yesPrice > 0.92 && yesPrice < 0.98) || (noPrice > 0.92 && noPrice < 0.98)) {
-        convictionPoints += 10;
-        signals.push('HypeFader (+10)');
-    }
-
-    // 8. PizzINT tension + geo/eco (graduated)
-    if (pizzaData) {
-        const tension = pizzaData.tensionScore || 0;
-        const T = CONFIG.TENSION || {};
-        if ((category === 'geopolitical' || category === 'economic') && tension > 0) {
-            if (tension >= (T.CRITICAL || 80)) {
-                convictionPoints += (T.GEO_CONVICTION_CRITICAL || 25);
-                signals.push(`CRISIS(${tension})+${category} (+${T.GEO_CONVICTION_CRITICAL || 25})`);
-            } else if (tension >= (T.HIGH || 55)) {
-                convictionPoints += (T.GEO_CONVICTION_HIGH || 20);
-                signals.push(`HighTension(${tension})+${category} (+${T.GEO_CONVICTION_HIGH || 20})`);
-            } else if (tension >= (T.ELEVATED || 30)) {
-                convictionPoints += (T.GEO_CONVICTION_ELEVATED || 10);
-                signals.push(`ElevatedTension(${tension})+${category} (+${T.GEO_CONVICTION_ELEVATED || 10})`);
-            }
-        }
-        // Rising tension early detection
-        if (pizzaData.tensionTrend === 'RISING') {
-            convictionPoints += 5;
-            signals.push('Tension RISING (+5)');
-        }
-    }
-
-    // 9. High momentum (+10)
-    if (volume24h > 10000 && yesPrice > 0.60) {
-        convictionPoints += 10;
-        signals.push('HighMomentum (+10)');
-    }
-
-    // 10. Real news sentiment match (uses structured match from alpha scoring)
-    const N = CONFIG.NEWS || {};
-    const newsMatch = market._newsMatch;
-    if (newsMatch?.matched) {
-        // Check if news sentiment aligns with our trade direction
-        const tradeDirection = yesPrice > 0.5 ? 'bullish' : 'bearish';
-        if (newsMatch.sentiment === tradeDirection) {
-            const bonus = N.CONVICTION_BONUS || 8;
-            convictionPoints += bonus;
-            signals.push(`NewsConfirm:${newsMatch.sentiment} (+${bonus})`);
-        } else if (newsMatch.sentiment !== 'neutral' && newsMatch.sentiment !== tradeDirection) {
-            const penalty = N.CONVICTION_CONFLICT_PENALTY || -5;
-            convictionPoints += penalty;
-            signals.push(`NewsConflict:${newsMatch.sentiment} (${penalty})`);
-        } else {
-            convictionPoints += 3;
-            signals.push('NewsCoverage (+3)');
-        }
-    }
-
-    // 10b. Category-based conviction adjustment
-    // Sports = historically best WR, Economic = worst WR
-    if (category === 'sports') {
-        convictionPoints += 15;
-        signals.push('🏆 Sports Conviction (+15)');
-
-        // Sports intelligence conviction bonus (home/away, form, injuries)
-        // Stored on market._sportsBonus by calculateAlphaScore() in signals.js
-        if (market._sportsBonus?.convictionBonus) {
-            const sportConv = market._sportsBonus.convictionBonus;
-            convictionPoints += sportConv;
-            const venueStatus = market._sportsBonus.meta?.venueStatus || '';
-            const sportType = market._sportsBonus.meta?.sportType || '';
-            if (sportConv > 0) {
-                signals.push(`⚽ Sports Intel +${sportConv} (${venueStatus} ${sportType})`);
-            } else {
-                signals.push(`⚽ Sports Intel ${sportConv} (${venueStatus} ${sportType})`);
-            }
-        }
-    } else if (category === 'weather') {
-        // Weather forecast conviction (science-backed)
-        const WE_CFG = CONFIG.WEATHER || {};
-        const weatherMatch = market._weatherMatch;
-        if (weatherMatch?.matched && WE_CFG.ENABLED) {
-            const bonus = WE_CFG.CONVICTION_BONUS || 20;
-            convictionPoints += bonus;
-            signals.push(`🌡️ Weather Model: ${weatherMatch.location} ${weatherMatch.forecast?.side} (+${bonus})`);
-            if (weatherMatch.confidence >= 0.85) {
-                const extraBonus = WE_CFG.CONVICTION_HIGH_CONFIDENCE || 10;
-                convictionPoints += extraBonus;
-                signals.push(`Weather High Confidence (+${extraBonus})`);
-            }
-        }
-        convictionPoints += 20;
-        signals.push('🌡️ Weather Conviction (+20)');
-    } else if (category === 'economic') {
-        convictionPoints -= 10;
-        signals.push('📉 Economic Conviction (-10)');
-    }
-
-    // 11a. BEHAVIORAL SIGNAL conviction (Hype Fader / Panic Buy)
-    if (market._behaviorSignal) {
-        const beh = market._behaviorSignal;
-        if (beh.signal === 'panic') {
-            // Panic buy: strong conviction boost when market overreacts near resolution
-            const bonus = Math.round(beh.strength * 18);
-            convictionPoints += bonus;
-            signals.push(`😱 Panic Buy conviction +${bonus}`);
-        } else if (beh.signal === 'hype') {
-            // Hype: reduce conviction (overbought market, likely to revert)
-            const penalty = Math.round(beh.strength * -12);
-            convictionPoints += penalty;
-            signals.push(`🔥 Hype Fader conviction ${penalty}`);
-        }
-        if (beh.volatilityBonus > 0) {
-            convictionPoints += 4;
-            signals.push('📊 Volatilité intraday (+4)');
-        }
-    }
-
-    // 11b. CALENDAR EDGE v2 conviction
-    if (market._calendarEdge?.isCalendarEdge) {
-        convictionPoints += 12;
-        signals.push('📅 Calendar Edge conviction (+12)');
-    }
-
-    // 11c. QUANTITATIVE CONVICTION (Quant Pure élections + Fair Value général)
-    if (market._quantSignal) {
-        const qs = market._quantSignal;
-        const isQuantPure = !!qs.applicable; // true = Quant Pure (election model)
-
-        if (qs.signal === 'buy') {
-            let bonus;
-            if (isQuantPure) {
-                // Quant Pure: scale with confidence and edge — up to +22 conviction
-                bonus = Math.min(22, Math.round((qs.edge || 0) * 200 * (qs.confidence || 0.5)));
-                const confPct = Math.round((qs.confidence || 0) * 100);
-                signals.push(`💎 Quant Pure election edge ${((qs.edge||0)*100).toFixed(0)}% conf ${confPct}% (+${bonus})`);
-            } else {
-                // Basic fair value: simpler bonus
-                bonus = Math.min(15, Math.round((qs.nSignals || 0) * 4));
-                signals.push(`💡 Quant FV edge ${((qs.edge||0)*100).toFixed(0)}% (+${bonus})`);
-            }
-            convictionPoints += bonus;
-        } else if (qs.signal === 'sell') {
-            const penalty = isQuantPure ? -Math.min(18, Math.round((Math.abs(qs.edge||0)) * 150)) : -8;
-            convictionPoints += penalty;
-            const label = isQuantPure ? 'Quant Pure surévalué' : 'Quant FV surévalué';
-            signals.push(`⚠️ ${label} (${penalty})`);
-        }
-    }
-
-    // ── SIGNAL STACKING — compound bonuses when 2+ strong signals align ──────
-    // "Smart money consensus" principle: independent signals agreeing = higher edge
-    {
-        const SS = CONFIG.SIGNAL_STACKING || {};
-        let stackCount = 0;
-        const stackSignals = [];
-
-        // Track which MAJOR signals fired
-        const hasWizard    = isWizard;
-        const hasWhale     = !!market._whaleMatch && market._whaleMatch.consensus !== 'MIXED';
-        const hasCopy      = !!market._copyMatch;
-        const hasSemArb    = !!market._semArbMatch;
-        const hasNews      = !!(market._newsMatch?.matched && market._newsMatch.sentiment !== 'neutral');
-        const hasEventDriv = signals.some(s => s.includes('Event') || s.includes('Catalyst') || s.includes('Trend'));
-        const hasPanic     = market._behaviorSignal?.signal === 'panic';
-        const hasCalEdge   = !!market._calendarEdge?.isCalendarEdge;
-        const hasQuantBuy  = market._quantSignal?.signal === 'buy';
-
-        // Combo 1: 🐳 + 📋 Smart Money Consensus (whale AND copy trade agree)
-        if (hasWhale && hasCopy) {
-            const b = SS.SMART_MONEY_BONUS || 20;
-            convictionPoints += b;
-            stackSignals.push(`💰 Smart Money (Whale+Copy) +${b}`);
-            stackCount++;
-        }
-
-        // Combo 2: 🧙 + ⚡ Catalyst Wizard (wizard detected AND event-driven catalyst)
-        if (hasWizard && hasEventDriv) {
-            const b = SS.CATALYST_WIZARD_BONUS || 18;
-            convictionPoints += b;
-            stackSignals.push(`🧙⚡ Catalyst Wizard +${b}`);
-            stackCount++;
-        }
-
-        // Combo 3: 📅 + 😱 Panic Calendar (stagnant market + panic sell near resolution)
-        if (hasCalEdge && hasPanic) {
-            const b = SS.PANIC_CALENDAR_BONUS || 18;
-            convictionPoints += b;
-            stackSignals.push(`📅😱 Panic Calendar +${b}`);
-            stackCount++;
-        }
-
-        // Combo 4: 🔗 + 💡 Quantitative Arb (semantic arb confirmed by quant model)
-        if (hasSemArb && hasQuantBuy) {
-            const b = SS.QUANT_ARB_BONUS || 14;
-            convictionPoints += b;
-            stackSignals.push(`🔗💡 Quant Arb +${b}`);
-            stackCount++;
-        }
-
-        // Combo 5: 🗞️ + 🧙 News Wizard (wizard + news confirmation)
-        if (hasWizard && hasNews) {
-            const b = SS.NEWS_WIZARD_BONUS || 12;
-            convictionPoints += b;
-            stackSignals.push(`🧙🗞️ News Wizard +${b}`);
-            stackCount++;
-        }
-
-        // Combo 6: Triple stack — 3+ independent signals agree → major alpha
-        const majorCount = [hasWizard, hasWhale, hasCopy, hasSemArb, hasQuantBuy, hasEventDriv, hasNews].filter(Boolean).length;
-        if (majorCount >= 3 && stackCount === 0) {
-            const b = SS.TRIPLE_STACK_BONUS || 15;
-            convictionPoints += b;
-            stackSignals.push(`🎯 Triple Stack (${majorCount} signaux) +${b}`);
-        }
-
-        if (stackSignals.length > 0) signals.push(...stackSignals);
-    }
-    // ─────────────────────────────────────────────────────────────────────────
-
-    // 11. ADVANCED STRATEGIES (Memory, Cross-Market, Timing, Events, Calendar, Anti-Fragility)
-    let advancedSizeMultiplier = 1.0;
-    try {
-        const advanced = await getAdvancedSignals(market, pizzaData, convictionPoints);
-        convictionPoints += advanced.bonus;
-        signals.push(...advanced.signals);
-        advancedSizeMultiplier = advanced.sizeMultiplier;
-
-        if (advanced.shouldReject) {
-            signals.push(`⛔ ${advanced.rejectReason}`);
-            return { points: convictionPoints, confidence: 0, signals, rejected: true, rejectReason: advanced.rejectReason, sizeMultiplier: advancedSizeMultiplier };
-        }
-    } catch (e) {
-        // Advanced strategies are optional — fail gracefully
-        console.warn('Advanced signals error:', e.message);
-    }
-
-    // Map conviction points to confidence
-    let convictionConfidence;
-    if (convictionPoints >= 80) convictionConfidence = 0.90;
-    else if (convictionPoints >= 60) convictionConfidence = 0.80;
-    else if (convictionPoints >= 40) convictionConfidence = 0.65;
-    else if (convictionPoints >= 20) convictionConfidence = 0.50;
-    else convictionConfidence = 0.35;
+    const result = await strategyRegistry.collectConviction({
+        market,
+        pizzaData,
+        yesPrice: parseFloat(market.outcomePrices?.[0] || '0'),
+        noPrice: parseFloat(market.outcomePrices?.[1] || '0'),
+        category: categorizeMarket(market.question),
+        volume24h: parseFloat(market.volume24hr || 0),
+        calculateIntradayTrendFn
+    });
+    const { points: convictionPoints, signals } = result;
+
+    if (result.rejected) {
+        return { points: convictionPoints, confidence: 0, signals, rejected: true, rejectReason: result.rejectReason, sizeMultiplier: result.sizeMultiplier };
+    }
+
+    return { points: convictionPoints, confidence: convictionConfidence(convictionPoints), signals, rejected: false, sizeMultiplier: result.sizeMultiplier };
+}
 
-    return { points: convictionPoints, confidence: convictionConfidence, signals, rejected: false, sizeMultiplier: advancedSizeMultiplier };
+// Map conviction points to confidence
+export function convictionConfidence(points) {
+    if (points >= 80) return 0.90;
+    if (points >= 60) return 0.80;
+    if (points >= 40) return 0.65;
+    if (points >= 20) return 0.50;
+    return 0.35;
 }
 
-// --- PORTFOLIO HEDGING: Check exposure before entering a trade ---
 function checkPortfolioExposure(activeTrades, newCategory, newSide, newQuestion = '') {
     const limits = CONFIG.PORTFOLIO_LIMITS;
     if (!limits) return { allowed: true, adjustment: 0, reason: null };
@@ -483,7 +192,11 @@ function checkPortfolioExposure(activeTrades, newCategory, newSide, newQuestion
 }
 
 // Logging détaillé des décisions de trade pour analyse
-function logTradeDecision(market, trade, reasons, pizzaData) {
+function logTradeDecision(market, trade, reasons, pizzaData, journal = null) {
+    // Backtests and tests don't write to the journal
+    if (!journal?.enabled) return;
+    journal.logged = true;
+
     const logEntry = {
         timestamp: new Date().toISOString(),
         marketId: market.id,
@@ -493,10 +206,16 @@ function logTradeDecision(market, trade, reasons, pizzaData) {
         scoreReasons: market._scoreReasons || [],
         decisionReasons: reasons,
         tradeExecuted: trade !== null,
+        rejectionReason: trade ? null : (reasons[reasons.length - 1] || 'unknown'),
         tradeId: trade?.id || null,
         side: trade?.side || null,
         entryPrice: trade?.entryPrice || null,
+        amount: trade?.amount || null,
+        strategy: trade?.strategy || null,
         confidence: trade?.confidence || null,
+        fairValue: market._fairValue || null,
+        endDate: market.endDate || market.end_date_iso || null,
+        conviction: journal.conviction || null,
         pizzaData: pizzaData ? {
             index: pizzaData.index,
             defcon: pizzaData.defcon,
@@ -520,34 +239,95 @@ function logTradeDecision(market, trade, reasons, pizzaData) {
         }
     };
 
-    // In a real module we might want to append to file, keeping it simple for now or using utils
-    // fs.appendFileSync('trade_decisions.jsonl', JSON.stringify(logEntry) + '\n');
+    decisionJournal.append(logEntry);
+    calibration.recordForecast(logEntry);
 }
 
-export async function simulateTrade(market, pizzaData, isFreshMarket = false, dependencies = {}) {
-    const {
-        checkLiquidityDepthFn = checkLiquidityDepth,
-        calculateIntradayTrendFn = calculateIntradayTrend,
-        testSize = null,
-        isTest = false,
-        skipPersistence = false,
-        reasonsCollector = null
-    } = dependencies;
+// ── WEEKLY LOSS CIRCUIT BREAKER ──────────────────────────────────────────────
+// Rolling 7-day realized PnL, bucketed per day in botState.weeklyDrawdown
+function updateWeeklyDrawdown() {
+    const WD = CONFIG.WEEKLY_DRAWDOWN || {};
+    if (!botState.weeklyDrawdown) {
+        botState.weeklyDrawdown = { dailyPnL: {}, rollingPnL: 0, currentLossPct: 0, mode: 'NORMAL', trippedAt: null };
+    }
+    const wd = botState.weeklyDrawdown;
+    if (!wd.dailyPnL) wd.dailyPnL = {};
+
+    // Drop days that rolled out of the window
+    const windowDays = WD.WINDOW_DAYS || 7;
+    const cutoff = new Date(Date.now() - (windowDays - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    for (const day of Object.keys(wd.dailyPnL)) {
+        if (day < cutoff) delete wd.dailyPnL[day];
+    }
+
+    wd.rollingPnL = Object.values(wd.dailyPnL).reduce((sum, v) => sum + v, 0);
+    const base = botState.startingCapital || CONFIG.STARTING_CAPITAL;
+    const lossPct = base > 0 ? wd.rollingPnL / base : 0;
+    wd.currentLossPct = lossPct;
+
+    let mode = 'NORMAL';
+    if (lossPct <= -(CONFIG.WEEKLY_LOSS_LIMIT ?? 0.07))     mode = 'HALT';
+    else if (lossPct <= -(WD.REDUCED_PCT ?? 0.05))          mode = 'REDUCED';
+    else if (lossPct <= -(WD.CAUTION_PCT ?? 0.035))         mode = 'CAUTION';
+
+    if (mode !== wd.mode) {
+        const previous = wd.mode;
+        wd.mode = mode;
+        const emoji = { HALT: '🛑', REDUCED: '🔴', CAUTION: '🟡', NORMAL: '🟢' }[mode];
+        addLog(botState, `${emoji} Weekly loss mode: ${previous} → ${mode} (${(lossPct * 100).toFixed(1)}% sur 7 jours glissants, $${wd.rollingPnL.toFixed(2)})`, 'warning');
+        if (mode === 'HALT') wd.trippedAt = new Date().toISOString();
+        stateManager.addSectorEvent(null, 'RISK', `${emoji} Weekly circuit breaker: ${mode}`, {
+            rollingPnL: wd.rollingPnL.toFixed(2),
+            lossPct: (lossPct * 100).toFixed(1)
+        });
+    }
+    return wd;
+}
 
-    // === HARD GUARDS (never bypassed) ===
+function trackWeeklyPnL(pnl) {
+    if (!pnl) return;
+    updateWeeklyDrawdown();
+    const today = new Date().toISOString().split('T')[0];
+    const days = botState.weeklyDrawdown.dailyPnL;
+    days[today] = (days[today] || 0) + pnl;
+    updateWeeklyDrawdown();
+}
+
+/**
+ * Realized PnL into every tracker the breakers and sleeves read: daily loss limit,
+ * weekly buckets and the strategy's capital sleeve. Also used by settlementService
+ * when it corrects an old resolution.
+ */
+export function trackRealizedPnL(strategy, pnl) {
+    // Track daily P&L for loss limit enforcement
+    const today = new Date().toISOString().split('T')[0];
+    if (botState.dailyPnLResetDate !== today) {
+        botState.dailyPnL = 0;
+        botState.dailyPnLResetDate = today;
+    }
+    botState.dailyPnL += pnl;
+    trackWeeklyPnL(pnl);
+    capitalSleeves.recordPnL(strategy, pnl);
+}
+
+/**
+ * Hard guards for any new live position: portfolio slots, capital, daily / weekly
+ * loss limits and the monthly KILL tier. A multi-leg position takes one slot per leg.
+ * @param {number} [newPositions] - Positions about to be opened
+ * @param {number} [maxTrades] - Portfolio cap (server.js passes calculateMaxTrades)
+ * @returns {string|null} Why no position can be opened, null when trading is allowed
+ */
+function checkEntryBreakers(newPositions = 1, maxTrades = CONFIG.BASE_MAX_TRADES || 10) {
     // Portfolio limit: absolute cap
-    const maxTrades = CONFIG.BASE_MAX_TRADES || 10;
-    if (!skipPersistence && botState.activeTrades.length >= maxTrades) {
-        if (reasonsCollector) reasonsCollector.push(`Portfolio full (${botState.activeTrades.length}/${maxTrades})`);
-        return null;
+    if (botState.activeTrades.length + newPositions > maxTrades) {
+        return `Portfolio full (${botState.activeTrades.length}/${maxTrades}${newPositions > 1 ? `, +${newPositions} legs` : ''})`;
     }
     // Minimum capital check
-    if (!skipPersistence && botState.capital < CONFIG.MIN_TRADE_SIZE) {
-        if (reasonsCollector) reasonsCollector.push(`Insufficient capital ($${botState.capital.toFixed(2)})`);
-        return null;
+    if (botState.capital < CONFIG.MIN_TRADE_SIZE) {
+        return `Insufficient capital ($${botState.capital.toFixed(2)})`;
     }
     // Daily loss limit check
-    if (!skipPersistence && CONFIG.DAILY_LOSS_LIMIT) {
+    if (CONFIG.DAILY_LOSS_LIMIT) {
         const today = new Date().toISOString().split('T')[0];
         if (botState.dailyPnLResetDate !== today) {
             botState.dailyPnL = 0;
@@ -555,16 +335,23 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
         }
         const dailyLossThreshold = -(CONFIG.DAILY_LOSS_LIMIT * botState.startingCapital);
         if (botState.dailyPnL <= dailyLossThreshold) {
-            if (reasonsCollector) reasonsCollector.push(`Daily loss limit hit ($${botState.dailyPnL.toFixed(2)} / ${dailyLossThreshold.toFixed(2)})`);
             addLog(botState, `🛑 DAILY LOSS LIMIT: Trading halted ($${botState.dailyPnL.toFixed(2)} today)`, 'warning');
-            return null;
+            return `Daily loss limit hit ($${botState.dailyPnL.toFixed(2)} / ${dailyLossThreshold.toFixed(2)})`;
+        }
+    }
+
+    // Weekly loss limit check (rolling 7 days) — REDUCED/CAUTION sizing applied later
+    if (CONFIG.WEEKLY_LOSS_LIMIT) {
+        const wd = updateWeeklyDrawdown();
+        if (wd.mode === 'HALT') {
+            return `Weekly loss limit hit ($${wd.rollingPnL.toFixed(2)} over 7d, ${(wd.currentLossPct * 100).toFixed(1)}%)`;
         }
     }
 
     // ── MONTHLY DRAWDOWN PROTECTION ──────────────────────────────────────────
     // 3-tier system: NORMAL → DEFENSIVE → CONSERVATION → KILL
     // Resets on the 1st of each month
-    if (!skipPersistence && CONFIG.MONTHLY_DRAWDOWN) {
+    if (CONFIG.MONTHLY_DRAWDOWN) {
         const MD = CONFIG.MONTHLY_DRAWDOWN;
         const currentMonth = new Date().toISOString().slice(0, 7); // "YYYY-MM"
 
@@ -601,13 +388,48 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
 
         // Apply restrictions by mode
         if (mdMode === 'KILL') {
-            const reason = `🛑 KILL SWITCH: Monthly drawdown ${(lossPct * 100).toFixed(1)}% — No new trades until next month`;
-            if (reasonsCollector) reasonsCollector.push(reason);
-            return null;
+            return `🛑 KILL SWITCH: Monthly drawdown ${(lossPct * 100).toFixed(1)}% — No new trades until next month`;
         }
         // CONSERVATION & DEFENSIVE restrictions are applied later (sizing + conviction)
     }
-    // ─────────────────────────────────────────────────────────────────────────
+    return null;
+}
+
+export async function simulateTrade(market, pizzaData, isFreshMarket = false, dependencies = {}) {
+    // Every live decision ends up in the journal: paths that return early without
+    // calling logTradeDecision are journaled here with the collected reasons
+    const journal = { enabled: !dependencies.skipPersistence, logged: false };
+    const collected = [];
+    const result = await evaluateTrade(market, pizzaData, isFreshMarket, { ...dependencies, reasonsCollector: collected, journal });
+
+    if (dependencies.reasonsCollector) dependencies.reasonsCollector.push(...collected);
+    if (journal.enabled && !journal.logged) {
+        const executed = Array.isArray(result) ? result[0] : result;
+        logTradeDecision(market, executed || null, executed ? (executed.reasons || []) : collected, pizzaData, journal);
+    }
+    return result;
+}
+
+async function evaluateTrade(market, pizzaData, isFreshMarket = false, dependencies = {}) {
+    const {
+        checkLiquidityDepthFn = checkLiquidityDepth,
+        calculateIntradayTrendFn = calculateIntradayTrend,
+        testSize = null,
+        isTest = false,
+        skipPersistence = false,
+        reasonsCollector = null,
+        simulateFillFn = null, // (market, side, amountUsd, refPrice) → fill — backtest injects a synthetic book
+        journal = null
+    } = dependencies;
+
+    // === HARD GUARDS (never bypassed) ===
+    if (!skipPersistence) {
+        const blocked = checkEntryBreakers();
+        if (blocked) {
+            if (reasonsCollector) reasonsCollector.push(blocked);
+            return null;
+        }
+    }
 
     // BLACKLIST: Elon Musk tweet-counting markets (37% WR, -$20 since Feb 21)
     const questionLower = (market.question || '').toLowerCase();
@@ -667,7 +489,6 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
         return null;
     }
 
-    let side, entryPrice, confidence;
     const category = categorizeMarket(market.question);
     const decisionReasons = [];
 
@@ -677,7 +498,7 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
     if (sportsValidation.adjustment <= -0.2) {
         decisionReasons.push(...sportsValidation.reasons);
         if (reasonsCollector) reasonsCollector.push(...sportsValidation.reasons);
-        logTradeDecision(market, null, decisionReasons, pizzaData);
+        logTradeDecision(market, null, decisionReasons, pizzaData, journal);
         return null;
     }
     if (sportsValidation.adjustment !== 0 && sportsValidation.adjustment > -0.2) {
@@ -685,265 +506,86 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
         decisionReasons.push(...sportsValidation.reasons);
     }
 
-    // NOUVEAU: STRATÉGIE ARBITRAGE (Risk-Free)
-    const arbSignal = botState.arbitrageOpportunities && botState.arbitrageOpportunities.find(a => a.id === market.id);
-    if (arbSignal && yesPrice + noPrice < 0.995) { // 0.5% margin for safety
-        const depthYesOK = await checkLiquidityDepthFn(market, 'YES', yesPrice, 100);
-        const depthNoOK = await checkLiquidityDepthFn(market, 'NO', noPrice, 100);
-
-        if (depthYesOK && depthNoOK) {
-            const tradeSize = calculateTradeSize(1.0, (yesPrice + noPrice) / 2) / 2; // Risk-free confidence = 1.0, price = avg
-            const tradeIdBase = Date.now().toString(36);
-
-            const tradeYes = {
-                id: tradeIdBase + 'y',
-                marketId: market.id,
-                question: market.question,
-                side: 'YES',
-                amount: tradeSize,
-                entryPrice: yesPrice * 1.01, // slippage sim
-                startTime: new Date().toISOString(),
-                shares: tradeSize / (yesPrice * 1.01),
-                status: 'OPEN',
-                confidence: 1.0, // Risk free
-                reasons: [`⚖️ Arbitrage: Sum=${(yesPrice + noPrice).toFixed(3)}`],
-                category: category,
-                clobTokenIds: market.clobTokenIds || [],
-                endDate: market.endDate || market.end_date_iso || null
-            };
-
-            const tradeNo = {
-                id: tradeIdBase + 'n',
-                marketId: market.id,
-                question: market.question,
-                side: 'NO',
-                amount: tradeSize,
-                entryPrice: noPrice * 1.01,
-                startTime: new Date().toISOString(),
-                shares: tradeSize / (noPrice * 1.01),
-                status: 'OPEN',
-                confidence: 1.0,
-                reasons: [`⚖️ Arbitrage: Sum=${(yesPrice + noPrice).toFixed(3)}`],
-                category: category,
-                clobTokenIds: market.clobTokenIds || [],
-                endDate: market.endDate || market.end_date_iso || null
-            };
-
-            // Note: We don't call saveNewTrade here because we return an array 
-            // and server.js will handle the logs/persistence.
-            // Wait, saveNewTrade handles botState.capital and stateManager.save().
-            // I should either refactor saveNewTrade or handle it here.
-            // Let's handle it manually here for both.
-
-            [tradeYes, tradeNo].forEach(t => {
-                saveNewTrade(t, skipPersistence);
-            });
+    // --- ENTRY: registered strategies decide the side (tension, whale, copy, wizard, trend...) ---
+    const entry = await strategyRegistry.selectEntry({
+        market, yesPrice, noPrice, category, pizzaData, checkLiquidityDepthFn, calculateIntradayTrendFn
+    });
+    decisionReasons.push(...entry.reasons);
 
-            return [tradeYes, tradeNo];
-        }
+    if (entry.rejected) {
+        if (reasonsCollector) reasonsCollector.push(...decisionReasons);
+        logTradeDecision(market, null, decisionReasons, pizzaData, journal);
+        return null;
     }
 
-    // PizzINT Tension-based trade logic (graduated, replaces binary DEFCON check)
-    const tension = pizzaData?.tensionScore || 0;
-    const T = CONFIG.TENSION || {};
-
-    if (tension >= (T.CRITICAL || 80)) {
-        // Full crisis: force geo/eco YES, reject sports
-        if (category === 'geopolitical' || category === 'economic') {
-            side = 'YES';
-            entryPrice = yesPrice;
-            confidence = 0.65;
-            decisionReasons.push(`CRISIS tension ${tension} + ${category}`);
-        } else if (category === 'sports') {
-            decisionReasons.push(`Rejected: Sports during crisis (tension ${tension})`);
+    // ARBITRAGE (Risk-Free): buy both legs
+    if (entry.paired) {
+        const sleeve = capitalSleeves.sizingFor(entry.strategy);
+        if (sleeve && sleeve.available < CONFIG.MIN_TRADE_SIZE * 2) {
+            const reason = `🧺 Sleeve ${sleeve.id} épuisée: $${sleeve.deployed.toFixed(0)}/$${sleeve.budget.toFixed(0)} déployés`;
+            decisionReasons.push(reason);
             if (reasonsCollector) reasonsCollector.push(...decisionReasons);
-            logTradeDecision(market, null, decisionReasons, pizzaData);
+            logTradeDecision(market, null, decisionReasons, pizzaData, journal);
             return null;
-        } else {
-            side = 'YES';
-            entryPrice = yesPrice;
-            confidence = 0.45;
-            decisionReasons.push(`CRISIS tension ${tension} + other category`);
-        }
-    } else if (tension >= (T.HIGH || 55)) {
-        // High tension: nudge geo/eco confidence but don't force-reject sports
-        if (category === 'geopolitical' || category === 'economic') {
-            side = 'YES';
-            entryPrice = yesPrice;
-            confidence = 0.55;
-            decisionReasons.push(`HIGH tension ${tension} + ${category}`);
-        }
-    }
-    // WHALE FOLLOW STRATEGY — uses real trade data from Data API
-    const whaleAlert = market._whaleMatch || botState.whaleAlerts?.find(w => w.slug === market.slug);
-    if (whaleAlert && whaleAlert.consensus && whaleAlert.consensus !== 'MIXED') {
-        if (whaleAlert.consensus === 'BULLISH') {
-            const depthOK = await checkLiquidityDepthFn(market, 'YES', yesPrice, 50);
-            if (depthOK) {
-                side = 'YES';
-                entryPrice = yesPrice;
-                confidence = 0.75;
-                const topName = whaleAlert.topTrade?.name || 'Unknown';
-                decisionReasons.push(`🐳 Whale Follow: ${whaleAlert.whaleCount || 1} whales BULLISH ($${Math.round(whaleAlert.totalVolume || whaleAlert.volume)}) led by ${topName}`);
-            }
-        } else if (whaleAlert.consensus === 'BEARISH') {
-            const depthOK = await checkLiquidityDepthFn(market, 'NO', noPrice, 50);
-            if (depthOK) {
-                side = 'NO';
-                entryPrice = noPrice;
-                confidence = 0.75;
-                const topName = whaleAlert.topTrade?.name || 'Unknown';
-                decisionReasons.push(`🐳 Whale Follow: ${whaleAlert.whaleCount || 1} whales BEARISH ($${Math.round(whaleAlert.totalVolume || whaleAlert.volume)}) led by ${topName}`);
-            }
         }
-    } else if (whaleAlert) {
-        decisionReasons.push(`⚠️ Whale Alert: MIXED consensus, no follow`);
-    }
-    // COPY TRADE FOLLOW STRATEGY — top leaderboard wallet positions
-    const copyMatch = market._copyMatch;
-    if (!side && copyMatch && (CONFIG.COPY_TRADING?.ENABLED)) {
-        const copyOutcome = copyMatch.outcome; // "Yes" or "No"
-        if (copyOutcome === 'Yes' || copyOutcome === 'YES') {
-            const depthOK = await checkLiquidityDepthFn(market, 'YES', yesPrice, 50);
-            if (depthOK) {
-                side = 'YES';
-                entryPrice = yesPrice;
-                confidence = 0.60;
-                decisionReasons.push(`Copy Follow: ${copyMatch.count} top trader(s) on YES (led by ${copyMatch.topTrader} #${copyMatch.topRank})`);
-            }
-        } else if (copyOutcome === 'No' || copyOutcome === 'NO') {
-            const depthOK = await checkLiquidityDepthFn(market, 'NO', noPrice, 50);
-            if (depthOK) {
-                side = 'NO';
-                entryPrice = noPrice;
-                confidence = 0.60;
-                decisionReasons.push(`Copy Follow: ${copyMatch.count} top trader(s) on NO (led by ${copyMatch.topTrader} #${copyMatch.topRank})`);
+        let tradeSize = calculateTradeSize(1.0, (yesPrice + noPrice) / 2, sleeve) / 2; // Risk-free confidence = 1.0, price = avg
+        if (sleeve) tradeSize = Math.min(tradeSize, sleeve.available / 2);
+        const tradeIdBase = Date.now().toString(36);
+        const groupId = newGroupId();
+
+        const legs = [['YES', yesPrice], ['NO', noPrice]].map(([legSide, legPrice]) => ({
+            id: tradeIdBase + legSide[0].toLowerCase(),
+            marketId: market.id,
+            question: market.question,
+            side: legSide,
+            amount: tradeSize,
+            entryPrice: legPrice * 1.01, // slippage sim
+            startTime: new Date().toISOString(),
+            shares: tradeSize / (legPrice * 1.01),
+            status: 'OPEN',
+            confidence: 1.0, // Risk free
+            reasons: [entry.reason],
+            category: category,
+            strategy: entry.strategy,
+            signals: [{ strategy: entry.strategy, points: 0, label: entry.reason, entry: true }],
+            groupId,
+            groupKind: 'ARBITRAGE_PAIR',
+            clobTokenIds: market.clobTokenIds || [],
+            endDate: market.endDate || market.end_date_iso || null
+        }));
+
+        // Both legs or none: a single leg is a naked position, not an arbitrage
+        const executedLegs = [];
+        for (const t of legs) {
+            if (!(await executeEntry(t, skipPersistence))) break;
+            executedLegs.push(t);
+        }
+        if (executedLegs.length < legs.length) {
+            const stuck = await unwindEntries(executedLegs);
+            decisionReasons.push(`⚠️ Arbitrage: ${executedLegs.length}/${legs.length} legs exécutés — paire annulée`);
+            if (reasonsCollector) reasonsCollector.push(...decisionReasons);
+            logTradeDecision(market, null, decisionReasons, pizzaData, journal);
+            // A leg the venue would not take back stays tracked as a plain position
+            for (const t of stuck) {
+                delete t.groupId;
+                delete t.groupKind;
+                saveNewTrade(t, skipPersistence);
             }
+            return null;
         }
-    }
-    // NOUVEAU: WIZARD FOLLOW STRATEGY (Smart Money / Alpha)
-    else if (botState.wizards && botState.wizards.some(w => w.id === market.id)) {
-        const wizardSignal = botState.wizards.find(w => w.id === market.id);
-        // Wizards are detected as "Cheap YES" (< 0.35) with high Alpha.
-        // We verify depth and go long.
-        const depthOK = await checkLiquidityDepthFn(market, 'YES', yesPrice, 50);
-        if (depthOK) {
-            side = 'YES';
-            entryPrice = yesPrice;
-            confidence = 0.60;
-            decisionReasons.push(`🧙 Wizard Follow: High Alpha (${wizardSignal.alpha}%)`);
-        } else {
-            decisionReasons.push(`⚠️ Wizard Signal Ignored: Low Liquidity`);
+
+        // saveNewTrade handles capital and persistence for each leg;
+        // server.js handles the logs for the returned array
+        for (const t of executedLegs) saveNewTrade(t, skipPersistence);
+        if (!skipPersistence) {
+            positionGroups.create('ARBITRAGE_PAIR', executedLegs, { id: groupId, label: market.question, marketId: market.id });
         }
+
+        return executedLegs;
     }
 
+    let { side, entryPrice, confidence } = entry;
 
-    // NOUVEAU: TREND FOLLOWING (Optimisé + Intraday Check + Depth Check)
-    else if (market.volume24hr > 1000 && yesPrice > 0.55 && yesPrice < 0.90) {
-        // 1. Check Intraday Trend
-        const trend = await calculateIntradayTrendFn(market.id);
-        if (trend === 'UP') {
-            // 2. Check Depth 
-            const depthOK = await checkLiquidityDepthFn(market, 'YES', yesPrice, 50); // Loosened from 100
-            if (depthOK) {
-                side = 'YES';
-                entryPrice = yesPrice;
-                confidence = 0.65; // Higher confidence due to trend verification
-                decisionReasons.push(`🚀 Trend Following Verified (Vol: ${parseInt(market.volume24hr)} | Intraday: UP)`);
-            } else {
-                decisionReasons.push(`⚠️ Trend Rejected: Low Debt/Slippage Risk`);
-            }
-        } else {
-            decisionReasons.push(`⚠️ Trend Rejected: Intraday is ${trend || 'Flat'}`);
-        }
-    }
-    // NOUVEAU: HYPE FADER (Depth Checked)
-    else if (yesPrice > 0.92 && yesPrice < 0.98) {
-        // Check Depth for Shorting YES (Buying NO)
-        const depthOK = await checkLiquidityDepthFn(market, 'NO', noPrice, 50);
-        if (depthOK) {
-            side = 'NO';
-            entryPrice = noPrice;
-            confidence = 0.50;
-            decisionReasons.push(`📉 Hype Fader: Shorting Overbought YES (Price: ${yesPrice.toFixed(2)})`);
-        }
-    } else if (noPrice > 0.92 && noPrice < 0.98) {
-        // Check Depth for Shorting NO (Buying YES)
-        const depthOK = await checkLiquidityDepthFn(market, 'YES', yesPrice, 50);
-        if (depthOK) {
-            side = 'YES';
-            entryPrice = yesPrice;
-            confidence = 0.50;
-            decisionReasons.push(`📈 Hype Fader: Shorting Overbought NO (Price: ${noPrice.toFixed(2)})`);
-        }
-    }
-    // NOUVEAU: SMART MOMENTUM (Vol > 1000 + Spread Check implied by Depth)
-    else if (market.volume24hr && parseFloat(market.volume24hr) > 1000) {
-        if (yesPrice >= 0.55 && yesPrice <= 0.85) {
-            const depthOK = await checkLiquidityDepthFn(market, 'YES', yesPrice, 50);
-            if (depthOK) {
-                side = 'YES';
-                entryPrice = yesPrice;
-                confidence = 0.45;
-                decisionReasons.push(`🔥 Smart Momentum: Following YES Favorite`);
-            }
-        }
-        else if (noPrice >= 0.55 && noPrice <= 0.85) {
-            const depthOK = await checkLiquidityDepthFn(market, 'NO', noPrice, 50);
-            if (depthOK) {
-                side = 'NO';
-                entryPrice = noPrice;
-                confidence = 0.45;
-                decisionReasons.push(`🔥 Smart Momentum: Following NO Favorite`);
-            }
-        }
-        else {
-            // Contrarian logic
-            if (yesPrice < noPrice) {
-                const depthOK = await checkLiquidityDepthFn(market, 'YES', yesPrice, 50);
-                if (depthOK) { side = 'YES'; entryPrice = yesPrice; confidence = 0.35; decisionReasons.push(`Contrarian Momentum`); }
-            } else {
-                const depthOK = await checkLiquidityDepthFn(market, 'NO', noPrice, 50);
-                if (depthOK) { side = 'NO'; entryPrice = noPrice; confidence = 0.35; decisionReasons.push(`Contrarian Momentum`); }
-            }
-        }
-    }
-    // Prix très bas (long shots) - Moved AFTER advanced strategies
-    else if (yesPrice < 0.20 && yesPrice >= 0.01) {
-        const depthOK = await checkLiquidityDepthFn(market, 'YES', yesPrice, 20);
-        if (depthOK) {
-            side = 'YES';
-            entryPrice = yesPrice;
-            confidence = 0.35;
-            decisionReasons.push(`Prix bas YES: ${yesPrice.toFixed(3)}`);
-        }
-    } else if (noPrice < 0.20 && noPrice >= 0.01) {
-        const depthOK = await checkLiquidityDepthFn(market, 'NO', noPrice, 20);
-        if (depthOK) {
-            side = 'NO';
-            entryPrice = noPrice;
-            confidence = 0.35;
-            decisionReasons.push(`Prix bas NO: ${noPrice.toFixed(3)}`);
-        }
-    }
-    // NOUVEAU: Prix moyens - Moved AFTER advanced strategies
-    else if (yesPrice >= 0.20 && yesPrice <= 0.40) {
-        const depthOK = await checkLiquidityDepthFn(market, 'YES', yesPrice, 50);
-        if (depthOK) {
-            side = 'YES';
-            entryPrice = yesPrice;
-            confidence = 0.40;
-            decisionReasons.push(`Prix moyen YES: ${yesPrice.toFixed(3)}`);
-        }
-    } else if (noPrice >= 0.20 && noPrice <= 0.40) {
-        const depthOK = await checkLiquidityDepthFn(market, 'NO', noPrice, 50);
-        if (depthOK) {
-            side = 'NO';
-            entryPrice = noPrice;
-            confidence = 0.40;
-            decisionReasons.push(`Prix moyen NO: ${noPrice.toFixed(3)}`);
-        }
-    }
     // --- FINAL FALLBACK FOR VERIFICATION ---
     if (isTest && !side) {
         side = 'YES';
@@ -958,7 +600,7 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
 
         // Rejections are now batched in server.js loop summary (no individual log spam)
 
-        logTradeDecision(market, null, decisionReasons, pizzaData);
+        logTradeDecision(market, null, decisionReasons, pizzaData, journal);
         return null;
     }
 
@@ -979,14 +621,25 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
             const reason = `🛡️ Anti-Fragility: ${convictionResult.rejectReason}`;
             if (reasonsCollector) reasonsCollector.push(reason);
             decisionReasons.push(reason);
-            logTradeDecision(market, null, decisionReasons, pizzaData);
+            logTradeDecision(market, null, decisionReasons, pizzaData, journal);
             return null;
         }
 
+        // Points per signal and the gate they had to clear, for the what-if re-scoring (signalAttribution.js)
+        if (journal) {
+            journal.conviction = {
+                points: convictionResult.points,
+                entryStrategy: entry.strategy || null,
+                entryConfidence: confidence,
+                minPoints: null,
+                signals: convictionResult.signals.map(s => ({ strategy: s.strategy, points: s.points }))
+            };
+        }
+
         if (convictionResult.points > 0) {
             confidence = convictionResult.confidence;
             decisionReasons.push(`🎯 Conviction: ${convictionResult.points}pts → ${convictionResult.confidence.toFixed(2)}`);
-            convictionResult.signals.forEach(s => decisionReasons.push(s));
+            convictionResult.signals.forEach(s => decisionReasons.push(s.label));
         }
 
         // Store size multiplier from advanced strategies (Calendar, Anti-Fragility)
@@ -999,11 +652,12 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
         const MD = CONFIG.MONTHLY_DRAWDOWN || {};
         if (mdMode === 'CONSERVATION') {
             const minConv = MD.CONSERVATION_MIN_CONVICTION ?? 80;
+            if (journal?.conviction) journal.conviction.minPoints = minConv;
             if (convictionResult.points < minConv) {
                 const reason = `🔴 Conservation mode: besoin ${minConv}pts, obtenu ${convictionResult.points}pts`;
                 if (reasonsCollector) reasonsCollector.push(reason);
                 decisionReasons.push(reason);
-                logTradeDecision(market, null, decisionReasons, pizzaData);
+                logTradeDecision(market, null, decisionReasons, pizzaData, journal);
                 return null;
             }
             // Block speculative markets in conservation mode
@@ -1043,11 +697,12 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
             liquidityTier = `élevée ($${Math.round(liquidity)})`;
         }
 
+        if (journal?.conviction) journal.conviction.minPoints = Math.max(journal.conviction.minPoints ?? 0, minConviction);
         if (convictionResult.points < minConviction) {
             const reason = `💧 Liquidity gate: liq. ${liquidityTier} → besoin ${minConviction}pts, obtenu ${convictionResult.points}pts`;
             if (reasonsCollector) reasonsCollector.push(reason);
             decisionReasons.push(reason);
-            logTradeDecision(market, null, decisionReasons, pizzaData);
+            logTradeDecision(market, null, decisionReasons, pizzaData, journal);
             return null;
         }
         decisionReasons.push(`💧 Liq. ${liquidityTier}: ${convictionResult.points}pts ≥ ${minConviction}pts ✓`);
@@ -1060,7 +715,7 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
         if (!exposure.allowed) {
             if (reasonsCollector) reasonsCollector.push(exposure.reason);
             decisionReasons.push(exposure.reason);
-            logTradeDecision(market, null, decisionReasons, pizzaData);
+            logTradeDecision(market, null, decisionReasons, pizzaData, journal);
             return null;
         }
         if (exposure.adjustment !== 0 && exposure.reason) {
@@ -1086,7 +741,7 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
             const reason = `Speculative exposure limit: $${speculativeExposure.toFixed(0)}/$${maxSpeculative.toFixed(0)} (20% cap)`;
             if (reasonsCollector) reasonsCollector.push(reason);
             decisionReasons.push(reason);
-            logTradeDecision(market, null, decisionReasons, pizzaData);
+            logTradeDecision(market, null, decisionReasons, pizzaData, journal);
             return null;
         }
     }
@@ -1122,7 +777,18 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
     // Clamp confidence to valid probability range (required for Kelly criterion)
     confidence = Math.max(0.01, Math.min(0.99, confidence));
 
-    let tradeSize = dependencies.testSize || calculateTradeSize(confidence, entryPrice);
+    // Strategy the trade is filed under — also picks the capital sleeve that funds it
+    const signals = [
+        ...(entry.strategy ? [{ strategy: entry.strategy, points: 0, label: entry.reason, entry: true }] : []),
+        ...(convictionResult?.signals || [])
+    ];
+    const strategy = strategyRegistry.primaryStrategy(entry.strategy, signals);
+    const sleeve = dependencies.testSize ? null : capitalSleeves.sizingFor(strategy);
+
+    let tradeSize = dependencies.testSize || calculateTradeSize(confidence, entryPrice, sleeve);
+    if (sleeve) {
+        decisionReasons.push(`🧺 Sleeve ${sleeve.id}: Kelly sur $${sleeve.available.toFixed(0)} libres (${(sleeve.pct * 100).toFixed(1)}% du capital)${sleeve.kellyMultiplier < 1 ? ` — drawdown ${(sleeve.drawdownPct * 100).toFixed(0)}%, Kelly x${sleeve.kellyMultiplier}` : ''}`);
+    }
 
     // ── MONTHLY DRAWDOWN: apply sizing restrictions ───────────────────────────
     if (!dependencies.testSize && !skipPersistence && botState.monthlyDrawdown) {
@@ -1139,6 +805,19 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
             }
         }
     }
+
+    // ── WEEKLY LOSS: apply sizing restrictions ────────────────────────────────
+    if (!dependencies.testSize && !skipPersistence && botState.weeklyDrawdown) {
+        const wdMode = botState.weeklyDrawdown.mode;
+        const WD = CONFIG.WEEKLY_DRAWDOWN || {};
+        const mult = wdMode === 'REDUCED' ? (WD.REDUCED_SIZE_MULT ?? 0.5)
+            : wdMode === 'CAUTION' ? (WD.CAUTION_SIZE_MULT ?? 0.75)
+            : 1;
+        if (mult < 1) {
+            tradeSize *= mult;
+            decisionReasons.push(`${wdMode === 'REDUCED' ? '🔴' : '🟡'} Weekly ${wdMode.toLowerCase()} sizing: x${mult} (${(botState.weeklyDrawdown.currentLossPct * 100).toFixed(1)}% sur 7j)`);
+        }
+    }
     // ─────────────────────────────────────────────────────────────────────────
 
     // ── VOLATILITY-ADJUSTED POSITION SIZING ──────────────────────────────────
@@ -1183,7 +862,7 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
             const reason = `Liquidity reserve: keeping ${(minLiquidPct * 100).toFixed(0)}% liquid ($${requiredLiquid.toFixed(0)} reserved, only $${Math.max(0, availableToInvest).toFixed(0)} free)`;
             if (reasonsCollector) reasonsCollector.push(reason);
             decisionReasons.push(reason);
-            logTradeDecision(market, null, decisionReasons, pizzaData);
+            logTradeDecision(market, null, decisionReasons, pizzaData, journal);
             return null;
         }
         // Cap trade size so we don't break the reserve
@@ -1211,17 +890,6 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
         decisionReasons.push(`📅 Advanced Size: x${advancedSizeMultiplier.toFixed(2)}`);
     }
 
-    // 2b. WHALE STRATEGY SIZE CAP: Limit whale-triggered trades to prevent outsized losses
-    // 124 trades data: whale 43% WR, -$16.21 PnL — losses bigger than wins
-    const isWhaleTriggered = decisionReasons.some(r => r.includes('Whale') || r.includes('🐋'));
-    if (isWhaleTriggered && !dependencies.testSize) {
-        const WHALE_MAX = 10; // $10 max on whale-triggered trades (was $12, still losing)
-        if (tradeSize > WHALE_MAX) {
-            tradeSize = WHALE_MAX;
-            decisionReasons.push(`🐋 Whale Size Cap: capped at $${WHALE_MAX}`);
-        }
-    }
-
     // 2c. ECONOMIC CATEGORY SIZE PENALTY: 20% WR on economic markets = reduce exposure
     const tradeCategory = categorizeMarket(market.question);
     if (tradeCategory === 'economic' && !dependencies.testSize) {
@@ -1262,66 +930,134 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
         }
     }
 
-    // ── COPY TRADE CAP: enforce COPY_SIZE_PERCENT — was completely ignored before ──
+    // ── STRATEGY SIZE CAPS: registry sizing rules (whale $ cap, copy % of capital) ──
     if (!dependencies.testSize) {
-        const isCopyTrade = decisionReasons.some(r => (r || '').includes('Copy Follow'));
-        if (isCopyTrade) {
-            const CT = CONFIG.COPY_TRADING || {};
-            const totalCapital = botState.capital + (botState.activeTrades || []).reduce((s, t) => s + (t.amount || 0), 0);
-            const copyMaxSize = totalCapital * (CT.COPY_SIZE_PERCENT || 0.023);
-            if (tradeSize > copyMaxSize) {
-                decisionReasons.push(`📋 Copy cap: $${tradeSize.toFixed(0)} → $${copyMaxSize.toFixed(0)} (${((CT.COPY_SIZE_PERCENT || 0.023) * 100).toFixed(1)}% capital)`);
-                addLog(botState, `📋 Copy cap: ${(market.question || '').substring(0, 35)}... $${tradeSize.toFixed(0)} → $${copyMaxSize.toFixed(0)}`, 'info');
-                tradeSize = copyMaxSize;
+        const totalCapital = botState.capital + (botState.activeTrades || []).reduce((s, t) => s + (t.amount || 0), 0);
+        for (const rule of strategyRegistry.sizingRules(entry.strategy, signals)) {
+            const caps = [];
+            if (rule.maxUsd) caps.push({ max: rule.maxUsd, detail: `$${rule.maxUsd} max` });
+            if (rule.maxCapitalPct) caps.push({ max: totalCapital * rule.maxCapitalPct, detail: `${(rule.maxCapitalPct * 100).toFixed(1)}% capital` });
+            for (const cap of caps) {
+                if (tradeSize > cap.max) {
+                    decisionReasons.push(`📏 ${rule.label} cap: $${tradeSize.toFixed(0)} → $${cap.max.toFixed(0)} (${cap.detail})`);
+                    tradeSize = cap.max;
+                }
             }
         }
     }
 
+    // ── CAPITAL SLEEVE: never deploy more than the sleeve's free budget ──────
+    if (sleeve) {
+        if (sleeve.available < CONFIG.MIN_TRADE_SIZE) {
+            const reason = `🧺 Sleeve ${sleeve.id} épuisée: $${sleeve.deployed.toFixed(0)}/$${sleeve.budget.toFixed(0)} déployés`;
+            if (reasonsCollector) reasonsCollector.push(reason);
+            decisionReasons.push(reason);
+            logTradeDecision(market, null, decisionReasons, pizzaData, journal);
+            return null;
+        }
+        if (tradeSize > sleeve.available) {
+            decisionReasons.push(`🧺 Sleeve ${sleeve.id} cap: $${tradeSize.toFixed(0)} → $${sleeve.available.toFixed(0)} (budget libre)`);
+            tradeSize = sleeve.available;
+        }
+    }
+
+    // ── PORTFOLIO VaR: the book + this trade under correlated resolutions (riskEngine.js) ──
+    if (!dependencies.testSize && (!skipPersistence || dependencies.enforcePortfolioLimits) && tradeSize >= CONFIG.MIN_TRADE_SIZE) {
+        const risk = await riskEngine.checkTrade({
+            marketId: market.id, question: market.question, category, side,
+            price: entryPrice, amount: tradeSize, clobTokenIds: market.clobTokenIds
+        }, { prices: !skipPersistence }); // Simulated runs: live price series don't describe their markets
+        if (!risk.allowed) {
+            if (reasonsCollector) reasonsCollector.push(risk.reason);
+            decisionReasons.push(risk.reason);
+            logTradeDecision(market, null, decisionReasons, pizzaData, journal);
+            return null;
+        }
+        if (risk.amount < tradeSize) {
+            decisionReasons.push(risk.reason);
+            tradeSize = risk.amount;
+        }
+    }
+
     // CRITICAL: Prevent Ghost Trades ($0 or near-zero amounts)
     if (tradeSize < CONFIG.MIN_TRADE_SIZE || botState.capital < CONFIG.MIN_TRADE_SIZE) {
         const lowCapMsg = `Insufficient capital ($${botState.capital.toFixed(2)}) or size too small ($${tradeSize.toFixed(2)})`;
         decisionReasons.push(lowCapMsg);
         if (reasonsCollector) reasonsCollector.push(lowCapMsg);
         // Batched in server.js scan summary — no individual log spam
-        logTradeDecision(market, null, decisionReasons, pizzaData);
+        logTradeDecision(market, null, decisionReasons, pizzaData, journal);
         return null;
     }
 
-    // --- STRICT REALISM: FETCH REAL EXECUTION PRICE FROM ORDER BOOK ---
-    // This ensures we don't "Paper Trade" at phantom prices (e.g. 1 cent)
-    if (market.clobTokenIds && market.clobTokenIds.length === 2) {
-        const tokenId = side === 'YES' ? market.clobTokenIds[0] : market.clobTokenIds[1];
-        if (tokenId) {
-            try {
-                // Fetch REAL Ask Price (what we would actually pay)
-                const executionData = await getBestExecutionPrice(tokenId, 'buy');
+    // --- STRICT REALISM: WALK THE ORDER BOOK FOR A VWAP FILL ---
+    // This ensures we don't "Paper Trade" at phantom prices (e.g. 1 cent) nor fill
+    // the whole size at the top of book on thin markets
+    const bookTokenId = (market.clobTokenIds && market.clobTokenIds.length === 2)
+        ? (side === 'YES' ? market.clobTokenIds[0] : market.clobTokenIds[1])
+        : null;
+    let fillInfo = null;
 
-                if (!executionData || !executionData.price || executionData.price <= 0) {
-                    const reason = `No Liquidity in Order Book for ${side}`;
-                    if (reasonsCollector) reasonsCollector.push(reason);
-                    return null; // ABORT — batched in scan summary
-                }
+    if (bookTokenId || simulateFillFn) {
+        try {
+            const fill = simulateFillFn
+                ? await simulateFillFn(market, side, tradeSize, entryPrice)
+                : await simulateFill(bookTokenId, 'buy', { amountUsd: tradeSize });
+
+            if (!fill || !fill.vwap || fill.filledShares <= 0) {
+                const reason = `No Liquidity in Order Book for ${side}`;
+                if (reasonsCollector) reasonsCollector.push(reason);
+                return null; // ABORT — batched in scan summary
+            }
+
+            // Filter out extreme spreads (e.g. Bid 0.10 / Ask 0.90)
+            if (fill.spreadPercent > 50) {
+                const reason = `Spread too wide (${fill.spreadPercent.toFixed(2)}%)`;
+                if (reasonsCollector) reasonsCollector.push(reason);
+                return null; // batched in scan summary
+            }
 
-                // Filter out extreme spreads (e.g. Bid 0.10 / Ask 0.90)
-                if (executionData.spreadPercent > 50) {
-                    const reason = `Spread too wide (${executionData.spreadPercent}%)`;
+            // Thin book: the levels within MAX_SLIPPAGE can't absorb the order
+            const minFillRatio = CONFIG.FILL_SIM?.MIN_FILL_RATIO ?? 0.5;
+            if (fill.fillRatio < minFillRatio) {
+                const reason = `Book too thin: ${(fill.fillRatio * 100).toFixed(0)}% of $${tradeSize.toFixed(0)} fillable`;
+                if (reasonsCollector) reasonsCollector.push(reason);
+                decisionReasons.push(reason);
+                logTradeDecision(market, null, decisionReasons, pizzaData, journal);
+                return null;
+            }
+
+            if (!fill.fullyFilled) {
+                decisionReasons.push(`📉 Partial Fill: $${fill.filledUsd.toFixed(2)} of $${tradeSize.toFixed(2)} (leftover $${fill.leftoverUsd.toFixed(2)})`);
+                tradeSize = fill.filledUsd;
+                if (tradeSize < CONFIG.MIN_TRADE_SIZE) {
+                    const reason = `Partial fill below minimum ($${tradeSize.toFixed(2)})`;
                     if (reasonsCollector) reasonsCollector.push(reason);
-                    return null; // batched in scan summary
+                    logTradeDecision(market, null, decisionReasons, pizzaData, journal);
+                    return null;
                 }
+            }
 
-                // FORCE UPDATE Entry Price to Real Ask
-                if (Math.abs(entryPrice - executionData.price) > 0.001) {
-                    decisionReasons.push(`⚡ Price Adjusted: ${entryPrice.toFixed(3)} -> ${executionData.price.toFixed(3)} (Real Order Book)`);
-                    entryPrice = executionData.price;
-                }
+            // FORCE UPDATE Entry Price to the VWAP actually paid across the levels walked
+            if (Math.abs(entryPrice - fill.vwap) > 0.001) {
+                decisionReasons.push(`⚡ Price Adjusted: ${entryPrice.toFixed(3)} -> ${fill.vwap.toFixed(3)} (VWAP, ${fill.levelsConsumed} level${fill.levelsConsumed > 1 ? 's' : ''})`);
+                entryPrice = fill.vwap;
+            }
 
-                // Price fetch successful - tracked in trade.reasons, no need to spam dashboard
+            fillInfo = {
+                vwap: fill.vwap,
+                bestPrice: fill.bestPrice,
+                worstPrice: fill.worstPrice,
+                slippage: fill.slippage,
+                levels: fill.levelsConsumed,
+                requestedUsd: fill.filledUsd + fill.leftoverUsd,
+                leftoverUsd: fill.leftoverUsd,
+                source: fill.source || 'CLOB'
+            };
 
-            } catch (e) {
-                console.warn(`CLOB Check Failed for ${market.question}:`, e.message);
-                addLog(botState, `❌ CLOB Check Failed for "${market.question.substring(0, 30)}...": ${e.message}`, 'error');
-                return null;
-            }
+        } catch (e) {
+            console.warn(`CLOB Check Failed for ${market.question}:`, e.message);
+            addLog(botState, `❌ CLOB Check Failed for "${market.question.substring(0, 30)}...": ${e.message}`, 'error');
+            return null;
         }
     } else {
         // --- AMM FALLBACK ---
@@ -1336,39 +1072,11 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
         // Removed addLog to prevent dashboard spam - info tracked in trade.reasons
     }
 
-    // FIX: Remove double slippage - CLOB price is already the ask price we pay
-    // Only add minimal network fee buffer (0.3%) instead of 1% slippage
-    const networkFeeBuffer = 0.003;  // 0.3% for gas/network variance
+    // Book fills already carry their real cost (VWAP) — only AMM fallback prices
+    // get the minimal network fee buffer (0.3%)
+    const networkFeeBuffer = fillInfo ? 0 : 0.003;
     const executionPrice = entryPrice * (1 + (side === 'YES' ? networkFeeBuffer : -networkFeeBuffer));
 
-    // Derive primary strategy from decision reasons
-    const reasonStr = decisionReasons.join(' ');
-    let strategy = 'standard';
-    if (reasonStr.includes('Arbitrage')) strategy = 'arbitrage';
-    else if (reasonStr.includes('Copy Follow')) strategy = 'copy_trade';
-    else if (reasonStr.includes('Wizard')) strategy = 'wizard';
-    else if (reasonStr.includes('Whale')) strategy = 'whale';
-    else if (reasonStr.includes('DCA')) strategy = 'dca';
-    else if (reasonStr.includes('DEFCON') || reasonStr.includes('CRISIS') || reasonStr.includes('tension')) strategy = 'tension';
-    else if (reasonStr.includes('Market Memory') || reasonStr.includes('Memory Signal')) strategy = 'memory';
-    else if (reasonStr.includes('Catalyst') || reasonStr.includes('Event')) strategy = 'event_driven';
-    else if (reasonStr.includes('Weather')) strategy = 'weather';
-    else if (reasonStr.includes('Hype Fader')) strategy = 'hype_fader';
-    else if (reasonStr.includes('Smart Momentum')) strategy = 'smart_momentum';
-    else if (reasonStr.includes('Trend Following')) strategy = 'trend_following';
-    else if (reasonStr.includes('Fresh')) strategy = 'fresh_market';
-    else if (reasonStr.includes('Contrarian')) strategy = 'contrarian';
-
-    // Phase 6: Check if this strategy is disabled by AI auto-training
-    const overrides = botState.strategyOverrides || {};
-    if (overrides.disabledStrategies?.includes(strategy)) {
-        const reason = `Strategy "${strategy}" disabled by AI training (${overrides.reason || 'low WR'})`;
-        if (reasonsCollector) reasonsCollector.push(reason);
-        decisionReasons.push(reason);
-        logTradeDecision(market, null, decisionReasons, pizzaData);
-        return null;
-    }
-
     const trade = {
         id: Date.now().toString(36) + Math.random().toString(36).substr(2),
         marketId: market.id,
@@ -1384,15 +1092,25 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
         reasons: decisionReasons,
         category: category,
         strategy: strategy,
+        signals: signals,
         isFresh: isFreshMarket,
         clobTokenIds: market.clobTokenIds || [],
         endDate: market.endDate || market.end_date_iso || null,
         convictionScore: convictionResult?.points || 0,
-        originalAmount: tradeSize  // Store initial size for DCA calculations
+        fairValue: market._fairValue || null, // pBot / pMarket when the trade was taken (calibration.js)
+        originalAmount: tradeSize,  // Store initial size for DCA calculations
+        negRisk: market.negRisk || false,
+        fill: fillInfo
     };
 
+    if (!(await executeEntry(trade, skipPersistence))) {
+        decisionReasons.push('Order rejected by execution layer');
+        logTradeDecision(market, null, decisionReasons, pizzaData, journal);
+        return null;
+    }
+
     saveNewTrade(trade, skipPersistence);
-    logTradeDecision(market, trade, decisionReasons, pizzaData);
+    logTradeDecision(market, trade, decisionReasons, pizzaData, journal);
 
     if (!skipPersistence) {
         const icon = category === 'geopolitical' ? '🌍' : (category === 'economic' ? '📉' : '🎰');
@@ -1405,6 +1123,197 @@ export async function simulateTrade(market, pizzaData, isFreshMarket = false, de
     return trade;
 }
 
+// --- EXECUTION LAYER: route entries/exits through the paper or live executor ---
+async function executeEntry(trade, skipPersistence = false) {
+    if (skipPersistence) return true; // Backtests never reach the venue
+
+    const executor = getExecutor();
+    const fill = await executor.openPosition(trade);
+    if (!fill.accepted) {
+        addLog(botState, `❌ ORDER REJECTED (${executor.mode}): ${trade.side} "${trade.question.substring(0, 30)}..." — ${fill.error}`, 'error');
+        return false;
+    }
+
+    if (fill.status === 'FILLED') {
+        trade.entryPrice = fill.fillPrice;
+        trade.shares = fill.filledShares;
+    }
+    if (executor.mode !== 'paper') {
+        // Reserve the full order notional until the fill is confirmed by reconcile()
+        trade.amount = (fill.requestedShares || trade.shares) * (fill.fillPrice || trade.entryPrice);
+        trade.originalAmount = trade.amount;
+    }
+    trade.execution = {
+        mode: executor.mode,
+        status: fill.status,
+        orderId: fill.orderId,
+        requestedShares: fill.requestedShares ?? fill.filledShares,
+        postedAt: new Date().toISOString()
+    };
+    return true;
+}
+
+async function executeExit(trade, price, shares) {
+    const isLive = trade.execution?.mode === 'live';
+    const executor = isLive ? getExecutor() : paperExecutor;
+    if (isLive && executor.mode !== 'live') {
+        addLog(botState, `⚠️ Live position "${trade.question.substring(0, 30)}..." cannot be closed in ${executor.mode} mode`, 'warning');
+        return null;
+    }
+
+    const fill = await executor.closePosition(trade, price, shares);
+    if (!fill.accepted) {
+        addLog(botState, `❌ EXIT REJECTED: "${trade.question.substring(0, 30)}..." — ${fill.error} (retry next cycle)`, 'error');
+        return null;
+    }
+    return fill;
+}
+
+/**
+ * Take back entries of a multi-leg trade that could not be completed: resting orders
+ * are cancelled, filled ones sold at their entry price. A cancelled order is read back
+ * as reconcile() does: shares it matched before the cancel are sold too.
+ * @returns {Promise<Object[]>} Legs still held (the venue refused the unwind)
+ */
+async function unwindEntries(trades) {
+    const stuck = [];
+    for (const trade of trades) {
+        if (!trade.execution) continue; // Backtest leg: never reached the venue
+        const executor = getExecutor();
+        let undone = false;
+        try {
+            if (trade.execution.status === 'PENDING' && executor.cancelOrder) {
+                await executor.cancelOrder(trade.execution.orderId);
+                const order = await executor.getOrder(trade.execution.orderId);
+                const matched = parseFloat(order?.size_matched || 0);
+                if (matched > 0) {
+                    trade.shares = matched;
+                    trade.entryPrice = parseFloat(order.price || trade.entryPrice);
+                    trade.amount = matched * trade.entryPrice;
+                    trade.originalAmount = trade.amount;
+                    trade.execution.status = 'FILLED';
+                    trade.execution.filledShares = matched;
+                    undone = (await executor.closePosition(trade, trade.entryPrice, matched)).accepted;
+                } else {
+                    undone = true;
+                }
+            } else {
+                undone = (await executor.closePosition(trade, trade.entryPrice, trade.shares)).accepted;
+            }
+        } catch (e) {
+            console.error(`Unwind error (${trade.id}):`, e.message);
+        }
+        if (undone) {
+            addLog(botState, `↩️ Leg ${trade.side} "${trade.question.substring(0, 30)}..." débouclé (${executor.mode})`, 'warning');
+        } else {
+            addLog(botState, `🚨 Leg ${trade.side} "${trade.question.substring(0, 30)}..." NON débouclé — position NON couverte conservée`, 'error');
+            stuck.push(trade);
+        }
+    }
+    return stuck;
+}
+
+/**
+ * Keep multi-leg groups whole once reconcile() has settled their entry orders: a leg
+ * that never filled takes the group down (the other legs are sold back), a partial
+ * fill brings every leg down to the smallest filled size. Legs still resting are
+ * cancelled first and booked by reconcile(). Groups are flagged `unbalanced` until
+ * every sale went through, so a refused one is retried on the next loop.
+ * @param {string[]} [groupIds] - reconcile() summary.groups
+ */
+export async function balanceGroupLegs(groupIds = []) {
+    for (const id of groupIds) {
+        const group = positionGroups.get(id);
+        if (group) group.unbalanced = true;
+    }
+    const executor = getExecutor();
+
+    for (const group of positionGroups.open().filter(g => g.unbalanced)) {
+        const resting = positionGroups.activeLegs(group).filter(t => t.execution?.status === 'PENDING');
+        if (resting.length > 0) {
+            for (const t of resting) {
+                try {
+                    await executor.cancelOrder(t.execution.orderId);
+                } catch (e) {
+                    console.error(`Cancel error (${t.id}):`, e.message);
+                }
+            }
+            const recon = await executor.reconcile(botState);
+            for (const id of recon.groups || []) {
+                const other = positionGroups.get(id);
+                if (other) other.unbalanced = true;
+            }
+        }
+
+        const held = positionGroups.activeLegs(group);
+        if (held.some(t => t.execution?.status === 'PENDING')) continue; // Cancel not confirmed yet
+        const target = held.length < group.legs.length ? 0 : Math.min(...held.map(t => t.shares));
+
+        let unsold = 0;
+        for (const t of held) {
+            const excess = t.shares - target;
+            if (excess <= 1e-6) continue;
+            const fill = await executeExit(t, t.entryPrice, excess);
+            if (!fill) {
+                unsold++;
+                continue;
+            }
+            if (fill.filledShares >= t.shares - 1e-6) {
+                await closeLeg(botState.activeTrades.indexOf(t), t.entryPrice, '↩️ Groupe incomplet: leg débouclé', fill);
+                continue;
+            }
+            // Excess only: the leg stays in the group at the common size
+            const value = fill.filledShares * fill.fillPrice;
+            const invested = t.amount * (fill.filledShares / t.shares);
+            botState.capital += value;
+            trackRealizedPnL(t.strategy, value - invested);
+            t.shares -= fill.filledShares;
+            t.amount -= invested;
+            t.originalAmount = t.amount;
+        }
+
+        const legs = positionGroups.activeLegs(group);
+        group.cost = legs.reduce((s, t) => s + (t.amount || 0), 0);
+        for (const leg of group.legs) {
+            const t = legs.find(l => l.id === leg.tradeId);
+            if (t) leg.amount = t.amount;
+        }
+        if (unsold > 0) {
+            addLog(botState, `🚨 Groupe ${group.label.substring(0, 30)}: ${unsold} leg(s) non rééquilibré(s) — relance au prochain cycle`, 'error');
+            continue;
+        }
+        delete group.unbalanced;
+        addLog(botState, target > 0
+            ? `⚖️ Groupe ${group.label.substring(0, 30)}: legs ramenés à ${target.toFixed(2)} shares (fill partiel)`
+            : `↩️ Groupe ${group.label.substring(0, 30)}: leg non exécuté — groupe débouclé`, 'warning');
+        stateManager.save(true);
+    }
+}
+
+// ── DASHBOARD STREAM (/api/stream) ──
+function streamCapital() {
+    const invested = botState.activeTrades.reduce((s, t) => s + (t.amount || 0), 0);
+    eventStream.publish('capital_snapshot', {
+        capital: botState.capital,
+        invested,
+        total: botState.capital + invested,
+        activeTrades: botState.activeTrades.length,
+        dailyPnL: botState.dailyPnL || 0
+    });
+}
+
+/** botState.closedTrades keeps the newest 50, the trade history keeps every close */
+function archiveClosedTrade(trade) {
+    botState.closedTrades.unshift(trade);
+    if (botState.closedTrades.length > 50) botState.closedTrades.pop();
+    tradeHistory.record(trade);
+}
+
+function streamTradeClosed(trade) {
+    eventStream.publish('trade_closed', trade);
+    streamCapital();
+}
+
 function saveNewTrade(trade, skipPersistence = false) {
     // In backtest mode, skip ALL state mutations — capital and activeTrades are managed
     // by the backtest simulator's own simulated state. Modifying botState here caused
@@ -1415,6 +1324,8 @@ function saveNewTrade(trade, skipPersistence = false) {
     botState.activeTrades.unshift(trade);
 
     botState.totalTrades += 1;
+    eventStream.publish('trade_opened', trade);
+    streamCapital();
 
     stateManager.save(true); // Force Supabase sync on trade open
     supabaseService.saveTrade(trade).catch(err => console.error('Supabase Save Error:', err));
@@ -1437,13 +1348,123 @@ function saveNewTrade(trade, skipPersistence = false) {
     }
 }
 
-export async function checkAndCloseTrades(getRealMarketPriceFn) {
+/**
+ * Open every leg of a negRisk event basket (eventArbitrage.js) as one EVENT_BASKET
+ * position group. Legs are held to resolution. The basket goes through the same
+ * breakers as a single trade (one portfolio slot per leg), the portfolio limits and
+ * the VaR gate, and opens all its legs or none.
+ * @param {Object} opportunity - From evaluateEvent / scanEventArbitrage
+ * @param {Object} [options] - { maxTrades } portfolio cap, { reasonsCollector } why it was refused
+ * @returns {Promise<Object|null>} The basket, or null when it was not opened
+ */
+export async function openEventBasket(opportunity, options = {}) {
+    const { maxTrades, reasonsCollector = null } = options;
+    const refuse = (reason) => {
+        if (reasonsCollector) reasonsCollector.push(reason);
+        return null;
+    };
+    const blocked = checkEntryBreakers(opportunity.legs.length, maxTrades);
+    if (blocked) return refuse(blocked);
+
+    const groupId = newGroupId();
+    const label = `🧺 NegRisk ${opportunity.type} basket: Σ ask ${opportunity.sumAsk.toFixed(3)} < ${opportunity.bound} sur ${opportunity.legsCount} outcomes (edge ${(opportunity.edge * 100).toFixed(1)}%)`;
+
+    const legs = opportunity.legs.map((leg, i) => ({
+        id: `${groupId}_${i}`,
+        marketId: leg.marketId,
+        question: leg.question,
+        slug: leg.slug,
+        eventSlug: opportunity.eventSlug,
+        side: leg.side,
+        amount: leg.usd,
+        entryPrice: leg.vwap,
+        startTime: new Date().toISOString(),
+        shares: opportunity.shares,
+        status: 'OPEN',
+        confidence: 1.0, // Risk free once every leg is filled
+        reasons: [label, `${leg.outcome}: ${opportunity.shares.toFixed(1)} ${leg.side} @ ${leg.vwap.toFixed(3)}`],
+        category: categorizeMarket(leg.question),
+        strategy: 'arbitrage',
+        signals: [{ strategy: 'arbitrage', points: 0, label, entry: true }],
+        groupId,
+        groupKind: 'EVENT_BASKET',
+        negRisk: true,
+        clobTokenIds: leg.clobTokenIds,
+        endDate: leg.endDate
+    }));
+
+    const exposure = checkPortfolioExposure(botState.activeTrades, legs[0].category, legs[0].side, legs[0].question);
+    if (!exposure.allowed) return refuse(exposure.reason);
+    const risk = await riskEngine.checkBasket(legs);
+    if (!risk.allowed) return refuse(risk.reason);
+
+    // Every leg or none: a partial basket is a naked bet on the missing outcomes
+    const filled = [];
+    for (const t of legs) {
+        if (!(await executeEntry(t))) break;
+        filled.push(t);
+    }
+    if (filled.length < legs.length) {
+        const stuck = await unwindEntries(filled);
+        addLog(botState, `⚠️ Basket ${opportunity.eventTitle}: ${filled.length}/${legs.length} legs exécutés — basket annulé`, 'warning');
+        // A leg the venue would not take back stays tracked as a plain position
+        for (const t of stuck) {
+            delete t.groupId;
+            delete t.groupKind;
+            saveNewTrade(t);
+        }
+        return refuse(`Basket: ${filled.length}/${legs.length} legs exécutés`);
+    }
+    for (const t of filled) saveNewTrade(t);
+
+    const basket = positionGroups.create('EVENT_BASKET', filled, {
+        id: groupId,
+        label: `${opportunity.eventTitle} (${opportunity.type} x${legs.length})`,
+        eventSlug: opportunity.eventSlug,
+        eventTitle: opportunity.eventTitle,
+        type: opportunity.type,
+        shares: opportunity.shares,
+        payout: opportunity.payout,
+        expectedProfit: opportunity.expectedProfit,
+        edge: opportunity.edge
+    });
+    stateManager.save();
+
+    addLog(botState, `🧺 BASKET OUVERT: ${opportunity.type} x${legs.length} "${opportunity.eventTitle}" — $${basket.cost.toFixed(2)} → $${basket.payout.toFixed(2)} garantis (+${(opportunity.edge * 100).toFixed(1)}%)`, 'trade');
+    return basket;
+}
+
+// Exit checks run one at a time: the main loop and market feed events both trigger them
+let exitCheckQueue = Promise.resolve();
+
+/**
+ * Manage exits of the open positions (stops, take profits, timeouts, resolution, groups)
+ * @param {Function} getRealMarketPriceFn - async (trade) => price | null
+ * @param {Object} [options] - { tradeIds: Set } only check these trades (market feed
+ *   events), { quiet: true } skips the console summary
+ */
+export function checkAndCloseTrades(getRealMarketPriceFn, options = {}) {
+    const run = exitCheckQueue.then(() => runExitChecks(getRealMarketPriceFn, options));
+    exitCheckQueue = run.catch(() => {});
+    return run;
+}
+
+async function runExitChecks(getRealMarketPriceFn, options) {
     if (botState.activeTrades.length === 0) return;
 
-    console.log(`🔍 Checking ${botState.activeTrades.length} active trades...`);
+    if (!options.quiet) console.log(`🔍 Checking ${botState.activeTrades.length} active trades...`);
+
+    // Closing a group removes several legs at once: never check a trade twice
+    const checked = new Set();
 
     for (let i = botState.activeTrades.length - 1; i >= 0; i--) {
         const trade = botState.activeTrades[i];
+        if (!trade || checked.has(trade.id)) continue;
+        checked.add(trade.id);
+        if (options.tradeIds && !options.tradeIds.has(trade.id)) continue;
+
+        // Entry order still resting on the CLOB — reconcile() owns it until filled
+        if (trade.execution?.status === 'PENDING') continue;
 
         const invested = trade.amount || trade.size || 0;
 
@@ -1453,27 +1474,10 @@ export async function checkAndCloseTrades(getRealMarketPriceFn) {
         if (currentPrice === null || currentPrice === undefined || isNaN(currentPrice)) {
             // Price unavailable — the market may have closed/resolved (no more CLOB data)
             // Try resolution first before force-closing as stale
-            try {
-                const resolution = await resolveTradeWithRealOutcome(trade);
-                if (resolution) {
-                    // Market resolved! Close with real outcome
-                    const todayStr = new Date().toISOString().split('T')[0];
-                    if (botState.dailyPnLResetDate !== todayStr) {
-                        botState.dailyPnL = 0;
-                        botState.dailyPnLResetDate = todayStr;
-                    }
-                    botState.dailyPnL += resolution.profit || 0;
-
-                    botState.activeTrades.splice(i, 1);
-                    botState.closedTrades.unshift(resolution);
-                    if (botState.closedTrades.length > 50) botState.closedTrades.pop();
-                    stateManager.save(true);
-                    await supabaseService.saveTrade(resolution).catch(e => console.error('Supabase resolution save error:', e));
-                    continue;
-                }
-            } catch (e) {
-                console.error(`Error trying resolution for no-price trade ${trade.marketId}:`, e.message);
-            }
+            const resolution = await settleResolved(i, trade);
+            if (resolution?.closed) continue;
+            // Closed market waiting for UMA (proposed / disputed): no price is expected, hold it
+            if (settlementService.isAwaiting(resolution)) continue;
 
             // If not resolved, check if trade is stale (>48h with no price = force close)
             const tradeAgeMs = Date.now() - new Date(trade.startTime).getTime();
@@ -1485,7 +1489,9 @@ export async function checkAndCloseTrades(getRealMarketPriceFn) {
                 const fallbackPrice = trade.entryPrice || 0.5;
                 const reason = `STALE TRADE: No price for ${lastUpdate.toFixed(1)}h (age: ${tradeAgeHours.toFixed(1)}h) — force closing`;
                 addLog(botState, `⚠️ ${reason}`, 'warning');
-                await closeTrade(i, fallbackPrice, reason);
+                // Only this leg lost its feed: the rest of its group keeps being priced
+                if (trade.groupId) await closeLeg(i, fallbackPrice, reason);
+                else await closeTrade(i, fallbackPrice, reason);
             }
             continue;
         }
@@ -1498,6 +1504,7 @@ export async function checkAndCloseTrades(getRealMarketPriceFn) {
         trade.lastPriceUpdate = new Date().toISOString();
 
         const pnlPercent = invested > 0 ? (trade.shares * currentPrice - invested) / invested : 0;
+        eventStream.publish('price_update', { tradeId: trade.id, marketId: trade.marketId, side: trade.side, price: currentPrice, pnlPercent, at: trade.lastPriceUpdate });
         trade.maxReturn = Math.max(trade.maxReturn || 0, pnlPercent);
 
         // --- MANUAL CLOSE (triggered via Dashboard) ---
@@ -1509,6 +1516,12 @@ export async function checkAndCloseTrades(getRealMarketPriceFn) {
             continue;
         }
 
+        // --- GROUP LEGS: no per-leg exits, the group is managed as a whole below ---
+        if (trade.groupId) {
+            await settleIfExpired(i, trade);
+            continue;
+        }
+
         // --- GAP PROTECTION: Detect abnormal price jumps between checks ---
         // If price moved >30% since last check, flag as suspicious and wait for confirmation
         const lastPrice = trade.priceHistory.length >= 2
@@ -1546,15 +1559,17 @@ export async function checkAndCloseTrades(getRealMarketPriceFn) {
         if (pnlPercent <= requiredStopPercent) {
             // --- MAX LOSS CAP: Never lose more than 15% per trade, even on gaps ---
             // Reduced from -25% to -15% after Nuggets trade lost $18 in one shot
+            // Paper accounting only: a live sell above the bid would never fill, it goes out at the market
             const MAX_LOSS_CAP = -0.15;
+            const capped = pnlPercent < MAX_LOSS_CAP && invested > 0 && trade.execution?.mode !== 'live';
             let effectiveExitPrice = currentPrice;
-            if (pnlPercent < MAX_LOSS_CAP && invested > 0) {
+            if (capped) {
                 // Cap the loss: calculate what price would give -15% loss
                 effectiveExitPrice = (invested * (1 + MAX_LOSS_CAP)) / trade.shares;
                 addLog(botState, `🛡️ MAX LOSS CAP: Limiting loss from ${(pnlPercent * 100).toFixed(1)}% to ${(MAX_LOSS_CAP * 100)}% on ${trade.question.substring(0, 25)}...`, 'warning');
             }
             const stopLabel = requiredStopPercent >= 0 ? 'TRAILING STOP' : 'STOP LOSS';
-            const reason = `${stopLabel}: ${(pnlPercent * 100).toFixed(1)}% (Limit: ${(requiredStopPercent * 100).toFixed(1)}%)${pnlPercent < MAX_LOSS_CAP ? ' [CAPPED at -15%]' : ''}`;
+            const reason = `${stopLabel}: ${(pnlPercent * 100).toFixed(1)}% (Limit: ${(requiredStopPercent * 100).toFixed(1)}%)${capped ? ' [CAPPED at -15%]' : ''}`;
             await closeTrade(i, effectiveExitPrice, reason);
             continue;
         }
@@ -1578,15 +1593,19 @@ export async function checkAndCloseTrades(getRealMarketPriceFn) {
                 // PARTIAL EXIT: Sell portion, keep remainder with extended target
                 const exitRatio = smartExit.PARTIAL_EXIT_RATIO;
                 const partialShares = trade.shares * exitRatio;
-                const partialValue = partialShares * currentPrice;
-                const partialInvested = trade.amount * exitRatio;
+                const partialFill = await executeExit(trade, currentPrice, partialShares);
+                if (!partialFill) continue;
+                const partialValue = partialFill.filledShares * partialFill.fillPrice;
+                const partialInvested = trade.amount * (partialFill.filledShares / trade.shares);
                 const partialPnl = partialValue - partialInvested;
 
                 // Credit partial profit to capital (don't increment win counter — trade not fully closed)
                 botState.capital += partialValue;
+                trackWeeklyPnL(partialPnl);
+                capitalSleeves.recordPnL(trade.strategy, partialPnl);
 
                 // Update trade in-place for remainder
-                trade.shares -= partialShares;
+                trade.shares -= partialFill.filledShares;
                 trade.amount -= partialInvested;
                 trade.partialExit = true;
                 trade.originalTP = tpPercent;
@@ -1625,141 +1644,121 @@ export async function checkAndCloseTrades(getRealMarketPriceFn) {
 
         // --- 6. RESOLVED MARKET CHECK (price at 0 or 1 = market settled) ---
         if (currentPrice <= 0.01 || currentPrice >= 0.99) {
-            try {
-                const resolution = await resolveTradeWithRealOutcome(trade);
-                if (resolution) {
-                    // Track daily PnL
-                    const todayStr = new Date().toISOString().split('T')[0];
-                    if (botState.dailyPnLResetDate !== todayStr) {
-                        botState.dailyPnL = 0;
-                        botState.dailyPnLResetDate = todayStr;
-                    }
-                    botState.dailyPnL += resolution.profit || 0;
-
-                    botState.activeTrades.splice(i, 1);
-                    botState.closedTrades.unshift(resolution);
-                    if (botState.closedTrades.length > 50) botState.closedTrades.pop();
-                    stateManager.save(true); // Force Supabase sync on trade close
-                    await supabaseService.saveTrade(resolution).catch(e => console.error('Supabase resolution save error:', e));
-                    continue;
-                }
-            } catch (e) {
-                console.error(`Error resolving trade ${trade.id} (price=${currentPrice}):`, e.message);
-            }
+            const resolution = await settleResolved(i, trade);
+            if (resolution?.closed) continue;
         }
 
         // --- 7. MARKET EXPIRY CHECK (endDate based) ---
-        const marketEndDate = new Date(trade.endDate);
-        if (trade.endDate && now > marketEndDate) {
-            try {
-                const resolution = await resolveTradeWithRealOutcome(trade);
-                if (resolution) {
-                    // Track daily PnL
-                    const todayStr2 = new Date().toISOString().split('T')[0];
-                    if (botState.dailyPnLResetDate !== todayStr2) {
-                        botState.dailyPnL = 0;
-                        botState.dailyPnLResetDate = todayStr2;
-                    }
-                    botState.dailyPnL += resolution.profit || 0;
-
-                    botState.activeTrades.splice(i, 1);
-                    botState.closedTrades.unshift(resolution);
-                    if (botState.closedTrades.length > 50) botState.closedTrades.pop();
-
-                    stateManager.save(true); // Force Supabase sync on trade close
-                    await supabaseService.saveTrade(resolution).catch(e => console.error('Supabase resolution save error:', e));
-                }
-            } catch (e) {
-                console.error(`Error resolving trade ${trade.id}:`, e.message);
-            }
-        }
+        await settleIfExpired(i, trade);
     }
 
-    stateManager.save();
-}
-
-// --- RESOLUTION LOGIC ---
-
-async function resolveTradeWithRealOutcome(trade) {
-    try {
-        const response = await fetch(`https://gamma-api.polymarket.com/markets/${trade.marketId}`);
-        if (!response.ok) throw new Error('Failed to fetch market data');
-        const market = await response.json();
-
-        // Market must be closed OR not accepting orders to be resolved
-        if (!market.closed && market.acceptingOrders !== false) {
-            // Not resolved yet
-            return null;
+    // --- POSITION GROUPS: stop / take-profit on the combined PnL of the legs ---
+    for (const group of positionGroups.open()) {
+        const legs = positionGroups.activeLegs(group);
+        if (legs.length === 0) continue;
+        // Exit started but some legs were refused: finish it before anything else
+        if (group.closing) {
+            await closeTrade(botState.activeTrades.indexOf(legs[0]), lastPrice(legs[0]), `${group.closing.reason} [relance]`);
+            continue;
         }
+        const mark = positionGroups.valuation(group);
+        group.mark = { value: mark.value, pnl: mark.pnl, pnlPercent: mark.pnlPercent, at: new Date().toISOString() };
+        if (!mark.priced) continue;
 
-        // Parse outcomePrices — Gamma API returns it as JSON string, not array!
-        let prices = market.outcomePrices;
-        if (!prices) return null;
-        if (typeof prices === 'string') {
-            try { prices = JSON.parse(prices); } catch (e) { return null; }
+        const { takeProfitPct, stopLossPct } = positionGroups.exitRule(group);
+        let reason = null;
+        if (takeProfitPct !== null && mark.pnlPercent >= takeProfitPct) {
+            reason = `🎯 GROUP TAKE PROFIT: ${group.label.substring(0, 30)} +${(mark.pnlPercent * 100).toFixed(1)}% (${legs.length} legs)`;
+        } else if (stopLossPct !== null && mark.pnlPercent <= -stopLossPct) {
+            reason = `🛑 GROUP STOP LOSS: ${group.label.substring(0, 30)} ${(mark.pnlPercent * 100).toFixed(1)}% (${legs.length} legs)`;
+        }
+        if (reason) {
+            await closeTrade(botState.activeTrades.indexOf(legs[0]), lastPrice(legs[0]), reason);
         }
+    }
 
-        let wonTrade = false;
-        const yesPrice = parseFloat(prices[0]);
-        const noPrice = parseFloat(prices[1]);
+    for (const group of positionGroups.sync()) {
+        addLog(botState, `🔗 Groupe clôturé: ${group.label} — PnL $${group.realizedPnl.toFixed(2)} sur ${group.legs.length} legs`, group.realizedPnl >= 0 ? 'success' : 'warning');
+    }
 
-        if (isNaN(yesPrice) || isNaN(noPrice)) {
-            console.warn(`[Resolution] Cannot parse prices for ${trade.marketId}: ${JSON.stringify(market.outcomePrices)}`);
-            return null;
-        }
+    stateManager.save();
+}
 
-        // Check if market has settled (prices at 0 or 1)
-        if (yesPrice > 0.99 && trade.side === 'YES') wonTrade = true;
-        if (noPrice > 0.99 && trade.side === 'NO') wonTrade = true;
+/**
+ * Resolve a trade whose market end date has passed (no-op until the outcome is known)
+ */
+async function settleIfExpired(i, trade) {
+    if (!trade.endDate || new Date() <= new Date(trade.endDate)) return;
+    await settleResolved(i, trade);
+}
 
-        // If prices are not at extremes yet, market hasn't fully settled
-        if (yesPrice > 0.01 && yesPrice < 0.99 && noPrice > 0.01 && noPrice < 0.99) {
-            return null; // Prices still mid-range, not resolved
-        }
+// --- RESOLUTION LOGIC ---
 
-        let profit = 0;
-        let exitPrice = 0;
+/**
+ * Close a trade at its market's payout once the resolution is final (settlementService)
+ * @returns {Promise<Object|null>} the resolution, closed: true when the trade was settled;
+ *   null when Gamma could not be reached
+ */
+async function settleResolved(i, trade) {
+    const resolution = await settlementService.check(trade);
+    if (!settlementService.isFinal(resolution)) return resolution;
+
+    const closed = settlementService.settle(trade, resolution);
+    trackRealizedPnL(closed.strategy, closed.pnl);
+
+    botState.activeTrades.splice(i, 1);
+    archiveClosedTrade(closed);
+    streamTradeClosed(closed);
+    stateManager.save(true); // Force Supabase sync on trade close
+    await supabaseService.saveTrade(closed).catch(e => console.error('Supabase resolution save error:', e));
+    return { ...resolution, closed: true };
+}
 
-        if (wonTrade) {
-            // Fix: Shares winning = $1 per share in value
-            const finalValue = trade.shares * 1.0;  // 100 shares × $1 = $100
-            const exitFees = finalValue * 0.001;
-            const invested = trade.amount || trade.size || 0;
-            profit = finalValue - exitFees - invested;  // $100 - $0.1 - $50 = $49.9
-            exitPrice = 1.0;
-            botState.winningTrades++;
-            botState.capital += finalValue - exitFees;  // Add winnings to capital
-            addLog(botState, `✅ Trade gagné: ${trade.question.substring(0, 30)}... (+${profit.toFixed(2)} USDC)`, 'success');
-        } else {
-            const invested = trade.amount || trade.size || 0;
-            profit = -invested;
-            exitPrice = 0.0;
-            botState.losingTrades++;
-            // Capital already deducted on entry, no refund on loss
-            addLog(botState, `❌ Trade perdu: ${trade.question.substring(0, 30)}... (${profit.toFixed(2)} USDC)`, 'warning');
-        }
+/**
+ * Close a position. A group leg closes the whole group: every open leg at its
+ * own last price, so no leg is left naked. All exit orders are sent before any leg
+ * is booked; legs the venue refused stay open and the group is flagged `closing`,
+ * so the next exit check sells them whatever its combined PnL.
+ */
+async function closeTrade(index, exitPrice, reason) {
+    const trade = botState.activeTrades[index];
+    if (!trade?.groupId) return closeLeg(index, exitPrice, reason);
 
-        return {
-            ...trade,
-            status: 'CLOSED',
-            exitPrice: exitPrice,
-            pnl: profit,
-            profit: profit, // Alias for backward compatibility
-            pnlPercent: (trade.amount > 0) ? (profit / trade.amount * 100) : 0,
-            closedAt: new Date().toISOString(),
-            resolvedOutcome: wonTrade ? 'WON' : 'LOST',
-            resolutionMethod: 'REAL_MARKET_OUTCOME'
-        };
+    const legs = botState.activeTrades.filter(t => t.groupId === trade.groupId);
+    const exits = [];
+    for (const leg of legs) {
+        const price = leg === trade ? exitPrice : lastPrice(leg);
+        exits.push({ leg, price, fill: await executeExit(leg, price, leg.shares) });
+    }
 
-    } catch (error) {
-        console.error(`Error resolving trade ${trade.id}:`, error.message);
-        return null;
+    for (const { leg, price, fill } of exits) {
+        if (!fill) continue;
+        await closeLeg(botState.activeTrades.indexOf(leg), price, leg === trade ? reason : `${reason} [groupe]`, fill);
     }
+
+    const group = positionGroups.get(trade.groupId);
+    const unsold = exits.filter(e => !e.fill).map(e => e.leg);
+    if (unsold.length === 0) {
+        if (group) delete group.closing;
+        return;
+    }
+    if (group) {
+        group.closing = { reason: group.closing?.reason || reason, since: group.closing?.since || new Date().toISOString(), unsold: unsold.map(t => t.id) };
+    }
+    addLog(botState, `🚨 Groupe ${(group?.label || trade.question).substring(0, 30)}: ${unsold.length}/${legs.length} legs non vendus — sortie relancée au prochain cycle`, 'error');
 }
 
-async function closeTrade(index, exitPrice, reason) {
-    // ... existing closeTrade logic ...
+/**
+ * Book the exit of one position
+ * @param {Object} [fill] - Exit already executed (group exits), otherwise sent here
+ */
+async function closeLeg(index, exitPrice, reason, fill = null) {
     const trade = botState.activeTrades[index];
+
+    fill = fill || await executeExit(trade, exitPrice, trade.shares);
+    if (!fill) return; // Exit not filled — position stays open
+    exitPrice = fill.fillPrice;
+
     const finalValue = trade.shares * exitPrice;
     const invested = trade.amount || trade.size || 0;
     const pnl = finalValue - invested;
@@ -1774,24 +1773,18 @@ async function closeTrade(index, exitPrice, reason) {
     trade.exitPrice = exitPrice;
     trade.finalValue = finalValue;
     trade.pnl = pnl;
-    trade.profit = pnl; // Alias for consistency with resolveTradeWithRealOutcome
+    trade.profit = pnl; // Alias for consistency with settled trades
     trade.closeReason = reason;
 
     botState.activeTrades.splice(index, 1);
-    botState.closedTrades.unshift(trade);
-    if (botState.closedTrades.length > 50) botState.closedTrades.pop();
+    archiveClosedTrade(trade);
 
     // Register cooldown to prevent immediate re-entry on same market
     if (!botState.cooldowns) botState.cooldowns = {};
     botState.cooldowns[trade.marketId] = Date.now();
 
-    // Track daily P&L for loss limit enforcement
-    const today = new Date().toISOString().split('T')[0];
-    if (botState.dailyPnLResetDate !== today) {
-        botState.dailyPnL = 0;
-        botState.dailyPnLResetDate = today;
-    }
-    botState.dailyPnL += pnl;
+    trackRealizedPnL(trade.strategy, pnl);
+    streamTradeClosed(trade);
 
     stateManager.addSectorEvent(trade.category, 'TRADE', `💰 Trade Closed: ${reason}`, { pnl: pnl.toFixed(2) });
     addLog(botState, `🏁 TRADE CLOSED: ${trade.question.substring(0, 20)}... | PnL: $${pnl.toFixed(2)} (${reason}) [slug:${trade.slug || ''}]`, pnl > 0 ? 'success' : 'warning');
@@ -1841,7 +1834,7 @@ async function calculateAdaptiveTP(trade) {
     }
 }
 
-function calculateDynamicStopLoss(trade, currentReturn, maxReturn) {
+export function calculateDynamicStopLoss(trade, currentReturn, maxReturn) {
     const volatilityMap = CONFIG.DYNAMIC_SL.VOLATILITY_MAP;
     let baseStopPercent = volatilityMap[trade.category] || volatilityMap.other;
 
@@ -1909,25 +1902,13 @@ async function checkLiquidityDepth(market, side, targetPrice, minimumUsdAmount)
     // Side YES (Buy) -> We buy from ASKS.
     // Side NO (Buy No) -> We buy from ASKS (of the No token).
     // Note: Polymarket splits Yes/No tokens. Buying Yes = Buying Yes Token from Ask.
-    const asks = orderBook.asks; // [{price: "0.50", size: "100"}, ...]
-
-    let availableLiquidity = 0;
-    const maxSlippagePrice = targetPrice * 1.02; // Max 2% slippage accepted
-
-    for (const ask of asks) {
-        const price = parseFloat(ask.price);
-        const size = parseFloat(ask.size);
-        if (price <= maxSlippagePrice) {
-            availableLiquidity += (price * size);
-        } else {
-            break; // Sorted by price usually
-        }
-    }
+    // Walk every level up to 2% above target — the book is not returned best-first
+    const fill = walkOrderBook(orderBook, 'buy', { amountUsd: minimumUsdAmount }, { limitPrice: targetPrice * 1.02 });
 
-    return availableLiquidity >= minimumUsdAmount;
+    return !!fill && fill.fullyFilled;
 }
 
-async function calculateIntradayTrend(marketId) {
+export async function calculateIntradayTrend(marketId) {
     // Uses recent trades from CLOB to determine slope
     const trades = await getCLOBTradeHistory(marketId); // [{price: "0.55", timestamp: ...}, ...]
     if (!trades || trades.length < 10) return null;
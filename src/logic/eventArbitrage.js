@@ -0,0 +1,260 @@
+/**
+ * EVENT ARBITRAGE - Multi-outcome (negRisk) baskets on full Gamma events
+ *
+ * In a negRisk event exactly one outcome market resolves YES, so:
+ *   - one YES share of every outcome pays $1        → arb when Σ YES asks < 1
+ *   - one NO share of every outcome pays $(N - 1)   → arb when Σ NO asks < N - 1
+ * Unlike scanArbitrage (YES + NO of one binary market) and semanticArbitrage.js
+ * (mutual exclusion guessed from keywords), the outcome set comes from the event itself.
+ *
+ * Baskets are sized by walking every leg's CLOB book together: the same number of
+ * shares is bought on each leg, level by level, while the marginal basket still clears
+ * MIN_EDGE. The legs are opened by openEventBasket (engine.js) as one EVENT_BASKET
+ * position group (positionGroups.js).
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+import { getEventBySlug } from '../api/market_discovery.js';
+import { getCLOBOrderBook } from '../api/clob_api.js';
+import { sortLevels } from './fillSimulator.js';
+import { capitalSleeves } from './capitalSleeves.js';
+
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Tradeable outcome markets of a Gamma event
+ * @returns {{ legs: Object[], decided: boolean, augmented: boolean, incomplete: boolean }}
+ *   decided: an outcome already resolved YES; augmented: outcomes can still be added ("Other"),
+ *   so the listed markets are not an exhaustive set; incomplete: an unresolved outcome is
+ *   not tradeable (inactive, not accepting orders, no token pair) and left out of the legs
+ */
+export function extractEventLegs(event) {
+    const legs = [];
+    let decided = false;
+    let incomplete = false;
+    for (const m of event?.markets || []) {
+        const prices = parseList(m.outcomePrices).map(parseFloat);
+        if (m.closed) {
+            if (prices[0] >= 0.99) decided = true;
+            continue; // resolved NO: pays nothing on either basket side
+        }
+        const tokens = parseList(m.clobTokenIds);
+        if (m.active === false || m.acceptingOrders === false || tokens.length !== 2) {
+            incomplete = true; // Can still win: the YES legs no longer cover every outcome
+            continue;
+        }
+        legs.push({
+            marketId: m.id,
+            question: m.question,
+            outcome: m.groupItemTitle || m.question,
+            slug: m.slug,
+            yesTokenId: tokens[0],
+            noTokenId: tokens[1],
+            yesPrice: prices[0],
+            bestAsk: parseFloat(m.bestAsk),
+            bestBid: parseFloat(m.bestBid),
+            endDate: m.endDate || event.endDate || null
+        });
+    }
+    return { legs, decided, augmented: !!event?.negRiskAugmented, incomplete };
+}
+
+/**
+ * Size an equal-shares basket across the legs' ask books.
+ * Levels are consumed jointly; stops when the next share of the basket would cost
+ * more than payoutPerShare × (1 - minEdge), a book runs dry, or the budget is spent.
+ *
+ * @param {Object[]} books - One { asks } book per leg (getCLOBOrderBook format)
+ * @param {number} payoutPerShare - $1 (YES basket) or $(N - 1) (NO basket)
+ * @param {Object} options - { minEdge, maxUsd }
+ * @returns {Object|null} { shares, cost, payout, edge, topCost, legs: [{ usd, vwap, bestAsk }] }
+ */
+export function sizeBasket(books, payoutPerShare, options = {}) {
+    const minEdge = options.minEdge ?? 0;
+    const maxUsd = options.maxUsd ?? Infinity;
+    const sides = books.map(b => sortLevels(b?.asks, 'asks'));
+    if (sides.length === 0 || sides.some(levels => levels.length === 0)) return null;
+
+    const idx = sides.map(() => 0);
+    const legUsd = sides.map(() => 0);
+    const topCost = sides.reduce((s, levels) => s + levels[0].price, 0);
+    let shares = 0;
+    let cost = 0;
+
+    while (cost < maxUsd - 1e-6) {
+        const levels = sides.map((lv, i) => lv[idx[i]]);
+        if (levels.some(l => !l)) break;
+        const unitCost = levels.reduce((s, l) => s + l.price, 0);
+        if (unitCost > payoutPerShare * (1 - minEdge)) break;
+
+        const q = Math.min(...levels.map(l => l.size), (maxUsd - cost) / unitCost);
+        if (q <= 1e-9) break;
+
+        shares += q;
+        cost += q * unitCost;
+        levels.forEach((l, i) => {
+            legUsd[i] += q * l.price;
+            l.size -= q;
+            if (l.size <= 1e-9) idx[i]++;
+        });
+    }
+
+    if (shares <= 0) return null;
+    const payout = shares * payoutPerShare;
+    return {
+        shares,
+        cost,
+        payout,
+        edge: (payout - cost) / cost,
+        topCost,
+        legs: legUsd.map((usd, i) => ({ usd, vwap: usd / shares, bestAsk: sides[i][0].price }))
+    };
+}
+
+/**
+ * Money available for one basket: MAX_BASKET_USD, the arbitrage sleeve's free budget,
+ * and cash above the liquidity reserve
+ */
+function basketBudget() {
+    const EA = CONFIG.EVENT_ARB || {};
+    const invested = (botState.activeTrades || []).reduce((s, t) => s + (t.amount || 0), 0);
+    const reserve = ((botState.capital || 0) + invested) * (CONFIG.CAPITAL_MANAGEMENT?.MIN_LIQUID_PCT ?? 0.30);
+    const sleeve = capitalSleeves.sizingFor('arbitrage');
+    return Math.max(0, Math.min(
+        EA.MAX_BASKET_USD ?? 150,
+        sleeve ? sleeve.available : Infinity,
+        (botState.capital || 0) - reserve
+    ));
+}
+
+/**
+ * Check both basket sides of one event.
+ * Gamma's best quotes pre-filter each side; books are only fetched for a side within
+ * PRECHECK_MARGIN of its bound.
+ *
+ * @param {Object} event - Gamma event (getEventBySlug)
+ * @param {Object} [options] - { getOrderBookFn, maxUsd }
+ * @returns {Promise<Object[]>} Opportunities (best edge first)
+ */
+export async function evaluateEvent(event, options = {}) {
+    const EA = CONFIG.EVENT_ARB || {};
+    const getOrderBookFn = options.getOrderBookFn || getCLOBOrderBook;
+    const minEdge = EA.MIN_EDGE ?? 0.015;
+    const margin = EA.PRECHECK_MARGIN ?? 0.03;
+    const maxUsd = options.maxUsd ?? basketBudget();
+
+    if (!event?.negRisk) return [];
+    const { legs, decided, augmented, incomplete } = extractEventLegs(event);
+    if (decided || legs.length < 2 || legs.length > (EA.MAX_LEGS ?? 12)) return [];
+
+    const n = legs.length;
+    const quote = (v, fallback) => (Number.isFinite(v) && v > 0 ? v : fallback);
+    const sides = [
+        {
+            // "Other" may still win an augmented event, a skipped leg an incomplete one:
+            // the listed YES legs don't cover every outcome
+            type: 'YES',
+            enabled: !augmented && !incomplete,
+            payoutPerShare: 1,
+            gammaCost: legs.reduce((s, l) => s + quote(l.bestAsk, l.yesPrice), 0),
+            tokenOf: l => l.yesTokenId
+        },
+        {
+            // If "Other" (or a skipped leg) wins, all N NO legs pay: N - 1 is the floor
+            type: 'NO',
+            enabled: true,
+            payoutPerShare: n - 1,
+            gammaCost: legs.reduce((s, l) => s + (1 - quote(l.bestBid, l.yesPrice)), 0),
+            tokenOf: l => l.noTokenId
+        }
+    ];
+
+    const opportunities = [];
+    for (const side of sides) {
+        if (!side.enabled || side.gammaCost > side.payoutPerShare * (1 + margin)) continue;
+
+        const books = await Promise.all(legs.map(l => getOrderBookFn(side.tokenOf(l))));
+        if (books.some(b => !b)) continue;
+
+        const basket = sizeBasket(books, side.payoutPerShare, { minEdge, maxUsd });
+        if (!basket || basket.shares < (EA.MIN_LEG_SHARES ?? 5) || basket.cost < CONFIG.MIN_TRADE_SIZE) continue;
+
+        opportunities.push({
+            eventSlug: event.slug,
+            eventTitle: event.title,
+            type: side.type,
+            legsCount: n,
+            sumAsk: basket.topCost,
+            bound: side.payoutPerShare,
+            shares: basket.shares,
+            cost: basket.cost,
+            payout: basket.payout,
+            expectedProfit: basket.payout - basket.cost,
+            edge: basket.edge,
+            legs: legs.map((l, i) => ({
+                marketId: l.marketId,
+                question: l.question,
+                outcome: l.outcome,
+                slug: l.slug,
+                side: side.type,
+                tokenId: side.tokenOf(l),
+                clobTokenIds: [l.yesTokenId, l.noTokenId],
+                endDate: l.endDate,
+                usd: basket.legs[i].usd,
+                vwap: basket.legs[i].vwap,
+                bestAsk: basket.legs[i].bestAsk
+            }))
+        });
+    }
+    return opportunities.sort((a, b) => b.edge - a.edge);
+}
+
+/**
+ * Load the negRisk events behind the scanned markets and look for basket arbs.
+ * Results go to botState.eventArbOpportunities.
+ *
+ * @param {Object[]} markets - Scanned Gamma markets (their events[0].slug is used)
+ * @param {Object} [options] - Forwarded to evaluateEvent, plus { getEventFn }
+ * @returns {Promise<Object[]>}
+ */
+export async function scanEventArbitrage(markets, options = {}) {
+    const EA = CONFIG.EVENT_ARB || {};
+    const getEventFn = options.getEventFn || getEventBySlug;
+    const opportunities = [];
+    try {
+        const slugs = [...new Set((markets || [])
+            .filter(m => m.negRisk && m.events?.[0]?.slug)
+            .map(m => m.events[0].slug))]
+            .slice(0, EA.MAX_EVENTS_PER_SCAN ?? 8);
+
+        for (const slug of slugs) {
+            const event = await getEventFn(slug);
+            if (!event) continue;
+            opportunities.push(...await evaluateEvent(event, options));
+        }
+    } catch (e) {
+        console.error('Event Arb Scan Error:', e.message);
+    }
+    botState.eventArbOpportunities = opportunities.sort((a, b) => b.edge - a.edge);
+    return botState.eventArbOpportunities;
+}
+
+/**
+ * Fresh quote for a scanned opportunity (books move between the deep scan and execution)
+ * @returns {Promise<Object|null>} Same event and basket side, re-sized on the current books
+ */
+export async function requoteOpportunity(opportunity, options = {}) {
+    const event = await (options.getEventFn || getEventBySlug)(opportunity.eventSlug);
+    if (!event) return null;
+    const quotes = await evaluateEvent(event, options);
+    return quotes.find(q => q.type === opportunity.type) || null;
+}
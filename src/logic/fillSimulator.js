@@ -0,0 +1,149 @@
+/**
+ * FILL SIMULATOR - Order book walking for realistic paper fills
+ *
+ * Instead of filling the whole size at the top of book, walk the levels of
+ * the order book and compute a VWAP fill price, the filled size and the
+ * leftover that the book could not absorb within the slippage limit.
+ *
+ * Used by simulateTrade (live loop, real CLOB books) and by the backtest
+ * (synthetic books built from market liquidity).
+ */
+
+import { CONFIG } from '../config.js';
+import { getCLOBOrderBook } from '../api/clob_api.js';
+
+/**
+ * Normalize one side of a CLOB book into numeric levels, best price first.
+ * The CLOB does not return levels best-first, so never trust index 0.
+ * @param {Array} levels - [{price: "0.52", size: "100"}, ...]
+ * @param {string} bookSide - 'asks' | 'bids'
+ * @returns {{price: number, size: number}[]}
+ */
+export function sortLevels(levels, bookSide) {
+    return (levels || [])
+        .map(l => ({ price: parseFloat(l.price), size: parseFloat(l.size) }))
+        .filter(l => l.price > 0 && l.size > 0)
+        .sort((a, b) => bookSide === 'asks' ? a.price - b.price : b.price - a.price);
+}
+
+/**
+ * Walk an order book and simulate a marketable order.
+ * Buying spends `amountUsd` against the asks; selling sells `shares` into the bids.
+ *
+ * @param {Object} orderBook - { bids, asks } as returned by getCLOBOrderBook
+ * @param {string} side - 'buy' | 'sell'
+ * @param {Object} order - { amountUsd } for buys, { shares } for sells
+ * @param {Object} options - { maxSlippage: fraction beyond best level, limitPrice }
+ * @returns {Object|null} Fill result (null when the book side is empty)
+ */
+export function walkOrderBook(orderBook, side, order = {}, options = {}) {
+    if (!orderBook) return null;
+
+    const isBuy = side === 'buy';
+    const levels = sortLevels(isBuy ? orderBook.asks : orderBook.bids, isBuy ? 'asks' : 'bids');
+    if (levels.length === 0) return null;
+
+    const asks = isBuy ? levels : sortLevels(orderBook.asks, 'asks');
+    const bids = isBuy ? sortLevels(orderBook.bids, 'bids') : levels;
+    const bestBid = bids[0]?.price ?? null;
+    const bestAsk = asks[0]?.price ?? null;
+    const midPrice = bestBid !== null && bestAsk !== null ? (bestBid + bestAsk) / 2 : null;
+    const spreadPercent = midPrice ? ((bestAsk - bestBid) / midPrice) * 100 : 0;
+
+    const bestPrice = levels[0].price;
+    const maxSlippage = options.maxSlippage ?? CONFIG.FILL_SIM?.MAX_SLIPPAGE ?? 0.05;
+    const limitPrice = options.limitPrice ?? (isBuy ? bestPrice * (1 + maxSlippage) : bestPrice * (1 - maxSlippage));
+
+    let remainingUsd = isBuy ? (order.amountUsd || 0) : Infinity;
+    let remainingShares = isBuy ? Infinity : (order.shares || 0);
+    let filledShares = 0;
+    let filledUsd = 0;
+    let levelsConsumed = 0;
+    let worstPrice = bestPrice;
+
+    for (const level of levels) {
+        if (remainingUsd <= 1e-9 || remainingShares <= 1e-9) break;
+        if (isBuy ? level.price > limitPrice : level.price < limitPrice) break;
+
+        const takeShares = Math.min(level.size, remainingShares, remainingUsd / level.price);
+        const takeUsd = takeShares * level.price;
+
+        filledShares += takeShares;
+        filledUsd += takeUsd;
+        if (isBuy) remainingUsd -= takeUsd;
+        else remainingShares -= takeShares;
+        worstPrice = level.price;
+        levelsConsumed++;
+    }
+
+    const requested = isBuy ? (order.amountUsd || 0) : (order.shares || 0);
+    const filled = isBuy ? filledUsd : filledShares;
+    const vwap = filledShares > 0 ? filledUsd / filledShares : null;
+
+    return {
+        side,
+        vwap,
+        bestPrice,
+        worstPrice,
+        bestBid,
+        bestAsk,
+        midPrice,
+        spreadPercent,
+        filledShares,
+        filledUsd,
+        leftoverUsd: isBuy ? Math.max(0, remainingUsd) : 0,
+        leftoverShares: isBuy ? 0 : Math.max(0, remainingShares),
+        fillRatio: requested > 0 ? filled / requested : 0,
+        fullyFilled: requested > 0 && filled >= requested - 1e-6,
+        levelsConsumed,
+        // Price impact of walking the book vs. the top level
+        slippage: vwap ? Math.abs(vwap - bestPrice) / bestPrice : 0
+    };
+}
+
+/**
+ * Fetch the live book for a token and simulate a fill against it
+ * @param {string} tokenId - Outcome token ID
+ * @param {string} side - 'buy' | 'sell'
+ * @param {Object} order - { amountUsd } or { shares }
+ * @param {Object} options - Forwarded to walkOrderBook
+ * @returns {Promise<Object|null>}
+ */
+export async function simulateFill(tokenId, side, order, options = {}) {
+    const orderBook = await getCLOBOrderBook(tokenId);
+    if (!orderBook) return null;
+    const fill = walkOrderBook(orderBook, side, order, options);
+    return fill ? { ...fill, source: 'CLOB' } : null;
+}
+
+/**
+ * Build a synthetic book around a reference price for markets without a
+ * recorded book (backtests). Depth per side is a share of the market's
+ * reported liquidity, thinning out at the top and thickening further away.
+ *
+ * @param {number} refPrice - Reference (mid) price of the outcome
+ * @param {number} liquidityUsd - Market liquidity (Gamma liquidityNum)
+ * @returns {{bids: Object[], asks: Object[]}}
+ */
+export function buildSyntheticOrderBook(refPrice, liquidityUsd) {
+    const FS = CONFIG.FILL_SIM || {};
+    const tick = FS.TICK_SIZE || 0.01;
+    const nLevels = FS.SYNTHETIC_LEVELS || 10;
+    const sideDepthUsd = Math.max(0, liquidityUsd || 0) * (FS.SYNTHETIC_DEPTH_SHARE ?? 0.5);
+
+    // Level weights grow linearly away from the top of book (1, 2, 3, ...)
+    const weightSum = (nLevels * (nLevels + 1)) / 2;
+    const bestAsk = Math.min(0.99, Math.ceil((refPrice + tick / 2) / tick) * tick);
+    const bestBid = Math.max(0.01, Math.floor((refPrice - tick / 2) / tick) * tick);
+
+    const asks = [];
+    const bids = [];
+    for (let i = 0; i < nLevels; i++) {
+        const levelUsd = sideDepthUsd * (i + 1) / weightSum;
+        const askPrice = bestAsk + i * tick;
+        const bidPrice = bestBid - i * tick;
+        if (askPrice < 1) asks.push({ price: askPrice.toFixed(4), size: (levelUsd / askPrice).toFixed(2) });
+        if (bidPrice > 0) bids.push({ price: bidPrice.toFixed(4), size: (levelUsd / bidPrice).toFixed(2) });
+    }
+    return { bids, asks };
+}
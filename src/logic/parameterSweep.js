@@ -0,0 +1,153 @@
+/**
+ * PARAMETER SWEEP - Grid search over CONFIG keys with the walk-forward backtest
+ *
+ * Every combination runs on the same dataset with the same seed (common random
+ * numbers), so differences between rows come from the parameters only.
+ * Used by POST /api/backtest/sweep and scripts/backtest_sweep.js.
+ */
+
+import { CONFIG } from '../config.js';
+import { runBacktestSimulation, validateConfigOverrides } from './backtestSimulator.js';
+import { strategyAdapter } from './strategyAdapter.js';
+
+const SORT_KEYS = {
+    roi: r => r.roi,
+    sharpe: r => r.sharpe,
+    drawdown: r => -r.maxDrawdown,
+    testRoi: r => r.test.roi
+};
+
+/**
+ * Expand one range spec into its list of values.
+ *   [a, b, c]            → explicit values (numbers or objects, e.g. a whole TP_MAP)
+ *   { min, max, step }   → numeric range, bounds included
+ *   scalar               → single value
+ */
+function expandRange(key, spec) {
+    if (Array.isArray(spec)) {
+        if (spec.length === 0) throw new Error(`${key}: empty value list`);
+        return spec;
+    }
+    if (spec && typeof spec === 'object' && 'min' in spec && 'max' in spec && 'step' in spec) {
+        const { min, max, step } = spec;
+        if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min) {
+            throw new Error(`${key}: invalid range { min, max, step }`);
+        }
+        const values = [];
+        // Round to the step's precision to avoid 0.30000000000000004
+        const decimals = (String(step).split('.')[1] || '').length;
+        for (let v = min; v <= max + step / 1e6; v += step) values.push(parseFloat(v.toFixed(decimals)));
+        return values;
+    }
+    return [spec];
+}
+
+/**
+ * Cartesian product of the ranges
+ * @param {Object} ranges - { 'KELLY_FRACTION': [0.1, 0.15], 'STOP_LOSS_PERCENT': { min, max, step }, ... }
+ * @returns {Object[]} One override map per combination
+ */
+export function expandGrid(ranges) {
+    let combinations = [{}];
+    for (const [key, spec] of Object.entries(ranges)) {
+        const values = expandRange(key, spec);
+        combinations = combinations.flatMap(combo => values.map(value => ({ ...combo, [key]: value })));
+    }
+    return combinations;
+}
+
+function summarizeRun(result, overrides) {
+    const overfit = strategyAdapter.detectOverfit(result);
+    return {
+        overrides,
+        runId: result.manifest.runId,
+        roi: result.metrics.roi,
+        sharpe: result.metrics.sharpeRatio,
+        maxDrawdown: result.metrics.maxDrawdown,
+        trades: result.summary.tradesCount,
+        winrate: parseFloat(result.summary.winrate),
+        train: { roi: result.trainMetrics.roi, sharpe: result.trainMetrics.sharpeRatio },
+        test: { roi: result.testMetrics.roi, sharpe: result.testMetrics.sharpeRatio },
+        foldStability: result.walkForward?.stability || null,
+        overfit: overfit.isOverfit,
+        overfitReasons: overfit.reasons
+    };
+}
+
+/**
+ * Run the walk-forward backtest for every combination and rank the results.
+ * Overfit combinations are flagged and ranked after the others.
+ *
+ * @param {Object} options
+ * @param {Object} options.ranges - Config key → values (see expandGrid)
+ * @param {string} [options.dataset] - Offline dataset version; otherwise markets are fetched once and snapshotted
+ * @param {number} [options.seed] - Shared PRNG seed (random when omitted)
+ * @param {string} [options.sortBy='sharpe'] - 'roi' | 'sharpe' | 'drawdown' | 'testRoi'
+ * @param {Function} [options.onProgress] - (done, total, row) after each combination
+ * @returns {Promise<Object>} { seed, dataset, datasetHash, baseline, results } or { error }
+ */
+export async function runParameterSweep(options = {}) {
+    const { ranges, dataset, onProgress } = options;
+    const sortBy = options.sortBy || 'sharpe';
+    const maxCombinations = CONFIG.BACKTEST?.SWEEP_MAX_COMBINATIONS || 64;
+
+    if (!ranges || typeof ranges !== 'object' || Object.keys(ranges).length === 0) {
+        return { error: 'ranges must map at least one config key to its values' };
+    }
+    if (!SORT_KEYS[sortBy]) {
+        return { error: `sortBy must be one of ${Object.keys(SORT_KEYS).join(', ')}` };
+    }
+
+    let combinations;
+    try {
+        combinations = expandGrid(ranges);
+    } catch (e) {
+        return { error: e.message };
+    }
+    if (combinations.length > maxCombinations) {
+        return { error: `${combinations.length} combinations > max ${maxCombinations} — narrow the ranges` };
+    }
+    for (const combo of combinations) {
+        const overrideError = validateConfigOverrides(combo);
+        if (overrideError) return { error: overrideError };
+    }
+
+    // Baseline (current config) pins the dataset and seed for every combination
+    const baselineResult = await runBacktestSimulation({ seed: options.seed, dataset, quiet: true });
+    if (baselineResult.error) return { error: `Baseline: ${baselineResult.error}` };
+    const { seed, datasetHash, dataset: datasetVersion } = baselineResult.manifest;
+    const baseline = summarizeRun(baselineResult, {});
+
+    const results = [];
+    for (const overrides of combinations) {
+        const result = await runBacktestSimulation({
+            seed,
+            dataset: datasetVersion || undefined,
+            datasetHash,
+            configOverrides: overrides,
+            quiet: true
+        });
+        const row = result.error
+            ? { overrides, error: result.error }
+            : summarizeRun(result, overrides);
+        results.push(row);
+        if (onProgress) onProgress(results.length, combinations.length, row);
+    }
+
+    const score = SORT_KEYS[sortBy];
+    const ranked = results
+        .filter(r => !r.error)
+        .sort((a, b) => (a.overfit - b.overfit) || (score(b) - score(a)))
+        .map((r, i) => ({ rank: i + 1, ...r, beatsBaseline: score(r) > score(baseline) }));
+
+    return {
+        seed,
+        dataset: datasetVersion,
+        datasetHash,
+        sortBy,
+        combinations: combinations.length,
+        baseline,
+        results: ranked,
+        failed: results.filter(r => r.error)
+    };
+}
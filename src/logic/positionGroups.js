@@ -0,0 +1,161 @@
+/**
+ * POSITION GROUPS - multi-leg positions managed as one unit
+ *
+ * Legs stay ordinary trades in botState.activeTrades (executor, Supabase, resolution)
+ * and carry groupId / groupKind. The group in botState.positionGroups links them:
+ * checkAndCloseTrades applies stop / take-profit to the group's combined PnL instead
+ * of each leg, and closeTrade closes every leg of a group together.
+ *
+ * Kinds:
+ *   ARBITRAGE_PAIR  YES + NO of one binary market (arbitrage entry in simulateTrade)
+ *   EVENT_BASKET    one leg per outcome of a negRisk event (eventArbitrage.js)
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+
+const MAX_CLOSED_GROUPS = 100;
+
+export function newGroupId() {
+    return 'grp_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** Last known price of a leg (entry price until the first check) */
+export function lastPrice(trade) {
+    const history = trade.priceHistory || [];
+    return history.length > 0 ? history[history.length - 1] : trade.entryPrice;
+}
+
+export const positionGroups = {
+    /**
+     * Register a group for legs that were just opened
+     * @param {string} kind - 'ARBITRAGE_PAIR' | 'EVENT_BASKET'
+     * @param {Object[]} legs - Opened trades (already in activeTrades)
+     * @param {Object} [details] - { id, label, ... } kind-specific fields kept on the group
+     */
+    create(kind, legs, details = {}) {
+        const { id = newGroupId(), label = legs[0]?.question || kind, ...rest } = details;
+        legs.forEach(t => {
+            t.groupId = id;
+            t.groupKind = kind;
+        });
+        const group = {
+            id,
+            kind,
+            label,
+            status: 'OPEN',
+            strategy: legs[0]?.strategy || null,
+            cost: legs.reduce((s, t) => s + (t.amount || 0), 0),
+            openedAt: new Date().toISOString(),
+            closedAt: null,
+            realizedPnl: null,
+            mark: null,
+            ...rest,
+            legs: legs.map(t => ({ tradeId: t.id, marketId: t.marketId, question: t.question, side: t.side, amount: t.amount, pnl: null }))
+        };
+
+        if (!botState.positionGroups) botState.positionGroups = [];
+        botState.positionGroups.unshift(group);
+        // Trim the oldest closed groups, never an open one
+        let closed = botState.positionGroups.filter(g => g.status === 'CLOSED').length;
+        for (let i = botState.positionGroups.length - 1; i >= 0 && closed > MAX_CLOSED_GROUPS; i--) {
+            if (botState.positionGroups[i].status === 'CLOSED') {
+                botState.positionGroups.splice(i, 1);
+                closed--;
+            }
+        }
+        return group;
+    },
+
+    get(id) {
+        return (botState.positionGroups || []).find(g => g.id === id) || null;
+    },
+
+    open(kind = null) {
+        return (botState.positionGroups || []).filter(g => g.status !== 'CLOSED' && (!kind || g.kind === kind));
+    },
+
+    activeLegs(group) {
+        return (botState.activeTrades || []).filter(t => t.groupId === group.id);
+    },
+
+    /**
+     * Stop / take-profit on the group's combined PnL (fractions of its cost).
+     * null = no such exit for this kind (e.g. baskets are held to resolution).
+     */
+    exitRule(group) {
+        const rule = CONFIG.POSITION_GROUPS?.[group.kind] || {};
+        return { takeProfitPct: rule.TAKE_PROFIT_PCT ?? null, stopLossPct: rule.STOP_LOSS_PCT ?? null };
+    },
+
+    /**
+     * Mark-to-market of the group: open legs at their last price + PnL already
+     * realized by legs that resolved
+     * @returns {{ value: number, pnl: number, pnlPercent: number, priced: boolean }}
+     */
+    valuation(group) {
+        const legs = this.activeLegs(group);
+        const value = legs.reduce((s, t) => s + (t.shares || 0) * lastPrice(t), 0);
+        const invested = legs.reduce((s, t) => s + (t.amount || 0), 0);
+        const realized = group.legs.reduce((s, l) => s + (l.pnl || 0), 0);
+        const pnl = value - invested + realized;
+        return {
+            value,
+            pnl,
+            pnlPercent: group.cost > 0 ? pnl / group.cost : 0,
+            priced: legs.every(t => (t.priceHistory || []).length > 0)
+        };
+    },
+
+    /**
+     * Record legs that left activeTrades and close groups with no open leg left
+     * @returns {Object[]} Groups closed by this call
+     */
+    sync() {
+        const closedNow = [];
+        for (const group of this.open()) {
+            for (const leg of group.legs) {
+                if (leg.pnl !== null) continue;
+                if ((botState.activeTrades || []).some(t => t.id === leg.tradeId)) continue;
+                const closed = (botState.closedTrades || []).find(t => t.id === leg.tradeId);
+                leg.pnl = closed ? (closed.pnl ?? closed.profit ?? 0) : 0;
+            }
+            if (group.legs.every(l => l.pnl !== null)) {
+                group.status = 'CLOSED';
+                group.closedAt = new Date().toISOString();
+                group.realizedPnl = group.legs.reduce((s, l) => s + l.pnl, 0);
+                closedNow.push(group);
+            }
+        }
+        return closedNow;
+    },
+
+    /**
+     * Merge the legs of each group into one record (summed PnL) so that
+     * per-strategy stats count a basket as one trade, not N wins and losses
+     * @param {Object[]} trades - Closed trades (order is kept, a group sits at its first leg)
+     */
+    collapseLegs(trades) {
+        const merged = [];
+        const byGroup = new Map();
+        for (const t of trades) {
+            if (!t.groupId) {
+                merged.push(t);
+                continue;
+            }
+            const pnl = t.profit ?? t.pnl ?? 0;
+            const existing = byGroup.get(t.groupId);
+            if (existing) {
+                existing.pnl += pnl;
+                existing.profit = existing.pnl;
+                existing.amount = (existing.amount || 0) + (t.amount || 0);
+                existing.legsCount++;
+                continue;
+            }
+            const unit = { ...t, pnl, profit: pnl, legsCount: 1 };
+            byGroup.set(t.groupId, unit);
+            merged.push(unit);
+        }
+        return merged;
+    }
+};
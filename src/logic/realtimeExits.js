@@ -0,0 +1,74 @@
+/**
+ * REAL-TIME EXITS - exit checks driven by market feed price events
+ *
+ * A price move on an open position re-runs checkAndCloseTrades for the trades on
+ * that token only, at most once every EXIT_CHECK_THROTTLE_MS, so stops (and the
+ * GAP PROTECTION confirmation) react within seconds instead of at the next loop.
+ * Moves smaller than MIN_MOVE from the last checked price are ignored.
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+import { checkAndCloseTrades } from './engine.js';
+import { lastPrice } from './positionGroups.js';
+import { marketDataFeed, tokenIdOf } from '../services/marketDataFeed.js';
+import { getMidPrice } from '../api/clob_api.js';
+
+/** Subscribe the feed to the tokens of the open positions */
+export function followActiveTrades(feed = marketDataFeed) {
+    feed.setInterest('active', (botState.activeTrades || []).map(tokenIdOf));
+}
+
+/**
+ * Start reacting to the feed's price events
+ * @param {MarketDataFeed} [feed]
+ * @returns {Function} stop
+ */
+export function startRealtimeExits(feed = marketDataFeed) {
+    const pending = new Set();
+    let timer = null;
+    let lastRun = 0;
+
+    // The feed's own book first; REST only if it lost the token since the event
+    const priceOf = async (trade) => {
+        const tokenId = tokenIdOf(trade);
+        return feed.getMid(tokenId) ?? getMidPrice(tokenId);
+    };
+
+    async function run() {
+        const tradeIds = new Set(pending);
+        pending.clear();
+        try {
+            await checkAndCloseTrades(priceOf, { tradeIds, quiet: true });
+            followActiveTrades(feed);
+        } catch (e) {
+            console.error('Realtime exit check error:', e.message);
+        } finally {
+            lastRun = Date.now();
+            timer = null;
+            // Moves that arrived during the check
+            if (pending.size > 0) schedule();
+        }
+    }
+
+    function schedule() {
+        if (timer) return;
+        const wait = Math.max(0, lastRun + (CONFIG.MARKET_FEED?.EXIT_CHECK_THROTTLE_MS ?? 3000) - Date.now());
+        timer = setTimeout(run, wait);
+    }
+
+    function onPrice({ tokenId, mid }) {
+        const minMove = CONFIG.MARKET_FEED?.MIN_MOVE ?? 0.005;
+        const moved = (botState.activeTrades || []).filter(t =>
+            tokenIdOf(t) === tokenId && Math.abs(mid - lastPrice(t)) >= minMove);
+        if (moved.length === 0) return;
+        moved.forEach(t => pending.add(t.id));
+        schedule();
+    }
+
+    feed.on('price', onPrice);
+    return () => {
+        feed.off('price', onPrice);
+        clearTimeout(timer);
+    };
+}
@@ -0,0 +1,348 @@
+/**
+ * REPLAY ENGINE - Re-run the live decision path over recorded signal snapshots
+ *
+ * The main loop writes a signal_snapshots row every 15 min: PizzINT tension, news,
+ * whale alerts, copy signals and the candidate markets it scanned (prices, volume,
+ * liquidity). The replay feeds them back in time order through the *current* code
+ * (calculateAlphaScore → simulateTrade → calculateConviction) on a simulated
+ * portfolio, then diffs what it would have traded against the trades actually taken.
+ *
+ * Not replayed (live process state, not recorded): arbitrage / semantic-arb scans,
+ * weather forecasts, market memory and catalysts from advancedStrategies.
+ * Like the backtest, simulateTrade runs with skipPersistence, so the live-only
+ * guards (drawdown tiers, cooldowns, liquidity gate, cash reserve) are skipped.
+ * Positions are held until a later snapshot shows the market resolved (≥0.99 / ≤0.01),
+ * otherwise they are marked to the last recorded price.
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+import { simulateTrade } from './engine.js';
+import { capitalSleeves } from './capitalSleeves.js';
+import { calculateAlphaScore } from './signals.js';
+import { walkOrderBook, buildSyntheticOrderBook } from './fillSimulator.js';
+import { matchCopySignalToMarket } from '../api/wallet_tracker.js';
+import { supabaseService } from '../services/supabaseService.js';
+import { storage } from '../services/storage.js';
+
+const RESOLVED_HIGH = 0.99;
+const RESOLVED_LOW = 0.01;
+const TREND_LOOKBACK = 4; // snapshots (~1h) — the live check reads the last 25 CLOB trades
+
+// Botstate fields swapped for the snapshot's view of the world during a replay step
+const SIGNAL_FIELDS = ['lastPizzaData', 'newsSentiment', 'whaleAlerts', 'lastWhaleData', 'lastCopySignals',
+    'arbitrageOpportunities', 'semanticArbOpportunities', 'wizards', 'freshMarkets',
+    'capital', 'startingCapital', 'activeTrades', 'closedTrades', '_correlationMap', 'capitalSleeves'];
+
+function parseYesPrice(market) {
+    try {
+        const prices = typeof market.outcomePrices === 'string' ? JSON.parse(market.outcomePrices) : market.outcomePrices;
+        const yes = parseFloat(prices?.[0]);
+        return isNaN(yes) ? null : yes;
+    } catch {
+        return null;
+    }
+}
+
+function toPizzaData(snapshot) {
+    if (snapshot.tension_score === null || snapshot.tension_score === undefined) return null;
+    return {
+        tensionScore: Number(snapshot.tension_score),
+        tensionTrend: snapshot.tension_trend,
+        defcon: snapshot.defcon
+    };
+}
+
+/**
+ * Rebuild the signal annotations (_whaleMatch, _copyMatch, _alphaScore, ...) of the
+ * recorded markets with the current scoring code, as of the snapshot time.
+ */
+function annotateMarkets(snapshot, pizzaData, at) {
+    const markets = (snapshot.markets || []).map(({ priority, ...m }) => ({ ...m, _isBacktestMarket: true, _replayPriority: priority }));
+
+    for (const signal of snapshot.copy_signals || []) {
+        const matched = matchCopySignalToMarket(signal, markets);
+        if (matched) {
+            if (!matched._copyMatches) matched._copyMatches = [];
+            matched._copyMatches.push(signal);
+        }
+    }
+    for (const m of markets) {
+        m._alphaScore = calculateAlphaScore(m, pizzaData, { now: at, quiet: true });
+    }
+    return markets;
+}
+
+function snapshotSignals(snapshot, pizzaData, markets) {
+    return {
+        lastPizzaData: pizzaData,
+        newsSentiment: snapshot.news_headlines || [],
+        whaleAlerts: snapshot.whale_trades || [],
+        lastWhaleData: null, // only the whale alerts are recorded — matched by slug / conditionId
+        lastCopySignals: snapshot.copy_signals || [],
+        arbitrageOpportunities: [],
+        semanticArbOpportunities: [],
+        wizards: markets.filter(m => m._replayPriority === 'WIZARD').map(m => ({ id: m.id, slug: m.slug, question: m.question, alpha: m._alphaScore })),
+        freshMarkets: markets.filter(m => m._replayPriority === 'FRESH').map(m => ({ id: m.id, question: m.question }))
+    };
+}
+
+/**
+ * Run fn with botState showing the snapshot's signals and the simulated portfolio.
+ * try/finally guarantees the live state is restored, as in the backtest.
+ */
+async function withReplayState(state, fn) {
+    const saved = {};
+    for (const key of SIGNAL_FIELDS) saved[key] = botState[key];
+    try {
+        Object.assign(botState, state);
+        return await fn();
+    } finally {
+        Object.assign(botState, saved);
+    }
+}
+
+function buildDependencies(priceSeries) {
+    return {
+        // Same check as live (book up to +2% of the price) on a book sized from recorded liquidity.
+        // The synthetic best ask sits a full tick above the price, so one tick is always allowed.
+        checkLiquidityDepthFn: async (market, side, targetPrice, minimumUsdAmount) => {
+            const book = buildSyntheticOrderBook(targetPrice, parseFloat(market.liquidityNum || 0));
+            const tick = CONFIG.FILL_SIM?.TICK_SIZE || 0.01;
+            const limitPrice = Math.max(targetPrice * 1.02, targetPrice + tick);
+            const fill = walkOrderBook(book, 'buy', { amountUsd: minimumUsdAmount }, { limitPrice });
+            return !!fill && fill.fullyFilled;
+        },
+        // Slope of the recorded YES price over the last snapshots (same ±1% thresholds as live)
+        calculateIntradayTrendFn: async (marketId) => {
+            const series = (priceSeries.get(marketId) || []).slice(-TREND_LOOKBACK);
+            if (series.length < 2) return null;
+            const first = series[0];
+            const last = series[series.length - 1];
+            if (last > first * 1.01) return 'UP';
+            if (last < first * 0.99) return 'DOWN';
+            return 'FLAT';
+        },
+        simulateFillFn: async (market, side, amountUsd, refPrice) => {
+            const book = buildSyntheticOrderBook(refPrice, parseFloat(market.liquidityNum || 0));
+            const fill = walkOrderBook(book, 'buy', { amountUsd });
+            return fill ? { ...fill, source: 'SYNTHETIC' } : null;
+        },
+        testSize: null,
+        isTest: false,
+        skipPersistence: true,
+        enforcePortfolioLimits: true,
+        reasonsCollector: []
+    };
+}
+
+function sidePrice(yesPrice, side) {
+    return side === 'YES' ? yesPrice : 1 - yesPrice;
+}
+
+function summarizeTrade(trade) {
+    return {
+        marketId: trade.marketId,
+        question: trade.question,
+        side: trade.side,
+        entryPrice: trade.entryPrice,
+        amount: trade.amount,
+        startTime: trade.startTime,
+        strategy: trade.strategy || null
+    };
+}
+
+/**
+ * Diff the replayed trades against the trades actually taken in the same window, by market
+ */
+function diffTrades(replayTrades, liveTrades, lastRejections) {
+    const liveByMarket = new Map();
+    for (const t of liveTrades) {
+        if (!liveByMarket.has(t.marketId)) liveByMarket.set(t.marketId, t);
+    }
+    const replayByMarket = new Map();
+    for (const t of replayTrades) {
+        if (!replayByMarket.has(t.marketId)) replayByMarket.set(t.marketId, t);
+    }
+
+    const matched = [];
+    const replayOnly = [];
+    for (const [marketId, replay] of replayByMarket) {
+        const live = liveByMarket.get(marketId);
+        if (live) {
+            matched.push({ marketId, question: replay.question, sameSide: live.side === replay.side, live: summarizeTrade(live), replay: summarizeTrade(replay) });
+        } else {
+            replayOnly.push(summarizeTrade(replay));
+        }
+    }
+    const liveOnly = [...liveByMarket.values()]
+        .filter(t => !replayByMarket.has(t.marketId))
+        .map(t => ({ ...summarizeTrade(t), replayRejection: lastRejections.get(t.marketId) || 'not in recorded candidates' }));
+
+    return { matched, replayOnly, liveOnly };
+}
+
+/**
+ * Replay the recorded snapshots of a time window through the current decision code.
+ *
+ * @param {Object} options
+ * @param {string} [options.from] - ISO start (default: 24h before `to`)
+ * @param {string} [options.to] - ISO end (default: now)
+ * @param {Object[]} [options.snapshots] - signal_snapshots rows, instead of loading them from Supabase
+ * @param {number} [options.initialCapital] - Simulated capital (default: live startingCapital)
+ * @param {number} [options.tradesPerSnapshot=1] - Trades opened per snapshot (the live loop opens 1 per cycle)
+ * @returns {Promise<Object>} { window, summary, trades, decisions, diff } or { error }
+ */
+export async function runReplay(options = {}) {
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from ? new Date(options.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || from > to) return { error: 'Invalid replay window (from/to)' };
+
+    let snapshots = options.snapshots;
+    if (!snapshots) {
+        snapshots = await supabaseService.loadSignalSnapshots(from.toISOString(), to.toISOString())
+            ?? storage.loadSnapshots?.(from.toISOString(), to.toISOString())
+            ?? null;
+        if (!snapshots) return { error: 'Signal snapshots unavailable (Supabase not configured or query failed, no SQLite storage)' };
+    }
+    const usable = snapshots
+        .filter(s => Array.isArray(s.markets) && s.markets.length > 0)
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    if (usable.length === 0) {
+        return { error: `No replayable snapshot between ${from.toISOString()} and ${to.toISOString()} (${snapshots.length} without recorded markets)` };
+    }
+
+    const initialCapital = options.initialCapital || botState.startingCapital || CONFIG.STARTING_CAPITAL;
+    const tradesPerSnapshot = options.tradesPerSnapshot || 1;
+    const maxOpen = CONFIG.BASE_MAX_TRADES || 10;
+
+    const priceSeries = new Map();   // marketId → recorded YES prices, oldest first
+    const lastRejections = new Map(); // marketId → last replay rejection reason
+    const dependencies = buildDependencies(priceSeries);
+    let capital = initialCapital;
+    const openTrades = [];
+    const closedTrades = [];
+    const sleeves = capitalSleeves.createState();
+    const decisions = [];
+    let evaluated = 0;
+
+    for (const snapshot of usable) {
+        const at = new Date(snapshot.created_at);
+        const pizzaData = toPizzaData(snapshot);
+        const markets = annotateMarkets(snapshot, pizzaData, at);
+
+        for (const m of markets) {
+            const yes = parseYesPrice(m);
+            if (yes === null) continue;
+            if (!priceSeries.has(m.id)) priceSeries.set(m.id, []);
+            priceSeries.get(m.id).push(yes);
+        }
+
+        // Settle positions whose market now shows as resolved
+        for (const trade of [...openTrades]) {
+            const series = priceSeries.get(trade.marketId);
+            const yes = series?.[series.length - 1];
+            if (yes === undefined || (yes < RESOLVED_HIGH && yes > RESOLVED_LOW)) continue;
+            const exitPrice = sidePrice(yes >= RESOLVED_HIGH ? 1 : 0, trade.side);
+            trade.exitPrice = exitPrice;
+            trade.closedAt = at.toISOString();
+            trade.pnl = trade.shares * exitPrice - trade.amount;
+            capital += trade.shares * exitPrice;
+            capitalSleeves.recordPnL(trade.strategy, trade.pnl, sleeves);
+            openTrades.splice(openTrades.indexOf(trade), 1);
+            closedTrades.push(trade);
+        }
+
+        const state = {
+            ...snapshotSignals(snapshot, pizzaData, markets),
+            capital,
+            startingCapital: initialCapital,
+            activeTrades: [...openTrades],
+            closedTrades: [...closedTrades],
+            capitalSleeves: sleeves
+        };
+
+        let opened = 0;
+        await withReplayState(state, async () => {
+            for (const market of markets) {
+                if (opened >= tradesPerSnapshot || openTrades.length >= maxOpen) break;
+                if (capital < CONFIG.MIN_TRADE_SIZE) break;
+                if (openTrades.some(t => t.marketId === market.id)) continue;
+                const yes = parseYesPrice(market);
+                if (yes === null || yes >= RESOLVED_HIGH || yes <= RESOLVED_LOW) continue;
+
+                evaluated++;
+                dependencies.reasonsCollector = [];
+                botState.capital = capital;
+                botState.activeTrades = [...openTrades];
+
+                let result = null;
+                try {
+                    result = await simulateTrade(market, pizzaData, market._replayPriority === 'FRESH', dependencies);
+                } catch (e) {
+                    dependencies.reasonsCollector.push(`Error: ${e.message}`);
+                }
+
+                if (!result) {
+                    const reasons = dependencies.reasonsCollector;
+                    lastRejections.set(market.id, reasons[reasons.length - 1] || 'No trade condition met');
+                    continue;
+                }
+
+                for (const trade of Array.isArray(result) ? result : [result]) {
+                    trade.startTime = at.toISOString();
+                    capital -= trade.amount;
+                    openTrades.push(trade);
+                    decisions.push({ at: trade.startTime, priority: market._replayPriority, ...summarizeTrade(trade), convictionScore: trade.convictionScore, reasons: trade.reasons });
+                }
+                lastRejections.delete(market.id);
+                opened++;
+            }
+        });
+    }
+
+    // Mark open positions to their last recorded price
+    let unrealizedPnL = 0;
+    for (const trade of openTrades) {
+        const series = priceSeries.get(trade.marketId);
+        const yes = series?.[series.length - 1];
+        trade.markPrice = yes === undefined ? trade.entryPrice : sidePrice(yes, trade.side);
+        trade.pnl = trade.shares * trade.markPrice - trade.amount;
+        unrealizedPnL += trade.pnl;
+    }
+    const realizedPnL = closedTrades.reduce((s, t) => s + t.pnl, 0);
+
+    const windowStart = new Date(usable[0].created_at);
+    const windowEnd = new Date(usable[usable.length - 1].created_at);
+    const liveTrades = [...(botState.activeTrades || []), ...(botState.closedTrades || [])]
+        .filter(t => {
+            const started = new Date(t.startTime);
+            return started >= windowStart && started <= windowEnd;
+        })
+        .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    const replayTrades = [...closedTrades, ...openTrades].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+    return {
+        window: { from: windowStart.toISOString(), to: windowEnd.toISOString(), snapshots: usable.length, skipped: snapshots.length - usable.length },
+        summary: {
+            evaluated,
+            trades: replayTrades.length,
+            resolved: closedTrades.length,
+            realizedPnL,
+            unrealizedPnL,
+            initialCapital,
+            finalEquity: capital + openTrades.reduce((s, t) => s + t.shares * t.markPrice, 0),
+            liveTrades: liveTrades.length
+        },
+        trades: replayTrades.map(t => ({
+            ...summarizeTrade(t),
+            convictionScore: t.convictionScore,
+            exitPrice: t.exitPrice ?? null,
+            markPrice: t.markPrice ?? null,
+            closedAt: t.closedAt || null,
+            pnl: t.pnl
+        })),
+        decisions,
+        diff: diffTrades(replayTrades, liveTrades, lastRejections)
+    };
+}
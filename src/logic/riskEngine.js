@@ -0,0 +1,430 @@
+/**
+ * RISK ENGINE - how the open positions move together, and what they can lose
+ *
+ * Correlations: Pearson correlation of YES price changes on a common grid
+ * (RISK_ENGINE.BUCKET_MINUTES), from marketMemory (scan snapshots) and the CLOB price
+ * history. Short overlaps are shrunk toward a prior — same GEO_CLUSTERS entry, same
+ * category, else 0 — weighted n / (n + SHRINKAGE), so a handful of shared hours never
+ * reads as a perfect correlation. A NO position is short its market's YES.
+ *
+ * Scenarios: each position pays $1 per share if its side wins, nothing otherwise, its
+ * mark being the win probability. Resolutions are drawn together through a Gaussian
+ * copula on the position correlation matrix, seeded so the same book always gives
+ * the same numbers. VaR / CVaR at CONFIDENCE are losses from the current mark value;
+ * worstCase is the heaviest simulated loss, clusters the loss if every position of a
+ * correlated group resolves against us.
+ *
+ * checkTrade() is the entry gate (engine.js): a trade that would push the VaR above
+ * MAX_VAR_PCT of total capital is downsized to the largest size that fits, or rejected.
+ * checkBasket() does the same for an event basket, whole or not at all.
+ * Backtests, replays and shadow runs gate on the priors only (prices: false): today's
+ * price series say nothing about how their historical markets moved together.
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+import { getCLOBPriceHistory } from '../api/clob_api.js';
+import { getMarketPrices } from './advancedStrategies.js';
+import { lastPrice } from './positionGroups.js';
+
+const MIN_PROB = 0.01; // No position is priced as certain
+const SCENARIO_SEED = 0x5eed;
+const MAX_PAIRS_REPORTED = 20;
+
+function settings() {
+    return CONFIG.RISK_ENGINE || {};
+}
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const cents = (v) => Math.round(v * 100) / 100;
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17, error < 7.5e-8)
+function normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const d = 0.3989422804014327 * Math.exp(-x * x / 2);
+    const tail = d * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return x >= 0 ? 1 - tail : tail;
+}
+
+// Standard normal draws from a seeded uniform generator (mulberry32, Box-Muller)
+function normalGenerator(seed) {
+    let state = seed >>> 0;
+    const uniform = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (((t ^ (t >>> 14)) >>> 0) + 1) / 4294967297; // (0, 1): log() stays finite
+    };
+    let spare = null;
+    return () => {
+        if (spare !== null) {
+            const z = spare;
+            spare = null;
+            return z;
+        }
+        const r = Math.sqrt(-2 * Math.log(uniform()));
+        const theta = 2 * Math.PI * uniform();
+        spare = r * Math.sin(theta);
+        return r * Math.cos(theta);
+    };
+}
+
+function toPosition(trade) {
+    const price = clamp(lastPrice(trade) || 0.5, MIN_PROB, 1 - MIN_PROB);
+    const shares = trade.shares || 0;
+    return {
+        id: trade.id,
+        marketId: trade.marketId,
+        question: trade.question || '',
+        category: trade.category || null,
+        side: trade.side,
+        tokenId: trade.clobTokenIds?.[0] || null, // YES token: the series is YES-priced
+        shares,
+        price,
+        value: shares * price
+    };
+}
+
+function openPositions(trades) {
+    return (trades || []).filter(t => t && t.status !== 'CLOSED' && t.shares > 0).map(toPosition);
+}
+
+// Free capital + capital at work, as the theme cap counts it
+function totalCapital(trades) {
+    return (botState.capital || 0) + (trades || []).reduce((sum, t) => sum + (t.amount || 0), 0);
+}
+
+/**
+ * YES price per grid bucket of each market: CLOB history first, marketMemory on top.
+ * Empty with prices: false — every pair then falls back to its prior.
+ * @returns {Promise<Map<string, Map<number, number>>>}
+ */
+async function loadSeries(positions, { fetchHistory = true, prices = true } = {}) {
+    if (!prices) return new Map();
+    const S = settings();
+    const bucketMinutes = S.BUCKET_MINUTES ?? 60;
+    const bucketMs = bucketMinutes * 60000;
+    const markets = new Map();
+    for (const pos of positions) if (!markets.has(pos.marketId)) markets.set(pos.marketId, pos.tokenId);
+
+    const series = new Map();
+    await Promise.all([...markets].map(async ([marketId, tokenId]) => {
+        const buckets = new Map();
+        if (fetchHistory && tokenId) {
+            const history = await getCLOBPriceHistory(tokenId, { interval: S.HISTORY_INTERVAL ?? '1w', fidelity: bucketMinutes });
+            for (const point of history || []) buckets.set(Math.floor(point.t * 1000 / bucketMs), point.p);
+        }
+        for (const point of getMarketPrices(marketId)) buckets.set(Math.floor(point.t / bucketMs), point.p);
+        series.set(marketId, buckets);
+    }));
+    return series;
+}
+
+/**
+ * Correlation of the price changes of two bucketed series over their shared buckets
+ * @returns {{ rho: number|null, n: number }} rho null when either side never moved
+ */
+export function estimateCorrelation(a, b) {
+    if (!a || !b) return { rho: null, n: 0 };
+    const common = [...a.keys()].filter(k => b.has(k)).sort((x, y) => x - y);
+    const da = [], db = [];
+    for (let i = 1; i < common.length; i++) {
+        da.push(a.get(common[i]) - a.get(common[i - 1]));
+        db.push(b.get(common[i]) - b.get(common[i - 1]));
+    }
+    const n = da.length;
+    if (n < 2) return { rho: null, n };
+
+    const meanA = da.reduce((s, v) => s + v, 0) / n;
+    const meanB = db.reduce((s, v) => s + v, 0) / n;
+    let cov = 0, varA = 0, varB = 0;
+    for (let i = 0; i < n; i++) {
+        cov += (da[i] - meanA) * (db[i] - meanB);
+        varA += (da[i] - meanA) ** 2;
+        varB += (db[i] - meanB) ** 2;
+    }
+    if (varA === 0 || varB === 0) return { rho: null, n };
+    return { rho: clamp(cov / Math.sqrt(varA * varB), -1, 1), n };
+}
+
+// YES correlation assumed without price data
+function priorCorrelation(a, b) {
+    const S = settings();
+    const qa = a.question.toLowerCase();
+    const qb = b.question.toLowerCase();
+    const sharedCluster = (CONFIG.GEO_CLUSTERS || []).some(c =>
+        c.keywords.some(kw => qa.includes(kw)) && c.keywords.some(kw => qb.includes(kw)));
+    if (sharedCluster) return S.CLUSTER_PRIOR ?? 0.5;
+    if (a.category && a.category === b.category) return S.CATEGORY_PRIOR ?? 0.2;
+    return 0;
+}
+
+/**
+ * Position correlation matrix (signed by side) and the pairs behind it
+ */
+function correlationMatrix(positions, series) {
+    const S = settings();
+    const minOverlap = S.MIN_OVERLAP ?? 12;
+    const shrinkage = S.SHRINKAGE ?? 24;
+    const n = positions.length;
+    const matrix = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    const pairs = [];
+    const byMarkets = new Map();
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const a = positions[i], b = positions[j];
+            let pair;
+            if (a.marketId === b.marketId) {
+                pair = { rho: 1, n: null, source: 'same_market' };
+            } else {
+                const key = [a.marketId, b.marketId].sort().join('|');
+                pair = byMarkets.get(key);
+                if (!pair) {
+                    const prior = priorCorrelation(a, b);
+                    const estimate = estimateCorrelation(series.get(a.marketId), series.get(b.marketId));
+                    const weight = estimate.rho !== null && estimate.n >= minOverlap ? estimate.n / (estimate.n + shrinkage) : 0;
+                    pair = {
+                        rho: weight > 0 ? weight * estimate.rho + (1 - weight) * prior : prior,
+                        n: estimate.n,
+                        source: weight > 0 ? 'prices' : 'prior'
+                    };
+                    byMarkets.set(key, pair);
+                }
+            }
+            const positionRho = a.side === b.side ? pair.rho : -pair.rho;
+            matrix[i][j] = matrix[j][i] = positionRho;
+            pairs.push({ i, j, ...pair, positionRho });
+        }
+    }
+    return { matrix, pairs };
+}
+
+// Lower-triangular L with L·Lᵀ = the matrix with off-diagonals × shrink, null when not
+// positive semi-definite. Singular matrices (a YES and a NO leg of the same market) pass
+function cholesky(matrix, shrink) {
+    const n = matrix.length;
+    const L = Array.from({ length: n }, () => new Float64Array(n));
+    for (let j = 0; j < n; j++) {
+        let d = 1;
+        for (let k = 0; k < j; k++) d -= L[j][k] ** 2;
+        if (d < -1e-9) return null;
+        L[j][j] = Math.sqrt(Math.max(0, d));
+        for (let i = j + 1; i < n; i++) {
+            let v = matrix[i][j] * shrink;
+            for (let k = 0; k < j; k++) v -= L[i][k] * L[j][k];
+            if (L[j][j] > 1e-9) L[i][j] = v / L[j][j];
+            else if (Math.abs(v) > 1e-6) return null;
+        }
+    }
+    return L;
+}
+
+// Pairwise estimates need not form a valid correlation matrix: shrink toward independence until they do
+function choleskyOf(matrix) {
+    for (let shrink = 1; shrink > 0.05; shrink *= 0.9) {
+        const L = cholesky(matrix, shrink);
+        if (L) return L;
+    }
+    return cholesky(matrix, 0);
+}
+
+/**
+ * PnL of each position in each scenario, from its current mark value
+ * @returns {Float64Array[]} one array of SCENARIOS values per position
+ */
+function simulate(positions, L) {
+    const scenarios = settings().SCENARIOS ?? 2000;
+    const n = positions.length;
+    const normal = normalGenerator(SCENARIO_SEED);
+    const pnl = positions.map(() => new Float64Array(scenarios));
+    const e = new Float64Array(n);
+
+    for (let s = 0; s < scenarios; s++) {
+        for (let k = 0; k < n; k++) e[k] = normal();
+        for (let i = 0; i < n; i++) {
+            let z = 0;
+            for (let k = 0; k <= i; k++) z += L[i][k] * e[k];
+            const pos = positions[i];
+            pnl[i][s] = normalCdf(z) < pos.price ? pos.shares * (1 - pos.price) : -pos.shares * pos.price;
+        }
+    }
+    return pnl;
+}
+
+// VaR, CVaR (mean loss at or beyond the VaR) and worst loss of a loss sample
+function tailRisk(losses, confidence) {
+    const sorted = Float64Array.from(losses).sort();
+    if (sorted.length === 0) return { var: 0, cvar: 0, worst: 0 };
+    const index = clamp(Math.ceil(confidence * sorted.length) - 1, 0, sorted.length - 1);
+    let tail = 0;
+    for (let k = index; k < sorted.length; k++) tail += sorted[k];
+    return {
+        var: Math.max(0, sorted[index]),
+        cvar: Math.max(0, tail / (sorted.length - index)),
+        worst: Math.max(0, sorted[sorted.length - 1])
+    };
+}
+
+// Groups of positions that win and lose together (position correlation ≥ CLUSTER_THRESHOLD)
+function correlatedClusters(positions, pairs) {
+    const threshold = settings().CLUSTER_THRESHOLD ?? 0.5;
+    const parent = positions.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (const pair of pairs) {
+        if (pair.positionRho >= threshold) parent[find(pair.i)] = find(pair.j);
+    }
+    const groups = {};
+    positions.forEach((pos, i) => (groups[find(i)] ||= []).push(pos));
+    return Object.values(groups)
+        .filter(group => group.length > 1)
+        .map(group => ({
+            loss: cents(group.reduce((sum, pos) => sum + pos.value, 0)), // Every position resolves against us
+            positions: group.map(pos => ({ id: pos.id, question: pos.question, side: pos.side, value: cents(pos.value) }))
+        }))
+        .sort((a, b) => b.loss - a.loss);
+}
+
+async function model(positions, options) {
+    const series = await loadSeries(positions, options);
+    const { matrix, pairs } = correlationMatrix(positions, series);
+    return { pairs, pnl: simulate(positions, choleskyOf(matrix)) };
+}
+
+export const riskEngine = {
+    /**
+     * Risk report of a book of open trades (GET /api/analytics/risk)
+     * @param {Object[]} [trades] - defaults to botState.activeTrades
+     * @param {Object} [options] - { fetchHistory: false = marketMemory only, prices: false = priors only }
+     */
+    async assess(trades = botState.activeTrades, options = {}) {
+        const S = settings();
+        const confidence = S.CONFIDENCE ?? 0.95;
+        const capital = totalCapital(trades);
+        const positions = openPositions(trades);
+        const limit = (S.MAX_VAR_PCT ?? 0.2) * capital;
+        const base = {
+            generatedAt: new Date().toISOString(),
+            confidence,
+            scenarios: S.SCENARIOS ?? 2000,
+            positions: positions.length,
+            totalCapital: cents(capital),
+            exposure: cents(positions.reduce((sum, pos) => sum + pos.value, 0)),
+            limit: cents(limit)
+        };
+        if (positions.length === 0) {
+            return { ...base, var: 0, cvar: 0, worstCase: 0, varPct: 0, clusters: [], correlations: [] };
+        }
+
+        const { pairs, pnl } = await model(positions, options);
+        const losses = pnl[0].map((_, s) => -pnl.reduce((sum, p) => sum + p[s], 0));
+        const tail = tailRisk(losses, confidence);
+
+        return {
+            ...base,
+            var: cents(tail.var),
+            cvar: cents(tail.cvar),
+            worstCase: cents(tail.worst),
+            varPct: capital > 0 ? tail.var / capital * 100 : 0,
+            clusters: correlatedClusters(positions, pairs),
+            correlations: [...pairs]
+                .sort((a, b) => Math.abs(b.positionRho) - Math.abs(a.positionRho))
+                .slice(0, MAX_PAIRS_REPORTED)
+                .map(({ i, j, rho, positionRho, n, source }) => ({
+                    a: { id: positions[i].id, question: positions[i].question, side: positions[i].side },
+                    b: { id: positions[j].id, question: positions[j].question, side: positions[j].side },
+                    rho: Math.round(rho * 1000) / 1000,
+                    positionRho: Math.round(positionRho * 1000) / 1000,
+                    overlap: n,
+                    source
+                }))
+        };
+    },
+
+    /**
+     * Entry gate: portfolio VaR with the candidate trade against MAX_VAR_PCT of total capital
+     * @param {Object} candidate - { marketId, question, category, side, price, amount, clobTokenIds }
+     * @param {Object} [options] - { fetchHistory, prices } as for assess()
+     * @returns {Promise<{ allowed: boolean, amount: number, before: number, after: number, limit: number, reason: string|null }>}
+     *   amount below candidate.amount when downsized; before / after: VaR without / with the trade
+     */
+    async checkTrade(candidate, options = {}) {
+        const S = settings();
+        if (S.ENABLED === false || !(candidate.amount > 0)) {
+            return { allowed: true, amount: candidate.amount, before: 0, after: 0, limit: null, reason: null };
+        }
+
+        const price = clamp(candidate.price || 0.5, MIN_PROB, 1 - MIN_PROB);
+        // One dollar of the candidate: its scenario PnL scales with the amount
+        const unit = toPosition({
+            id: 'candidate', marketId: candidate.marketId, question: candidate.question, category: candidate.category,
+            side: candidate.side, clobTokenIds: candidate.clobTokenIds, shares: 1 / price, entryPrice: price
+        });
+        const positions = [...openPositions(botState.activeTrades), unit];
+        const { pnl } = await model(positions, options);
+
+        const perDollar = pnl.pop();
+        const book = perDollar.map((_, s) => pnl.reduce((sum, p) => sum + p[s], 0));
+        const confidence = S.CONFIDENCE ?? 0.95;
+        const varAt = (amount) => tailRisk(book.map((v, s) => -(v + amount * perDollar[s])), confidence).var;
+
+        const limit = (S.MAX_VAR_PCT ?? 0.2) * totalCapital(botState.activeTrades);
+        const before = varAt(0);
+        const after = varAt(candidate.amount);
+        const result = { allowed: true, amount: candidate.amount, before: cents(before), after: cents(after), limit: cents(limit), reason: null };
+        // Under the limit, or a hedge that lowers the VaR
+        if (after <= limit || after <= before) return result;
+
+        // Largest size that keeps the VaR under the limit
+        let lo = 0, hi = candidate.amount;
+        if (before < limit) {
+            for (let k = 0; k < 20; k++) {
+                const mid = (lo + hi) / 2;
+                if (varAt(mid) <= limit) lo = mid;
+                else hi = mid;
+            }
+        }
+        const amount = Math.floor(lo * 100) / 100;
+        if (amount <= 0 || amount < (CONFIG.MIN_TRADE_SIZE || 0)) {
+            return {
+                ...result, allowed: false, amount: 0,
+                reason: `🧮 VaR limit: $${after.toFixed(0)} > $${limit.toFixed(0)} (${((S.MAX_VAR_PCT ?? 0.2) * 100).toFixed(0)}% capital, VaR actuelle $${before.toFixed(0)})`
+            };
+        }
+        return {
+            ...result, amount, after: cents(varAt(amount)),
+            reason: `🧮 VaR cap: $${candidate.amount.toFixed(0)} → $${amount.toFixed(0)} (VaR $${varAt(amount).toFixed(0)}/$${limit.toFixed(0)})`
+        };
+    },
+
+    /**
+     * Entry gate for a multi-leg position (event basket): the book with every leg added.
+     * No downsizing — the legs share one size, the basket is taken whole or refused.
+     * @param {Object[]} legs - Trades about to be opened (not yet in activeTrades)
+     * @param {Object} [options] - { fetchHistory, prices } as for assess()
+     * @returns {Promise<{ allowed: boolean, before: number, after: number, limit: number, reason: string|null }>}
+     */
+    async checkBasket(legs, options = {}) {
+        const S = settings();
+        const added = openPositions(legs);
+        if (S.ENABLED === false || added.length === 0) {
+            return { allowed: true, before: 0, after: 0, limit: null, reason: null };
+        }
+
+        const held = openPositions(botState.activeTrades);
+        const { pnl } = await model([...held, ...added], options);
+        const confidence = S.CONFIDENCE ?? 0.95;
+        const lossOf = (rows) => pnl[0].map((_, s) => -rows.reduce((sum, p) => sum + p[s], 0));
+
+        const limit = (S.MAX_VAR_PCT ?? 0.2) * totalCapital(botState.activeTrades);
+        const before = held.length > 0 ? tailRisk(lossOf(pnl.slice(0, held.length)), confidence).var : 0;
+        const after = tailRisk(lossOf(pnl), confidence).var;
+        const result = { allowed: true, before: cents(before), after: cents(after), limit: cents(limit), reason: null };
+        if (after <= limit || after <= before) return result;
+        return {
+            ...result, allowed: false,
+            reason: `🧮 VaR limit: basket x${added.length} → $${after.toFixed(0)} > $${limit.toFixed(0)} (${((S.MAX_VAR_PCT ?? 0.2) * 100).toFixed(0)}% capital, VaR actuelle $${before.toFixed(0)})`
+        };
+    }
+};
@@ -0,0 +1,424 @@
+/**
+ * SHADOW PORTFOLIOS - A/B test config profiles live, on paper (profileService.js)
+ *
+ * Each loop the main loop hands over the candidates it scanned. Every shadow profile
+ * then runs them through simulateTrade with its overrides on top of the live config
+ * and its own paper portfolio (capital, activeTrades, closedTrades, sleeves) swapped
+ * into botState — the replay / backtest isolation: skipPersistence keeps the live
+ * capital, trades, journal and executor untouched.
+ *
+ * CONFIG and botState are shared with the live bot, so nothing may yield to the event
+ * loop while a profile is swapped in: prices, order books and intraday trends are
+ * fetched first, and the dependencies injected into simulateTrade only read them.
+ *
+ * Simplified exits, checked on each loop's prices with the profile's config:
+ * resolution (≥0.99 / ≤0.01), dynamic stop (calculateDynamicStopLoss, -15% cap),
+ * take profit at SMART_EXIT.TP_MAP.MEDIUM (TAKE_PROFIT_PERCENT without SMART_EXIT, no
+ * partial exit) and TRADE_TIMEOUT_HOURS. Position groups are held to resolution.
+ * Live-only guards are skipped as in the replay (drawdown tiers, cooldowns, liquidity edge).
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+import { simulateTrade, calculateDynamicStopLoss, calculateIntradayTrend } from './engine.js';
+import { capitalSleeves } from './capitalSleeves.js';
+import { walkOrderBook } from './fillSimulator.js';
+import { getCLOBOrderBook } from '../api/clob_api.js';
+import { tokenIdOf } from '../services/marketDataFeed.js';
+import { configService } from '../services/configService.js';
+import { profileService } from '../services/profileService.js';
+
+const RESOLVED_HIGH = 0.99;
+const RESOLVED_LOW = 0.01;
+const MAX_LOSS_CAP = -0.15; // Same per-trade cap as the live exits
+
+// botState fields replaced by the shadow portfolio while a profile runs
+const PORTFOLIO_FIELDS = ['capital', 'startingCapital', 'activeTrades', 'closedTrades', 'capitalSleeves'];
+
+function settings() {
+    return CONFIG.SHADOW_PROFILES || {};
+}
+
+function portfolios() {
+    if (!botState.shadowPortfolios || typeof botState.shadowPortfolios !== 'object') botState.shadowPortfolios = {};
+    return botState.shadowPortfolios;
+}
+
+function createPortfolio() {
+    const startingCapital = settings().STARTING_CAPITAL || botState.startingCapital || CONFIG.STARTING_CAPITAL;
+    return {
+        startedAt: new Date().toISOString(),
+        startingCapital,
+        capital: startingCapital,
+        activeTrades: [],
+        closedTrades: [],
+        capitalSleeves: null, // created under the profile's CAPITAL_SLEEVES on the first run
+        equityHistory: [],    // { t, v: shadow equity, live: live equity } per loop
+        evaluated: 0,
+        lastCycle: null
+    };
+}
+
+function lastPrice(trade) {
+    return trade.priceHistory?.length > 0 ? trade.priceHistory[trade.priceHistory.length - 1] : trade.entryPrice;
+}
+
+function equityOf(capital, activeTrades) {
+    return capital + activeTrades.reduce((s, t) => s + t.shares * lastPrice(t), 0);
+}
+
+/**
+ * Run fn with the profile's overrides in CONFIG and its portfolio in botState.
+ * fn must be synchronous or only await already-resolved work (see header).
+ */
+async function withProfile(profile, portfolio, fn) {
+    const saved = {};
+    for (const key of PORTFOLIO_FIELDS) saved[key] = botState[key];
+    const restore = configService.overlay(profile.overrides);
+    try {
+        for (const key of PORTFOLIO_FIELDS) botState[key] = portfolio[key];
+        if (!portfolio.capitalSleeves) portfolio.capitalSleeves = botState.capitalSleeves = capitalSleeves.createState();
+        return await fn();
+    } finally {
+        portfolio.capitalSleeves = botState.capitalSleeves; // capitalSleeves.state() may have rebuilt it
+        for (const key of PORTFOLIO_FIELDS) botState[key] = saved[key];
+        restore();
+    }
+}
+
+/** Dependencies for simulateTrade reading only what prefetch() loaded */
+function buildDependencies(books, trends) {
+    const bookOf = (market, side) => {
+        const tokenId = tokenIdOf({ clobTokenIds: market.clobTokenIds, side });
+        return tokenId ? books.get(tokenId) ?? null : null;
+    };
+    return {
+        // Same check as the live checkLiquidityDepth: book up to +2% of the target price
+        checkLiquidityDepthFn: async (market, side, targetPrice, minimumUsdAmount) => {
+            const book = bookOf(market, side);
+            if (!book) return true; // live permits the trade when the book is unavailable
+            const fill = walkOrderBook(book, 'buy', { amountUsd: minimumUsdAmount }, { limitPrice: targetPrice * 1.02 });
+            return !!fill && fill.fullyFilled;
+        },
+        calculateIntradayTrendFn: async (marketId) => trends.get(marketId) ?? null,
+        simulateFillFn: async (market, side, amountUsd) => {
+            const book = bookOf(market, side);
+            const fill = book ? walkOrderBook(book, 'buy', { amountUsd }) : null;
+            return fill ? { ...fill, source: 'CLOB' } : null;
+        },
+        testSize: null,
+        isTest: false,
+        skipPersistence: true,
+        enforcePortfolioLimits: true,
+        reasonsCollector: []
+    };
+}
+
+/** Order books (both outcomes) and intraday trends of the candidates, shared by every shadow */
+async function prefetch(markets) {
+    const books = new Map();
+    const trends = new Map();
+    for (const market of markets) {
+        for (const side of ['YES', 'NO']) {
+            const tokenId = tokenIdOf({ clobTokenIds: market.clobTokenIds, side });
+            if (!tokenId || books.has(tokenId)) continue;
+            try {
+                books.set(tokenId, await getCLOBOrderBook(tokenId));
+            } catch {
+                books.set(tokenId, null);
+            }
+        }
+        try {
+            trends.set(market.id, await calculateIntradayTrend(market.id));
+        } catch {
+            trends.set(market.id, null);
+        }
+    }
+    return { books, trends };
+}
+
+function closeShadowTrade(portfolio, trade, exitPrice, reason) {
+    const finalValue = trade.shares * exitPrice;
+    const pnl = finalValue - trade.amount;
+    portfolio.capital += finalValue;
+    Object.assign(trade, {
+        status: 'CLOSED',
+        endTime: new Date().toISOString(),
+        exitPrice,
+        finalValue,
+        pnl,
+        profit: pnl,
+        closeReason: reason
+    });
+    portfolio.activeTrades.splice(portfolio.activeTrades.indexOf(trade), 1);
+    portfolio.closedTrades.unshift(trade);
+    const maxClosed = settings().MAX_CLOSED_TRADES ?? 200;
+    if (portfolio.closedTrades.length > maxClosed) portfolio.closedTrades.length = maxClosed;
+    capitalSleeves.recordPnL(trade.strategy, pnl, portfolio.capitalSleeves);
+}
+
+/**
+ * Exit checks on the loop's prices — runs inside withProfile (profile config)
+ * @param {Map} marks - trade id → price (null when unavailable)
+ */
+function runShadowExits(portfolio, marks) {
+    for (const trade of [...portfolio.activeTrades]) {
+        const price = marks.get(trade.id);
+        const ageHours = (Date.now() - new Date(trade.startTime).getTime()) / (1000 * 60 * 60);
+        const timeoutHours = CONFIG.TRADE_TIMEOUT_HOURS || 48;
+
+        if (price === null || price === undefined || isNaN(price)) {
+            if (ageHours >= timeoutHours) closeShadowTrade(portfolio, trade, lastPrice(trade), `STALE: pas de prix après ${ageHours.toFixed(0)}h`);
+            continue;
+        }
+        trade.priceHistory = trade.priceHistory || [];
+        trade.priceHistory.push(price);
+        if (trade.priceHistory.length > 50) trade.priceHistory.shift();
+
+        if (price >= RESOLVED_HIGH || price <= RESOLVED_LOW) {
+            closeShadowTrade(portfolio, trade, price >= RESOLVED_HIGH ? 1 : 0, 'RESOLVED');
+            continue;
+        }
+        if (trade.groupId) continue;
+
+        const pnlPercent = trade.amount > 0 ? (trade.shares * price - trade.amount) / trade.amount : 0;
+        trade.maxReturn = Math.max(trade.maxReturn || 0, pnlPercent);
+
+        const { requiredStopPercent } = calculateDynamicStopLoss(trade, pnlPercent, trade.maxReturn);
+        if (pnlPercent <= requiredStopPercent) {
+            const exitPrice = pnlPercent < MAX_LOSS_CAP ? (trade.amount * (1 + MAX_LOSS_CAP)) / trade.shares : price;
+            closeShadowTrade(portfolio, trade, exitPrice, `${requiredStopPercent >= 0 ? 'TRAILING STOP' : 'STOP LOSS'}: ${(pnlPercent * 100).toFixed(1)}%`);
+            continue;
+        }
+        const tpPercent = CONFIG.SMART_EXIT?.TP_MAP?.MEDIUM ?? CONFIG.TAKE_PROFIT_PERCENT ?? 0.10;
+        if (pnlPercent >= tpPercent) {
+            closeShadowTrade(portfolio, trade, price, `TAKE PROFIT: ${(pnlPercent * 100).toFixed(1)}%`);
+            continue;
+        }
+        if (ageHours >= timeoutHours) {
+            closeShadowTrade(portfolio, trade, price, `TIMEOUT: ${ageHours.toFixed(1)}h`);
+        }
+    }
+}
+
+/** Entries on the loop's candidates — runs inside withProfile */
+async function runShadowEntries(portfolio, candidates, pizzaData, dependencies) {
+    const maxOpen = CONFIG.BASE_MAX_TRADES || 10;
+    const perCycle = settings().TRADES_PER_CYCLE ?? 1;
+    let opened = 0;
+
+    for (const { market, isFresh } of candidates) {
+        if (opened >= perCycle || portfolio.activeTrades.length >= maxOpen) break;
+        if (portfolio.capital < CONFIG.MIN_TRADE_SIZE) break;
+        if (portfolio.activeTrades.some(t => t.marketId === market.id)) continue;
+
+        portfolio.evaluated++;
+        dependencies.reasonsCollector = [];
+        botState.capital = portfolio.capital;
+        botState.activeTrades = [...portfolio.activeTrades];
+
+        let result = null;
+        try {
+            result = await simulateTrade(market, pizzaData, isFresh, dependencies);
+        } catch {
+            continue;
+        }
+        if (!result) continue;
+
+        for (const trade of Array.isArray(result) ? result : [result]) {
+            trade.shadow = true;
+            trade.priceHistory = [trade.entryPrice];
+            portfolio.capital -= trade.amount;
+            portfolio.activeTrades.unshift(trade);
+        }
+        opened++;
+    }
+    return opened;
+}
+
+/** Realized / unrealized results of the trades opened since `since` */
+function tradeStats(activeTrades, closedTrades, since, startingCapital) {
+    const inWindow = (t) => !since || t.startTime >= since;
+    const closed = closedTrades.filter(inWindow);
+    const open = activeTrades.filter(inWindow);
+    const pnlOf = (t) => t.pnl ?? t.profit ?? 0;
+    const wins = closed.filter(t => pnlOf(t) > 0).length;
+    const realizedPnL = closed.reduce((s, t) => s + pnlOf(t), 0);
+    const unrealizedPnL = open.reduce((s, t) => s + t.shares * lastPrice(t) - (t.amount || 0), 0);
+    const totalPnL = realizedPnL + unrealizedPnL;
+
+    const byStrategy = {};
+    for (const t of [...closed, ...open]) {
+        const key = t.strategy || 'unknown';
+        if (!byStrategy[key]) byStrategy[key] = { trades: 0, pnl: 0 };
+        byStrategy[key].trades++;
+        byStrategy[key].pnl += t.status === 'CLOSED' ? pnlOf(t) : t.shares * lastPrice(t) - (t.amount || 0);
+    }
+
+    return {
+        trades: closed.length + open.length,
+        open: open.length,
+        closed: closed.length,
+        wins,
+        losses: closed.length - wins,
+        winRate: closed.length > 0 ? wins / closed.length : null,
+        realizedPnL,
+        unrealizedPnL,
+        totalPnL,
+        returnPct: startingCapital > 0 ? (totalPnL / startingCapital) * 100 : 0,
+        avgPnL: closed.length > 0 ? realizedPnL / closed.length : null,
+        byStrategy
+    };
+}
+
+function maxDrawdownPct(series) {
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    for (const v of series) {
+        if (v > peak) peak = v;
+        if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - v) / peak);
+    }
+    return maxDrawdown * 100;
+}
+
+export const shadowPortfolios = {
+    /**
+     * One portfolio per shadow profile: create the missing ones, drop those of
+     * deleted or promoted profiles
+     * @returns {Array<{ profile, portfolio }>}
+     */
+    sync() {
+        const all = portfolios();
+        const shadows = profileService.shadows();
+        const names = new Set(shadows.map(p => p.name));
+        for (const name of Object.keys(all)) {
+            if (!names.has(name)) delete all[name];
+        }
+        return shadows.map(profile => {
+            if (!all[profile.name]) all[profile.name] = createPortfolio();
+            return { profile, portfolio: all[profile.name] };
+        });
+    },
+
+    get(name) {
+        this.sync();
+        return portfolios()[name] || null;
+    },
+
+    /** Start a shadow portfolio over (its profile's overrides changed, or on request) */
+    reset(name) {
+        if (!profileService.get(name) || profileService.liveName() === name) return null;
+        portfolios()[name] = createPortfolio();
+        return portfolios()[name];
+    },
+
+    /**
+     * One shadow loop, after the live one
+     * @param {Object} input
+     * @param {Object[]} input.candidates - { market, isFresh, priority }, the live scan order
+     * @param {Object} input.pizzaData
+     * @param {Function} input.priceOf - async (trade) → current price of the trade's side, or null
+     * @returns {Promise<Object[]>} Per profile: { name, opened, closed, equity }
+     */
+    async runCycle({ candidates = [], pizzaData = null, priceOf }) {
+        if (!settings().ENABLED) return [];
+        const shadows = this.sync();
+        if (shadows.length === 0) return [];
+
+        // 1. Everything that needs the network, before any profile is swapped in
+        const marks = new Map();
+        for (const { portfolio } of shadows) {
+            for (const trade of portfolio.activeTrades) {
+                try {
+                    marks.set(trade.id, priceOf ? await priceOf(trade) : null);
+                } catch {
+                    marks.set(trade.id, null);
+                }
+            }
+        }
+        const pool = candidates.slice(0, settings().MAX_CANDIDATES ?? 15);
+        const { books, trends } = await prefetch(pool.map(c => c.market));
+        const shadowCandidates = pool.map(c => ({
+            ...c,
+            market: {
+                ...c.market,
+                _orderBooks: Object.fromEntries(['YES', 'NO']
+                    .map(side => tokenIdOf({ clobTokenIds: c.market.clobTokenIds, side }))
+                    .filter(Boolean)
+                    .map(tokenId => [tokenId, books.get(tokenId) ?? null]))
+            }
+        }));
+
+        // 2. Exits then entries, one profile at a time
+        const liveEquity = equityOf(botState.capital, botState.activeTrades || []);
+        const results = [];
+        for (const { profile, portfolio } of shadows) {
+            try {
+                const closedBefore = portfolio.closedTrades.length;
+                const opened = await withProfile(profile, portfolio, async () => {
+                    runShadowExits(portfolio, marks);
+                    return runShadowEntries(portfolio, shadowCandidates, pizzaData, buildDependencies(books, trends));
+                });
+
+                const equity = equityOf(portfolio.capital, portfolio.activeTrades);
+                portfolio.equityHistory.push({ t: new Date().toISOString(), v: equity, live: liveEquity });
+                const maxPoints = settings().HISTORY_POINTS ?? 500;
+                if (portfolio.equityHistory.length > maxPoints) portfolio.equityHistory.splice(0, portfolio.equityHistory.length - maxPoints);
+                portfolio.lastCycle = new Date().toISOString();
+                results.push({ name: profile.name, opened, closed: Math.max(0, portfolio.closedTrades.length - closedBefore), equity });
+            } catch (e) {
+                console.warn(`Shadow ${profile.name} error:`, e.message);
+                results.push({ name: profile.name, error: e.message });
+            }
+        }
+        return results;
+    },
+
+    /** Summary of one portfolio (GET /api/profiles) */
+    summary(name) {
+        const portfolio = this.get(name);
+        if (!portfolio) return null;
+        return {
+            startedAt: portfolio.startedAt,
+            startingCapital: portfolio.startingCapital,
+            capital: portfolio.capital,
+            equity: equityOf(portfolio.capital, portfolio.activeTrades),
+            evaluated: portfolio.evaluated,
+            lastCycle: portfolio.lastCycle,
+            ...tradeStats(portfolio.activeTrades, portfolio.closedTrades, null, portfolio.startingCapital),
+            maxDrawdownPct: maxDrawdownPct(portfolio.equityHistory.map(p => p.v))
+        };
+    },
+
+    /**
+     * Every shadow against the live portfolio over the shadow's own lifetime:
+     * same trade stats on the live trades opened since the shadow started
+     * (live closedTrades only keeps the latest ones)
+     */
+    compare() {
+        const liveName = profileService.liveName();
+        return this.sync().map(({ profile, portfolio }) => {
+            const since = portfolio.startedAt;
+            const shadowStats = this.summary(profile.name);
+            const liveStats = tradeStats(botState.activeTrades || [], botState.closedTrades || [], since, portfolio.startingCapital);
+            return {
+                profile: profile.name,
+                description: profile.description,
+                overrides: profile.overrides,
+                against: liveName,
+                since,
+                shadow: shadowStats,
+                live: {
+                    ...liveStats,
+                    maxDrawdownPct: maxDrawdownPct(portfolio.equityHistory.map(p => p.live))
+                },
+                delta: {
+                    totalPnL: shadowStats.totalPnL - liveStats.totalPnL,
+                    returnPct: shadowStats.returnPct - liveStats.returnPct,
+                    winRate: shadowStats.winRate !== null && liveStats.winRate !== null ? shadowStats.winRate - liveStats.winRate : null
+                },
+                equityHistory: portfolio.equityHistory
+            };
+        });
+    }
+};
@@ -0,0 +1,163 @@
+/**
+ * SIGNAL ATTRIBUTION - which signals made (or lost) the money
+ *
+ * Realized: a closed trade's PnL is split across the signals behind it in proportion
+ * to what they added — their conviction points (calculateConviction, trade.signals),
+ * and SIGNAL_ATTRIBUTION.ENTRY_POINTS for the entry strategy that picked the side.
+ * Signals that took points away get no share. Each dollar is attributed once, so the
+ * strategies add up to the total PnL. Trades from before trade.signals are split
+ * evenly across the strategies their reasons name.
+ *
+ * Marginal ("what if this signal were off"): each journaled decision that went through
+ * conviction is re-scored without one signal — fewer points against the gate it had
+ * to clear (journal conviction.minPoints), a lower confidence tier, a smaller Kelly
+ * stake. A trade that would no longer clear the gate, or lose its entry strategy, loses
+ * its whole PnL; a trade that would still be taken has its PnL scaled by the stake
+ * ratio. Rejected candidates the switch would have let through are only counted —
+ * their PnL is unknown.
+ */
+
+import { CONFIG } from '../config.js';
+import { strategyRegistry } from './strategyRegistry.js';
+import { convictionConfidence, kellyStake } from './engine.js';
+import { tradeHistory } from '../services/tradeHistory.js';
+import { decisionJournal } from '../services/decisionJournal.js';
+
+const pnlOf = (trade) => trade.pnl ?? trade.profit ?? 0;
+const cents = (v) => Math.round(v * 100) / 100;
+
+function entryPoints() {
+    return CONFIG.SIGNAL_ATTRIBUTION?.ENTRY_POINTS ?? 20;
+}
+
+/**
+ * Share of the trade's PnL per strategy (sums to 1)
+ * @returns {{ shares: Object<string, number>, legacy: boolean }}
+ */
+export function signalShares(trade) {
+    const signals = trade.signals || trade.metadata?.signals;
+    if (signals?.length) {
+        const weights = {};
+        for (const s of signals) {
+            const weight = s.entry ? entryPoints() : Math.max(0, s.points || 0);
+            if (weight > 0) weights[s.strategy] = (weights[s.strategy] || 0) + weight;
+        }
+        const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+        if (total > 0) {
+            return { shares: Object.fromEntries(Object.entries(weights).map(([id, w]) => [id, w / total])), legacy: false };
+        }
+        return { shares: { [strategyRegistry.attribute(trade)]: 1 }, legacy: false };
+    }
+
+    const ids = [...strategyRegistry.influences(trade)];
+    if (ids.length === 0) ids.push(strategyRegistry.attribute(trade));
+    return { shares: Object.fromEntries(ids.map(id => [id, 1 / ids.length])), legacy: true };
+}
+
+// What the decision would have been without one strategy's contribution
+function withoutSignal(entry, strategy) {
+    const c = entry.conviction;
+    const delta = c.signals.filter(s => s.strategy === strategy).reduce((sum, s) => sum + s.points, 0);
+    const points = c.points - delta;
+    const passes = strategy !== c.entryStrategy && (c.minPoints === null || c.minPoints === undefined || points >= c.minPoints);
+    if (!passes || !entry.tradeExecuted) return { points, passes, stakeRatio: 0 };
+
+    // Later adjustments (momentum, AI feedback, exposure) stay: only the tier moves
+    const tier = (p) => p > 0 ? convictionConfidence(p) : c.entryConfidence;
+    const confidence = Math.max(0.01, Math.min(0.99, entry.confidence + tier(points) - tier(c.points)));
+    const price = entry.entryPrice;
+    const stakeRatio = price > 0 && price < 1 && entry.confidence ? kellyStake(confidence, price) / kellyStake(entry.confidence, price) : 1;
+    return { points, passes, stakeRatio };
+}
+
+export const signalAttribution = {
+    /**
+     * Realized PnL per strategy, apportioned by conviction points
+     * @param {Object[]} trades - Closed trades
+     * @returns {Object[]} one row per registered (or seen) strategy, largest |PnL| first
+     */
+    byStrategy(trades) {
+        const rows = Object.fromEntries(strategyRegistry.list().map(d => [d.id, {
+            strategy: d.id, influenced_trades: 0, wins: 0, total_pnl: 0, influenced_pnl: 0, share_sum: 0, legacy_trades: 0
+        }]));
+
+        for (const trade of trades) {
+            const pnl = pnlOf(trade);
+            const { shares, legacy } = signalShares(trade);
+            for (const [id, share] of Object.entries(shares)) {
+                const row = rows[id] ||= { strategy: id, influenced_trades: 0, wins: 0, total_pnl: 0, influenced_pnl: 0, share_sum: 0, legacy_trades: 0 };
+                row.influenced_trades++;
+                row.total_pnl += pnl * share;
+                row.influenced_pnl += pnl;
+                row.share_sum += share;
+                if (pnl > 0) row.wins++;
+                if (legacy) row.legacy_trades++;
+            }
+        }
+
+        const total = trades.length;
+        return Object.values(rows).map(({ wins, share_sum, ...row }) => ({
+            ...row,
+            total_pnl: cents(row.total_pnl),       // This strategy's share of the PnL
+            influenced_pnl: cents(row.influenced_pnl), // Full PnL of the trades it took part in
+            total_trades: total,
+            influence_percent: total > 0 ? (row.influenced_trades / total * 100) : 0,
+            win_rate_percent: row.influenced_trades > 0 ? (wins / row.influenced_trades * 100) : 0,
+            avg_share_percent: row.influenced_trades > 0 ? (share_sum / row.influenced_trades * 100) : 0
+        })).sort((a, b) => Math.abs(b.total_pnl) - Math.abs(a.total_pnl) || b.influenced_trades - a.influenced_trades);
+    },
+
+    /**
+     * Marginal value of each signal over the decision journal
+     * @param {Object} [filters] - { from, to, category } as decisionJournal.query
+     * @returns {Promise<{ decisions: number, executed: number, closed: number, strategies: Object[] }>}
+     */
+    async marginal({ from, to, category } = {}) {
+        const closedById = new Map(tradeHistory.all().map(t => [String(t.id), t]));
+        const rows = {};
+        const totals = { decisions: 0, executed: 0, closed: 0 };
+
+        await decisionJournal.scan({ from, to, category }, (entry) => {
+            const c = entry.conviction;
+            if (!c?.signals) return;
+            totals.decisions++;
+            const trade = entry.tradeExecuted ? closedById.get(String(entry.tradeId)) : null;
+            if (entry.tradeExecuted) totals.executed++;
+            if (trade) totals.closed++;
+
+            const strategies = new Set(c.signals.map(s => s.strategy));
+            if (c.entryStrategy) strategies.add(c.entryStrategy);
+            for (const strategy of strategies) {
+                const row = rows[strategy] ||= {
+                    strategy, decisions: 0, executed: 0, closed: 0, pnl: 0,
+                    marginal_pnl: 0, lost_trades: 0, lost_pnl: 0, resized_trades: 0, gained_candidates: 0
+                };
+                row.decisions++;
+                const what = withoutSignal(entry, strategy);
+
+                if (!entry.tradeExecuted) {
+                    // Rejected at the points gate, let through without a signal that took points away
+                    if (c.minPoints != null && c.points < c.minPoints && what.passes) row.gained_candidates++;
+                    continue;
+                }
+                row.executed++;
+                if (!trade) continue; // Still open
+                const pnl = pnlOf(trade);
+                row.closed++;
+                row.pnl += pnl;
+                if (!what.passes) {
+                    row.lost_trades++;
+                    row.lost_pnl += pnl;
+                } else if (Math.abs(what.stakeRatio - 1) > 1e-9) {
+                    row.resized_trades++;
+                }
+                row.marginal_pnl += pnl - pnl * what.stakeRatio;
+            }
+        });
+
+        const strategies = Object.values(rows)
+            .map(row => ({ ...row, pnl: cents(row.pnl), marginal_pnl: cents(row.marginal_pnl), lost_pnl: cents(row.lost_pnl) }))
+            .sort((a, b) => b.marginal_pnl - a.marginal_pnl);
+        return { ...totals, strategies };
+    }
+};
@@ -389,10 +389,15 @@ function computeFairValue(market, pizzaData, category) {
     return { pBot, pMarket, edge, signal, alphaBonus, reasons, nSignals };
 }
 
-function calculateAlphaScore(market, pizzaData) {
+/**
+ * Alpha score (0-100) of a market. Stores the matched signals on the market
+ * (_whaleMatch, _copyMatch, _quantSignal, ...) for the engine's conviction scoring.
+ * @param {Object} [options] - { now: Date for expiry math (replay), quiet: no sector events }
+ */
+export function calculateAlphaScore(market, pizzaData, options = {}) {
     let score = 0;
     const reasons = [];
-    const now = new Date();
+    const now = options.now || new Date();
     const expiry = new Date(market.endDate);
     const daysToExpiry = (expiry - now) / (1000 * 60 * 60 * 24);
     const category = categorizeMarket(market.question);
@@ -596,6 +601,7 @@ function calculateAlphaScore(market, pizzaData) {
     // • All other markets → computeFairValue (multi-signal baseline)
     try {
         const quant = runQuantModel(market, botState.newsSentiment || []);
+        let forecast = quant.applicable ? { ...quant, model: 'quant' } : null;
         if (quant.applicable && quant.alphaBonus !== 0) {
             // Quant Pure fired — use its result, skip the basic fair value
             score += quant.alphaBonus;
@@ -609,14 +615,17 @@ function calculateAlphaScore(market, pizzaData) {
                 for (const r of qfv.reasons) reasons.push(r);
                 market._quantSignal = qfv;
             }
+            if (!forecast || qfv.alphaBonus !== 0) forecast = { ...qfv, model: 'fair_value' };
         }
+        // The bot's YES probability, signal or not — scored by calibration.js once the market resolves
+        market._fairValue = { pBot: forecast.pBot, pMarket: forecast.pMarket, model: forecast.model };
     } catch (e) {
         // Silent fail — quant module is additive, never a blocker
     }
 
     const finalScore = Math.max(0, Math.min(100, score));
 
-    if (finalScore > 75) {
+    if (finalScore > 75 && !options.quiet) {
         stateManager.addSectorEvent(category, 'ANALYSIS', `High Alpha: ${market.question.substring(0, 30)}...`, { score: finalScore.toFixed(0) });
     }
 
@@ -4,6 +4,8 @@
  * Analyzes backtest results and adjusts bot parameters (Adaptive AI).
  */
 
+import { CONFIG } from '../config.js';
+
 export const strategyAdapter = {
     /**
      * Calculates new learning parameters based on simulation performance.
@@ -107,6 +109,68 @@ export const strategyAdapter = {
         };
     },
 
+    /**
+     * Walk-forward overfit check (Phase 8). Uses the dispersion of the per-fold
+     * out-of-sample results when the backtest has folds, otherwise falls back to
+     * the single train/test comparison.
+     * @param {Object} result - runBacktestSimulation result
+     * @returns {{ isOverfit: boolean, reasons: string[], testROI: number, stability: Object|null }}
+     */
+    detectOverfit(result) {
+        const stability = result?.walkForward?.stability;
+        if (!stability || stability.folds < 2) return this.detectOverfitSingleSplit(result);
+
+        const T = CONFIG.BACKTEST?.OVERFIT || {};
+        const reasons = [];
+        const { meanTestROI, stdTestROI, positiveFolds, folds, meanTrainROI, sharpeRetention } = stability;
+
+        if (meanTestROI < (T.MIN_MEAN_TEST_ROI ?? -5)) {
+            reasons.push(`mean test ROI ${meanTestROI.toFixed(1)}%`);
+        }
+        if (meanTrainROI > 0 && positiveFolds / folds < (T.MIN_POSITIVE_FOLD_SHARE ?? 0.5)) {
+            reasons.push(`only ${positiveFolds}/${folds} folds profitable out-of-sample`);
+        }
+        if (stdTestROI > 2 && stdTestROI > (T.MAX_ROI_DISPERSION ?? 1.5) * Math.abs(meanTestROI)) {
+            reasons.push(`unstable test ROI (${meanTestROI.toFixed(1)}% ± ${stdTestROI.toFixed(1)})`);
+        }
+        if (sharpeRetention !== null && sharpeRetention < (T.MIN_SHARPE_RETENTION ?? 0.3)) {
+            reasons.push(`Sharpe degraded ${stability.meanTrainSharpe.toFixed(2)} -> ${stability.meanTestSharpe.toFixed(2)} (mean over folds)`);
+        }
+
+        const isOverfit = reasons.length >= 2 || meanTestROI < (T.HARD_FAIL_TEST_ROI ?? -10);
+        return { isOverfit, reasons, testROI: meanTestROI, stability };
+    },
+
+    /**
+     * Legacy check on one train/test pair (multi-metric)
+     */
+    detectOverfitSingleSplit(result) {
+        const testMetrics = result?.testMetrics;
+        const testROI = testMetrics?.roi ?? 0;
+        const trainWR = parseFloat(result?.summary?.winrate || '0');
+        const trainSharpe = result?.trainMetrics?.sharpeRatio ?? 0;
+        const testSharpe = testMetrics?.sharpeRatio ?? 0;
+
+        // Estimate test WR from test results
+        const testTradeCount = testMetrics?.sampleSize || 0;
+        const testWins = result?.tradeResults?.slice(-(testTradeCount || 0)).filter(t => t.pnl >= 0).length || 0;
+        const testWR = testTradeCount > 0 ? (testWins / testTradeCount * 100) : 0;
+
+        const reasons = [];
+        if (testMetrics && testROI < -10) {
+            reasons.push(`ROI ${testROI.toFixed(1)}% < -10%`);
+        }
+        if (trainSharpe > 0 && testSharpe < trainSharpe * 0.3) {
+            reasons.push(`Sharpe degraded ${trainSharpe.toFixed(2)} -> ${testSharpe.toFixed(2)}`);
+        }
+        if (trainWR > 0 && testWR < trainWR * 0.6 && testTradeCount >= 5) {
+            reasons.push(`WR dropped ${trainWR.toFixed(0)}% -> ${testWR.toFixed(0)}%`);
+        }
+
+        const isOverfit = reasons.length >= 2 || (reasons.length === 1 && testROI < -10);
+        return { isOverfit, reasons, testROI, stability: null };
+    },
+
     /**
      * Phase 6: Analyze per-strategy and per-category performance.
      * Returns overrides to disable losing strategies and boost winners.
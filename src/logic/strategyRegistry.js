@@ -0,0 +1,248 @@
+/**
+ * STRATEGY REGISTRY — single source of truth for what a strategy is
+ *
+ * Every strategy registers an id, its entry / conviction hooks, sizing caps and
+ * an enable flag (see builtinStrategies.js for the definition format). The engine
+ * asks the registry which strategy opens a trade and which signals back it, so
+ * trades carry `strategy` + structured `signals[]` instead of free-text reasons.
+ *
+ * Two ways to switch a strategy off:
+ *   - setEnabled(id, false)   manual toggle, persisted in botState.strategyToggles
+ *   - AI training             botState.strategyOverrides.disabledStrategies (scheduler / backtest)
+ * A manually disabled strategy is left out entirely (the next member of its group gets a
+ * chance). A suspended one still claims the markets it applies to but doesn't trade them,
+ * and the suspension shows up in the decision reasons.
+ */
+
+import { botState } from '../state.js';
+import { BUILTIN_STRATEGIES } from './builtinStrategies.js';
+
+export class StrategyRegistry {
+    constructor() {
+        this.strategies = new Map();
+    }
+
+    /**
+     * @param {Object} definition - { id, label, entry?, conviction?, sizing?, patterns?, primary?, enabled? }
+     */
+    register(definition) {
+        if (!definition?.id || typeof definition.id !== 'string') throw new Error('Strategy definition needs a string id');
+        if (this.strategies.has(definition.id)) throw new Error(`Strategy "${definition.id}" is already registered`);
+        for (const hook of ['entry', 'conviction']) {
+            if (definition[hook] && typeof definition[hook].run !== 'function') {
+                throw new Error(`Strategy "${definition.id}": ${hook}.run must be a function`);
+            }
+        }
+        this.strategies.set(definition.id, {
+            label: definition.id,
+            patterns: [],
+            enabled: true,
+            ...definition
+        });
+        return this;
+    }
+
+    get(id) {
+        return this.strategies.get(id) || null;
+    }
+
+    has(id) {
+        return this.strategies.has(id);
+    }
+
+    /**
+     * Manual on/off state (the registered default unless toggled)
+     */
+    isEnabled(id) {
+        const def = this.strategies.get(id);
+        if (!def) return false;
+        const toggle = botState.strategyToggles?.[id];
+        return typeof toggle === 'boolean' ? toggle : def.enabled !== false;
+    }
+
+    /**
+     * Disabled by AI auto-training (rolling WR or backtest adaptation)
+     */
+    isSuspended(id) {
+        return !!botState.strategyOverrides?.disabledStrategies?.includes(id);
+    }
+
+    isActive(id) {
+        return this.isEnabled(id) && !this.isSuspended(id);
+    }
+
+    setEnabled(id, enabled) {
+        if (!this.strategies.has(id)) throw new Error(`Unknown strategy "${id}"`);
+        if (!botState.strategyToggles) botState.strategyToggles = {};
+        botState.strategyToggles[id] = !!enabled;
+    }
+
+    /**
+     * Public description of every strategy (API / dashboard)
+     */
+    list() {
+        return [...this.strategies.values()].map(def => ({
+            id: def.id,
+            label: def.label,
+            hooks: ['entry', 'conviction'].filter(h => def[h]),
+            sizing: def.sizing ? { ...def.sizing } : null,
+            enabled: this.isEnabled(def.id),
+            suspended: this.isSuspended(def.id)
+        }));
+    }
+
+    hooks(kind) {
+        return [...this.strategies.values()]
+            .filter(def => def[kind])
+            .sort((a, b) => a[kind].order - b[kind].order);
+    }
+
+    /**
+     * Run the entry hooks in order. Standalone hooks all run (a later one may override
+     * the side); within a group only the first hook that applies runs.
+     * @param {Object} ctx - { market, yesPrice, noPrice, category, pizzaData, checkLiquidityDepthFn, calculateIntradayTrendFn }
+     * @returns {Promise<Object>} { side, entryPrice, confidence, strategy, reasons, rejected, paired }
+     */
+    async selectEntry(ctx) {
+        const selection = { side: null, entryPrice: null, confidence: null, strategy: null, reason: null, reasons: [], rejected: false, paired: false };
+        const closedGroups = new Set();
+
+        for (const def of this.hooks('entry')) {
+            const { group } = def.entry;
+            if (group && closedGroups.has(group)) continue;
+            if (!this.isEnabled(def.id)) continue;
+
+            const hookCtx = { ...ctx, side: selection.side };
+            if (def.entry.applies && !def.entry.applies(hookCtx)) continue;
+            if (group) closedGroups.add(group);
+
+            if (this.isSuspended(def.id)) {
+                const overrides = botState.strategyOverrides || {};
+                selection.reasons.push(`Strategy "${def.id}" disabled by AI training (${overrides.reason || 'low WR'})`);
+                continue;
+            }
+
+            const result = await def.entry.run(hookCtx);
+            if (!result) continue;
+            if (result.reject) {
+                selection.reasons.push(result.reject);
+                selection.rejected = true;
+                return selection;
+            }
+            if (result.reason) selection.reasons.push(result.reason);
+            if (result.paired) {
+                Object.assign(selection, { strategy: def.id, reason: result.reason, paired: true });
+                return selection;
+            }
+            if (result.side) {
+                Object.assign(selection, {
+                    side: result.side,
+                    entryPrice: result.entryPrice,
+                    confidence: result.confidence,
+                    strategy: def.id,
+                    reason: result.reason
+                });
+            }
+        }
+        return selection;
+    }
+
+    /**
+     * Run the conviction hooks in order and collect their point contributions.
+     * A failing hook is skipped (signals are optional). A hook may veto the trade.
+     * @param {Object} ctx - { market, pizzaData, yesPrice, noPrice, category, volume24h, calculateIntradayTrendFn }
+     * @returns {Promise<Object>} { points, signals: [{strategy, points, label}], sizeMultiplier, rejected, rejectReason }
+     */
+    async collectConviction(ctx) {
+        const signals = [];
+        const state = { ...ctx, points: 0, signals };
+        let sizeMultiplier = 1.0;
+
+        for (const def of this.hooks('conviction')) {
+            if (!this.isActive(def.id)) continue;
+            const add = (points, label) => {
+                signals.push({ strategy: def.id, points, label });
+                state.points += points;
+            };
+            try {
+                const outcome = await def.conviction.run(state, add);
+                if (outcome?.sizeMultiplier) sizeMultiplier *= outcome.sizeMultiplier;
+                if (outcome?.reject) {
+                    return { points: state.points, signals, sizeMultiplier, rejected: true, rejectReason: outcome.reject };
+                }
+            } catch (e) {
+                console.warn(`Strategy ${def.id} conviction error:`, e.message);
+            }
+        }
+        return { points: state.points, signals, sizeMultiplier, rejected: false, rejectReason: null };
+    }
+
+    /**
+     * Size caps that apply to a trade: 'entry' rules only for the strategy that opened it,
+     * 'any' rules as soon as the strategy contributed a signal.
+     * @returns {{strategy: string, label: string, maxUsd?: number, maxCapitalPct?: number}[]}
+     */
+    sizingRules(entryStrategy, signals = []) {
+        const contributing = new Set(signals.map(s => s.strategy));
+        const rules = [];
+        for (const def of this.strategies.values()) {
+            if (!def.sizing) continue;
+            const applies = def.id === entryStrategy || (def.sizing.scope === 'any' && contributing.has(def.id));
+            if (applies) rules.push({ strategy: def.id, label: def.label, maxUsd: def.sizing.maxUsd, maxCapitalPct: def.sizing.maxCapitalPct });
+        }
+        return rules;
+    }
+
+    /**
+     * Strategy a new trade is filed under: the entry strategy, except that generic
+     * price-band entries ('standard') go to the primary signal that contributed most
+     * (e.g. weather, event_driven) — as the reason-based attribution used to do
+     */
+    primaryStrategy(entryStrategy, signals = []) {
+        if (entryStrategy && entryStrategy !== 'standard') return entryStrategy;
+        const totals = {};
+        for (const s of signals) {
+            if (!this.strategies.get(s.strategy)?.primary) continue;
+            totals[s.strategy] = (totals[s.strategy] || 0) + s.points;
+        }
+        const [best] = Object.entries(totals).filter(([, pts]) => pts > 0).sort((a, b) => b[1] - a[1]);
+        return best ? best[0] : 'standard';
+    }
+
+    /**
+     * Primary strategy of a trade: its own field, else the first legacy reason pattern that matches
+     */
+    attribute(trade) {
+        if ((trade.signals || trade.metadata?.signals)?.length || (trade.strategy && trade.strategy !== 'standard')) return trade.strategy || 'standard';
+        const reasonStr = reasonText(trade);
+        for (const def of this.strategies.values()) {
+            if (!(def.entry || def.primary)) continue;
+            if (def.patterns.some(p => reasonStr.includes(p))) return def.id;
+        }
+        return 'standard';
+    }
+
+    /**
+     * Every strategy that influenced a trade: structured signals when recorded,
+     * reason patterns for older trades and for strategies without hooks
+     * @returns {Set<string>}
+     */
+    influences(trade) {
+        const ids = new Set((trade.signals || trade.metadata?.signals || []).map(s => s.strategy));
+        const structured = ids.size > 0;
+        const reasonStr = reasonText(trade);
+        for (const def of this.strategies.values()) {
+            if (structured && (def.entry || def.conviction)) continue;
+            if (def.patterns.some(p => reasonStr.includes(p))) ids.add(def.id);
+        }
+        return ids;
+    }
+}
+
+function reasonText(trade) {
+    const reasons = trade.reasons || trade.decisionReasons || trade.metadata?.reasons || [];
+    return Array.isArray(reasons) ? reasons.join(' ') : String(reasons);
+}
+
+export const strategyRegistry = new StrategyRegistry();
+BUILTIN_STRATEGIES.forEach(def => strategyRegistry.register(def));
@@ -9,6 +9,17 @@ import { CONFIG } from '../config.js';
 import { simulateTrade } from '../logic/engine.js';
 import { getRelevantMarkets } from '../logic/signals.js';
 import { supabase } from '../services/supabaseService.js';
+import { decisionJournal } from '../services/decisionJournal.js';
+import { strategyRegistry } from '../logic/strategyRegistry.js';
+import { capitalSleeves } from '../logic/capitalSleeves.js';
+import { marketDataFeed, tokenIdOf } from '../services/marketDataFeed.js';
+import { eventStream, STREAM_EVENT_TYPES } from '../services/eventStream.js';
+import { authService, requireRole } from '../services/authService.js';
+import { auditLog, describeChange } from '../services/auditLog.js';
+import { configService } from '../services/configService.js';
+import { profileService } from '../services/profileService.js';
+import { shadowPortfolios } from '../logic/shadowPortfolios.js';
+import { tradeHistory } from '../services/tradeHistory.js';
 
 const router = express.Router();
 
@@ -27,10 +38,12 @@ router.get('/bot-data', (req, res) => {
 
         // Sanitize response: Exclude heavy data that has its own endpoint (marketCache)
         // Also exclude deepScanData if it's too large, but it's usually small metadata.
-        const { marketCache, ...lightState } = botState;
+        // auditLog has its own access rules (actors, IPs), shadow portfolios have /api/profiles
+        const { marketCache, auditLog: _auditLog, shadowPortfolios: _shadowPortfolios, calibration: _calibration, ...lightState } = botState;
 
         const data = {
             ...lightState,
+            changeLog: auditLog.changeLog(),
             profit,
             profitPercent
         };
@@ -64,10 +77,21 @@ router.get('/bot-data', (req, res) => {
     }
 });
 
+// Audit before/after of the resets
+function resetSnapshot() {
+    return {
+        capital: botState.capital,
+        activeTrades: (botState.activeTrades || []).length,
+        closedTrades: (botState.closedTrades || []).length,
+        totalTrades: botState.totalTrades
+    };
+}
+
 // Endpoint pour réinitialiser la TOTALITÉ du système (Supabase + Local)
-router.post('/reset', async (req, res) => {
+router.post('/reset', requireRole('admin'), async (req, res) => {
     console.log("💣 TOTAL RESET TRIGGERED via API");
     res.setHeader('Access-Control-Allow-Origin', '*');
+    const before = resetSnapshot();
 
     // 1. CLEAR SUPABASE (Using internal client which has full permissions)
     if (supabase) {
@@ -109,6 +133,9 @@ router.post('/reset', async (req, res) => {
         logs: [{ timestamp: new Date().toISOString(), message: "🚀 Système réinitialisé à $1000.", type: "success" }],
         whaleAlerts: [],
         arbitrageOpportunities: [],
+        eventArbOpportunities: [],
+        positionGroups: [],
+        weeklyDrawdown: { dailyPnL: {}, rollingPnL: 0, currentLossPct: 0, mode: 'NORMAL', trippedAt: null },
         newsSentiment: [],
         momentumData: {},
         apiStatus: {
@@ -123,6 +150,7 @@ router.post('/reset', async (req, res) => {
     });
 
     // 3. PERSISTENCE FIX (Updates bot_data.json and saves the now-empty bot_state table)
+    tradeHistory.clear();
     stateManager.save();
 
     // 4. Delete log files
@@ -132,9 +160,44 @@ router.post('/reset', async (req, res) => {
     }
 
     console.log(`✨ RESET COMPLETE. Capital: $${botState.capital}`);
+    describeChange(res, { action: 'reset.full', before, after: resetSnapshot(), summary: `☢️ Reset total (DB + local) — capital $${before.capital.toFixed(2)} → $${botState.capital}` });
     res.json({ success: true, message: "Système totalement réinitialisé (DB + Local)", capital: botState.capital });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// AUTH — dashboard login (API token exchanged for a session cookie)
+// ─────────────────────────────────────────────────────────────────────────────
+
+function sessionCookieOptions(req, maxAge) {
+    return { httpOnly: true, sameSite: 'strict', secure: req.secure, path: '/', maxAge };
+}
+
+// POST /api/auth/login — { token }
+router.post('/auth/login', (req, res) => {
+    const identity = authService.verifyToken((req.body || {}).token);
+    if (!identity) return res.status(401).json({ success: false, error: 'Token invalide' });
+
+    const session = authService.createSession(identity);
+    req.auth = { ...identity, via: 'session' }; // audit entry under the new identity
+    describeChange(res, { action: 'auth.login' });
+    res.cookie(CONFIG.AUTH.COOKIE_NAME, session.id, sessionCookieOptions(req, session.expiresAt - Date.now()));
+    addLog(botState, `🔐 Connexion dashboard: ${identity.name} (${identity.role})`, 'info');
+    res.json({ success: true, user: identity, expiresAt: new Date(session.expiresAt).toISOString() });
+});
+
+// POST /api/auth/logout
+router.post('/auth/logout', (req, res) => {
+    authService.destroySession(authService.sessionIdOf(req));
+    res.clearCookie(CONFIG.AUTH.COOKIE_NAME, sessionCookieOptions(req));
+    res.json({ success: true });
+});
+
+// GET /api/auth/session — who the dashboard is logged in as
+router.get('/auth/session', (req, res) => {
+    const user = req.auth ? { name: req.auth.name, role: req.auth.role } : null;
+    res.json({ success: true, authenticated: !!user, user, publicRead: !!CONFIG.AUTH.PUBLIC_READ });
+});
+
 // Health check endpoint pour Railway
 router.get('/health', (req, res) => {
     res.json({
@@ -381,15 +444,77 @@ router.get('/trade-archive', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/decisions
+ * Query the trade decision journal (executed + rejected candidates), newest first.
+ * Filters: marketId, executed (true|false), category, from, to (ISO dates), reason (substring), limit
+ */
+router.get('/decisions', async (req, res) => {
+    try {
+        const { marketId, category, from, to, reason, limit } = req.query;
+        let executed;
+        if (req.query.executed === 'true') executed = true;
+        else if (req.query.executed === 'false') executed = false;
+        else if (req.query.executed !== undefined) {
+            return res.status(400).json({ error: "executed doit valoir 'true' ou 'false'" });
+        }
+        for (const [name, value] of [['from', from], ['to', to]]) {
+            if (value && isNaN(Date.parse(value))) {
+                return res.status(400).json({ error: `Date invalide pour ${name}: ${value}` });
+            }
+        }
+
+        const decisions = await decisionJournal.query({ marketId, executed, category, from, to, reason, limit });
+        res.json({ count: decisions.length, decisions });
+    } catch (error) {
+        console.error('Decision journal error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/trades
+ * Trades newest first: status=closed (default) pages the full local history,
+ * status=open lists the active positions.
+ * Filters: strategy, category — paging: limit (1-500, default 50), cursor (nextCursor of the previous page)
+ */
+router.get('/trades', (req, res) => {
+    try {
+        const { status = 'closed', strategy, category, cursor, limit } = req.query;
+        if (status === 'open') {
+            const trades = (botState.activeTrades || []).filter(t =>
+                (!strategy || (t.strategy || 'standard') === strategy) && (!category || t.category === category));
+            return res.json({ status, count: trades.length, trades, nextCursor: null });
+        }
+        if (status !== 'closed') {
+            return res.status(400).json({ error: "status doit valoir 'open' ou 'closed'" });
+        }
+
+        const page = tradeHistory.page({ strategy, category, cursor, limit });
+        if (page.error) return res.status(400).json({ error: page.error });
+        res.json({ status, count: page.trades.length, trades: page.trades, nextCursor: page.nextCursor });
+    } catch (error) {
+        console.error('Trade history error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * POST /api/force-resync
  * Forces the bot to rebuild its state from Supabase trades table.
  * Useful after wallet resets or state corruption.
  */
-router.post('/force-resync', async (req, res) => {
+router.post('/force-resync', requireRole('admin'), async (req, res) => {
     try {
         addLog(botState, '🔄 Force resync requested via API...', 'warning');
+        const before = resetSnapshot();
         const recovered = await stateManager.tryRecovery();
+        describeChange(res, {
+            action: recovered ? 'reset.resync' : 'reset.state',
+            before,
+            after: resetSnapshot(),
+            summary: recovered ? '🔄 Force resync depuis Supabase' : '🔄 Force resync → reset complet à $1000'
+        });
 
         if (!recovered) {
             // tryRecovery didn't trigger — force a full reset to $1000
@@ -421,6 +546,13 @@ router.post('/force-resync', async (req, res) => {
 // MANUAL TRADE CONTROLS — Dashboard Edit Panel
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Latest known price (last in priceHistory, or entryPrice as fallback)
+function lastKnownPrice(trade) {
+    return (trade.priceHistory && trade.priceHistory.length > 0)
+        ? trade.priceHistory[trade.priceHistory.length - 1]
+        : (trade.entryPrice || 0.5);
+}
+
 // POST /api/trades/:id/close — Force close a trade immediately
 router.post('/trades/:id/close', (req, res) => {
     const { id } = req.params;
@@ -429,6 +561,12 @@ router.post('/trades/:id/close', (req, res) => {
 
     trade._manualClose = true;
     trade._manualCloseReason = '🖐️ Fermeture manuelle via Dashboard';
+    describeChange(res, {
+        action: 'trade.close', tradeId: id,
+        before: { status: trade.status || 'OPEN', amount: trade.amount, price: lastKnownPrice(trade) },
+        after: { manualClose: true },
+        summary: `🖐️ Fermeture manuelle: ${(trade.question || '').substring(0, 40)}`
+    });
     stateManager.save();
     addLog(botState, `🖐️ Fermeture manuelle déclenchée: ${(trade.question || '').substring(0, 40)}...`, 'warning');
     res.json({ success: true, message: 'Trade marqué pour fermeture au prochain cycle (~60s)' });
@@ -443,21 +581,23 @@ router.patch('/trades/:id/resize', (req, res) => {
     if (idx === -1) return res.status(404).json({ error: 'Trade non trouvé' });
     const trade = botState.activeTrades[idx];
 
+    if (trade.execution?.mode === 'live') {
+        return res.status(400).json({ error: 'Redimensionnement non supporté pour une position live (CLOB)' });
+    }
+
     const newSizeNum = parseFloat(newSize);
     if (isNaN(newSizeNum) || newSizeNum <= 0) {
         return res.status(400).json({ error: 'Montant invalide (doit être > 0)' });
     }
 
     const delta = newSizeNum - (trade.amount || 0);
+    const before = { amount: trade.amount, shares: trade.shares, capital: botState.capital };
 
     if (Math.abs(delta) < 0.01) {
         return res.json({ success: true, message: 'Aucun changement (même montant)' });
     }
 
-    // Use latest known price (last in priceHistory, or entryPrice as fallback)
-    const currentPrice = (trade.priceHistory && trade.priceHistory.length > 0)
-        ? trade.priceHistory[trade.priceHistory.length - 1]
-        : (trade.entryPrice || 0.5);
+    const currentPrice = lastKnownPrice(trade);
 
     if (delta > 0) {
         // Increasing — check capital availability
@@ -487,6 +627,11 @@ router.patch('/trades/:id/resize', (req, res) => {
         addLog(botState, `📉 Position réduite: ${(trade.question || '').substring(0, 30)}... -$${reduceAmt.toFixed(0)} → total $${trade.amount.toFixed(0)}`, 'info');
     }
 
+    describeChange(res, {
+        action: 'trade.resize', tradeId: id, before,
+        after: { amount: trade.amount, shares: trade.shares, capital: botState.capital, price: currentPrice },
+        summary: `💰 Taille: ${(trade.question || '').substring(0, 30)}... $${(before.amount || 0).toFixed(0)} → $${trade.amount.toFixed(0)}`
+    });
     stateManager.save();
     res.json({
         success: true,
@@ -508,6 +653,10 @@ router.patch('/trades/:id/sl', (req, res) => {
         return res.status(400).json({ error: 'Stop-loss invalide — entrer une valeur entre 1 et 50 (%)' });
     }
 
+    describeChange(res, {
+        action: 'trade.stop_loss', tradeId: id, before: { manualSL: trade.manualSL ?? null }, after: { manualSL: pct },
+        summary: `🛡️ Stop-Loss manuel: ${(trade.question || '').substring(0, 30)}... ${trade.manualSL ? `-${trade.manualSL}%` : 'auto'} → -${pct}%`
+    });
     trade.manualSL = pct;
     stateManager.save();
     addLog(botState, `🛡️ Stop-Loss manuel: ${(trade.question || '').substring(0, 30)}... → -${pct}%`, 'info');
@@ -527,10 +676,306 @@ router.patch('/trades/:id/tp', (req, res) => {
         return res.status(400).json({ error: 'Take-profit invalide — entrer une valeur entre 1 et 200 (%)' });
     }
 
+    describeChange(res, {
+        action: 'trade.take_profit', tradeId: id, before: { manualTP: trade.manualTP ?? null }, after: { manualTP: pct },
+        summary: `🎯 Take-Profit manuel: ${(trade.question || '').substring(0, 30)}... ${trade.manualTP ? `+${trade.manualTP}%` : 'auto'} → +${pct}%`
+    });
     trade.manualTP = pct;
     stateManager.save();
     addLog(botState, `🎯 Take-Profit manuel: ${(trade.question || '').substring(0, 30)}... → +${pct}%`, 'info');
     res.json({ success: true, manualTP: pct });
 });
 
+// GET /api/audit?tradeId=&actor=&action=trade.&since=&limit=100&archive=true
+// Manual interventions and config changes with before/after values, newest first.
+// archive=true reads the full history from Supabase instead of the last 500 local entries.
+// Client IPs are only shown to admins.
+router.get('/audit', async (req, res) => {
+    const { tradeId, actor, action, since } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const filters = { tradeId, actor, action, since, limit };
+
+    let entries = auditLog.list(filters);
+    let source = 'local';
+    if (req.query.archive === 'true') {
+        const archived = await auditLog.archive(filters);
+        if (!archived) return res.status(503).json({ success: false, error: 'Historique Supabase indisponible (voir AUDIT_LOG.sql)' });
+        entries = archived;
+        source = 'supabase';
+    }
+    if (!authService.hasRole(req.auth, 'admin')) entries = entries.map(({ ip, ...e }) => e);
+    res.json({ success: true, source, count: entries.length, entries });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RUNTIME CONFIG — layered CONFIG (defaults → file → env → runtime overrides)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/config — Effective CONFIG, the values set by each layer and where each override comes from
+router.get('/config', (req, res) => {
+    res.json({ success: true, ...configService.describe() });
+});
+
+// GET /api/config/schema — Every settable path with type, range, default, value and source
+router.get('/config/schema', (req, res) => {
+    res.json({ success: true, paths: configService.schema() });
+});
+
+// PATCH /api/config — { changes: { "KELLY_FRACTION": 0.12, "GEO_CLUSTERS.0.maxUsd": 100 }, reset: ["STOP_LOSS_PERCENT"], dryRun: true }
+// reset drops runtime overrides. Validated as a whole: one error and nothing is applied.
+router.patch('/config', requireRole('admin'), (req, res) => {
+    const { changes, reset, dryRun } = req.body || {};
+    const result = configService.update(changes, { reset, dryRun: dryRun === true || req.query.dryRun === 'true' });
+
+    if (!result.ok) {
+        return res.status(400).json({ success: false, error: 'Configuration invalide', errors: result.errors, changes: result.changes });
+    }
+    if (!result.dryRun && result.changes.length > 0) {
+        const fmt = (v) => JSON.stringify(v);
+        describeChange(res, {
+            action: 'config.update',
+            before: Object.fromEntries(result.changes.map(c => [c.path, c.before])),
+            after: Object.fromEntries(result.changes.map(c => [c.path, c.after])),
+            summary: `⚙️ Config: ${result.changes.map(c => `${c.path} ${fmt(c.before)} → ${fmt(c.after)}`).join(', ')}`
+        });
+        stateManager.save();
+        addLog(botState, `⚙️ Config appliquée à chaud: ${result.changes.map(c => c.path).join(', ')}`, 'info');
+    }
+    res.json({ success: true, dryRun: result.dryRun, changes: result.changes });
+});
+
+// POST /api/config/reload — Re-read bot_config.json and the CONFIG__* env vars, then re-apply every layer
+router.post('/config/reload', requireRole('admin'), (req, res) => {
+    const loaded = configService.load();
+    describeChange(res, { action: 'config.reload' });
+    res.json({ success: true, file: loaded.file, env: loaded.env, runtime: loaded.runtime, sources: loaded.sources });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONFIG PROFILES — named override sets, the non-live ones run as shadow portfolios
+// ─────────────────────────────────────────────────────────────────────────────
+
+function profileView(profile) {
+    return { ...profile, shadow: profile.live ? null : shadowPortfolios.summary(profile.name) };
+}
+
+// GET /api/profiles — Profiles (live first) with their shadow portfolio summary
+router.get('/profiles', (req, res) => {
+    res.json({ success: true, live: profileService.liveName(), profiles: profileService.list().map(profileView) });
+});
+
+// GET /api/profiles/compare — Each shadow against the live portfolio since the shadow started
+router.get('/profiles/compare', (req, res) => {
+    res.json({ success: true, live: profileService.liveName(), comparisons: shadowPortfolios.compare() });
+});
+
+// GET /api/profiles/:name — One profile with its shadow trades
+router.get('/profiles/:name', (req, res) => {
+    const profile = profileService.get(req.params.name);
+    if (!profile) return res.status(404).json({ success: false, error: 'Profil inconnu' });
+    const portfolio = profile.live ? null : shadowPortfolios.get(profile.name);
+    res.json({
+        success: true,
+        profile: profileView(profile),
+        activeTrades: portfolio?.activeTrades || [],
+        closedTrades: portfolio?.closedTrades || [],
+        equityHistory: portfolio?.equityHistory || []
+    });
+});
+
+// POST /api/profiles — { name: "tight-stops", description, overrides: { "STOP_LOSS_PERCENT": 0.05 } }
+router.post('/profiles', requireRole('admin'), (req, res) => {
+    const result = profileService.create(req.body || {});
+    if (!result.ok) return res.status(400).json({ success: false, error: 'Profil invalide', errors: result.errors });
+
+    shadowPortfolios.sync();
+    describeChange(res, {
+        action: 'profile.create',
+        after: { name: result.profile.name, overrides: result.profile.overrides },
+        summary: `👥 Profil shadow ${result.profile.name} créé (${Object.keys(result.profile.overrides).length} override(s))`
+    });
+    stateManager.save();
+    res.json({ success: true, profile: profileView(result.profile) });
+});
+
+// PATCH /api/profiles/:name — { description?, overrides? } — new overrides restart its shadow portfolio
+router.patch('/profiles/:name', requireRole('admin'), (req, res) => {
+    const before = profileService.get(req.params.name);
+    const { description, overrides } = req.body || {};
+    const result = profileService.update(req.params.name, { description, overrides });
+    if (!result.ok) {
+        return res.status(result.notFound ? 404 : 400).json({ success: false, error: result.notFound ? 'Profil inconnu' : 'Profil invalide', errors: result.errors });
+    }
+
+    if (result.overridesChanged) shadowPortfolios.reset(req.params.name);
+    describeChange(res, {
+        action: 'profile.update',
+        before: { description: before.description, overrides: before.overrides },
+        after: { description: result.profile.description, overrides: result.profile.overrides },
+        summary: result.overridesChanged ? `👥 Profil ${req.params.name}: overrides modifiés, portefeuille shadow réinitialisé` : null
+    });
+    stateManager.save();
+    res.json({ success: true, profile: profileView(result.profile) });
+});
+
+// DELETE /api/profiles/:name — Shadow profiles only
+router.delete('/profiles/:name', requireRole('admin'), (req, res) => {
+    const summary = shadowPortfolios.summary(req.params.name);
+    const result = profileService.remove(req.params.name);
+    if (!result.ok) {
+        return res.status(result.notFound ? 404 : 400).json({ success: false, error: result.errors[0].error });
+    }
+
+    shadowPortfolios.sync();
+    describeChange(res, {
+        action: 'profile.delete',
+        before: { name: result.profile.name, overrides: result.profile.overrides, shadow: summary },
+        summary: `👥 Profil shadow ${result.profile.name} supprimé`
+    });
+    stateManager.save();
+    res.json({ success: true });
+});
+
+// POST /api/profiles/:name/reset — Restart a shadow portfolio from its starting capital
+router.post('/profiles/:name/reset', (req, res) => {
+    const profile = profileService.get(req.params.name);
+    if (!profile) return res.status(404).json({ success: false, error: 'Profil inconnu' });
+    if (profile.live) return res.status(400).json({ success: false, error: 'Le profil live n\'a pas de portefeuille shadow' });
+
+    const before = shadowPortfolios.summary(profile.name);
+    shadowPortfolios.reset(profile.name);
+    describeChange(res, { action: 'profile.reset', before, after: { startedAt: shadowPortfolios.get(profile.name).startedAt } });
+    stateManager.save();
+    res.json({ success: true, profile: profileView(profileService.get(profile.name)) });
+});
+
+// POST /api/profiles/:name/promote — { dryRun } — the shadow's overrides become the live config
+router.post('/profiles/:name/promote', requireRole('admin'), (req, res) => {
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+    const shadow = shadowPortfolios.summary(req.params.name);
+    const result = profileService.promote(req.params.name, { dryRun });
+    if (!result.ok) {
+        const status = result.notFound ? 404 : 400;
+        return res.status(status).json({ success: false, error: result.notFound ? 'Profil inconnu' : 'Promotion impossible', errors: result.errors, changes: result.changes });
+    }
+
+    if (!dryRun) {
+        shadowPortfolios.sync();
+        const fmt = (v) => JSON.stringify(v);
+        const changed = result.changes.map(c => `${c.path} ${fmt(c.before)} → ${fmt(c.after)}`).join(', ') || 'aucune valeur changée';
+        describeChange(res, {
+            action: 'profile.promote',
+            before: { live: result.previous, config: Object.fromEntries(result.changes.map(c => [c.path, c.before])), shadow },
+            after: { live: req.params.name, config: Object.fromEntries(result.changes.map(c => [c.path, c.after])) },
+            summary: `👥 Profil ${req.params.name} promu en live (remplace ${result.previous}): ${changed}`
+        });
+        stateManager.save();
+        addLog(botState, `👥 Profil ${req.params.name} promu en live — ${result.previous} passe en shadow`, 'info');
+    }
+    res.json({ success: true, dryRun, previous: result.previous, changes: result.changes });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STRATEGY REGISTRY — list strategies and toggle them on/off
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/strategies — Registered strategies with their hooks, sizing caps and state
+router.get('/strategies', (req, res) => {
+    res.json({ success: true, strategies: strategyRegistry.list() });
+});
+
+// PATCH /api/strategies/:id — { enabled: true|false }
+router.patch('/strategies/:id', (req, res) => {
+    const { id } = req.params;
+    const { enabled } = req.body || {};
+
+    if (!strategyRegistry.has(id)) return res.status(404).json({ success: false, error: 'Stratégie inconnue' });
+    if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'enabled doit être true ou false' });
+    }
+
+    const wasEnabled = strategyRegistry.isEnabled(id);
+    strategyRegistry.setEnabled(id, enabled);
+    describeChange(res, {
+        action: 'strategy.toggle', before: { enabled: wasEnabled }, after: { enabled },
+        summary: `${enabled ? '✅' : '⏸️'} Stratégie ${id} ${enabled ? 'activée' : 'désactivée'} manuellement`
+    });
+    stateManager.save();
+    addLog(botState, `${enabled ? '✅' : '⏸️'} Stratégie ${id} ${enabled ? 'activée' : 'désactivée'} manuellement`, 'info');
+    res.json({ success: true, strategy: strategyRegistry.list().find(s => s.id === id) });
+});
+
+// GET /api/sleeves — Per-strategy capital sleeves: share, budget, deployed, PnL, drawdown
+router.get('/sleeves', (req, res) => {
+    res.json({ success: true, ...capitalSleeves.summary() });
+});
+
+// GET /api/event-arbitrage — NegRisk basket opportunities (last deep scan) and opened baskets
+router.get('/event-arbitrage', (req, res) => {
+    res.json({
+        success: true,
+        opportunities: botState.eventArbOpportunities || [],
+        baskets: (botState.positionGroups || []).filter(g => g.kind === 'EVENT_BASKET')
+    });
+});
+
+// GET /api/position-groups?status=OPEN|CLOSED — Multi-leg positions with their legs and mark
+router.get('/position-groups', (req, res) => {
+    const { status } = req.query;
+    const groups = (botState.positionGroups || []).filter(g =>
+        !status || (status === 'OPEN' ? g.status !== 'CLOSED' : g.status === status)
+    );
+    res.json({ success: true, groups });
+});
+
+// GET /api/market-feed — CLOB WebSocket status and the live book top of each open position
+router.get('/market-feed', (req, res) => {
+    const positions = (botState.activeTrades || []).map(t => {
+        const tokenId = tokenIdOf(t);
+        return { tradeId: t.id, question: t.question, side: t.side, tokenId, mid: tokenId ? marketDataFeed.getMid(tokenId) : null };
+    });
+    res.json({ success: true, feed: marketDataFeed.status(), positions });
+});
+
+// GET /api/stream?types=log,trade_closed — Server-Sent Events pushed as they happen
+// (log, trade_opened, trade_closed, price_update, tension_change, capital_snapshot).
+// Resumes after the Last-Event-ID header (sent by EventSource on reconnect) or ?lastEventId=;
+// a 'reset' event means events were lost and /api/bot-data must be reloaded.
+router.get('/stream', (req, res) => {
+    const types = req.query.types ? new Set(String(req.query.types).split(',').map(t => t.trim())) : null;
+    const unknown = types ? [...types].filter(t => !STREAM_EVENT_TYPES.includes(t)) : [];
+    if (unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Type(s) d'événement inconnu(s): ${unknown.join(', ')}` });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // no proxy buffering (Railway / nginx)
+    });
+    res.write('retry: 3000\n\n');
+
+    const send = (event) => {
+        if (types && !types.has(event.type)) return;
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${event.payload}\n\n`);
+    };
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const missed = eventStream.since(lastEventId);
+    if (!missed.complete) {
+        const { lastId } = eventStream.stats();
+        res.write(`${lastId ? `id: ${lastId}\n` : ''}event: reset\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+    } else {
+        missed.events.forEach(send);
+    }
+
+    const unsubscribe = eventStream.subscribe(send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
 export default router;
@@ -0,0 +1,179 @@
+/**
+ * AUDIT LOG - who changed what, when, through which endpoint, with before/after values
+ *
+ * API calls: authGuard writes one entry per mutating request once the response is
+ * sent (refused calls included). Handlers describe the change with
+ * describeChange(res, { action, tradeId, before, after, summary }) and the entry
+ * carries it. Automated changes (strategy auto-disable, sleeve rebalances, AI
+ * learning mode) call auditLog.record() directly with a system actor.
+ *
+ * Entries are kept newest first in botState.auditLog (saved with the state file)
+ * and inserted in the Supabase audit_log table (AUDIT_LOG.sql) for the full history.
+ * Entries with a summary also make up the dashboard changelog (changeLog()).
+ * Not cleared by the resets.
+ */
+
+import crypto from 'crypto';
+import { botState } from '../state.js';
+import { supabase } from './supabaseService.js';
+
+const MAX_ENTRIES = 500;
+
+// Changelog colour group of an action (dashboard "Modifs" tab)
+const CHANGE_TYPES = { trade: 'manual', reset: 'manual', strategy: 'strategy', sleeve: 'strategy', config: 'config', profile: 'config', ai: 'ai', module: 'module' };
+
+let tableMissing = false;
+
+async function persist(entry) {
+    if (!supabase || tableMissing) return;
+    try {
+        const { error } = await supabase.from('audit_log').insert({
+            id: entry.id,
+            created_at: entry.timestamp,
+            actor: entry.actor,
+            role: entry.role,
+            action: entry.action,
+            method: entry.method,
+            endpoint: entry.endpoint,
+            status: entry.status,
+            trade_id: entry.tradeId,
+            before: entry.before,
+            after: entry.after,
+            summary: entry.summary,
+            ip: entry.ip
+        });
+        if (error) {
+            if (/audit_log/.test(error.message)) {
+                tableMissing = true;
+                console.warn('audit_log table missing — run AUDIT_LOG.sql to keep the full audit history');
+            } else {
+                console.warn('Audit log insert error:', error.message);
+            }
+        }
+    } catch (e) {
+        console.warn('Audit log insert exception:', e.message);
+    }
+}
+
+/**
+ * Attach the change a handler made to the audit entry of the current request
+ * @param {Object} res - Express response
+ * @param {Object} change - { action, tradeId?, before?, after?, summary? }
+ */
+export function describeChange(res, change) {
+    res.locals.audit = { ...(res.locals.audit || {}), ...change };
+}
+
+export const auditLog = {
+    /**
+     * @param {Object} entry
+     * @param {string} entry.actor - Token/session name, or a system actor ('AutoBot', 'Auto-Training')
+     * @param {string} [entry.action] - e.g. 'trade.resize', 'strategy.toggle', 'reset.full'
+     * @param {string} [entry.method] / [entry.endpoint] / [entry.status] - API calls only
+     * @param {string} [entry.tradeId]
+     * @param {*} [entry.before] / [entry.after] - Values the change replaced / set
+     * @param {string} [entry.summary] - Human-readable line for the changelog
+     */
+    record(entry) {
+        if (!Array.isArray(botState.auditLog)) botState.auditLog = [];
+        const record = {
+            id: crypto.randomUUID(),
+            timestamp: entry.timestamp || new Date().toISOString(),
+            actor: entry.actor || 'anonymous',
+            role: entry.role ?? null,
+            action: entry.action || null,
+            method: entry.method ?? null,
+            endpoint: entry.endpoint ?? null,
+            status: entry.status ?? null,
+            tradeId: entry.tradeId ?? null,
+            before: entry.before ?? null,
+            after: entry.after ?? null,
+            summary: entry.summary ?? null,
+            ip: entry.ip ?? null
+        };
+        botState.auditLog.unshift(record);
+        if (botState.auditLog.length > MAX_ENTRIES) botState.auditLog.length = MAX_ENTRIES;
+        persist(record);
+        return record;
+    },
+
+    /**
+     * Local entries, newest first
+     * @param {Object} [filters] - { tradeId, actor, action (prefix), since (ISO), limit }
+     */
+    list({ tradeId, actor, action, since, limit = 100 } = {}) {
+        return (botState.auditLog || [])
+            .filter(e => (!tradeId || e.tradeId === tradeId)
+                && (!actor || e.actor === actor)
+                && (!action || (e.action || '').startsWith(action))
+                && (!since || e.timestamp >= since))
+            .slice(0, limit);
+    },
+
+    /**
+     * Full history from Supabase (same filters as list), null when unavailable
+     */
+    async archive({ tradeId, actor, action, since, limit = 100 } = {}) {
+        if (!supabase || tableMissing) return null;
+        let query = supabase.from('audit_log').select('*').order('created_at', { ascending: false }).limit(limit);
+        if (tradeId) query = query.eq('trade_id', tradeId);
+        if (actor) query = query.eq('actor', actor);
+        if (action) query = query.like('action', `${action}%`);
+        if (since) query = query.gte('created_at', since);
+        const { data, error } = await query;
+        if (error) {
+            console.error('❌ Supabase Audit Load Error:', error.message);
+            return null;
+        }
+        return data.map(row => ({
+            id: row.id,
+            timestamp: row.created_at,
+            actor: row.actor,
+            role: row.role,
+            action: row.action,
+            method: row.method,
+            endpoint: row.endpoint,
+            status: row.status,
+            tradeId: row.trade_id,
+            before: row.before,
+            after: row.after,
+            summary: row.summary,
+            ip: row.ip
+        }));
+    },
+
+    /**
+     * Dashboard changelog: the summarized, successful changes in the
+     * { date, type, what, by } shape of the former botState.changeLog
+     */
+    changeLog({ since, limit = 40 } = {}) {
+        return (botState.auditLog || [])
+            .filter(e => e.summary && (e.status === null || e.status < 400) && (!since || e.timestamp >= since))
+            .slice(0, limit)
+            .map(e => ({
+                date: e.timestamp,
+                type: CHANGE_TYPES[(e.action || '').split('.')[0]] || 'default',
+                what: e.summary,
+                by: e.actor,
+                tradeId: e.tradeId
+            }));
+    },
+
+    /**
+     * One-off move of the old free-form botState.changeLog into the audit log
+     */
+    migrateChangeLog() {
+        const legacy = botState.changeLog;
+        if (!Array.isArray(legacy) || legacy.length === 0) {
+            delete botState.changeLog;
+            return 0;
+        }
+        // Oldest first so the audit log stays newest first
+        for (const c of [...legacy].reverse()) {
+            this.record({ timestamp: c.date, actor: c.by || 'unknown', action: `${c.type || 'config'}.legacy`, summary: c.what });
+        }
+        botState.auditLog.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        delete botState.changeLog;
+        return legacy.length;
+    }
+};
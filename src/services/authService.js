@@ -0,0 +1,163 @@
+/**
+ * AUTH - API tokens, dashboard sessions and roles (viewer < operator < admin)
+ *
+ * Identities come from API_TOKENS="name:role:token,name:role:token". Scripts send
+ * the token as "Authorization: Bearer <token>" (or X-API-Key); the dashboards
+ * exchange it once on POST /api/auth/login for an HttpOnly session cookie.
+ * Without API_TOKENS a one-off admin token is generated at boot and printed on
+ * the console only — never through addLog, the bot logs are shown on the dashboard.
+ *
+ * authGuard is mounted on /api: reads need viewer (nothing with AUTH_PUBLIC_READ=true),
+ * writes need operator, requireRole('admin') guards the destructive routes.
+ * Every mutating call, allowed or refused, goes to the audit log.
+ */
+
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+import { auditLog } from './auditLog.js';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Paths relative to the /api mount
+const PUBLIC_PATHS = new Set(['/health', '/health-db', '/debug/ping', '/auth/login', '/auth/logout', '/auth/session']);
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+function settings() {
+    return CONFIG.AUTH || {};
+}
+
+export const authService = {
+    identities: null, // [{ name, role, hash }]
+    sessions: new Map(), // sessionId → { name, role, createdAt, expiresAt }
+
+    loadIdentities() {
+        if (this.identities) return this.identities;
+        this.identities = [];
+        for (const entry of (process.env.API_TOKENS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+            const [name, role, ...rest] = entry.split(':');
+            const token = rest.join(':'); // tokens may contain ':'
+            if (!name || !ROLES.includes(role) || token.length < 16) {
+                console.error(`❌ API_TOKENS: entrée ignorée "${name || '?'}" (format name:role:token, rôle ${ROLES.join('/')}, token ≥ 16 caractères)`);
+                continue;
+            }
+            this.identities.push({ name, role, hash: sha256(token) });
+        }
+        if (this.identities.length === 0) {
+            const token = crypto.randomBytes(24).toString('base64url');
+            this.identities.push({ name: 'admin', role: 'admin', hash: sha256(token) });
+            console.log('🔐 API_TOKENS non défini — token admin temporaire (valable jusqu\'au redémarrage), affiché sur la console uniquement');
+            // Straight to stdout: console.log is mirrored to logs.txt (utils.js)
+            process.stdout.write(`   ${token}\n`);
+        }
+        return this.identities;
+    },
+
+    /** Identity owning a raw token, or null (constant-time compare on the hashes) */
+    verifyToken(token) {
+        if (!token) return null;
+        const hash = sha256(token);
+        let match = null;
+        for (const identity of this.loadIdentities()) {
+            if (crypto.timingSafeEqual(hash, identity.hash) && !match) match = identity;
+        }
+        return match ? { name: match.name, role: match.role } : null;
+    },
+
+    createSession(identity, ttlMs = (settings().SESSION_TTL_HOURS ?? 12) * 3600 * 1000) {
+        this.pruneSessions();
+        const id = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+        this.sessions.set(id, { name: identity.name, role: identity.role, createdAt: now, expiresAt: now + ttlMs });
+        return { id, expiresAt: now + ttlMs };
+    },
+
+    getSession(id) {
+        const session = id ? this.sessions.get(id) : null;
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+        return session;
+    },
+
+    destroySession(id) {
+        if (id) this.sessions.delete(id);
+    },
+
+    pruneSessions() {
+        const now = Date.now();
+        for (const [id, session] of this.sessions) {
+            if (session.expiresAt <= now) this.sessions.delete(id);
+        }
+    },
+
+    sessionIdOf(req) {
+        const name = settings().COOKIE_NAME || 'pm_session';
+        for (const part of (req.headers.cookie || '').split(';')) {
+            const [key, ...value] = part.trim().split('=');
+            if (key === name) return decodeURIComponent(value.join('='));
+        }
+        return null;
+    },
+
+    /**
+     * Who is calling: API token first (scripts), then the session cookie (dashboards)
+     * @returns {{ name, role, via: 'token'|'session' }|null}
+     */
+    identify(req) {
+        const header = req.get('Authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('X-API-Key');
+        if (token) {
+            const identity = this.verifyToken(token);
+            return identity ? { ...identity, via: 'token' } : null;
+        }
+        const session = this.getSession(this.sessionIdOf(req));
+        return session ? { name: session.name, role: session.role, via: 'session' } : null;
+    },
+
+    hasRole(identity, role) {
+        return !!identity && ROLES.indexOf(identity.role) >= ROLES.indexOf(role);
+    }
+};
+
+/**
+ * Global /api middleware: identify the caller, audit mutations, enforce the
+ * viewer (read) / operator (write) floor
+ */
+export function authGuard(req, res, next) {
+    req.auth = authService.identify(req);
+    const mutating = !SAFE_METHODS.has(req.method);
+
+    if (mutating) {
+        // Handlers add action / trade / before / after through describeChange (auditLog.js)
+        res.on('finish', () => auditLog.record({
+            ...(res.statusCode < 400 ? res.locals.audit : { action: res.locals.audit?.action }),
+            actor: req.auth?.name || 'anonymous',
+            role: req.auth?.role || null,
+            method: req.method,
+            endpoint: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            ip: req.ip
+        }));
+    }
+
+    if (PUBLIC_PATHS.has(req.path)) return next();
+    if (!mutating && !req.auth && settings().PUBLIC_READ) return next();
+    return requireRole(mutating ? 'operator' : 'viewer')(req, res, next);
+}
+
+/** Route-level role check, e.g. router.post('/reset', requireRole('admin'), ...) */
+export function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.auth) {
+            return res.status(401).json({ success: false, error: 'Authentification requise' });
+        }
+        if (!authService.hasRole(req.auth, role)) {
+            return res.status(403).json({ success: false, error: `Rôle ${role} requis (vous êtes ${req.auth.role})` });
+        }
+        next();
+    };
+}
@@ -0,0 +1,324 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+
+/**
+ * BACKTEST DATASET STORE
+ * Local cache of resolved markets + CLOB price histories so backtests can run offline.
+ *
+ *   dataset-YYYY-MM-DD[.N].json  — versioned datasets built by `npm run dataset:sync`
+ *   <sha256>.json                — raw snapshots of live-fetched runs (for exact re-runs)
+ *
+ * A dataset version is never overwritten: a second sync on the same day with
+ * different data gets a `.N` suffix.
+ */
+
+const DATASET_REGEX = /^dataset-(\d{4}-\d{2}-\d{2}(?:\.\d+)?)\.json$/;
+const SNAPSHOT_REGEX = /^[a-f0-9]{64}\.json$/;
+
+// Rate limiting for CLOB API
+const CLOB_DELAY_MS = 200;
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function getDir() {
+    return CONFIG.BACKTEST?.DATASET_DIR || path.join(CONFIG.ROOT_DIR, 'backtest_datasets');
+}
+
+export function hashMarkets(markets) {
+    return crypto.createHash('sha256').update(JSON.stringify(markets)).digest('hex');
+}
+
+/**
+ * Fetch historical price data from Polymarket CLOB API.
+ * Returns array of {t, p} sorted by time, or null on failure.
+ */
+async function fetchHistoricalPrices(clobTokenId) {
+    if (!clobTokenId) return null;
+
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 8000);
+
+        const url = `https://clob.polymarket.com/prices-history?market=${clobTokenId}&interval=max&fidelity=60`;
+        const response = await fetch(url, {
+            signal: controller.signal,
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
+        });
+        clearTimeout(timeoutId);
+
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        if (!data?.history || !Array.isArray(data.history) || data.history.length < 5) return null;
+
+        return data.history
+            .map(point => ({ t: point.t, p: parseFloat(point.p) }))
+            .filter(point => !isNaN(point.p) && point.p > 0 && point.p < 1)
+            .sort((a, b) => a.t - b.t);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fetch real resolved markets from Polymarket's public API.
+ * Fetches multiple pages for a larger sample (Fix C).
+ * Attempts to get historical prices for each market (Fix A).
+ * Returns raw data only — random entry prices are drawn by the backtest
+ * so the dataset can be hashed and replayed.
+ * @param {Function} log
+ * @param {number} [pages] - Pages of 50 events (default CONFIG.BACKTEST.SYNC_PAGES)
+ */
+export async function fetchResolvedMarkets(log, pages = CONFIG.BACKTEST?.SYNC_PAGES || 3) {
+    try {
+        log(`Fetching resolved markets (${pages} pages)...`);
+        const allEvents = [];
+
+        for (let page = 0; page < pages; page++) {
+            try {
+                const url = `https://gamma-api.polymarket.com/events?closed=true&limit=50&offset=${page * 50}&order=volume24hr&ascending=false`;
+                const response = await fetch(url);
+                if (!response.ok) continue;
+                const events = await response.json();
+                allEvents.push(...events);
+            } catch {
+                // Skip failed pages
+            }
+        }
+
+        if (allEvents.length === 0) return [];
+
+        const resolvedMarkets = [];
+
+        for (const event of allEvents) {
+            if (!event.markets || event.markets.length === 0) continue;
+
+            for (const market of event.markets) {
+                if (!market.outcomePrices) continue;
+
+                let prices;
+                try {
+                    prices = typeof market.outcomePrices === 'string'
+                        ? JSON.parse(market.outcomePrices)
+                        : market.outcomePrices;
+                } catch { continue; }
+
+                if (!Array.isArray(prices) || prices.length < 2) continue;
+
+                const yesPrice = parseFloat(prices[0]);
+                const noPrice = parseFloat(prices[1]);
+
+                let actualWinner = null;
+                if (yesPrice > 0.95) actualWinner = 'YES';
+                else if (noPrice > 0.95) actualWinner = 'NO';
+                else continue;
+
+                const preResolutionSnapshot = {
+                    ...market,
+                    outcomePrices: market.outcomePrices,
+                    _isBacktestMarket: true
+                };
+
+                const volume = parseFloat(market.volume || market.volumeNum || 0);
+                const liquidity = parseFloat(market.liquidityNum || 0);
+
+                preResolutionSnapshot.volume24hr = volume || null;
+                preResolutionSnapshot.liquidityNum = liquidity || null;
+
+                resolvedMarkets.push({
+                    market: preResolutionSnapshot,
+                    actualWinner,
+                    originalQuestion: market.question,
+                    _priceHistory: null // Will be populated below
+                });
+            }
+        }
+
+        // Fetch historical prices for each market (rate limited)
+        let historicalCount = 0;
+
+        for (const entry of resolvedMarkets) {
+            let tokenIds = entry.market.clobTokenIds;
+            if (typeof tokenIds === 'string') {
+                try { tokenIds = JSON.parse(tokenIds); } catch { tokenIds = null; }
+            }
+            const tokenId = Array.isArray(tokenIds) && tokenIds.length >= 1 && typeof tokenIds[0] === 'string' && tokenIds[0].length > 10
+                ? tokenIds[0] : null;
+
+            if (tokenId) {
+                const history = await fetchHistoricalPrices(tokenId);
+                if (history && history.length >= 10) {
+                    entry._priceHistory = history;
+                    historicalCount++;
+                }
+                await sleep(CLOB_DELAY_MS);
+            }
+        }
+
+        log(`Price histories: ${historicalCount}/${resolvedMarkets.length} markets`);
+        return resolvedMarkets;
+    } catch (error) {
+        console.error('Failed to fetch resolved markets:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Convert public_history_data.json (scripts/fetch_public_history.js) into dataset entries.
+ * Its snapshot price becomes the entry price unless it was a simulated placeholder.
+ */
+function convertPublicHistory(examples) {
+    return examples
+        .filter(ex => ex?.simulated_market_state && (ex.actual_winner === 'YES' || ex.actual_winner === 'NO'))
+        .map(ex => {
+            const state = ex.simulated_market_state;
+            let snapshotPrice = null;
+            try {
+                const prices = typeof state.outcomePrices === 'string' ? JSON.parse(state.outcomePrices) : state.outcomePrices;
+                snapshotPrice = parseFloat(prices?.[0]);
+            } catch { /* keep null */ }
+
+            return {
+                market: { ...state, _isBacktestMarket: true },
+                actualWinner: ex.actual_winner,
+                originalQuestion: ex.question || state.question,
+                _priceHistory: null,
+                _snapshotPrice: !state._isSimulatedData && snapshotPrice > 0 && snapshotPrice < 1 ? snapshotPrice : null
+            };
+        });
+}
+
+function listDatasets() {
+    const dir = getDir();
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .map(name => {
+            const m = name.match(DATASET_REGEX);
+            if (!m) return null;
+            const stat = fs.statSync(path.join(dir, name));
+            return { version: m[1], path: path.join(dir, name), sizeBytes: stat.size, modifiedAt: stat.mtime.toISOString() };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+}
+
+async function readDataset(file) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+export const backtestDatasetStore = {
+    /**
+     * List dataset versions, oldest first (metadata from the file system only)
+     * @returns {{version: string, path: string, sizeBytes: number, modifiedAt: string}[]}
+     */
+    list() {
+        return listDatasets();
+    },
+
+    /**
+     * Load a dataset version
+     * @param {string} version - 'YYYY-MM-DD[.N]' or 'latest'
+     * @returns {Promise<Object|null>} { version, createdAt, source, hash, marketCount, withHistory, markets }
+     */
+    async load(version) {
+        const datasets = listDatasets();
+        const target = version === 'latest'
+            ? datasets[datasets.length - 1]
+            : datasets.find(d => d.version === version);
+        return target ? readDataset(target.path) : null;
+    },
+
+    /**
+     * Write a new dataset version for today. Reuses today's latest version when the data is identical.
+     * @param {Object[]} markets - Entries as returned by fetchResolvedMarkets
+     * @param {string} source - Where the data came from
+     * @returns {Promise<Object>} Dataset metadata (without markets)
+     */
+    async save(markets, source) {
+        const dir = getDir();
+        fs.mkdirSync(dir, { recursive: true });
+
+        const hash = hashMarkets(markets);
+        const day = new Date().toISOString().split('T')[0];
+        const todays = listDatasets().filter(d => d.version.split('.')[0] === day);
+
+        const latestToday = todays.length > 0 ? await readDataset(todays[todays.length - 1].path) : null;
+        if (latestToday?.hash === hash) {
+            const { markets: _, ...meta } = latestToday;
+            return { ...meta, unchanged: true };
+        }
+
+        const version = todays.length > 0 ? `${day}.${todays.length}` : day;
+        const dataset = {
+            version,
+            createdAt: new Date().toISOString(),
+            source,
+            hash,
+            marketCount: markets.length,
+            withHistory: markets.filter(m => m._priceHistory?.length >= 10).length,
+            markets
+        };
+        await fs.promises.writeFile(path.join(dir, `dataset-${version}.json`), JSON.stringify(dataset));
+
+        const { markets: _, ...meta } = dataset;
+        return meta;
+    },
+
+    /**
+     * Fetch resolved markets + price histories from Gamma/CLOB and store them as a new version
+     * @param {Object} options - { pages, log }
+     */
+    async sync(options = {}) {
+        const log = options.log || console.log;
+        const markets = await fetchResolvedMarkets(log, options.pages);
+        if (markets.length === 0) throw new Error('No resolved markets fetched (network or API issue)');
+        return this.save(markets, 'gamma+clob');
+    },
+
+    /**
+     * Import the legacy public_history_data.json as a dataset version
+     * @param {string} file - Path to public_history_data.json
+     */
+    async importPublicHistory(file) {
+        const examples = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        const markets = convertPublicHistory(Array.isArray(examples) ? examples : []);
+        if (markets.length === 0) throw new Error(`No usable markets in ${file}`);
+        return this.save(markets, path.basename(file));
+    },
+
+    /**
+     * Snapshot the raw markets of a live-fetched run under their hash, so it can be
+     * replayed on the exact same data. Oldest snapshots beyond DATASET_SNAPSHOTS_KEEP are pruned.
+     */
+    saveSnapshot(hash, markets) {
+        try {
+            const dir = getDir();
+            const file = path.join(dir, `${hash}.json`);
+            fs.mkdirSync(dir, { recursive: true });
+            if (!fs.existsSync(file)) fs.writeFileSync(file, JSON.stringify(markets));
+
+            const keep = CONFIG.BACKTEST?.DATASET_SNAPSHOTS_KEEP || 20;
+            const snapshots = fs.readdirSync(dir)
+                .filter(name => SNAPSHOT_REGEX.test(name))
+                .map(name => ({ path: path.join(dir, name), mtime: fs.statSync(path.join(dir, name)).mtimeMs }))
+                .sort((a, b) => b.mtime - a.mtime);
+            for (const old of snapshots.slice(keep)) fs.unlinkSync(old.path);
+        } catch (e) {
+            console.error('Failed to save backtest dataset snapshot:', e.message);
+        }
+    },
+
+    /**
+     * @param {string} hash - sha256 of the markets
+     * @returns {Promise<Object[]|null>}
+     */
+    async loadSnapshot(hash) {
+        if (!/^[a-f0-9]{64}$/.test(hash || '')) return null;
+        return readDataset(path.join(getDir(), `${hash}.json`));
+    }
+};
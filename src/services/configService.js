@@ -0,0 +1,449 @@
+/**
+ * CONFIG SERVICE - validated, layered runtime configuration (GET/PATCH /api/config)
+ *
+ * The value of every CONFIG leaf is taken from the highest layer that sets it:
+ *   runtime  botState.configOverrides (PATCH /api/config, saved with the state)
+ *   env      CONFIG__<PATH with __ as separator>=<JSON or plain string>
+ *            e.g. CONFIG__KELLY_FRACTION=0.12, CONFIG__GEO_CLUSTERS__0__maxUsd=100
+ *   file     bot_config.json next to bot_data.json (or CONFIG_FILE), nested like CONFIG
+ *   default  the CONFIG literal in config.js
+ *
+ * Paths are dotted: KELLY_FRACTION, CAPITAL_MANAGEMENT.MAX_POSITION_PCT,
+ * GEO_CLUSTERS.0.maxUsd. Arrays of objects are addressed by index, arrays of
+ * strings (keyword lists) are one value. Only paths that exist in the defaults can
+ * be set. A value must pass SCHEMA (type, range, enum) — or, for paths SCHEMA does
+ * not list, keep the type of its default (and stay ≥ 0 when the default is) — then
+ * the cross-field RULES run on the whole resulting config.
+ *
+ * Applying writes the leaves into the CONFIG object in place. Modules read CONFIG.X
+ * when they use it, so a change takes effect on the next loop / exit check without
+ * restarting anything. Paths marked runtime: false (storage, port, auth, execution
+ * wiring) can only come from the file or env layers and need a restart.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { botState } from '../state.js';
+import { addLog } from '../utils.js';
+
+const ENV_PREFIX = 'CONFIG__';
+
+// Snapshot of the literal before any layer is applied
+const DEFAULTS = JSON.parse(JSON.stringify(CONFIG));
+
+const fraction = { type: 'number', min: 0, max: 1 };
+const positiveFraction = { type: 'number', min: 0.001, max: 1 };
+const fixed = { runtime: false };
+
+// First matching pattern wins; '*' matches within one path segment
+const SCHEMA = [
+    // Storage, server, auth and execution wiring: file / env only
+    ['ROOT_DIR', fixed], ['DATA_FILE', fixed], ['PORT', fixed], ['ENABLE_GITHUB_SYNC', fixed],
+    ['STORAGE.*', fixed], ['DECISION_JOURNAL.DIR', fixed], ['BACKTEST.DATASET_DIR', fixed],
+    ['AUTH.*', fixed], ['MARKET_FEED.URL', fixed], ['MARKET_FEED.ENABLED', fixed],
+    ['EXECUTION.MODE', { type: 'string', enum: ['paper', 'live'], runtime: false }],
+    ['EXECUTION.*', fixed],
+
+    // Sizing
+    ['STARTING_CAPITAL', { type: 'number', min: 1 }],
+    ['POLL_INTERVAL_MINUTES', { type: 'number', min: 0.1, max: 60 }],
+    ['MIN_TRADE_SIZE', { type: 'number', min: 0 }],
+    ['MIN_PRICE_THRESHOLD', { type: 'number', min: 0, max: 0.5 }],
+    ['MAX_TRADE_SIZE_PERCENT', positiveFraction],
+    ['KELLY_FRACTION', fraction],
+    ['CAPITAL_MANAGEMENT.*', fraction],
+    ['CRYPTO_CAP.MAX_SIZE', { type: 'number', min: 0 }],
+    ['GEO_CLUSTERS.*.maxUsd', { type: 'number', min: 0 }],
+    ['BASE_MAX_TRADES', { type: 'integer', min: 1, max: 500 }],
+    ['COPY_TRADING.COPY_SIZE_PERCENT', { type: 'number', min: 0, max: 0.2 }],
+    ['COPY_TRADING.MAX_TRACKED_WALLETS', { type: 'integer', min: 1, max: 500 }],
+    ['CAPITAL_SLEEVES.ALLOCATIONS.*', fraction],
+    ['CAPITAL_SLEEVES.*_PCT', fraction],
+    ['CAPITAL_SLEEVES.REBALANCE_STEP', fraction],
+    ['CAPITAL_SLEEVES.DRAWDOWN_KELLY_MULT', fraction],
+
+    // Exits
+    ['TAKE_PROFIT_PERCENT', { type: 'number', min: 0.001, max: 10 }],
+    ['STOP_LOSS_PERCENT', positiveFraction],
+    ['TRADE_TIMEOUT_HOURS', { type: 'number', min: 1, max: 24 * 90 }],
+    ['DYNAMIC_SL.VOLATILITY_MAP.*', positiveFraction],
+    ['DYNAMIC_SL.SPECULATIVE_SL_OVERRIDE', positiveFraction],
+    ['DYNAMIC_SL.TRAILING_*', fraction],
+    ['DYNAMIC_SL.TIME_DECAY_PENALTY', fraction],
+    ['SMART_EXIT.TP_MAP.*', { type: 'number', min: 0.001, max: 10 }],
+    ['SMART_EXIT.PARTIAL_EXIT_RATIO', fraction],
+    ['POSITION_GROUPS.*.*_PCT', { type: 'number', min: 0.001, max: 1, nullable: true }],
+
+    // Loss limits
+    ['DAILY_LOSS_LIMIT', positiveFraction],
+    ['WEEKLY_LOSS_LIMIT', positiveFraction],
+    ['MONTHLY_DRAWDOWN.*_PCT', positiveFraction],
+    ['MONTHLY_DRAWDOWN.DEFENSIVE_SIZE_MULT', fraction],
+    ['WEEKLY_DRAWDOWN.WINDOW_DAYS', { type: 'integer', min: 1, max: 90 }],
+    ['WEEKLY_DRAWDOWN.*_PCT', positiveFraction],
+    ['WEEKLY_DRAWDOWN.*_SIZE_MULT', fraction],
+    ['STRATEGY_PERFORMANCE.*_WR', fraction],
+    ['STRATEGY_PERFORMANCE.MIN_TRADES_TO_EVALUATE', { type: 'integer', min: 1 }],
+    ['STRATEGY_PERFORMANCE.ROLLING_WINDOW', { type: 'integer', min: 1 }],
+
+    // Market feed / arbitrage
+    ['MARKET_FEED.MIN_MOVE', fraction],
+    ['MARKET_FEED.MAX_TOKENS', { type: 'integer', min: 1, max: 2000 }],
+    ['EVENT_ARB.MIN_EDGE', fraction],
+    ['EVENT_ARB.MAX_LEGS', { type: 'integer', min: 2, max: 50 }],
+
+    // Shadow profiles
+    ['SHADOW_PROFILES.MAX_PROFILES', { type: 'integer', min: 1, max: 5 }],
+    ['SHADOW_PROFILES.STARTING_CAPITAL', { type: 'number', min: 1, nullable: true }],
+    ['SHADOW_PROFILES.MAX_CANDIDATES', { type: 'integer', min: 1, max: 100 }],
+    ['SHADOW_PROFILES.TRADES_PER_CYCLE', { type: 'integer', min: 0, max: 10 }],
+    ['SHADOW_PROFILES.MAX_CLOSED_TRADES', { type: 'integer', min: 1, max: 5000 }],
+    ['SHADOW_PROFILES.HISTORY_POINTS', { type: 'integer', min: 1, max: 5000 }],
+
+    // Signal attribution
+    ['SIGNAL_ATTRIBUTION.ENTRY_POINTS', { type: 'number', min: 0, max: 100 }],
+
+    // Calibration
+    ['CALIBRATION.BUCKETS', { type: 'integer', min: 2, max: 50 }],
+    ['CALIBRATION.REFRESH_HOURS', { type: 'number', min: 0.1, max: 168, runtime: false }],
+    ['CALIBRATION.MAX_LOOKUPS', { type: 'integer', min: 1, max: 500 }],
+
+    // Settlement
+    ['SETTLEMENT.POLL_SECONDS', { type: 'integer', min: 30, max: 86400 }],
+    ['SETTLEMENT.RECONCILE_HOURS', { type: 'number', min: 0.1, max: 168, runtime: false }],
+    ['SETTLEMENT.RECONCILE_LOOKUPS', { type: 'integer', min: 0, max: 500 }],
+
+    // Risk engine
+    ['RISK_ENGINE.MAX_VAR_PCT', positiveFraction],
+    ['RISK_ENGINE.CONFIDENCE', { type: 'number', min: 0.5, max: 0.999 }],
+    ['RISK_ENGINE.SCENARIOS', { type: 'integer', min: 100, max: 20000 }],
+    ['RISK_ENGINE.BUCKET_MINUTES', { type: 'integer', min: 1, max: 1440 }],
+    ['RISK_ENGINE.HISTORY_INTERVAL', { type: 'string', enum: ['1d', '1w', '1m', 'max'] }],
+    ['RISK_ENGINE.*_PRIOR', { type: 'number', min: -1, max: 1 }],
+    ['RISK_ENGINE.CLUSTER_THRESHOLD', fraction],
+];
+
+const COMPILED_SCHEMA = SCHEMA.map(([pattern, spec]) => ({
+    pattern,
+    regex: new RegExp(`^${pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*')}$`),
+    spec
+}));
+
+// Cross-field consistency, checked on the whole candidate config
+const RULES = [
+    {
+        paths: ['MONTHLY_DRAWDOWN.DEFENSIVE_PCT', 'MONTHLY_DRAWDOWN.CONSERVATION_PCT', 'MONTHLY_DRAWDOWN.KILL_PCT'],
+        check: (c) => c.MONTHLY_DRAWDOWN.DEFENSIVE_PCT < c.MONTHLY_DRAWDOWN.CONSERVATION_PCT
+            && c.MONTHLY_DRAWDOWN.CONSERVATION_PCT < c.MONTHLY_DRAWDOWN.KILL_PCT,
+        error: 'Paliers mensuels: DEFENSIVE_PCT < CONSERVATION_PCT < KILL_PCT'
+    },
+    {
+        paths: ['WEEKLY_DRAWDOWN.CAUTION_PCT', 'WEEKLY_DRAWDOWN.REDUCED_PCT', 'WEEKLY_LOSS_LIMIT'],
+        check: (c) => c.WEEKLY_DRAWDOWN.CAUTION_PCT < c.WEEKLY_DRAWDOWN.REDUCED_PCT
+            && c.WEEKLY_DRAWDOWN.REDUCED_PCT < c.WEEKLY_LOSS_LIMIT,
+        error: 'Paliers hebdo: CAUTION_PCT < REDUCED_PCT < WEEKLY_LOSS_LIMIT'
+    },
+    {
+        paths: ['CAPITAL_SLEEVES.MIN_PCT', 'CAPITAL_SLEEVES.MAX_PCT'],
+        check: (c) => c.CAPITAL_SLEEVES.MIN_PCT <= c.CAPITAL_SLEEVES.MAX_PCT,
+        error: 'Sleeves: MIN_PCT ≤ MAX_PCT'
+    },
+    {
+        paths: ['CAPITAL_SLEEVES.ALLOCATIONS', 'CAPITAL_SLEEVES.GENERAL_MIN_PCT'],
+        check: (c) => Object.values(c.CAPITAL_SLEEVES.ALLOCATIONS).reduce((s, v) => s + v, 0) + c.CAPITAL_SLEEVES.GENERAL_MIN_PCT <= 1,
+        error: 'Sleeves: somme des ALLOCATIONS + GENERAL_MIN_PCT ≤ 1'
+    },
+    {
+        paths: ['STRATEGY_PERFORMANCE.AUTO_DISABLE_WR', 'STRATEGY_PERFORMANCE.AUTO_REENABLE_WR'],
+        check: (c) => c.STRATEGY_PERFORMANCE.AUTO_DISABLE_WR < c.STRATEGY_PERFORMANCE.AUTO_REENABLE_WR,
+        error: 'Stratégies: AUTO_DISABLE_WR < AUTO_REENABLE_WR'
+    },
+    {
+        paths: ['CALENDAR_EDGE.PRICE_MIN', 'CALENDAR_EDGE.PRICE_MAX', 'CALENDAR_EDGE.WINDOW_MIN_DAYS', 'CALENDAR_EDGE.WINDOW_MAX_DAYS'],
+        check: (c) => c.CALENDAR_EDGE.PRICE_MIN < c.CALENDAR_EDGE.PRICE_MAX
+            && c.CALENDAR_EDGE.WINDOW_MIN_DAYS <= c.CALENDAR_EDGE.WINDOW_MAX_DAYS,
+        error: 'Calendar edge: PRICE_MIN < PRICE_MAX et WINDOW_MIN_DAYS ≤ WINDOW_MAX_DAYS'
+    },
+    {
+        paths: ['MARKET_FEED.RECONNECT_MIN_MS', 'MARKET_FEED.RECONNECT_MAX_MS'],
+        check: (c) => c.MARKET_FEED.RECONNECT_MIN_MS <= c.MARKET_FEED.RECONNECT_MAX_MS,
+        error: 'Market feed: RECONNECT_MIN_MS ≤ RECONNECT_MAX_MS'
+    },
+];
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isLeafArray = (v) => Array.isArray(v) && v.every(x => x === null || typeof x !== 'object');
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** { 'A.B': value } for every leaf (primitives and arrays of primitives) */
+function flatten(obj, prefix = '', out = {}) {
+    const entries = Array.isArray(obj) ? obj.map((v, i) => [String(i), v]) : Object.entries(obj);
+    for (const [key, value] of entries) {
+        const p = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value) || (Array.isArray(value) && !isLeafArray(value))) flatten(value, p, out);
+        else out[p] = value;
+    }
+    return out;
+}
+
+function setPath(target, dotted, value) {
+    const keys = dotted.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (node[key] === undefined || node[key] === null) node[key] = {};
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+}
+
+/** Nested object from a flat map (for the cross-field rules) */
+function unflatten(flat) {
+    const out = JSON.parse(JSON.stringify(DEFAULTS));
+    for (const [p, value] of Object.entries(flat)) setPath(out, p, value);
+    return out;
+}
+
+const DEFAULT_LEAVES = flatten(DEFAULTS);
+
+function specOf(dotted) {
+    return COMPILED_SCHEMA.find(s => s.regex.test(dotted))?.spec || {};
+}
+
+/**
+ * Validate one value for a path
+ * @returns {string|null} error message
+ */
+function validateValue(dotted, value) {
+    if (!(dotted in DEFAULT_LEAVES)) return 'Clé inconnue';
+    const def = DEFAULT_LEAVES[dotted];
+    const spec = specOf(dotted);
+    if (value === null) return def === null || spec.nullable ? null : 'Valeur requise';
+
+    const type = spec.type || (def === null ? 'number' : Array.isArray(def) ? 'array' : typeof def);
+    if (type === 'number' || type === 'integer') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'Nombre attendu';
+        if (type === 'integer' && !Number.isInteger(value)) return 'Entier attendu';
+        const min = spec.min ?? (typeof def === 'number' && def >= 0 ? 0 : undefined);
+        if (min !== undefined && value < min) return `Doit être ≥ ${min}`;
+        if (spec.max !== undefined && value > spec.max) return `Doit être ≤ ${spec.max}`;
+    } else if (type === 'array') {
+        if (!Array.isArray(value)) return 'Liste attendue';
+        const itemType = def.length > 0 ? typeof def[0] : null;
+        if (itemType && value.some(v => typeof v !== itemType)) return `Liste de ${itemType} attendue`;
+    } else if (typeof value !== type) {
+        return `${type} attendu`;
+    }
+    if (spec.enum && !spec.enum.includes(value)) return `Valeurs possibles: ${spec.enum.join(', ')}`;
+    return null;
+}
+
+/** validateValue plus the runtime restriction — what a runtime override must pass */
+function overrideError(dotted, value) {
+    return validateValue(dotted, value) || (specOf(dotted).runtime === false ? 'Non modifiable à chaud (fichier / env + redémarrage)' : null);
+}
+
+function ruleErrors(flat) {
+    const config = unflatten(flat);
+    return RULES.filter(rule => {
+        try { return !rule.check(config); } catch { return true; }
+    }).map(rule => ({ path: rule.paths.join(', '), error: rule.error }));
+}
+
+function configFilePath() {
+    return process.env.CONFIG_FILE || path.join(path.dirname(CONFIG.DATA_FILE), 'bot_config.json');
+}
+
+function parseEnvValue(raw) {
+    try { return JSON.parse(raw); } catch { return raw; }
+}
+
+/** Keep the valid entries of a layer, report the others */
+function sanitizeLayer(name, values) {
+    const valid = {};
+    for (const [p, value] of Object.entries(values)) {
+        const error = validateValue(p, value);
+        if (error) console.error(`❌ Config ${name}: ${p} ignoré (${error})`);
+        else valid[p] = value;
+    }
+    return valid;
+}
+
+export const configService = {
+    layers: { file: {}, env: {} }, // runtime lives in botState.configOverrides
+
+    readFileLayer() {
+        const file = configFilePath();
+        if (!fs.existsSync(file)) return {};
+        try {
+            return sanitizeLayer('file', flatten(JSON.parse(fs.readFileSync(file, 'utf8'))));
+        } catch (e) {
+            console.error(`❌ Config file ${file} illisible: ${e.message}`);
+            return {};
+        }
+    },
+
+    readEnvLayer(env = process.env) {
+        const values = {};
+        for (const [key, raw] of Object.entries(env)) {
+            if (!key.startsWith(ENV_PREFIX)) continue;
+            values[key.slice(ENV_PREFIX.length).split('__').join('.')] = parseEnvValue(raw);
+        }
+        return sanitizeLayer('env', values);
+    },
+
+    runtimeLayer() {
+        if (!isPlainObject(botState.configOverrides)) botState.configOverrides = {};
+        return botState.configOverrides;
+    },
+
+    /** Flat effective config and the layer each overridden leaf comes from */
+    resolve(runtime = this.runtimeLayer()) {
+        const flat = { ...DEFAULT_LEAVES };
+        const sources = {};
+        for (const [name, layer] of [['file', this.layers.file], ['env', this.layers.env], ['runtime', runtime]]) {
+            for (const [p, value] of Object.entries(layer)) {
+                flat[p] = value;
+                sources[p] = name;
+            }
+        }
+        return { flat, sources };
+    },
+
+    /** Write the effective leaves into CONFIG (in place — references stay valid) */
+    apply(flat) {
+        const current = flatten(CONFIG);
+        for (const [p, value] of Object.entries(flat)) {
+            if (!sameValue(current[p], value)) setPath(CONFIG, p, Array.isArray(value) ? [...value] : value);
+        }
+    },
+
+    /**
+     * Read the file and env layers, drop saved overrides that no longer validate,
+     * apply everything (startup, POST /api/config/reload)
+     */
+    load() {
+        this.layers.file = this.readFileLayer();
+        this.layers.env = this.readEnvLayer();
+        const runtime = this.runtimeLayer();
+        for (const [p, value] of Object.entries(runtime)) {
+            const error = validateValue(p, value) || (specOf(p).runtime === false ? 'non modifiable à chaud' : null);
+            if (error) {
+                addLog(botState, `⚙️ Override config ${p} retiré (${error})`, 'warning');
+                delete runtime[p];
+            }
+        }
+        const { flat, sources } = this.resolve();
+        for (const { error } of ruleErrors(flat)) addLog(botState, `⚙️ Config incohérente: ${error}`, 'warning');
+        this.apply(flat);
+        return { file: Object.keys(this.layers.file).length, env: Object.keys(this.layers.env).length, runtime: Object.keys(runtime).length, sources };
+    },
+
+    /**
+     * Validate and (unless dryRun) apply runtime overrides.
+     * All-or-nothing: one invalid value and nothing is applied.
+     * @param {Object} changes - { 'PATH': value } (null is a value, for nullable paths)
+     * @param {Object} [options]
+     * @param {string[]} [options.reset] - Paths whose runtime override is removed (back to env / file / default)
+     * @param {boolean} [options.dryRun]
+     * @returns {{ ok, dryRun, changes: [{ path, before, after, source }], errors: [{ path, error }] }}
+     */
+    update(changes = {}, { reset = [], dryRun = false } = {}) {
+        const errors = [];
+        if (!isPlainObject(changes) || !Array.isArray(reset) || Object.keys(changes).length + reset.length === 0) {
+            return { ok: false, dryRun, changes: [], errors: [{ path: null, error: 'Aucun changement ({ changes: { "CHEMIN": valeur }, reset: ["CHEMIN"] } attendu)' }] };
+        }
+
+        const runtime = { ...this.runtimeLayer() };
+        for (const p of reset) {
+            if (!(p in DEFAULT_LEAVES)) errors.push({ path: p, error: 'Clé inconnue' });
+            else delete runtime[p];
+        }
+        for (const [p, value] of Object.entries(changes)) {
+            const error = overrideError(p, value);
+            if (error) errors.push({ path: p, error });
+            else runtime[p] = value;
+        }
+
+        const before = this.resolve();
+        const after = this.resolve(runtime);
+        if (errors.length === 0) {
+            // Only the inconsistencies this change introduces (the file / env layers may already carry some)
+            const existing = new Set(ruleErrors(before.flat).map(e => e.error));
+            errors.push(...ruleErrors(after.flat).filter(e => !existing.has(e.error)));
+        }
+
+        const diff = [...new Set([...reset, ...Object.keys(changes)])]
+            .filter(p => p in DEFAULT_LEAVES && !sameValue(before.flat[p], after.flat[p]))
+            .map(p => ({ path: p, before: before.flat[p], after: after.flat[p], source: after.sources[p] || 'default' }));
+
+        if (errors.length > 0) return { ok: false, dryRun, changes: diff, errors };
+        if (!dryRun) {
+            botState.configOverrides = runtime;
+            this.apply(after.flat);
+        }
+        return { ok: true, dryRun, changes: diff, errors: [] };
+    },
+
+    /**
+     * Check overrides meant to sit on top of the effective config without
+     * applying them (config profiles). Same checks as update().
+     * @returns {Array<{ path, error }>} empty when valid
+     */
+    validateOverrides(overrides) {
+        if (!isPlainObject(overrides)) return [{ path: null, error: 'Objet { "CHEMIN": valeur } attendu' }];
+        const errors = Object.entries(overrides)
+            .map(([p, value]) => ({ path: p, error: overrideError(p, value) }))
+            .filter(e => e.error);
+        if (errors.length > 0) return errors;
+        const { flat } = this.resolve();
+        const existing = new Set(ruleErrors(flat).map(e => e.error));
+        return ruleErrors({ ...flat, ...overrides }).filter(e => !existing.has(e.error));
+    },
+
+    /**
+     * Temporarily write overrides into CONFIG, like the backtest's applyConfigOverrides.
+     * Everything reading CONFIG until the restore sees them: callers must not
+     * yield to the event loop (timers, sockets, requests) in between.
+     * @returns {Function} Restores the previous values
+     */
+    overlay(overrides) {
+        const current = flatten(CONFIG);
+        const saved = Object.keys(overrides).map(p => [p, current[p]]);
+        for (const [p, value] of Object.entries(overrides)) setPath(CONFIG, p, Array.isArray(value) ? [...value] : value);
+        return () => {
+            for (const [p, value] of saved.reverse()) setPath(CONFIG, p, value);
+        };
+    },
+
+    /** Effective config with, per overridden path, the layer it comes from */
+    describe() {
+        const { sources } = this.resolve();
+        return {
+            config: CONFIG,
+            file: configFilePath(),
+            layers: { file: this.layers.file, env: this.layers.env, runtime: this.runtimeLayer() },
+            sources
+        };
+    },
+
+    /** Schema of every settable path: type, range, default, current value and source */
+    schema() {
+        const { flat, sources } = this.resolve();
+        return Object.keys(DEFAULT_LEAVES).map(p => {
+            const def = DEFAULT_LEAVES[p];
+            const spec = specOf(p);
+            return {
+                path: p,
+                type: spec.type || (def === null ? 'number' : Array.isArray(def) ? 'array' : typeof def),
+                min: spec.min ?? (typeof def === 'number' && def >= 0 ? 0 : null),
+                max: spec.max ?? null,
+                enum: spec.enum || null,
+                runtime: spec.runtime !== false,
+                default: def,
+                value: flat[p],
+                source: sources[p] || 'default'
+            };
+        });
+    }
+};
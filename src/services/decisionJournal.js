@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { storage } from './storage.js';
+
+/**
+ * DECISION JOURNAL
+ * Append-only JSONL log of every trade decision (executed or rejected).
+ * One file per day, rolled over by size, pruned after RETENTION_DAYS.
+ * With the SQLite storage backend the decisions table replaces the files.
+ */
+
+const FILE_PREFIX = 'trade_decisions-';
+const FILE_REGEX = /^trade_decisions-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+let currentFile = null;  // { day, index, path }
+
+function getJournalDir() {
+    return CONFIG.DECISION_JOURNAL?.DIR || path.join(CONFIG.ROOT_DIR, 'journal');
+}
+
+function fileName(day, index) {
+    return `${FILE_PREFIX}${day}${index > 0 ? `.${index}` : ''}.jsonl`;
+}
+
+/**
+ * List journal files, oldest first
+ * @returns {{day: string, index: number, path: string}[]}
+ */
+function listFiles() {
+    const dir = getJournalDir();
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .map(name => {
+            const m = name.match(FILE_REGEX);
+            return m ? { day: m[1], index: parseInt(m[2] || '0'), path: path.join(dir, name) } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.day === b.day ? a.index - b.index : a.day.localeCompare(b.day));
+}
+
+function pruneOldFiles() {
+    const retentionDays = CONFIG.DECISION_JOURNAL?.RETENTION_DAYS || 30;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    for (const f of listFiles()) {
+        if (f.day < cutoff) {
+            try { fs.unlinkSync(f.path); } catch { /* already gone */ }
+        }
+    }
+}
+
+/**
+ * Epoch ms of a from / to filter. A bare date as upper bound covers the whole day.
+ * @throws {Error} on an unparseable date
+ */
+function dateBound(value, endOfDay = false) {
+    if (!value) return null;
+    const ms = Date.parse(value);
+    if (isNaN(ms)) throw new Error(`Invalid date: ${value}`);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? ms + 86400000 - 1 : ms;
+}
+
+/**
+ * Resolve the file to append to, rotating on day change or size limit
+ */
+function getWritableFile() {
+    const dir = getJournalDir();
+    const day = new Date().toISOString().split('T')[0];
+    const maxBytes = (CONFIG.DECISION_JOURNAL?.MAX_FILE_MB || 20) * 1024 * 1024;
+
+    if (!currentFile || currentFile.day !== day) {
+        fs.mkdirSync(dir, { recursive: true });
+        const todays = listFiles().filter(f => f.day === day);
+        const index = todays.length > 0 ? todays[todays.length - 1].index : 0;
+        currentFile = { day, index, path: path.join(dir, fileName(day, index)) };
+        pruneOldFiles();
+    }
+
+    try {
+        if (fs.statSync(currentFile.path).size >= maxBytes) {
+            currentFile.index++;
+            currentFile.path = path.join(dir, fileName(day, currentFile.index));
+        }
+    } catch { /* file not created yet */ }
+
+    return currentFile.path;
+}
+
+export const decisionJournal = {
+    /**
+     * Append one decision record (never throws — journaling must not block trading)
+     * @param {Object} entry - Decision record built by logTradeDecision
+     */
+    append(entry) {
+        if (CONFIG.DECISION_JOURNAL?.ENABLED === false) return;
+        try {
+            if (storage.appendDecision) return storage.appendDecision(entry);
+            fs.appendFileSync(getWritableFile(), JSON.stringify(entry) + '\n');
+        } catch (e) {
+            console.error('Decision journal write failed:', e.message);
+        }
+    },
+
+    /**
+     * Query the journal, newest first
+     * @param {Object} filters
+     * @param {string} [filters.marketId]
+     * @param {boolean} [filters.executed]
+     * @param {string} [filters.category]
+     * @param {string} [filters.from] - ISO date/time (inclusive), compared as an instant
+     * @param {string} [filters.to] - ISO date/time (inclusive); a bare date covers the whole day
+     * @param {string} [filters.reason] - Case-insensitive substring of the rejection/decision reasons
+     * @param {number} [filters.limit=100]
+     * @returns {Promise<Object[]>}
+     * @throws {Error} when from / to is not a date
+     */
+    async query(filters = {}) {
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), 1000);
+        const results = [];
+        await this.scan(filters, (entry) => {
+            results.push(entry);
+            return results.length < limit;
+        });
+        return results;
+    },
+
+    /**
+     * Visit every matching entry, newest first, without a limit or holding them in memory
+     * @param {Object} filters - Same as query, limit ignored
+     * @param {(entry: Object) => boolean|void} visit - Return false to stop
+     */
+    async scan(filters, visit) {
+        const { marketId, executed, category, reason } = filters;
+        // Instants, not strings: '2026-03-01T10:00:00+02:00' and '...08:00:00Z' are the same bound
+        const fromMs = dateBound(filters.from);
+        const toMs = dateBound(filters.to, true);
+        const from = fromMs !== null ? new Date(fromMs).toISOString() : null;
+        const to = toMs !== null ? new Date(toMs).toISOString() : null;
+        const reasonNeedle = reason ? reason.toLowerCase() : null;
+        const matchesReason = (entry) => !reasonNeedle ||
+            [entry.rejectionReason, ...(entry.decisionReasons || [])].join(' ').toLowerCase().includes(reasonNeedle);
+
+        if (storage.scanDecisions) {
+            // Stored timestamps are toISOString() output: normalized bounds compare in order
+            return storage.scanDecisions({ marketId, executed, category, from, to },
+                (entry) => !matchesReason(entry) || visit(entry) !== false);
+        }
+
+        const files = listFiles()
+            .filter(f => (!from || f.day >= from.slice(0, 10)) && (!to || f.day <= to.slice(0, 10)))
+            .reverse();
+
+        for (const f of files) {
+            let lines;
+            try {
+                lines = (await fs.promises.readFile(f.path, 'utf8')).split('\n');
+            } catch {
+                continue;
+            }
+
+            for (let i = lines.length - 1; i >= 0; i--) {
+                if (!lines[i]) continue;
+                let entry;
+                try { entry = JSON.parse(lines[i]); } catch { continue; }
+
+                if (marketId && String(entry.marketId) !== String(marketId)) continue;
+                if (executed !== undefined && entry.tradeExecuted !== executed) continue;
+                if (category && entry.category !== category) continue;
+                if (fromMs !== null || toMs !== null) {
+                    const at = Date.parse(entry.timestamp);
+                    if (fromMs !== null && !(at >= fromMs)) continue;
+                    if (toMs !== null && !(at <= toMs)) continue;
+                }
+                if (!matchesReason(entry)) continue;
+
+                if (visit(entry) === false) return;
+            }
+        }
+    }
+};
@@ -0,0 +1,70 @@
+/**
+ * EVENT STREAM - typed bot events pushed to the dashboards (GET /api/stream, SSE)
+ *
+ * Producers call eventStream.publish(type, data) where things happen (addLog,
+ * saveNewTrade, closeTrade, exit checks, getPizzaData). Every event gets an id
+ * "<boot>-<seq>" and is kept in a ring buffer so a reconnecting client can send
+ * Last-Event-ID and receive what it missed. When that id belongs to an earlier
+ * process or fell out of the buffer, the client gets a 'reset' event and must
+ * reload the full state from /api/bot-data.
+ */
+
+export const STREAM_EVENT_TYPES = ['log', 'trade_opened', 'trade_closed', 'price_update', 'tension_change', 'capital_snapshot'];
+
+const BUFFER_SIZE = 500;
+const BOOT_ID = Date.now().toString(36);
+
+const buffer = [];
+const listeners = new Set();
+let seq = 0;
+
+export const eventStream = {
+    /**
+     * @param {string} type - One of STREAM_EVENT_TYPES
+     * @param {Object} data - JSON-serializable payload
+     */
+    publish(type, data) {
+        // Serialized now: trades keep changing after the event (price history, close)
+        const event = { id: `${BOOT_ID}-${++seq}`, seq, type, payload: JSON.stringify(data ?? null), at: new Date().toISOString() };
+        buffer.push(event);
+        if (buffer.length > BUFFER_SIZE) buffer.shift();
+        for (const listener of listeners) {
+            try {
+                listener(event);
+            } catch (e) {
+                listeners.delete(listener); // a broken client must not break the producer
+            }
+        }
+        return event;
+    },
+
+    /**
+     * @param {Function} listener - (event) => void
+     * @returns {Function} unsubscribe
+     */
+    subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    },
+
+    /**
+     * Events published after lastEventId
+     * @returns {{ events: Object[], complete: boolean }} complete = false when the
+     *   client missed events that are no longer buffered (or the id is from another boot)
+     */
+    since(lastEventId) {
+        if (!lastEventId) return { events: [], complete: true };
+        const [boot, rawSeq] = String(lastEventId).split('-');
+        const lastSeq = parseInt(rawSeq);
+        if (boot !== BOOT_ID || !Number.isFinite(lastSeq) || lastSeq > seq) return { events: [], complete: false };
+        const oldest = buffer.length > 0 ? buffer[0].seq : seq + 1;
+        return {
+            events: buffer.filter(e => e.seq > lastSeq),
+            complete: lastSeq >= oldest - 1
+        };
+    },
+
+    stats() {
+        return { bootId: BOOT_ID, lastId: seq > 0 ? `${BOOT_ID}-${seq}` : null, buffered: buffer.length, clients: listeners.size };
+    }
+};
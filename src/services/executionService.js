@@ -0,0 +1,500 @@
+/**
+ * EXECUTION SERVICE - Paper / Live order routing
+ *
+ * Toute ouverture/fermeture de position passe par un ExecutionAdapter :
+ *  - PaperExecutor : comportement historique, fill simulé au prix calculé par l'engine
+ *  - ClobExecutor  : ordres limit signés EIP-712 postés sur le CLOB Polymarket,
+ *                    suivi des orderIDs et réconciliation des fills dans activeTrades
+ *
+ * Le mode est choisi par CONFIG.EXECUTION.MODE ('paper' | 'live').
+ * Pour tester le chemin live sans réseau : scripts/mock_clob_server.mjs
+ */
+
+import crypto from 'crypto';
+import { Wallet } from 'ethers';
+import { CONFIG } from '../config.js';
+import { botState } from '../state.js';
+import { addLog } from '../utils.js';
+import { supabaseService } from './supabaseService.js';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const USDC_DECIMALS = 1e6;
+
+// EIP-712 order struct used by the CTF Exchange contracts
+const ORDER_TYPES = {
+    Order: [
+        { name: 'salt', type: 'uint256' },
+        { name: 'maker', type: 'address' },
+        { name: 'signer', type: 'address' },
+        { name: 'taker', type: 'address' },
+        { name: 'tokenId', type: 'uint256' },
+        { name: 'makerAmount', type: 'uint256' },
+        { name: 'takerAmount', type: 'uint256' },
+        { name: 'expiration', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'feeRateBps', type: 'uint256' },
+        { name: 'side', type: 'uint8' },
+        { name: 'signatureType', type: 'uint8' }
+    ]
+};
+
+// EIP-712 struct for L1 auth (API key creation / derivation)
+const CLOB_AUTH_TYPES = {
+    ClobAuth: [
+        { name: 'address', type: 'address' },
+        { name: 'timestamp', type: 'string' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'message', type: 'string' }
+    ]
+};
+const CLOB_AUTH_MESSAGE = 'This message attests that I control the given wallet';
+
+/**
+ * Resolve the outcome token a trade holds (clobTokenIds = [YES, NO])
+ * @param {Object} trade
+ * @returns {string|null}
+ */
+function getTradeTokenId(trade) {
+    let ids = trade.clobTokenIds;
+    if (typeof ids === 'string') {
+        try { ids = JSON.parse(ids); } catch { ids = []; }
+    }
+    if (!Array.isArray(ids) || ids.length < 2) return null;
+    return trade.side === 'YES' ? ids[0] : ids[1];
+}
+
+/**
+ * Base interface — every executor must implement these methods.
+ * Fill results share the same shape:
+ * { accepted, status: 'FILLED'|'PENDING'|'REJECTED', orderId, fillPrice, filledShares, error }
+ */
+export class ExecutionAdapter {
+    constructor(mode) {
+        this.mode = mode;
+    }
+
+    /**
+     * Open a position for a trade built by simulateTrade
+     * @param {Object} trade - Trade object (side, amount, entryPrice, shares, clobTokenIds)
+     * @returns {Promise<Object>} Fill result
+     */
+    async openPosition(trade) {
+        throw new Error(`${this.constructor.name}.openPosition() not implemented`);
+    }
+
+    /**
+     * Close (fully or partially) an open position
+     * @param {Object} trade - Active trade
+     * @param {number} price - Target exit price
+     * @param {number} shares - Shares to sell
+     * @returns {Promise<Object>} Fill result
+     */
+    async closePosition(trade, price, shares) {
+        throw new Error(`${this.constructor.name}.closePosition() not implemented`);
+    }
+
+    /**
+     * Sync pending orders with the venue and apply fills to activeTrades.
+     * The caller persists the state when something changed.
+     * @param {Object} state - Bot state holding activeTrades/capital
+     * @returns {Promise<{filled: number, cancelled: number, groups: string[]}>} groups: position
+     *   groups whose legs no longer match (a leg dropped or partly filled)
+     */
+    async reconcile(state) {
+        return { filled: 0, cancelled: 0, groups: [] };
+    }
+}
+
+/**
+ * Paper trading — fills instantly at the price computed by the engine.
+ */
+export class PaperExecutor extends ExecutionAdapter {
+    constructor() {
+        super('paper');
+    }
+
+    async openPosition(trade) {
+        return {
+            accepted: true,
+            status: 'FILLED',
+            orderId: null,
+            fillPrice: trade.entryPrice,
+            filledShares: trade.shares
+        };
+    }
+
+    async closePosition(trade, price, shares) {
+        return {
+            accepted: true,
+            status: 'FILLED',
+            orderId: null,
+            fillPrice: price,
+            filledShares: shares
+        };
+    }
+}
+
+/**
+ * Live trading on the Polymarket CLOB.
+ * Orders are EIP-712 signed with the wallet key, requests are authenticated
+ * with L2 HMAC headers (API key derived from the wallet if not provided).
+ */
+export class ClobExecutor extends ExecutionAdapter {
+    constructor(options = {}) {
+        super('live');
+        const E = CONFIG.EXECUTION || {};
+        const privateKey = options.privateKey || process.env.WALLET_PRIVATE_KEY;
+        if (!privateKey) throw new Error('WALLET_PRIVATE_KEY required for live execution');
+
+        this.wallet = new Wallet(privateKey);
+        this.baseUrl = (options.baseUrl || E.CLOB_URL || 'https://clob.polymarket.com').replace(/\/$/, '');
+        this.chainId = options.chainId || E.CHAIN_ID || 137;
+        this.signatureType = options.signatureType ?? E.SIGNATURE_TYPE ?? 0;
+        this.funder = options.funder || E.FUNDER_ADDRESS || this.wallet.address;
+        this.tickSize = options.tickSize || E.TICK_SIZE || 0.01;
+        this.feeRateBps = options.feeRateBps ?? E.FEE_RATE_BPS ?? 0;
+        this.orderTtlMs = (options.orderTtlMinutes ?? E.ORDER_TTL_MINUTES ?? 10) * 60 * 1000;
+        this.creds = options.creds || (process.env.POLYMARKET_API_KEY ? {
+            key: process.env.POLYMARKET_API_KEY,
+            secret: process.env.POLYMARKET_API_SECRET,
+            passphrase: process.env.POLYMARKET_API_PASSPHRASE
+        } : null);
+    }
+
+    // ── Auth ────────────────────────────────────────────────────────────────
+
+    async l1Headers(nonce = 0) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const domain = { name: 'ClobAuthDomain', version: '1', chainId: this.chainId };
+        const signature = await this.wallet.signTypedData(domain, CLOB_AUTH_TYPES, {
+            address: this.wallet.address,
+            timestamp,
+            nonce,
+            message: CLOB_AUTH_MESSAGE
+        });
+        return {
+            POLY_ADDRESS: this.wallet.address,
+            POLY_SIGNATURE: signature,
+            POLY_TIMESTAMP: timestamp,
+            POLY_NONCE: nonce.toString()
+        };
+    }
+
+    l2Headers(method, requestPath, body = '') {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const payload = `${timestamp}${method}${requestPath}${body}`;
+        const signature = crypto
+            .createHmac('sha256', Buffer.from(this.creds.secret, 'base64'))
+            .update(payload)
+            .digest('base64')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_');
+        return {
+            POLY_ADDRESS: this.wallet.address,
+            POLY_SIGNATURE: signature,
+            POLY_TIMESTAMP: timestamp,
+            POLY_API_KEY: this.creds.key,
+            POLY_PASSPHRASE: this.creds.passphrase
+        };
+    }
+
+    /**
+     * Derive the API key bound to this wallet, creating it on first use
+     */
+    async ensureApiCreds() {
+        if (this.creds) return this.creds;
+
+        let res = await fetch(`${this.baseUrl}/auth/derive-api-key`, { headers: await this.l1Headers() });
+        if (!res.ok) {
+            res = await fetch(`${this.baseUrl}/auth/api-key`, { method: 'POST', headers: await this.l1Headers() });
+        }
+        if (!res.ok) throw new Error(`CLOB auth failed (${res.status})`);
+
+        const data = await res.json();
+        this.creds = { key: data.apiKey, secret: data.secret, passphrase: data.passphrase };
+        return this.creds;
+    }
+
+    async request(method, requestPath, payload = null) {
+        await this.ensureApiCreds();
+        const body = payload ? JSON.stringify(payload) : '';
+        const res = await fetch(`${this.baseUrl}${requestPath}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.l2Headers(method, requestPath, body)
+            },
+            body: body || undefined
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            throw new Error(`CLOB ${method} ${requestPath} returned ${res.status}: ${data.error || data.errorMsg || ''}`);
+        }
+        return data;
+    }
+
+    // ── Orders ──────────────────────────────────────────────────────────────
+
+    /**
+     * Build and sign a limit order
+     * @param {Object} params - { tokenId, side: 'BUY'|'SELL', price, size, negRisk }
+     * @returns {Promise<Object>} Signed order ready for POST /order
+     */
+    async buildSignedOrder({ tokenId, side, price, size, negRisk = false }) {
+        const decimals = Math.max(0, Math.round(-Math.log10(this.tickSize)));
+        const roundedPrice = parseFloat(price.toFixed(decimals));
+        const roundedSize = Math.floor(size * 100) / 100;
+        if (roundedPrice <= 0 || roundedPrice >= 1) throw new Error(`Invalid order price ${price}`);
+        if (roundedSize <= 0) throw new Error(`Invalid order size ${size}`);
+
+        const shares = Math.round(roundedSize * USDC_DECIMALS);
+        const notional = Math.round(roundedSize * roundedPrice * USDC_DECIMALS);
+
+        // BUY gives USDC for shares, SELL gives shares for USDC
+        const order = {
+            salt: Math.round(Math.random() * Date.now()).toString(),
+            maker: this.funder,
+            signer: this.wallet.address,
+            taker: ZERO_ADDRESS,
+            tokenId: tokenId.toString(),
+            makerAmount: (side === 'BUY' ? notional : shares).toString(),
+            takerAmount: (side === 'BUY' ? shares : notional).toString(),
+            expiration: '0',
+            nonce: '0',
+            feeRateBps: this.feeRateBps.toString(),
+            side: side === 'BUY' ? 0 : 1,
+            signatureType: this.signatureType
+        };
+
+        const E = CONFIG.EXECUTION || {};
+        const domain = {
+            name: 'Polymarket CTF Exchange',
+            version: '1',
+            chainId: this.chainId,
+            verifyingContract: negRisk ? E.NEG_RISK_EXCHANGE_ADDRESS : E.EXCHANGE_ADDRESS
+        };
+        const signature = await this.wallet.signTypedData(domain, ORDER_TYPES, order);
+
+        return {
+            order: { ...order, salt: parseInt(order.salt), side, signature },
+            price: roundedPrice,
+            size: roundedSize
+        };
+    }
+
+    async postOrder(params, orderType) {
+        const signed = await this.buildSignedOrder(params);
+        const response = await this.request('POST', '/order', {
+            order: signed.order,
+            owner: this.creds.key,
+            orderType
+        });
+        return { ...response, price: signed.price, size: signed.size };
+    }
+
+    async getOrder(orderId) {
+        return this.request('GET', `/data/order/${orderId}`);
+    }
+
+    async cancelOrder(orderId) {
+        return this.request('DELETE', '/order', { orderID: orderId });
+    }
+
+    async openPosition(trade) {
+        const tokenId = getTradeTokenId(trade);
+        if (!tokenId) {
+            return { accepted: false, status: 'REJECTED', error: 'No CLOB token for this market' };
+        }
+
+        try {
+            const result = await this.postOrder({
+                tokenId,
+                side: 'BUY',
+                price: trade.entryPrice,
+                size: trade.shares,
+                negRisk: trade.negRisk
+            }, CONFIG.EXECUTION?.ENTRY_ORDER_TYPE || 'GTC');
+
+            if (!result.success || !result.orderID) {
+                return { accepted: false, status: 'REJECTED', error: result.errorMsg || 'Order rejected' };
+            }
+
+            const matched = result.status === 'matched';
+            return {
+                accepted: true,
+                status: matched ? 'FILLED' : 'PENDING',
+                orderId: result.orderID,
+                fillPrice: result.price,
+                filledShares: matched ? result.size : 0,
+                requestedShares: result.size
+            };
+        } catch (e) {
+            return { accepted: false, status: 'REJECTED', error: e.message };
+        }
+    }
+
+    async closePosition(trade, price, shares) {
+        const tokenId = getTradeTokenId(trade);
+        if (!tokenId) {
+            return { accepted: false, status: 'REJECTED', error: 'No CLOB token for this market' };
+        }
+
+        // Sell slightly below target so the FOK order crosses the bid
+        const E = CONFIG.EXECUTION || {};
+        const limitPrice = Math.max(this.tickSize, price - (E.EXIT_SLIPPAGE ?? this.tickSize));
+
+        try {
+            const result = await this.postOrder({
+                tokenId,
+                side: 'SELL',
+                price: limitPrice,
+                size: shares,
+                negRisk: trade.negRisk
+            }, E.EXIT_ORDER_TYPE || 'FOK');
+
+            if (!result.success || result.status !== 'matched') {
+                return { accepted: false, status: 'REJECTED', orderId: result.orderID || null, error: result.errorMsg || `Exit not matched (${result.status})` };
+            }
+
+            return {
+                accepted: true,
+                status: 'FILLED',
+                orderId: result.orderID,
+                fillPrice: result.price,
+                filledShares: result.size
+            };
+        } catch (e) {
+            return { accepted: false, status: 'REJECTED', error: e.message };
+        }
+    }
+
+    /**
+     * Poll every PENDING entry order:
+     * - fully matched        → trade becomes FILLED
+     * - cancelled / expired  → partial fill kept (unused cash refunded) or trade dropped
+     * A group leg dropped or partly filled is reported in summary.groups: its siblings
+     * no longer match it (engine.balanceGroupLegs resizes them)
+     */
+    async reconcile(state = botState) {
+        const summary = { filled: 0, cancelled: 0, groups: [] };
+        const touchGroup = (trade) => {
+            if (trade.groupId && !summary.groups.includes(trade.groupId)) summary.groups.push(trade.groupId);
+        };
+        const pending = state.activeTrades.filter(t => t.execution?.status === 'PENDING' && t.execution.orderId);
+        if (pending.length === 0) return summary;
+
+        for (const trade of pending) {
+            const exec = trade.execution;
+            try {
+                let order = await this.getOrder(exec.orderId);
+                let matched = parseFloat(order?.size_matched || 0);
+                const original = parseFloat(order?.original_size || exec.requestedShares || trade.shares);
+                let status = (order?.status || '').toUpperCase();
+
+                const expired = Date.now() - new Date(exec.postedAt).getTime() > this.orderTtlMs;
+                if (status === 'LIVE' && matched < original && expired) {
+                    await this.cancelOrder(exec.orderId);
+                    order = await this.getOrder(exec.orderId);
+                    matched = parseFloat(order?.size_matched || matched);
+                    status = 'CANCELED';
+                }
+
+                if (status === 'MATCHED' || matched >= original) {
+                    applyFill(state, trade, parseFloat(order.price || trade.entryPrice), matched || original);
+                    summary.filled++;
+                } else if (status.startsWith('CANCEL') || status === 'UNMATCHED') {
+                    if (matched > 0) {
+                        applyFill(state, trade, parseFloat(order.price || trade.entryPrice), matched);
+                        summary.filled++;
+                    } else {
+                        dropUnfilledTrade(state, trade);
+                        summary.cancelled++;
+                    }
+                    touchGroup(trade);
+                }
+            } catch (e) {
+                console.warn(`⚠️ Reconcile failed for order ${exec.orderId}:`, e.message);
+            }
+        }
+
+        return summary;
+    }
+}
+
+/**
+ * Apply a confirmed fill to a pending trade (refund the unfilled reservation)
+ */
+function applyFill(state, trade, fillPrice, filledShares) {
+    const reserved = trade.amount;
+    const cost = filledShares * fillPrice;
+
+    trade.shares = filledShares;
+    trade.entryPrice = fillPrice;
+    trade.amount = cost;
+    trade.originalAmount = cost;
+    trade.execution.status = 'FILLED';
+    trade.execution.filledShares = filledShares;
+    trade.execution.filledAt = new Date().toISOString();
+
+    state.capital += Math.max(0, reserved - cost);
+
+    addLog(state, `📗 ORDER FILLED: ${trade.side} "${trade.question.substring(0, 30)}..." ${filledShares.toFixed(2)} shares @ $${fillPrice.toFixed(3)} [order:${trade.execution.orderId}]`, 'trade');
+    supabaseService.saveTrade(trade).catch(err => console.error('Supabase Save Error:', err));
+}
+
+/**
+ * Remove a trade whose entry order never filled and release its capital
+ */
+function dropUnfilledTrade(state, trade) {
+    const idx = state.activeTrades.indexOf(trade);
+    if (idx !== -1) state.activeTrades.splice(idx, 1);
+
+    state.capital += trade.amount;
+    state.totalTrades = Math.max(0, (state.totalTrades || 1) - 1);
+    trade.status = 'CANCELLED';
+    trade.execution.status = 'CANCELLED';
+
+    addLog(state, `📕 ORDER CANCELLED (unfilled): ${trade.side} "${trade.question.substring(0, 30)}..." — $${trade.amount.toFixed(2)} released [order:${trade.execution.orderId}]`, 'warning');
+    supabaseService.saveTrade(trade).catch(err => console.error('Supabase Save Error:', err));
+}
+
+// ── Executor singleton (paper/live switch) ──────────────────────────────────
+
+let executor = null;
+
+/**
+ * Create the executor for a given mode. Live without a wallet key falls back to paper.
+ * @param {string} mode - 'paper' | 'live'
+ * @param {Object} options - Forwarded to ClobExecutor
+ * @returns {ExecutionAdapter}
+ */
+export function createExecutor(mode = CONFIG.EXECUTION?.MODE, options = {}) {
+    if (mode === 'live') {
+        try {
+            return new ClobExecutor(options);
+        } catch (e) {
+            console.error(`❌ Live execution unavailable (${e.message}) — falling back to PAPER`);
+        }
+    }
+    return new PaperExecutor();
+}
+
+/**
+ * Active executor (lazy, created from CONFIG.EXECUTION.MODE)
+ * @returns {ExecutionAdapter}
+ */
+export function getExecutor() {
+    if (!executor) {
+        executor = createExecutor();
+        console.log(`🏦 Execution mode: ${executor.mode.toUpperCase()}`);
+    }
+    return executor;
+}
+
+/**
+ * Swap the active executor (tests, runtime mode switch)
+ * @param {ExecutionAdapter} adapter
+ */
+export function setExecutor(adapter) {
+    executor = adapter;
+}
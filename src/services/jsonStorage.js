@@ -0,0 +1,115 @@
+/**
+ * JSON STORAGE - the whole botState in one file (bot_data.json), rewritten on each save
+ *
+ * Default backend (STORAGE_BACKEND unset). closedTrades, capitalHistory and logs are
+ * truncated in memory; only closed trades get a full history, appended to
+ * closed_trades.jsonl (one trade per line, a later line replaces an earlier one
+ * with the same id).
+ */
+
+import fs from 'fs';
+
+// Legacy closed trades may lack an id
+const tradeKey = (trade) => String(trade.id || `${trade.marketId}:${trade.startTime}`);
+const closeTime = (trade) => trade.closedAt || trade.endTime || trade.startTime || '';
+const compare = (a, b) => (a > b) - (a < b); // Plain string order, as SQLite's
+
+export class JsonStorage {
+    constructor(filePath, historyFile = null) {
+        this.name = 'json';
+        this.location = filePath;
+        this.historyFile = historyFile;
+        this.history = null; // trade id → closed trade, read on first use
+        this.sorted = null;  // history newest first, rebuilt after a change
+    }
+
+    exists() {
+        return fs.existsSync(this.location);
+    }
+
+    /** Saved state, null when there is none — throws SyntaxError on a corrupt file */
+    loadState() {
+        if (!this.exists()) return null;
+        const buffer = fs.readFileSync(this.location, 'utf8');
+        if (buffer.trim().length === 0) return null;
+        const data = JSON.parse(buffer);
+
+        // First start with a history file: it begins with the closed trades bot_data.json still has
+        if (this.historyFile && !fs.existsSync(this.historyFile) && (data.closedTrades || []).length > 0) {
+            const lines = [...data.closedTrades].reverse().map(t => JSON.stringify(t) + '\n').join('');
+            fs.writeFileSync(this.historyFile, lines);
+        }
+        return data;
+    }
+
+    saveState(data) {
+        fs.writeFileSync(this.location, JSON.stringify(data, null, 2));
+    }
+
+    backupCorrupt() {
+        const backupPath = this.location + '.bak';
+        fs.copyFileSync(this.location, backupPath);
+        return backupPath;
+    }
+
+    // ── CLOSED TRADE HISTORY ──
+
+    loadHistory() {
+        if (this.history) return this.history;
+        this.history = new Map();
+        if (!this.historyFile || !fs.existsSync(this.historyFile)) return this.history;
+        for (const line of fs.readFileSync(this.historyFile, 'utf8').split('\n')) {
+            if (!line) continue;
+            try {
+                const trade = JSON.parse(line);
+                this.history.set(tradeKey(trade), trade);
+            } catch { /* torn last line */ }
+        }
+        return this.history;
+    }
+
+    recordClosedTrade(trade) {
+        if (!this.historyFile) return;
+        fs.appendFileSync(this.historyFile, JSON.stringify(trade) + '\n');
+        this.loadHistory().set(tradeKey(trade), trade);
+        this.sorted = null;
+    }
+
+    closedTrades() {
+        if (!this.sorted) {
+            this.sorted = [...this.loadHistory().values()]
+                .sort((a, b) => compare(closeTime(b), closeTime(a)) || compare(tradeKey(b), tradeKey(a)));
+        }
+        return this.sorted;
+    }
+
+    /**
+     * @param {Object} query - { strategy, category, after: [closeTime, id] of the previous page's last trade, limit }
+     * @returns {{ trades: Object[], next: [string, string]|null }}
+     */
+    queryClosedTrades({ strategy, category, after = null, limit = 50 }) {
+        const trades = [];
+        for (const trade of this.closedTrades()) {
+            if (after) {
+                const time = closeTime(trade);
+                if (time > after[0] || (time === after[0] && tradeKey(trade) >= after[1])) continue;
+            }
+            if (strategy && (trade.strategy || 'standard') !== strategy) continue;
+            if (category && trade.category !== category) continue;
+            if (trades.length === limit) {
+                const last = trades[trades.length - 1];
+                return { trades, next: [closeTime(last), tradeKey(last)] };
+            }
+            trades.push(trade);
+        }
+        return { trades, next: null };
+    }
+
+    clearTradeHistory() {
+        if (this.historyFile && fs.existsSync(this.historyFile)) fs.unlinkSync(this.historyFile);
+        this.history = new Map();
+        this.sorted = null;
+    }
+
+    close() { }
+}
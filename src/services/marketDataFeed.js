@@ -0,0 +1,317 @@
+/**
+ * MARKET DATA FEED - Polymarket CLOB market WebSocket
+ *
+ * Subscribes to the public market channel for the tokens the bot cares about
+ * (open positions + shortlisted candidates), keeps an in-memory order book per
+ * token and emits events as the books move:
+ *   'price'   { tokenId, mid, bestBid, bestAsk, previousMid, at }   (mid changed)
+ *   'book'    tokenId                                             (snapshot received)
+ *   'trade'   { tokenId, price, size, side, at }                    (last_trade_price)
+ *   'status'  { connected }
+ *
+ * getCLOBOrderBook / getMidPrice (clob_api.js) read these books first and only
+ * fall back to REST polling while the feed is down or the token is not subscribed.
+ * scripts/mock_clob_ws.mjs is a local stand-in for the channel.
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { CONFIG } from '../config.js';
+import { botState } from '../state.js';
+import { addLog } from '../utils.js';
+
+function settings() {
+    return CONFIG.MARKET_FEED || {};
+}
+
+// '0.50' and '0.5' are the same level
+const levelKey = (price) => String(parseFloat(price));
+
+/**
+ * Outcome token a trade is priced on (YES = first clobTokenId, NO = second)
+ * @returns {string|null}
+ */
+export function tokenIdOf(trade) {
+    let tokenIds = trade?.clobTokenIds;
+    if (typeof tokenIds === 'string') {
+        try { tokenIds = JSON.parse(tokenIds); } catch { tokenIds = null; }
+    }
+    if (!Array.isArray(tokenIds) || tokenIds.length < 2) return null;
+    const tokenId = trade.side === 'NO' ? tokenIds[1] : tokenIds[0];
+    return typeof tokenId === 'string' && tokenId.length > 0 ? tokenId : null;
+}
+
+export class MarketDataFeed extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.ws = null;
+        this.running = false;
+        this.connected = false;
+        this.books = new Map();      // tokenId → { bids: Map, asks: Map, mid, lastTrade, updatedAt }
+        this.interests = new Map();  // 'active' | 'candidates' → Set<tokenId>
+        this.subscribed = new Set(); // tokens announced to the server on this connection
+        this.announced = false;      // initial { type: 'market' } message sent on this connection
+        this.reconnectDelay = 0;
+        this.reconnectTimer = null;
+        this.pingTimer = null;
+        this.stats = { connects: 0, messages: 0, lastMessageAt: null, lastError: null };
+    }
+
+    get url() {
+        return this.options.url || settings().URL;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.connect();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.ws) {
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            this.ws.terminate();
+            this.ws = null;
+        }
+        this.onDisconnected();
+    }
+
+    connect() {
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            this.connected = true;
+            this.reconnectDelay = 0;
+            this.stats.connects++;
+            this.sync();
+            this.pingTimer = setInterval(() => {
+                if (ws.readyState === WebSocket.OPEN) ws.send('PING');
+            }, settings().PING_INTERVAL_MS ?? 10000);
+            addLog(botState, `📡 Market feed connecté (${this.subscribed.size} tokens)`, 'info');
+            this.emit('status', { connected: true });
+        });
+
+        ws.on('message', (data) => this.onMessage(data));
+
+        ws.on('error', (err) => {
+            this.stats.lastError = err.message;
+        });
+
+        ws.on('close', () => {
+            const wasConnected = this.connected;
+            this.ws = null;
+            this.onDisconnected();
+            if (wasConnected) addLog(botState, `📡 Market feed déconnecté — retour au polling REST`, 'warning');
+            if (this.running) this.scheduleReconnect();
+        });
+    }
+
+    onDisconnected() {
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.subscribed.clear();
+        this.announced = false;
+        // Books can't be trusted across a gap: the next connection starts from fresh snapshots
+        this.books.clear();
+        if (wasConnected) this.emit('status', { connected: false });
+    }
+
+    scheduleReconnect() {
+        const S = settings();
+        const min = S.RECONNECT_MIN_MS ?? 1000;
+        this.reconnectDelay = Math.min(S.RECONNECT_MAX_MS ?? 60000, this.reconnectDelay ? this.reconnectDelay * 2 : min);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            if (this.running) this.connect();
+        }, this.reconnectDelay);
+    }
+
+    /**
+     * Replace one group of tokens the bot wants books for ('active', 'candidates'...)
+     * and (un)subscribe the difference on the open connection
+     */
+    setInterest(key, tokenIds) {
+        this.interests.set(key, new Set((tokenIds || []).filter(Boolean)));
+        this.sync();
+    }
+
+    wanted() {
+        const max = settings().MAX_TOKENS ?? 200;
+        const all = new Set();
+        // Open positions first: they must never be cut by the cap
+        for (const key of ['active', ...[...this.interests.keys()].filter(k => k !== 'active')]) {
+            for (const tokenId of this.interests.get(key) || []) {
+                if (all.size >= max) return all;
+                all.add(tokenId);
+            }
+        }
+        return all;
+    }
+
+    sync() {
+        if (!this.connected || this.ws?.readyState !== WebSocket.OPEN) return;
+        const wanted = this.wanted();
+        const add = [...wanted].filter(id => !this.subscribed.has(id));
+        const remove = [...this.subscribed].filter(id => !wanted.has(id));
+        if (add.length > 0) {
+            // The first message of a connection opens the market channel, later ones amend it
+            const message = this.announced ? { operation: 'subscribe', assets_ids: add } : { type: 'market', assets_ids: add };
+            this.ws.send(JSON.stringify(message));
+            this.announced = true;
+            add.forEach(id => this.subscribed.add(id));
+        }
+        if (remove.length > 0) {
+            this.ws.send(JSON.stringify({ operation: 'unsubscribe', assets_ids: remove }));
+            remove.forEach(id => {
+                this.subscribed.delete(id);
+                this.books.delete(id);
+            });
+        }
+    }
+
+    onMessage(data) {
+        const text = data.toString();
+        if (text === 'PONG') return;
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch {
+            return; // non-JSON notices ("INVALID OPERATION"...)
+        }
+        this.stats.messages++;
+        this.stats.lastMessageAt = new Date().toISOString();
+        for (const event of Array.isArray(payload) ? payload : [payload]) {
+            try {
+                this.applyEvent(event);
+            } catch (e) {
+                this.stats.lastError = e.message;
+            }
+        }
+    }
+
+    applyEvent(event) {
+        switch (event?.event_type) {
+            case 'book': {
+                const book = this.bookOf(event.asset_id, true);
+                book.bids = new Map((event.bids || event.buys || []).map(l => [levelKey(l.price), parseFloat(l.size)]));
+                book.asks = new Map((event.asks || event.sells || []).map(l => [levelKey(l.price), parseFloat(l.size)]));
+                book.hasSnapshot = true;
+                this.emit('book', event.asset_id);
+                this.touch(event.asset_id);
+                break;
+            }
+            case 'price_change': {
+                // Current format: one entry per level in price_changes[]; legacy: asset_id + changes[]
+                const changes = event.price_changes
+                    || (event.changes || []).map(c => ({ ...c, asset_id: event.asset_id }));
+                const touched = new Set();
+                for (const c of changes) {
+                    const book = this.bookOf(c.asset_id);
+                    if (!book?.hasSnapshot) continue; // deltas before the snapshot can't be applied
+                    const levels = c.side === 'SELL' ? book.asks : book.bids;
+                    const size = parseFloat(c.size);
+                    if (size > 0) levels.set(levelKey(c.price), size);
+                    else levels.delete(levelKey(c.price));
+                    touched.add(c.asset_id);
+                }
+                touched.forEach(tokenId => this.touch(tokenId));
+                break;
+            }
+            case 'last_trade_price': {
+                const book = this.bookOf(event.asset_id);
+                if (!book) break;
+                book.lastTrade = parseFloat(event.price);
+                this.emit('trade', {
+                    tokenId: event.asset_id,
+                    price: book.lastTrade,
+                    size: parseFloat(event.size),
+                    side: event.side,
+                    at: new Date().toISOString()
+                });
+                break;
+            }
+            default:
+                break; // tick_size_change and other notices don't move the book
+        }
+    }
+
+    bookOf(tokenId, create = false) {
+        if (!tokenId) return null;
+        if (!this.books.has(tokenId) && create) {
+            this.books.set(tokenId, { bids: new Map(), asks: new Map(), mid: null, lastTrade: null, hasSnapshot: false, updatedAt: null });
+        }
+        return this.books.get(tokenId) || null;
+    }
+
+    /** Recompute the mid of a book and emit 'price' when it moved */
+    touch(tokenId) {
+        const book = this.books.get(tokenId);
+        book.updatedAt = Date.now();
+        const { bestBid, bestAsk } = bestLevels(book);
+        const mid = bestBid !== null && bestAsk !== null ? (bestBid + bestAsk) / 2 : null;
+        const previousMid = book.mid;
+        book.mid = mid;
+        if (mid !== null && mid !== previousMid) {
+            this.emit('price', { tokenId, mid, bestBid, bestAsk, previousMid, at: new Date().toISOString() });
+        }
+    }
+
+    /**
+     * Live book of a token in the CLOB REST format ({ bids, asks } of string levels)
+     * @returns {Object|null} null while disconnected or before the first snapshot
+     */
+    getBook(tokenId) {
+        const book = this.connected ? this.books.get(tokenId) : null;
+        if (!book?.hasSnapshot) return null;
+        const toLevels = (levels) => [...levels].map(([price, size]) => ({ price, size: String(size) }));
+        return {
+            asset_id: tokenId,
+            bids: toLevels(book.bids),
+            asks: toLevels(book.asks),
+            timestamp: String(book.updatedAt),
+            source: 'ws'
+        };
+    }
+
+    /** Live mid of a token, null when the feed has no usable book for it */
+    getMid(tokenId) {
+        const book = this.connected ? this.books.get(tokenId) : null;
+        return book?.hasSnapshot ? book.mid : null;
+    }
+
+    status() {
+        return {
+            enabled: settings().ENABLED === true,
+            running: this.running,
+            connected: this.connected,
+            url: this.url,
+            subscribed: this.subscribed.size,
+            books: [...this.books.values()].filter(b => b.hasSnapshot).length,
+            interests: Object.fromEntries([...this.interests].map(([key, ids]) => [key, ids.size])),
+            ...this.stats
+        };
+    }
+}
+
+function bestLevels(book) {
+    let bestBid = null;
+    let bestAsk = null;
+    for (const [price, size] of book.bids) {
+        const p = parseFloat(price);
+        if (size > 0 && (bestBid === null || p > bestBid)) bestBid = p;
+    }
+    for (const [price, size] of book.asks) {
+        const p = parseFloat(price);
+        if (size > 0 && (bestAsk === null || p < bestAsk)) bestAsk = p;
+    }
+    return { bestBid, bestAsk };
+}
+
+export const marketDataFeed = new MarketDataFeed();
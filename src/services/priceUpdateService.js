@@ -1,11 +1,14 @@
 import { fetchWithRetry, addLog } from '../utils.js';
 import { botState } from '../state.js';
 import { getMidPrice } from '../api/clob_api.js';
+import { eventStream } from './eventStream.js';
 
 /**
  * Price Update Service
  * Uses CLOB API (real-time) with Gamma API fallback
  * Respects trade side (YES/NO) for correct pricing
+ * Fallback for the market feed: getMidPrice answers from the WebSocket book when the
+ * feed follows the token, so this loop only hits REST while the feed is down
  */
 
 const PRICE_UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
@@ -107,6 +110,7 @@ export async function updateActiveTradePrices(activeTrades) {
                     trade.priceHistory = trade.priceHistory.slice(-50);
                 }
                 trade.lastPriceUpdate = new Date().toISOString();
+                eventStream.publish('price_update', { tradeId: trade.id, marketId: trade.marketId, side: trade.side, price: currentPrice, at: trade.lastPriceUpdate });
                 return true;
             }
             return false;
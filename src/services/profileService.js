@@ -0,0 +1,143 @@
+/**
+ * CONFIG PROFILES - named override sets: one live, the others shadow (/api/profiles)
+ *
+ * A profile is a { 'PATH': value } map on top of the effective config (configService).
+ * The live profile trades the main capital: it *is* the effective config, its overrides
+ * stay empty and it is changed through PATCH /api/config. Every other profile is a
+ * shadow: shadowPortfolios.js paper-trades it each loop on a portfolio of its own.
+ *
+ * Promoting a shadow writes its overrides as runtime config overrides (configService.update,
+ * same validation as PATCH /api/config). The profile it replaces keeps the values the
+ * promotion changed, as overrides, and becomes a shadow — so it can be promoted back.
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+import { configService } from './configService.js';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const DEFAULT_LIVE = 'baseline';
+
+function newProfile(name, description = '', overrides = {}) {
+    const now = new Date().toISOString();
+    return { name, description, overrides, createdAt: now, updatedAt: now };
+}
+
+/** botState.configProfiles, with the live profile always present */
+function store() {
+    if (!botState.configProfiles?.profiles) botState.configProfiles = { live: DEFAULT_LIVE, profiles: {} };
+    const s = botState.configProfiles;
+    if (!s.live) s.live = DEFAULT_LIVE;
+    if (!s.profiles[s.live]) s.profiles[s.live] = newProfile(s.live, 'Config live');
+    return s;
+}
+
+/** Errors of an override map meant for a shadow profile */
+function overrideErrors(overrides) {
+    const errors = configService.validateOverrides(overrides);
+    if (errors.length > 0) return errors;
+    return Object.keys(overrides)
+        .filter(p => p.startsWith('SHADOW_PROFILES.'))
+        .map(p => ({ path: p, error: 'Réglage des profils eux-mêmes: non surchargeable par profil' }));
+}
+
+export const profileService = {
+    liveName() {
+        return store().live;
+    },
+
+    get(name) {
+        const profile = store().profiles[name];
+        return profile ? { ...profile, live: name === store().live } : null;
+    },
+
+    list() {
+        const { live, profiles } = store();
+        return Object.values(profiles)
+            .map(p => ({ ...p, live: p.name === live }))
+            .sort((a, b) => (b.live - a.live) || a.createdAt.localeCompare(b.createdAt));
+    },
+
+    /** Profiles run as shadow portfolios (everything but the live one) */
+    shadows() {
+        return this.list().filter(p => !p.live);
+    },
+
+    /**
+     * @param {Object} input - { name, description?, overrides? }
+     * @returns {{ ok, profile?, errors? }}
+     */
+    create({ name, description = '', overrides = {} } = {}) {
+        const s = store();
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            return { ok: false, errors: [{ path: 'name', error: 'Nom invalide (a-z, 0-9, - et _, 32 caractères max)' }] };
+        }
+        if (s.profiles[name]) return { ok: false, errors: [{ path: 'name', error: `Le profil ${name} existe déjà` }] };
+        const max = CONFIG.SHADOW_PROFILES?.MAX_PROFILES ?? 3;
+        if (Object.keys(s.profiles).length >= max) {
+            return { ok: false, errors: [{ path: 'name', error: `${max} profils maximum (live compris)` }] };
+        }
+        const errors = overrideErrors(overrides);
+        if (errors.length > 0) return { ok: false, errors };
+
+        s.profiles[name] = newProfile(name, String(description), { ...overrides });
+        return { ok: true, profile: this.get(name) };
+    },
+
+    /**
+     * Replace the description and / or the overrides of a shadow profile
+     * @returns {{ ok, profile?, overridesChanged?, errors? }}
+     */
+    update(name, { description, overrides } = {}) {
+        const s = store();
+        const profile = s.profiles[name];
+        if (!profile) return { ok: false, notFound: true, errors: [{ path: 'name', error: 'Profil inconnu' }] };
+        if (overrides !== undefined) {
+            if (name === s.live) {
+                return { ok: false, errors: [{ path: 'overrides', error: 'Le profil live se modifie via PATCH /api/config' }] };
+            }
+            const errors = overrideErrors(overrides);
+            if (errors.length > 0) return { ok: false, errors };
+        }
+
+        const overridesChanged = overrides !== undefined && JSON.stringify(overrides) !== JSON.stringify(profile.overrides);
+        if (description !== undefined) profile.description = String(description);
+        if (overridesChanged) profile.overrides = { ...overrides };
+        profile.updatedAt = new Date().toISOString();
+        return { ok: true, profile: this.get(name), overridesChanged };
+    },
+
+    remove(name) {
+        const s = store();
+        if (!s.profiles[name]) return { ok: false, notFound: true, errors: [{ path: 'name', error: 'Profil inconnu' }] };
+        if (name === s.live) return { ok: false, errors: [{ path: 'name', error: 'Le profil live ne peut pas être supprimé (promouvoir un autre profil d\'abord)' }] };
+        const removed = s.profiles[name];
+        delete s.profiles[name];
+        return { ok: true, profile: removed };
+    },
+
+    /**
+     * Make a shadow profile the live one
+     * @returns {{ ok, dryRun, previous, changes: [{ path, before, after, source }], errors }}
+     */
+    promote(name, { dryRun = false } = {}) {
+        const s = store();
+        const profile = s.profiles[name];
+        if (!profile) return { ok: false, notFound: true, dryRun, changes: [], errors: [{ path: 'name', error: 'Profil inconnu' }] };
+        if (name === s.live) return { ok: false, dryRun, changes: [], errors: [{ path: 'name', error: `${name} est déjà le profil live` }] };
+
+        const previous = s.live;
+        const result = Object.keys(profile.overrides).length > 0
+            ? configService.update(profile.overrides, { dryRun })
+            : { ok: true, dryRun, changes: [], errors: [] };
+        if (!result.ok || dryRun) return { ...result, previous };
+
+        const now = new Date().toISOString();
+        s.profiles[previous].overrides = Object.fromEntries(result.changes.map(c => [c.path, c.before]));
+        s.profiles[previous].updatedAt = now;
+        profile.overrides = {};
+        profile.updatedAt = now;
+        s.live = name;
+        return { ...result, previous };
+    }
+};
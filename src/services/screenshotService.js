@@ -20,7 +20,11 @@ export const screenshotService = {
         }
     },
 
-    async capture(view = 'dashboard') {
+    /**
+     * @param {string} view - 'dashboard' | 'marketplace' | 'logs'
+     * @param {Object} [sessionCookie] - { name, value } dashboard session the page is loaded with
+     */
+    async capture(view = 'dashboard', sessionCookie = null) {
         if (!this.browser) await this.init();
 
         const page = await this.browser.newPage();
@@ -30,6 +34,10 @@ export const screenshotService = {
             const port = process.env.PORT || 3000;
             const url = `http://localhost:${port}`;
 
+            if (sessionCookie) {
+                await page.setCookie({ ...sessionCookie, url, httpOnly: true, sameSite: 'Strict' });
+            }
+
             console.log(`📸 Navigating to ${url}...`);
             await page.goto(url, { waitUntil: 'networkidle0', timeout: 30000 });
 
@@ -0,0 +1,231 @@
+/**
+ * SETTLEMENT SERVICE - trades held until their market resolves
+ *
+ * Gamma's market record tells when a market is settled: it closes, then UMA's
+ * resolution (umaResolutionStatus) is proposed and, after the challenge window,
+ * resolved — or disputed and proposed again. The final outcomePrices give the payout
+ * per share:
+ *   1 / 0       the winning side redeems $1, the other side nothing
+ *   0.5 / 0.5   50-50 resolution: both sides redeem $0.50
+ *   0 / 0       voided market: the stake is refunded, the trade is neither won nor lost
+ * Anything else (still trading, proposed, disputed, closed with mid-range prices) is
+ * not final: the trade stays open and is not force-closed as stale meanwhile.
+ *
+ * reconcile() re-checks trades the former resolver booked as lost without looking at
+ * the resolution (50-50 and voided markets counted as total losses), corrects them,
+ * and recomputes winningTrades / losingTrades from the full trade history.
+ */
+
+import { botState } from '../state.js';
+import { CONFIG } from '../config.js';
+import { addLog, fetchWithRetry } from '../utils.js';
+import { tradeHistory } from './tradeHistory.js';
+import { supabaseService } from './supabaseService.js';
+import { trackRealizedPnL } from '../logic/engine.js';
+
+const GAMMA_BASE_URL = process.env.GAMMA_BASE_URL || 'https://gamma-api.polymarket.com';
+const RESOLVED_HIGH = 0.99;
+const RESOLVED_LOW = 0.01;
+const REDEMPTION_FEE = 0.001; // Same 0.1% as the former resolver took on winnings
+const DISPUTED = ['disputed', 'challenged'];
+const FINAL = new Set(['RESOLVED', 'VOIDED']);
+
+const cache = new Map(); // marketId → { at, resolution }
+
+function settings() {
+    return CONFIG.SETTLEMENT || {};
+}
+
+// Closed trade at the payout of a final resolution, without touching the capital
+function settledTrade(trade, resolution) {
+    const invested = trade.amount || trade.size || 0;
+    const shares = trade.shares || 0;
+    const now = new Date().toISOString();
+
+    let payout, proceeds, outcome;
+    if (resolution.status === 'VOIDED') {
+        payout = shares > 0 ? invested / shares : 0;
+        proceeds = invested;
+        outcome = 'VOID';
+    } else {
+        payout = resolution.payouts[trade.side === 'NO' ? 1 : 0];
+        proceeds = shares * payout * (1 - REDEMPTION_FEE);
+        outcome = payout === 1 ? 'WON' : payout === 0 ? 'LOST' : 'HALF';
+    }
+    const profit = proceeds - invested;
+
+    return {
+        ...trade,
+        status: 'CLOSED',
+        exitPrice: payout,
+        finalValue: proceeds,
+        pnl: profit,
+        profit: profit, // Alias for backward compatibility
+        pnlPercent: invested > 0 ? (profit / invested * 100) : 0,
+        closedAt: now,
+        closeReason: `RESOLVED: ${outcome}`,
+        resolvedOutcome: outcome,
+        resolutionMethod: 'MARKET_SETTLEMENT',
+        settlement: { status: resolution.status, umaStatus: resolution.umaStatus, payout, settledAt: now }
+    };
+}
+
+export const settlementService = {
+    /**
+     * Resolution state of a Gamma market record
+     * @returns {{ status: 'OPEN'|'PENDING'|'DISPUTED'|'RESOLVED'|'VOIDED', payouts: [number, number]|null, umaStatus: string|null }}
+     */
+    parseResolution(market) {
+        const umaStatus = market?.umaResolutionStatus ? String(market.umaResolutionStatus).toLowerCase() : null;
+        const result = (status, payouts = null) => ({ status, payouts, umaStatus });
+        if (!market) return result('OPEN');
+        if (DISPUTED.includes(umaStatus)) return result('DISPUTED');
+        if (!market.closed && umaStatus !== 'resolved') return result(market.acceptingOrders === false ? 'PENDING' : 'OPEN');
+        // Proposed: the challenge window is still open
+        if (umaStatus && umaStatus !== 'resolved') return result('PENDING');
+
+        let prices = market.outcomePrices;
+        if (typeof prices === 'string') {
+            try { prices = JSON.parse(prices); } catch { return result('PENDING'); }
+        }
+        const yes = parseFloat(prices?.[0]);
+        const no = parseFloat(prices?.[1]);
+        if (isNaN(yes) || isNaN(no)) return result('PENDING');
+
+        if (yes >= RESOLVED_HIGH && no <= RESOLVED_LOW) return result('RESOLVED', [1, 0]);
+        if (no >= RESOLVED_HIGH && yes <= RESOLVED_LOW) return result('RESOLVED', [0, 1]);
+        if (Math.abs(yes - 0.5) < 0.01 && Math.abs(no - 0.5) < 0.01) return result('RESOLVED', [0.5, 0.5]);
+        if (yes <= RESOLVED_LOW && no <= RESOLVED_LOW) return result('VOIDED');
+        return result('PENDING');
+    },
+
+    isFinal(resolution) {
+        return FINAL.has(resolution?.status);
+    },
+
+    /** Closed market waiting for (or fighting over) its outcome: no price, but not stale */
+    isAwaiting(resolution) {
+        return resolution?.status === 'PENDING' || resolution?.status === 'DISPUTED';
+    },
+
+    /** Gamma market record, null when unavailable */
+    async fetchMarket(marketId) {
+        const response = await fetchWithRetry(`${GAMMA_BASE_URL}/markets/${marketId}`);
+        return response.ok ? response.json() : null;
+    },
+
+    /**
+     * Resolution of a trade's market, looked up at most every POLL_SECONDS per market.
+     * Status changes are noted on the open trade (trade.settlement) and logged.
+     * @returns {Promise<Object|null>} null when Gamma could not be reached
+     */
+    async check(trade) {
+        const cached = cache.get(trade.marketId);
+        let resolution = cached && Date.now() - cached.at < (settings().POLL_SECONDS ?? 300) * 1000 ? cached.resolution : null;
+        if (!resolution) {
+            try {
+                const market = await this.fetchMarket(trade.marketId);
+                if (!market) return null;
+                resolution = this.parseResolution(market);
+            } catch (e) {
+                console.error(`[Settlement] Lookup failed for ${trade.marketId}:`, e.message);
+                return null;
+            }
+            cache.set(trade.marketId, { at: Date.now(), resolution });
+        }
+
+        if (resolution.status !== 'OPEN' && trade.settlement?.status !== resolution.status) {
+            trade.settlement = { status: resolution.status, umaStatus: resolution.umaStatus, since: new Date().toISOString() };
+            if (resolution.status === 'DISPUTED') {
+                addLog(botState, `⚖️ Résolution contestée (UMA): ${trade.question.substring(0, 40)}... — position conservée`, 'warning');
+            } else if (resolution.status === 'PENDING') {
+                addLog(botState, `⏳ Marché fermé, résolution en attente: ${trade.question.substring(0, 40)}...`, 'info');
+            }
+        }
+        return resolution;
+    },
+
+    /**
+     * Closed trade at the payout of a final resolution. Credits the capital and the
+     * win / loss counters; the caller removes it from activeTrades.
+     */
+    settle(trade, resolution) {
+        const closed = settledTrade(trade, resolution);
+        botState.capital += closed.finalValue;
+        if (closed.resolvedOutcome !== 'VOID') {
+            if (closed.pnl > 0) botState.winningTrades++;
+            else botState.losingTrades++;
+        }
+
+        const label = { WON: '✅ Trade gagné', LOST: '❌ Trade perdu', HALF: '⚖️ Résolution 50-50', VOID: '↩️ Marché annulé, mise remboursée' }[closed.resolvedOutcome];
+        addLog(botState, `${label}: ${trade.question.substring(0, 30)}... (${closed.pnl >= 0 ? '+' : ''}${closed.pnl.toFixed(2)} USDC)`,
+            closed.pnl > 0 ? 'success' : closed.resolvedOutcome === 'LOST' ? 'warning' : 'info');
+        return closed;
+    },
+
+    /**
+     * Correct trades the former resolver booked as lost (50-50 and voided markets paid
+     * something back), then recompute the win / loss counters from the full history.
+     * Each old resolution is looked up once, RECONCILE_LOOKUPS per run.
+     * @returns {Promise<{ checked: number, corrected: number, counters: boolean }>}
+     */
+    async reconcile() {
+        const result = { checked: 0, corrected: 0, counters: false };
+        const suspects = tradeHistory.all()
+            .filter(t => t.resolutionMethod === 'REAL_MARKET_OUTCOME' && t.resolvedOutcome === 'LOST' && !t.settlement?.verifiedAt)
+            .slice(0, settings().RECONCILE_LOOKUPS ?? 20);
+
+        for (const trade of suspects) {
+            let resolution;
+            try {
+                const market = await this.fetchMarket(trade.marketId);
+                if (!market) continue;
+                resolution = this.parseResolution(market);
+            } catch (e) {
+                console.error(`[Settlement] Reconcile lookup failed for ${trade.marketId}:`, e.message);
+                continue;
+            }
+            result.checked++;
+            if (!this.isFinal(resolution)) continue;
+
+            const now = new Date().toISOString();
+            const paid = resolution.status === 'VOIDED' || resolution.payouts[trade.side === 'NO' ? 1 : 0] > 0;
+            let corrected = { ...trade, settlement: { ...trade.settlement, status: resolution.status, verifiedAt: now } };
+            if (paid) {
+                // Re-settle with the real payout; the capital gets what the loss never credited,
+                // the loss limits and the sleeve the difference with the PnL booked back then
+                const resettled = settledTrade(trade, resolution);
+                botState.capital += resettled.finalValue;
+                trackRealizedPnL(trade.strategy, resettled.pnl - (trade.pnl ?? trade.profit ?? 0));
+                corrected = { ...resettled, closedAt: trade.closedAt, settlement: { ...resettled.settlement, verifiedAt: now, correctedFrom: 'LOST' } };
+                result.corrected++;
+                addLog(botState, `🔁 Résolution corrigée (${corrected.resolvedOutcome}): ${trade.question.substring(0, 30)}... +$${resettled.finalValue.toFixed(2)} recrédités`, 'success');
+                supabaseService.saveTrade(corrected).catch(e => console.error('Supabase settlement correction error:', e));
+            }
+            tradeHistory.record(corrected);
+            const inMemory = (botState.closedTrades || []).findIndex(t => t.id === trade.id);
+            if (inMemory !== -1) botState.closedTrades[inMemory] = corrected;
+        }
+
+        // What actually happened: every closed trade once, voided ones neither won nor lost
+        const { wins, losses } = countOutcomes(tradeHistory.all());
+        if (wins !== botState.winningTrades || losses !== botState.losingTrades) {
+            addLog(botState, `🔁 Compteurs réconciliés: ${botState.winningTrades}/${botState.losingTrades} → ${wins}/${losses} (gagnés/perdus)`, 'info');
+            botState.winningTrades = wins;
+            botState.losingTrades = losses;
+            result.counters = true;
+        }
+        return result;
+    }
+};
+
+/** Win / loss counts of closed trades — same rule as the closes: pnl > 0 wins, voided trades count for neither */
+export function countOutcomes(trades) {
+    let wins = 0, losses = 0;
+    for (const t of trades) {
+        if (t.resolvedOutcome === 'VOID') continue;
+        if ((t.pnl ?? t.profit ?? 0) > 0) wins++;
+        else losses++;
+    }
+    return { wins, losses };
+}
@@ -0,0 +1,395 @@
+/**
+ * SQLITE STORAGE - botState in bot_data.db, with its history in real tables
+ *
+ * The `state` row holds botState as JSON (minus logs, read back from their table),
+ * so the engine keeps working on its in-memory lists. Each save also writes, in the
+ * same transaction, what those lists lose to truncation:
+ *   trades           every trade seen in activeTrades / closedTrades, upserted by id
+ *                    (OPEN → CLOSED; a trade that leaves activeTrades without being
+ *                    closed, e.g. on reset, is marked REMOVED)
+ *   capital_history  every capitalHistory point
+ * logs (addLog), decisions (decisionJournal.js) and snapshots (signal snapshots of
+ * the main loop) are appended as they happen, outside the state save.
+ *
+ * Migrations run in order when the database is opened, each in its own transaction,
+ * and are recorded in schema_migrations: add an entry to MIGRATIONS, never edit an
+ * applied one. `run` columns hold botState.startTime. Resets clear the trades (as they
+ * wipe the Supabase trades table); capital history and logs stay.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { CONFIG } from '../config.js';
+
+const LOG_WINDOW = 1000; // Entries loaded back into botState.logs (same cap as addLog)
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial',
+        sql: `
+            CREATE TABLE state (
+                id INTEGER PRIMARY KEY CHECK (id = 1),
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE trades (
+                id TEXT PRIMARY KEY,
+                run TEXT,
+                market_id TEXT,
+                question TEXT,
+                side TEXT,
+                strategy TEXT,
+                category TEXT,
+                status TEXT NOT NULL,
+                amount REAL,
+                entry_price REAL,
+                exit_price REAL,
+                pnl REAL,
+                opened_at TEXT,
+                closed_at TEXT,
+                close_reason TEXT,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_trades_status ON trades (status);
+            CREATE INDEX idx_trades_closed_at ON trades (closed_at);
+            CREATE INDEX idx_trades_market ON trades (market_id);
+            CREATE TABLE capital_history (
+                t TEXT PRIMARY KEY,
+                v REAL NOT NULL,
+                run TEXT
+            );
+            CREATE TABLE logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp TEXT NOT NULL,
+                type TEXT,
+                message TEXT
+            );
+            CREATE INDEX idx_logs_timestamp ON logs (timestamp);
+            CREATE TABLE decisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp TEXT NOT NULL,
+                market_id TEXT,
+                category TEXT,
+                executed INTEGER NOT NULL,
+                strategy TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_decisions_timestamp ON decisions (timestamp);
+            CREATE INDEX idx_decisions_market ON decisions (market_id);
+            CREATE TABLE snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                created_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_snapshots_created_at ON snapshots (created_at);
+        `
+    }
+];
+
+// Legacy closed trades may lack an id
+const tradeKey = (trade) => String(trade.id || `${trade.marketId}:${trade.startTime}`);
+
+export class SqliteStorage {
+    /**
+     * @param {string} filePath - Database file (created with its directory if missing)
+     * @param {Object} [options]
+     * @param {string} [options.legacyFile] - bot_data.json imported when the database holds no state yet
+     */
+    constructor(filePath, { legacyFile = null } = {}) {
+        this.name = 'sqlite';
+        this.location = filePath;
+        this.legacyFile = legacyFile;
+        this.tradeCache = new Map();    // trade id → JSON last written (skip unchanged trades)
+        this.persisted = new WeakSet(); // capitalHistory points already in their table
+        this.lastDecisionPrune = null;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.migrate();
+        this.prepareStatements();
+    }
+
+    migrate() {
+        this.db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )`);
+        const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').pluck().all());
+        const record = this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+        for (const migration of MIGRATIONS) {
+            if (applied.has(migration.version)) continue;
+            this.db.transaction(() => {
+                this.db.exec(migration.sql);
+                record.run(migration.version, migration.name, new Date().toISOString());
+            })();
+            console.log(`🗄️ SQLite: migration ${migration.version} (${migration.name}) appliquée`);
+        }
+    }
+
+    schemaVersion() {
+        return this.db.prepare('SELECT MAX(version) FROM schema_migrations').pluck().get() || 0;
+    }
+
+    prepareStatements() {
+        const db = this.db;
+        this.stmt = {
+            getState: db.prepare('SELECT data FROM state WHERE id = 1'),
+            putState: db.prepare(`INSERT INTO state (id, data, updated_at) VALUES (1, ?, ?)
+                ON CONFLICT (id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`),
+            putTrade: db.prepare(`INSERT INTO trades (id, run, market_id, question, side, strategy, category, status,
+                    amount, entry_price, exit_price, pnl, opened_at, closed_at, close_reason, data, updated_at)
+                VALUES (@id, @run, @market_id, @question, @side, @strategy, @category, @status,
+                    @amount, @entry_price, @exit_price, @pnl, @opened_at, @closed_at, @close_reason, @data, @updated_at)
+                ON CONFLICT (id) DO UPDATE SET status = excluded.status, amount = excluded.amount,
+                    entry_price = excluded.entry_price, exit_price = excluded.exit_price, pnl = excluded.pnl,
+                    closed_at = excluded.closed_at, close_reason = excluded.close_reason,
+                    data = excluded.data, updated_at = excluded.updated_at`),
+            markRemoved: db.prepare(`UPDATE trades SET status = 'REMOVED', updated_at = ?
+                WHERE status = 'OPEN' AND id NOT IN (SELECT value FROM json_each(?))`),
+            putPoint: db.prepare('INSERT OR IGNORE INTO capital_history (t, v, run) VALUES (?, ?, ?)'),
+            putLog: db.prepare('INSERT INTO logs (timestamp, type, message) VALUES (?, ?, ?)'),
+            recentLogs: db.prepare('SELECT timestamp, message, type FROM logs ORDER BY id DESC LIMIT ?'),
+            putDecision: db.prepare(`INSERT INTO decisions (timestamp, market_id, category, executed, strategy, data)
+                VALUES (?, ?, ?, ?, ?, ?)`),
+            pruneDecisions: db.prepare('DELETE FROM decisions WHERE timestamp < ?'),
+            putSnapshot: db.prepare('INSERT INTO snapshots (created_at, data) VALUES (?, ?)'),
+            closedTrades: db.prepare(`SELECT data FROM trades WHERE status NOT IN ('OPEN', 'REMOVED')
+                ORDER BY COALESCE(closed_at, opened_at, '') DESC, id DESC`).pluck(),
+            clearTrades: db.prepare('DELETE FROM trades'),
+            snapshotsBetween: db.prepare(`SELECT id, created_at, data FROM snapshots
+                WHERE created_at >= ? AND created_at <= ? ORDER BY created_at ASC LIMIT ?`)
+        };
+    }
+
+    exists() {
+        return !!this.stmt.getState.get();
+    }
+
+    /** Saved state, null when there is none — throws SyntaxError on a corrupt state row */
+    loadState() {
+        const row = this.stmt.getState.get();
+        if (!row) return this.importLegacy();
+
+        const data = JSON.parse(row.data);
+        data.logs = this.stmt.recentLogs.all(LOG_WINDOW);
+        this.markWritten(data.capitalHistory || [], (data.closedTrades || []).concat(data.activeTrades || []));
+        return data;
+    }
+
+    /** First start on SQLite: take over bot_data.json, history included */
+    importLegacy() {
+        if (!this.legacyFile || !fs.existsSync(this.legacyFile)) return null;
+        let data;
+        try {
+            const buffer = fs.readFileSync(this.legacyFile, 'utf8');
+            if (buffer.trim().length === 0) return null;
+            data = JSON.parse(buffer);
+        } catch (e) {
+            console.error(`❌ SQLite: import de ${this.legacyFile} impossible (${e.message}) — démarrage à vide`);
+            return null;
+        }
+        const logs = data.logs || [];
+        this.db.transaction(() => {
+            this.saveState(data);
+            for (let i = logs.length - 1; i >= 0; i--) this.appendLog(logs[i]); // Stored newest first
+        })();
+        console.log(`📦 SQLite: ${this.legacyFile} importé (${(data.closedTrades || []).length} trades clos, ${(data.logs || []).length} logs)`);
+        return data;
+    }
+
+    /**
+     * Persist botState: state row, trades and new capital points in one transaction
+     * @param {Object} data - botState
+     */
+    saveState(data) {
+        const now = new Date().toISOString();
+        const run = data.startTime || null;
+        const { logs, ...state } = data; // Logs live in their own table
+        const trades = [];
+        const points = [];
+
+        this.db.transaction(() => {
+            this.stmt.putState.run(JSON.stringify(state), now);
+
+            for (const trade of data.closedTrades || []) {
+                if (this.writeTrade(trade, 'CLOSED', run, now)) trades.push(trade);
+            }
+            for (const trade of data.activeTrades || []) {
+                if (this.writeTrade(trade, 'OPEN', run, now)) trades.push(trade);
+            }
+            this.stmt.markRemoved.run(now, JSON.stringify((data.activeTrades || []).map(tradeKey)));
+
+            // capitalHistory grows at the end: stop at the first point already written
+            const history = data.capitalHistory || [];
+            for (let i = history.length - 1; i >= 0 && !this.persisted.has(history[i]); i--) {
+                this.stmt.putPoint.run(history[i].t, history[i].v, run);
+                points.push(history[i]);
+            }
+        })();
+
+        // Only once committed — a rolled back save must be written again
+        this.markWritten(points, trades);
+    }
+
+    /** Upsert one trade if it changed since the last save; returns whether it was written */
+    writeTrade(trade, listStatus, run, now) {
+        const json = JSON.stringify(trade);
+        const id = tradeKey(trade);
+        if (this.tradeCache.get(id) === json) return false;
+
+        // A closed trade keeps its own final status (CLOSED, RESOLVED...), never OPEN
+        const status = listStatus === 'OPEN' ? 'OPEN'
+            : (trade.status && trade.status !== 'OPEN' ? trade.status : 'CLOSED');
+        this.stmt.putTrade.run({
+            id,
+            run,
+            market_id: trade.marketId != null ? String(trade.marketId) : null,
+            question: trade.question || null,
+            side: trade.side || null,
+            strategy: trade.strategy || null,
+            category: trade.category || null,
+            status,
+            amount: trade.amount ?? trade.size ?? null,
+            entry_price: trade.entryPrice ?? null,
+            exit_price: trade.exitPrice ?? null,
+            pnl: trade.pnl ?? trade.profit ?? null,
+            opened_at: trade.startTime || null,
+            closed_at: status === 'OPEN' ? null : (trade.closedAt || trade.endTime || null),
+            close_reason: trade.closeReason || null,
+            data: json,
+            updated_at: now
+        });
+        return true;
+    }
+
+    markWritten(points, trades) {
+        for (const point of points) this.persisted.add(point);
+        for (const trade of trades) this.tradeCache.set(tradeKey(trade), JSON.stringify(trade));
+    }
+
+    backupCorrupt() {
+        const backupPath = this.location + '.bak';
+        try {
+            this.db.pragma('wal_checkpoint(TRUNCATE)');
+        } catch { /* copy what is on disk */ }
+        fs.copyFileSync(this.location, backupPath);
+        return backupPath;
+    }
+
+    // ── CLOSED TRADE HISTORY (tradeHistory.js) ──
+
+    recordClosedTrade(trade, run = null) {
+        if (this.writeTrade(trade, 'CLOSED', run, new Date().toISOString())) this.markWritten([], [trade]);
+    }
+
+    closedTrades() {
+        return this.stmt.closedTrades.all().map(json => JSON.parse(json));
+    }
+
+    /**
+     * @param {Object} query - { strategy, category, after: [closeTime, id] of the previous page's last trade, limit }
+     * @returns {{ trades: Object[], next: [string, string]|null }}
+     */
+    queryClosedTrades({ strategy, category, after = null, limit = 50 }) {
+        const where = ["status NOT IN ('OPEN', 'REMOVED')"];
+        const params = [];
+        if (strategy) { where.push("COALESCE(strategy, 'standard') = ?"); params.push(strategy); }
+        if (category) { where.push('category = ?'); params.push(category); }
+        if (after) {
+            where.push("(COALESCE(closed_at, opened_at, '') < ? OR (COALESCE(closed_at, opened_at, '') = ? AND id < ?))");
+            params.push(after[0], after[0], after[1]);
+        }
+        const rows = this.db.prepare(`SELECT id, COALESCE(closed_at, opened_at, '') AS k, data FROM trades
+            WHERE ${where.join(' AND ')} ORDER BY k DESC, id DESC LIMIT ?`).all(...params, limit + 1);
+
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        return {
+            trades: page.map(row => JSON.parse(row.data)),
+            next: rows.length > limit ? [last.k, last.id] : null
+        };
+    }
+
+    clearTradeHistory() {
+        this.stmt.clearTrades.run();
+        this.tradeCache.clear();
+    }
+
+    // ── LOGS (addLog) ──
+
+    appendLog(entry) {
+        this.stmt.putLog.run(entry.timestamp, entry.type, entry.message);
+    }
+
+    // ── DECISIONS (decisionJournal.js) ──
+
+    appendDecision(entry) {
+        this.stmt.putDecision.run(
+            entry.timestamp,
+            entry.marketId != null ? String(entry.marketId) : null,
+            entry.category || null,
+            entry.tradeExecuted ? 1 : 0,
+            entry.strategy || null,
+            JSON.stringify(entry)
+        );
+        this.pruneDecisions();
+    }
+
+    /** Same retention as the JSONL journal, checked once a day */
+    pruneDecisions() {
+        const today = new Date().toISOString().slice(0, 10);
+        if (this.lastDecisionPrune === today) return;
+        this.lastDecisionPrune = today;
+        const retentionDays = CONFIG.DECISION_JOURNAL?.RETENTION_DAYS || 30;
+        this.stmt.pruneDecisions.run(new Date(Date.now() - retentionDays * 86400000).toISOString());
+    }
+
+    /**
+     * Decisions newest first
+     * @param {Object} criteria - { marketId, executed, category, from, to, limit } (to inclusive, already widened to end of day)
+     * @param {Function} [accept] - Extra filter on the decoded entry
+     * @returns {Object[]}
+     */
+    /**
+     * Decisions newest first; visit returns false to stop
+     * @param {Object} criteria - { marketId, executed, category, from, to }
+     */
+    scanDecisions({ marketId, executed, category, from, to }, visit) {
+        const where = [];
+        const params = [];
+        if (marketId) { where.push('market_id = ?'); params.push(String(marketId)); }
+        if (executed !== undefined) { where.push('executed = ?'); params.push(executed ? 1 : 0); }
+        if (category) { where.push('category = ?'); params.push(category); }
+        if (from) { where.push('timestamp >= ?'); params.push(from); }
+        if (to) { where.push('timestamp <= ?'); params.push(to); }
+
+        const sql = `SELECT data FROM decisions ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY timestamp DESC, id DESC`;
+        for (const row of this.db.prepare(sql).iterate(...params)) {
+            if (visit(JSON.parse(row.data)) === false) break;
+        }
+    }
+
+    // ── SIGNAL SNAPSHOTS (backtest replay) ──
+
+    saveSnapshot(snapshot) {
+        this.stmt.putSnapshot.run(new Date().toISOString(), JSON.stringify(snapshot));
+    }
+
+    /** Snapshots in chronological order, shaped like the Supabase signal_snapshots rows */
+    loadSnapshots(from, to, limit = 2000) {
+        return this.stmt.snapshotsBetween.all(from, to, limit)
+            .map(row => ({ ...JSON.parse(row.data), id: row.id, created_at: row.created_at }));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
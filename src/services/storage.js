@@ -0,0 +1,47 @@
+/**
+ * STORAGE - persistence backend under StateManager (state.js)
+ *
+ * CONFIG.STORAGE.BACKEND (env STORAGE_BACKEND) picks it once, at boot:
+ *   'json'   (default) bot_data.json rewritten on each save (jsonStorage.js)
+ *   'sqlite' bot_data.db with trades, capital history, logs, decisions and signal
+ *            snapshots in tables — full history, not the truncated in-memory lists
+ *            (sqliteStorage.js). bot_data.json is imported on its first start.
+ *
+ * Every backend has:
+ *   name, location       'json' | 'sqlite', file path
+ *   exists()             A state has been saved
+ *   loadState()          Saved state or null — throws SyntaxError when it is corrupt
+ *   saveState(data)      Synchronous and all-or-nothing
+ *   backupCorrupt()      Copy the unreadable store aside, returns the copy's path
+ *   recordClosedTrade(trade, run)   Add / replace one closed trade in the full history
+ *   closedTrades()                  Full history, newest close first
+ *   queryClosedTrades(query)        One page of it: { strategy, category, after, limit } → { trades, next }
+ *   clearTradeHistory()             On resets
+ *   close()
+ * SQLite only — callers check for the method and keep their own file / Supabase path otherwise:
+ *   appendLog(entry)                                          utils.js addLog
+ *   appendDecision(entry), scanDecisions(criteria, visit)     decisionJournal.js
+ *   saveSnapshot(snapshot), loadSnapshots(from, to, limit)    server.js, replayEngine.js
+ */
+
+import { CONFIG } from '../config.js';
+import { JsonStorage } from './jsonStorage.js';
+import { SqliteStorage } from './sqliteStorage.js';
+
+export function openStorage(settings = CONFIG.STORAGE || {}) {
+    const backend = settings.BACKEND || 'json';
+    if (backend === 'sqlite') {
+        try {
+            const sqlite = new SqliteStorage(settings.SQLITE_FILE, { legacyFile: CONFIG.DATA_FILE });
+            console.log(`💾 Stockage SQLite: ${sqlite.location} (schéma v${sqlite.schemaVersion()})`);
+            return sqlite;
+        } catch (e) {
+            console.error(`❌ SQLite indisponible (${e.message}) — repli sur ${CONFIG.DATA_FILE}`);
+        }
+    } else if (backend !== 'json') {
+        console.error(`❌ STORAGE_BACKEND inconnu "${backend}" (json | sqlite) — json utilisé`);
+    }
+    return new JsonStorage(CONFIG.DATA_FILE, settings.TRADE_HISTORY_FILE);
+}
+
+export const storage = openStorage();
@@ -105,6 +105,9 @@ export const supabaseService = {
                 category: trade.category || 'General',
                 metadata: {
                     reasons: trade.reasons || [],
+                    signals: trade.signals || [],
+                    groupId: trade.groupId || null,
+                    groupKind: trade.groupKind || null,
                     marketData: trade.marketData || {},
                     slug: trade.slug,
                     eventSlug: trade.eventSlug,
@@ -112,7 +115,8 @@ export const supabaseService = {
                     originalTP: trade.originalTP || null,
                     convictionScore: trade.convictionScore || null,
                     clobTokenIds: trade.clobTokenIds || [],
-                    endDate: trade.endDate || null
+                    endDate: trade.endDate || null,
+                    execution: trade.execution || null
                 }
             };
 
@@ -220,23 +224,31 @@ export const supabaseService = {
 
     /**
      * Save a signal snapshot for backtest replay (Phase 9A).
-     * Stores real PizzINT tension, news headlines, whale trades, and copy signals.
+     * Stores real PizzINT tension, news headlines, whale trades, copy signals
+     * and the scanned candidate markets (needs SIGNAL_SNAPSHOTS.sql).
      */
     async saveSignalSnapshot(snapshot) {
         if (!supabase) return;
 
         try {
-            const { error } = await supabase
-                .from('signal_snapshots')
-                .insert({
-                    tension_score: snapshot.tension_score,
-                    tension_trend: snapshot.tension_trend,
-                    defcon: snapshot.defcon,
-                    news_headlines: snapshot.news_headlines,
-                    whale_trades: snapshot.whale_trades,
-                    copy_signals: snapshot.copy_signals,
-                    market_count: snapshot.market_count
-                });
+            const row = {
+                tension_score: snapshot.tension_score,
+                tension_trend: snapshot.tension_trend,
+                defcon: snapshot.defcon,
+                news_headlines: snapshot.news_headlines,
+                whale_trades: snapshot.whale_trades,
+                copy_signals: snapshot.copy_signals,
+                market_count: snapshot.market_count,
+                markets: snapshot.markets
+            };
+            let { error } = await supabase.from('signal_snapshots').insert(row);
+
+            // Table not migrated yet: keep recording signals without the markets
+            if (error && /markets/.test(error.message)) {
+                console.warn('signal_snapshots.markets missing — run SIGNAL_SNAPSHOTS.sql to enable replay');
+                const { markets: _, ...legacyRow } = row;
+                ({ error } = await supabase.from('signal_snapshots').insert(legacyRow));
+            }
 
             if (error) {
                 console.warn('Signal snapshot insert error:', error.message);
@@ -246,6 +258,30 @@ export const supabaseService = {
         }
     },
 
+    /**
+     * Load signal snapshots in chronological order (for the replay engine).
+     * @param {string} from - ISO start (inclusive)
+     * @param {string} to - ISO end (inclusive)
+     * @param {number} limit
+     */
+    async loadSignalSnapshots(from, to, limit = 2000) {
+        if (!supabase) return null;
+
+        const { data, error } = await supabase
+            .from('signal_snapshots')
+            .select('*')
+            .gte('created_at', from)
+            .lte('created_at', to)
+            .order('created_at', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            console.error('❌ Supabase Snapshot Load Error:', error.message);
+            return null;
+        }
+        return data;
+    },
+
     /**
      * Reconstructs the entire bot state from Supabase history.
      * Useful for disaster recovery (e.g. lost local file on Railway).
@@ -0,0 +1,75 @@
+/**
+ * TRADE HISTORY - every closed trade, not only the newest 50 of botState.closedTrades
+ *
+ * engine.js records each close (archiveClosedTrade); the storage backend keeps them
+ * (closed_trades.jsonl, or the trades table with SQLite), so local analytics and the
+ * strategy evaluation work on the full history without Supabase. GET /api/trades
+ * pages it with an opaque cursor: newest close first, stable while trades are added.
+ */
+
+import { botState } from '../state.js';
+import { storage } from './storage.js';
+
+const MAX_PAGE = 500;
+
+const tradeKey = (trade) => String(trade.id || `${trade.marketId}:${trade.startTime}`);
+
+function encodeCursor(next) {
+    return next ? Buffer.from(JSON.stringify(next)).toString('base64url') : null;
+}
+
+function decodeCursor(cursor) {
+    try {
+        const after = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Array.isArray(after) && after.length === 2 && after.every(v => typeof v === 'string') ? after : null;
+    } catch {
+        return null;
+    }
+}
+
+export const tradeHistory = {
+    /** Never throws — a failed history write must not block a close */
+    record(trade) {
+        try {
+            storage.recordClosedTrade(trade, botState.startTime);
+        } catch (e) {
+            console.error('Trade history write failed:', e.message);
+        }
+    },
+
+    /**
+     * Every closed trade, newest first. The in-memory list is merged in, so a close
+     * whose history write failed still counts.
+     * @returns {Object[]}
+     */
+    all() {
+        let history;
+        try {
+            history = storage.closedTrades();
+        } catch (e) {
+            console.error('Trade history read failed:', e.message);
+            return botState.closedTrades || [];
+        }
+        const known = new Set(history.map(tradeKey));
+        const missing = (botState.closedTrades || []).filter(t => !known.has(tradeKey(t)));
+        return missing.length > 0 ? [...missing, ...history] : history;
+    },
+
+    /**
+     * One page of closed trades, newest first
+     * @param {Object} query - { strategy, category, cursor, limit (1-500, default 50) }
+     * @returns {{ trades: Object[], nextCursor: string|null }|{ error: string }}
+     */
+    page({ strategy, category, cursor, limit } = {}) {
+        const size = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE);
+        const after = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !after) return { error: 'Curseur invalide' };
+
+        const { trades, next } = storage.queryClosedTrades({ strategy, category, after, limit: size });
+        return { trades, nextCursor: encodeCursor(next) };
+    },
+
+    clear() {
+        storage.clearTradeHistory();
+    }
+};
@@ -1,8 +1,8 @@
 
-import fs from 'fs';
 import { CONFIG } from './config.js';
 import { addLog, saveToGithub } from './utils.js';
 import { supabaseService } from './services/supabaseService.js';
+import { storage } from './services/storage.js';
 
 // Initial State Template
 const INITIAL_STATE = {
@@ -21,6 +21,8 @@ const INITIAL_STATE = {
     logs: [],
     whaleAlerts: [],
     arbitrageOpportunities: [],
+    eventArbOpportunities: [], // NegRisk event baskets found on the last deep scan (eventArbitrage.js)
+    positionGroups: [],        // Multi-leg positions (arbitrage pairs, event baskets) — legs carry groupId (positionGroups.js)
     newsSentiment: [],
     momentumData: {},
     apiStatus: {
@@ -46,6 +48,7 @@ const INITIAL_STATE = {
         trending: []
     },
     backlog: [], // User notes, bugs, and ideas
+    auditLog: [], // Mutating API calls: actor, role, endpoint, status (auditLog.js)
     learningParams: {
         confidenceMultiplier: 1.0,
         sizeMultiplier: 1.0,
@@ -55,6 +58,12 @@ const INITIAL_STATE = {
     dailyPnL: 0,
     dailyPnLResetDate: new Date().toISOString().split('T')[0],
     cooldowns: {},
+    strategyToggles: {}, // Manual strategy on/off by id (strategyRegistry.setEnabled)
+    configOverrides: {},  // Runtime CONFIG overrides by dotted path (PATCH /api/config, configService.js)
+    configProfiles: { live: 'baseline', profiles: {} }, // Named override sets — live one trades, the others shadow (profileService.js)
+    shadowPortfolios: {}, // Paper portfolio per shadow profile: capital, trades, equity history (shadowPortfolios.js)
+    calibration: { pending: {}, resolved: [] }, // First fair-value forecast per market, scored once resolved (calibration.js)
+    capitalSleeves: null, // Per-strategy budgets, PnL and drawdown (capitalSleeves.state(), created from CONFIG)
     trackedWallets: [],
     lastCopySignals: [],
     // Monthly drawdown protection
@@ -63,12 +72,21 @@ const INITIAL_STATE = {
         startDate: new Date().toISOString().slice(0, 7), // "YYYY-MM"
         mode: 'NORMAL',    // 'NORMAL' | 'DEFENSIVE' | 'CONSERVATION' | 'KILL'
         currentLossPct: 0, // Current loss % vs startCapital
+    },
+    // Weekly loss circuit breaker (rolling 7-day realized PnL)
+    weeklyDrawdown: {
+        dailyPnL: {},      // { "YYYY-MM-DD": realized PnL } — pruned to the window
+        rollingPnL: 0,     // Sum over the window
+        currentLossPct: 0, // rollingPnL / startingCapital
+        mode: 'NORMAL',    // 'NORMAL' | 'CAUTION' | 'REDUCED' | 'HALT'
+        trippedAt: null,   // ISO timestamp of the last HALT
     }
 };
 
 export class StateManager {
-    constructor(filePath = CONFIG.DATA_FILE) {
-        this.filePath = filePath;
+    /** @param {Object} backend - JsonStorage | SqliteStorage (services/storage.js) */
+    constructor(backend = storage) {
+        this.storage = backend;
         this.data = { ...INITIAL_STATE };
         this.load();
     }
@@ -79,57 +97,69 @@ export class StateManager {
         const fresh = JSON.parse(JSON.stringify(INITIAL_STATE));
         fresh.startTime = new Date().toISOString();
         fresh.lastUpdate = new Date().toISOString();
+        // The audit trail survives resets (the reset itself is one of its entries),
+        // so do the config overrides already applied to CONFIG and the profiles
+        // (their shadow portfolios restart with the live one)
+        fresh.auditLog = this.data.auditLog || [];
+        fresh.configOverrides = this.data.configOverrides || {};
+        fresh.configProfiles = this.data.configProfiles || fresh.configProfiles;
         // Clear arrays that might have old data
         Object.keys(this.data).forEach(key => {
             if (!(key in fresh)) delete this.data[key];
         });
         Object.assign(this.data, fresh);
+        this.storage.clearTradeHistory();
         this.save();
     }
 
     load() {
-        if (fs.existsSync(this.filePath)) {
-            try {
-                const buffer = fs.readFileSync(this.filePath, 'utf8');
-                if (buffer.trim().length > 0) {
-                    const savedData = JSON.parse(buffer);
-                    // Merge saved data with initial structure to ensure new fields exists
-                    // PRESERVE REFERENCE by using Object.assign instead of reassignment
-                    Object.assign(this.data, INITIAL_STATE, savedData);
-
-                    // Ensure deep objects exist (merging only top level might miss nested defaults)
-                    if (!this.data.apiStatus) this.data.apiStatus = { ...INITIAL_STATE.apiStatus };
-                    if (!this.data.sectorActivity) this.data.sectorActivity = { ...INITIAL_STATE.sectorActivity };
-
-                    // Sync win/loss counters from actual closed trades (prevents desync across restarts)
-                    const closed = this.data.closedTrades || [];
-                    const closedWithProfit = closed.filter(t => t.profit !== undefined && t.profit !== null);
-                    if (closedWithProfit.length > 0) {
-                        this.data.winningTrades = closedWithProfit.filter(t => t.profit > 0).length;
-                        this.data.losingTrades = closedWithProfit.filter(t => t.profit <= 0).length;
-                        this.data.totalTrades = closed.length + (this.data.activeTrades || []).length;
-                    }
-
-                    addLog(this.data, `Chargement des données réussi ($${this.data.capital.toFixed(2)})`, 'success');
-                }
-            } catch (err) {
-                console.error("Erreur lecture données state:", err.message);
-
-                // Corruption Handling: Backup & Reset
-                if (err instanceof SyntaxError) {
-                    const backupPath = this.filePath + '.bak';
-                    console.warn(`⚠️ CORRUPTION DÉTECTÉE: Sauvegarde de l'état corrompu vers ${backupPath}`);
-                    try {
-                        fs.copyFileSync(this.filePath, backupPath);
-                    } catch (backupErr) {
-                        console.error("Échec de la backup du fichier corrompu:", backupErr);
-                    }
+        let savedData;
+        try {
+            savedData = this.storage.loadState();
+        } catch (err) {
+            console.error("Erreur lecture données state:", err.message);
+
+            // Corruption Handling: Backup & Reset
+            if (err instanceof SyntaxError) {
+                console.warn(`⚠️ CORRUPTION DÉTECTÉE: Sauvegarde de l'état corrompu (${this.storage.location})`);
+                try {
+                    console.warn(`   → ${this.storage.backupCorrupt()}`);
+                } catch (backupErr) {
+                    console.error("Échec de la backup du fichier corrompu:", backupErr);
                 }
+            }
+
+            addLog(this.data, "Erreur lecture données, réinitialisation (backup créée)", 'error');
+            return; // this.data is already INITIAL_STATE
+        }
+
+        if (savedData) {
+            // Merge saved data with initial structure to ensure new fields exists
+            // PRESERVE REFERENCE by using Object.assign instead of reassignment
+            Object.assign(this.data, INITIAL_STATE, savedData);
 
-                addLog(this.data, "Erreur lecture données, réinitialisation (backup créée)", 'error');
-                // this.data is already INITIAL_STATE
+            // Ensure deep objects exist (merging only top level might miss nested defaults)
+            if (!this.data.apiStatus) this.data.apiStatus = { ...INITIAL_STATE.apiStatus };
+            if (!this.data.sectorActivity) this.data.sectorActivity = { ...INITIAL_STATE.sectorActivity };
+
+            // Sync win/loss counters from actual closed trades (prevents desync across restarts).
+            // The full history, not the newest 50; voided markets (stake refunded) count for neither
+            let closed = this.data.closedTrades || [];
+            try {
+                const history = this.storage.closedTrades();
+                if (history.length > closed.length) closed = history;
+            } catch (e) {
+                console.error("Lecture de l'historique des trades impossible:", e.message);
+            }
+            const closedWithProfit = closed.filter(t => t.profit !== undefined && t.profit !== null && t.resolvedOutcome !== 'VOID');
+            if (closedWithProfit.length > 0) {
+                this.data.winningTrades = closedWithProfit.filter(t => t.profit > 0).length;
+                this.data.losingTrades = closedWithProfit.filter(t => t.profit <= 0).length;
+                this.data.totalTrades = closed.length + (this.data.activeTrades || []).length;
             }
-        } else {
+
+            addLog(this.data, `Chargement des données réussi ($${this.data.capital.toFixed(2)})`, 'success');
+        } else if (!this.storage.exists()) {
             addLog(this.data, "Aucun fichier de données, création d'un nouveau profil", 'warning');
             this.save();
         }
@@ -169,7 +199,7 @@ export class StateManager {
 
 
 
-            fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+            this.storage.saveState(this.data);
 
             // Sync to GitHub to allow AI/Antigravity to see updates
             if (CONFIG.ENABLE_GITHUB_SYNC) {
@@ -239,7 +269,7 @@ export class StateManager {
             }
         }
 
-        if (isDefault || isDesync || !fs.existsSync(this.filePath)) {
+        if (isDefault || isDesync || !this.storage.exists()) {
             const reason = isDefault ? 'État local par défaut' : isDesync ? 'Désynchronisation détectée' : 'Fichier manquant';
             addLog(this.data, `⚠️ ${reason}. Tentative de récupération Cloud...`, 'warning');
             const recovered = await supabaseService.recoverState();
@@ -3,6 +3,8 @@ import fs from 'fs';
 import path from 'path';
 import { exec } from 'child_process';
 import { CONFIG } from './config.js';
+import { eventStream } from './services/eventStream.js';
+import { storage } from './services/storage.js';
 // --- LOGGING ---
 export function addLog(botState, message, type = 'info') {
     const timestamp = new Date().toISOString();
@@ -14,6 +16,14 @@ export function addLog(botState, message, type = 'info') {
     if (!Array.isArray(botState.logs)) botState.logs = [];
     botState.logs.unshift(logEntry);
     if (botState.logs.length > 1000) botState.logs.pop();
+    eventStream.publish('log', logEntry);
+    if (storage.appendLog) {
+        try {
+            storage.appendLog(logEntry); // botState.logs keeps the last 1000, the table keeps everything
+        } catch (e) {
+            console.error('SQLite log write failed:', e.message);
+        }
+    }
 
     // Console output with colors
     const colors = {